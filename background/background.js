@@ -3,13 +3,71 @@
  * Handles API key rotation, session management, cross-tab communication, and Google authentication
  */
 
+// Shared request pipeline (also loaded as a content script)
+importScripts('../content/ai/request-pipeline.js');
+importScripts('usage-ledger.js');
+importScripts('model-catalog.js');
+importScripts('request-scheduler.js');
+importScripts('response-cache.js');
+importScripts('key-vault.js');
+importScripts('chat-providers.js');
+
 class BackgroundManager {
   constructor() {
     this.apiKeys = [];
+    this.keyVault = new KeyVault(); // API keys are only stored encrypted
+    this.keyVaultLocked = false;
+    this.keyMeta = {}; // key fingerprint -> { label, tier, models, dailyBudget }
     this.currentKeyIndex = 0;
-    this.keyHealthStatus = new Map();
+    this.keyHealthStatus = new Map(); // The only key health record - tabs and the popup get it by message
     this.activeSessions = new Map();
 
+    // Token usage and cost for every generation
+    this.usageLedger = new UsageLedger();
+
+    // Models available to each API key
+    this.modelCatalog = new ModelCatalog(() => this.apiKeys);
+
+    // Responses of repeated prompt runs
+    this.responseCache = new ResponseCache();
+
+    // OpenAI-compatible and Anthropic chat transports - their keys are kept in the key vault too
+    this.chatProviders = new ChatProviders(async () => {
+      const providerKeys = await this.keyVault.getProviderKeys();
+      if (providerKeys === null) throw new Error(this.getKeyVaultLockedError());
+      return providerKeys;
+    });
+
+    // Generation requests from every tab share one queue and the per-key rate limits
+    this.requestScheduler = new RequestScheduler(() => this.apiKeys, (index) => {
+      const keyStatus = this.getKeyHealth(index);
+      return !keyStatus || (keyStatus.isHealthy && !keyStatus.quotaExhausted);
+    }, (index) => this.getKeyMeta(index));
+
+    // Generation requests use the background key rotation and the Ollama and cloud chat transports
+    this.requestPipeline = new AIRequestPipeline({
+      keyProvider: async (sessionId, exclude, model) => this.getNextHealthyApiKey(exclude, model),
+      scheduler: {
+        acquire: (job) => this.requestScheduler.acquire({ ...job, owner: 'background' }),
+        release: (jobId, result) => this.requestScheduler.release(jobId, result)
+      },
+      keyReporter: (keyIndex, error) => {
+        if (error) {
+          this.markKeyUnhealthy(keyIndex, error);
+        } else {
+          this.markKeySuccess(keyIndex);
+        }
+      },
+      localProvider: async (messages, options) => {
+        const result = await this.ollamaChat({ messages, ...options });
+        if (!result.success) throw new Error(result.error);
+        return result.data;
+      },
+      chatProvider: (provider, request) => this.chatProviders.stream({ provider, ...request }),
+      usageRecorder: (entry) => this.usageLedger.record(entry),
+      responseCache: this.responseCache
+    });
+
     // Google Authentication properties
     this.isAuthenticated = false;
     this.userInfo = null;
@@ -87,6 +145,18 @@ class BackgroundManager {
       this.handleInstallation(details);
     });
 
+    // Cloud chat provider replies stream to tabs over ports
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name === 'PROVIDER_STREAM') {
+        this.handleProviderStream(port);
+      }
+    });
+
+    // Jobs of closed tabs give their slots back
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this.requestScheduler.releaseOwner(tabId);
+    });
+
     // Monitor tab updates for Fiverr pages
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       if (changeInfo.status === 'complete' && tab.url?.includes('fiverr.com')) {
@@ -114,26 +184,125 @@ class BackgroundManager {
 
   async loadApiKeys() {
     try {
-      const result = await chrome.storage.local.get(['apiKeys', 'keyHealthStatus']);
-      this.apiKeys = result.apiKeys || [];
+      const result = await chrome.storage.local.get(['keyHealthStatus', 'apiKeyMeta']);
       this.keyHealthStatus = new Map(result.keyHealthStatus || []);
-      
-      // Initialize health status for new keys
-      this.apiKeys.forEach((key, index) => {
-        if (!this.keyHealthStatus.has(index)) {
-          this.keyHealthStatus.set(index, {
-            isHealthy: true,
-            lastUsed: null,
-            errorCount: 0,
-            quotaExhausted: false
-          });
-        }
-      });
+      this.keyMeta = result.apiKeyMeta || {};
+
+      // Content scripts used to keep their own copy
+      await chrome.storage.local.remove('keyHealth');
+      this.applyVaultKeys(await this.keyVault.load());
     } catch (error) {
       console.error('Failed to load API keys:', error);
     }
   }
 
+  /**
+   * Use keys from the vault - null means a passphrase-protected vault is locked
+   */
+  applyVaultKeys(keys) {
+    this.keyVaultLocked = keys === null;
+    this.apiKeys = keys || [];
+
+    // Initialize health status for new keys
+    this.apiKeys.forEach((key, index) => {
+      if (!this.keyHealthStatus.has(index)) {
+        this.keyHealthStatus.set(index, this.createKeyHealth());
+      }
+    });
+    this.requestScheduler.pump();
+  }
+
+  /**
+   * Send a message to every tab with content scripts
+   */
+  async broadcastToTabs(message) {
+    const tabs = await chrome.tabs.query({}).catch(() => []);
+    for (const tab of tabs) {
+      chrome.tabs.sendMessage(tab.id, message).catch(() => {});
+    }
+  }
+
+  /**
+   * Tell open tabs to reload their key list after the vault changed
+   */
+  broadcastKeyVaultChange() {
+    this.broadcastToTabs({ type: 'KEY_VAULT_CHANGED' });
+  }
+
+  /**
+   * Tell every tab and the popup that a key became usable or unusable
+   */
+  broadcastKeyHealth() {
+    const message = { type: 'KEY_HEALTH_CHANGED', health: this.getKeyHealthList() };
+    chrome.runtime.sendMessage(message).catch(() => {}); // The popup, when it is open
+    this.broadcastToTabs(message);
+  }
+
+  /**
+   * Label, tier, allowed models and daily request budget of a key
+   */
+  getKeyMeta(index) {
+    const key = this.apiKeys[index];
+    return key ? this.keyMeta[this.modelCatalog.hashKey(key)] || {} : {};
+  }
+
+  async saveKeyMeta(index, meta = {}) {
+    const key = this.apiKeys[index];
+    if (!key) throw new Error('Unknown API key');
+
+    this.keyMeta[this.modelCatalog.hashKey(key)] = {
+      label: String(meta.label || '').trim(),
+      tier: meta.tier === 'paid' ? 'paid' : 'free',
+      models: (meta.models || []).map(model => String(model).trim()).filter(Boolean),
+      dailyBudget: Number(meta.dailyBudget) > 0 ? Math.floor(Number(meta.dailyBudget)) : null
+    };
+    await chrome.storage.local.set({ apiKeyMeta: this.keyMeta });
+    this.requestScheduler.pump();
+  }
+
+  getKeyVaultLockedError() {
+    return 'API keys are locked. Unlock them with your passphrase in the extension popup.';
+  }
+
+  createKeyHealth() {
+    return {
+      isHealthy: true,
+      lastUsed: null,
+      errorCount: 0,
+      quotaExhausted: false,
+      quotaExhaustedDay: null,
+      lastError: null,
+      successCount: 0,
+      totalRequests: 0
+    };
+  }
+
+  /**
+   * Health of one key - quota-exhausted keys recover when the daily quota resets at midnight Pacific time
+   */
+  getKeyHealth(index) {
+    const keyStatus = this.keyHealthStatus.get(index);
+    if (keyStatus?.quotaExhausted && keyStatus.quotaExhaustedDay !== this.requestScheduler.getQuotaDay()) {
+      Object.assign(keyStatus, { quotaExhausted: false, quotaExhaustedDay: null, isHealthy: true, errorCount: 0 });
+      this.saveKeyHealthStatus();
+      this.broadcastKeyHealth();
+    }
+    return keyStatus;
+  }
+
+  getKeyHealthList() {
+    return this.apiKeys.map((key, index) => ({ ...this.createKeyHealth(), ...this.getKeyHealth(index) }));
+  }
+
+  isKeyUsable(keyStatus) {
+    return !!keyStatus && keyStatus.isHealthy && !keyStatus.quotaExhausted;
+  }
+
+  isQuotaError(error) {
+    const message = error?.message?.toLowerCase() || '';
+    return ['quota', 'limit', 'too many requests', '429', 'exceeded'].some(keyword => message.includes(keyword));
+  }
+
   async saveKeyHealthStatus() {
     try {
       await chrome.storage.local.set({
@@ -144,17 +313,24 @@ class BackgroundManager {
     }
   }
 
-  getNextHealthyApiKey() {
+  getNextHealthyApiKey(exclude = [], model = null) {
     if (this.apiKeys.length === 0) {
       return null;
     }
 
-    // Find next healthy key
+    // Keys not allowed to use the model are never handed out
+    const allowed = this.requestScheduler.getModelKeys(model);
+    if (allowed.length === 0) {
+      return null;
+    }
+    exclude = [...exclude, ...this.apiKeys.map((key, index) => index).filter(index => !allowed.includes(index))];
+
+    // Find next healthy key, skipping keys that already failed for this request
     let attempts = 0;
     while (attempts < this.apiKeys.length) {
-      const keyStatus = this.keyHealthStatus.get(this.currentKeyIndex);
+      const keyStatus = this.getKeyHealth(this.currentKeyIndex);
       
-      if (keyStatus?.isHealthy && !keyStatus?.quotaExhausted) {
+      if (keyStatus?.isHealthy && !keyStatus?.quotaExhausted && !exclude.includes(this.currentKeyIndex)) {
         const key = this.apiKeys[this.currentKeyIndex];
         keyStatus.lastUsed = Date.now();
         this.saveKeyHealthStatus();
@@ -168,20 +344,28 @@ class BackgroundManager {
       attempts++;
     }
 
-    // If no healthy keys, return the first one anyway
+    // If no healthy keys, return the first allowed one that hasn't failed for this request
+    const fallbackIndex = allowed.find(index => !exclude.includes(index)) ?? allowed[0];
     return {
-      key: this.apiKeys[0],
-      index: 0
+      key: this.apiKeys[fallbackIndex],
+      index: fallbackIndex
     };
   }
 
+  /**
+   * Record a failed request - every tab's reports land here
+   */
   markKeyUnhealthy(keyIndex, error) {
     const keyStatus = this.keyHealthStatus.get(keyIndex);
     if (keyStatus) {
+      const wasUsable = this.isKeyUsable(keyStatus);
       keyStatus.errorCount++;
+      keyStatus.totalRequests = (keyStatus.totalRequests || 0) + 1;
+      keyStatus.lastError = { message: error?.message || 'Unknown error', timestamp: Date.now() };
 
-      if (error?.message?.includes('quota') || error?.message?.includes('limit')) {
+      if (this.isQuotaError(error)) {
         keyStatus.quotaExhausted = true;
+        keyStatus.quotaExhaustedDay = this.requestScheduler.getQuotaDay();
       }
 
       if (keyStatus.errorCount >= 3) {
@@ -189,13 +373,20 @@ class BackgroundManager {
       }
 
       this.saveKeyHealthStatus();
+      if (wasUsable !== this.isKeyUsable(keyStatus)) {
+        console.warn('aiFiverr Background: Key', keyIndex + 1, keyStatus.quotaExhausted ? 'quota exhausted' : 'unhealthy');
+        this.broadcastKeyHealth();
+      }
     }
   }
 
   markKeySuccess(keyIndex) {
     const keyStatus = this.keyHealthStatus.get(keyIndex);
     if (keyStatus) {
+      const wasUsable = this.isKeyUsable(keyStatus);
       keyStatus.lastUsed = Date.now();
+      keyStatus.successCount = (keyStatus.successCount || 0) + 1;
+      keyStatus.totalRequests = (keyStatus.totalRequests || 0) + 1;
 
       // Reset error count on success
       if (keyStatus.errorCount > 0) {
@@ -208,9 +399,23 @@ class BackgroundManager {
       }
 
       this.saveKeyHealthStatus();
+      if (wasUsable !== this.isKeyUsable(keyStatus)) {
+        this.broadcastKeyHealth();
+      }
     }
   }
 
+  /**
+   * Mark every key healthy again
+   */
+  resetKeyHealth() {
+    this.apiKeys.forEach((key, index) => {
+      this.keyHealthStatus.set(index, { ...this.createKeyHealth(), lastUsed: this.keyHealthStatus.get(index)?.lastUsed || null });
+    });
+    this.saveKeyHealthStatus();
+    this.broadcastKeyHealth();
+  }
+
   async handleMessage(request, sender, sendResponse) {
     console.log('aiFiverr Background: Received message:', request.type, 'from:', sender.tab?.url || 'popup');
 
@@ -250,23 +455,157 @@ class BackgroundManager {
 
       switch (request.type) {
         case 'GET_API_KEY':
-          const keyData = this.getNextHealthyApiKey();
+          if (this.keyVaultLocked) {
+            sendSafeResponse({ success: false, error: this.getKeyVaultLockedError(), locked: true });
+            break;
+          }
+          const keyData = this.getNextHealthyApiKey(request.exclude, request.model);
           sendSafeResponse({ success: true, data: keyData });
           break;
 
-        case 'MARK_KEY_UNHEALTHY':
-          this.markKeyUnhealthy(request.keyIndex, request.error);
+        case 'GET_API_KEYS':
+          sendSafeResponse({
+            success: true,
+            data: {
+              keys: this.apiKeys,
+              meta: this.apiKeys.map((key, index) => this.getKeyMeta(index)),
+              health: this.getKeyHealthList(),
+              locked: this.keyVaultLocked
+            }
+          });
+          break;
+
+        case 'SAVE_API_KEY_META':
+          try {
+            await this.saveKeyMeta(request.index, request.meta);
+            this.broadcastKeyVaultChange();
+            sendSafeResponse({ success: true, data: this.getKeyMeta(request.index) });
+          } catch (error) {
+            sendSafeResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'GET_PROVIDER_KEYS':
+          const providerKeys = await this.keyVault.getProviderKeys();
+          sendSafeResponse({ success: true, data: { keys: providerKeys, locked: providerKeys === null } });
+          break;
+
+        case 'SAVE_PROVIDER_KEYS':
+          try {
+            const currentProviderKeys = await this.keyVault.getProviderKeys();
+            if (currentProviderKeys === null) throw new Error(this.getKeyVaultLockedError());
+            await this.keyVault.saveProviderKeys({ ...currentProviderKeys, ...request.keys });
+            sendSafeResponse({ success: true, data: await this.keyVault.getProviderKeys() });
+          } catch (error) {
+            sendSafeResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'GET_KEY_VAULT_STATUS':
+          const vaultStatus = await this.keyVault.getStatus();
+          sendSafeResponse({ success: true, data: vaultStatus });
+          break;
+
+        case 'UNLOCK_KEY_VAULT':
+          try {
+            this.applyVaultKeys(await this.keyVault.unlock(request.passphrase));
+            this.broadcastKeyVaultChange();
+            sendSafeResponse({ success: true, data: { count: this.apiKeys.length } });
+          } catch (error) {
+            sendSafeResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'LOCK_KEY_VAULT':
+          await this.keyVault.lock();
+          this.applyVaultKeys(await this.keyVault.getKeys());
+          this.broadcastKeyVaultChange();
+          sendSafeResponse({ success: true, data: { locked: this.keyVaultLocked } });
+          break;
+
+        case 'SET_KEY_VAULT_PASSPHRASE':
+          try {
+            await this.keyVault.setPassphrase(request.passphrase);
+            sendSafeResponse({ success: true });
+          } catch (error) {
+            sendSafeResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'EXPORT_KEY_VAULT':
+          try {
+            const vaultBlob = await this.keyVault.exportBlob();
+            sendSafeResponse({ success: true, data: vaultBlob });
+          } catch (error) {
+            sendSafeResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'IMPORT_KEY_VAULT':
+          try {
+            const importedKeys = await this.keyVault.decryptBlob(request.vault, request.passphrase);
+            await this.updateApiKeys([...new Set([...this.apiKeys, ...importedKeys])]);
+            sendSafeResponse({ success: true, data: { count: importedKeys.length } });
+          } catch (error) {
+            sendSafeResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'SCHEDULE_REQUEST':
+          if (this.keyVaultLocked) {
+            sendSafeResponse({ success: false, error: this.getKeyVaultLockedError(), locked: true });
+            break;
+          }
+          try {
+            const slot = await this.requestScheduler.acquire({
+              jobId: request.jobId,
+              exclude: request.exclude || [],
+              tokens: request.tokens || 0,
+              model: request.model || null,
+              long: !!request.long,
+              owner: sender.tab?.id ?? 'popup'
+            });
+            sendSafeResponse({ success: true, data: slot });
+          } catch (error) {
+            sendSafeResponse({ success: false, error: error.message, aborted: error.name === 'AbortError' });
+          }
+          break;
+
+        case 'RELEASE_REQUEST':
+          this.requestScheduler.release(request.jobId, { tokens: request.tokens });
           sendSafeResponse({ success: true });
           break;
 
-        case 'MARK_KEY_SUCCESS':
-          this.markKeySuccess(request.keyIndex);
+        case 'GET_SCHEDULER_STATUS':
+          const schedulerStatus = await this.requestScheduler.getStatus();
+          sendSafeResponse({ success: true, data: schedulerStatus });
+          break;
+
+        case 'REPORT_KEY_RESULT':
+          if (request.error) {
+            this.markKeyUnhealthy(request.keyIndex, request.error);
+          } else {
+            this.markKeySuccess(request.keyIndex);
+          }
           sendSafeResponse({ success: true });
           break;
 
+        case 'GET_KEY_HEALTH':
+          sendSafeResponse({ success: true, data: this.getKeyHealthList() });
+          break;
+
+        case 'RESET_KEY_HEALTH':
+          this.resetKeyHealth();
+          sendSafeResponse({ success: true, data: this.getKeyHealthList() });
+          break;
+
         case 'UPDATE_API_KEYS':
-          await this.updateApiKeys(request.keys);
-          sendSafeResponse({ success: true });
+          try {
+            await this.updateApiKeys(request.keys);
+            sendSafeResponse({ success: true });
+          } catch (error) {
+            sendSafeResponse({ success: false, error: error.message });
+          }
           break;
 
         case 'GET_SESSION':
@@ -390,6 +729,71 @@ class BackgroundManager {
           sendSafeResponse(contentResult);
           break;
 
+        case 'OLLAMA_CHAT':
+          const ollamaResult = await this.ollamaChat(request);
+          sendSafeResponse(ollamaResult);
+          break;
+
+        case 'OLLAMA_LIST_MODELS':
+          const ollamaModels = await this.getOllamaModels(request.baseUrl);
+          sendSafeResponse(ollamaModels);
+          break;
+
+        case 'PROVIDER_LIST_MODELS':
+          try {
+            const providerModels = await this.chatProviders.listModels(request);
+            sendSafeResponse({ success: true, data: providerModels });
+          } catch (error) {
+            console.error('aiFiverr Background: Failed to list provider models:', error);
+            sendSafeResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'GET_MODEL_CATALOG':
+          const catalog = await this.modelCatalog.getCatalog(request.refresh);
+          sendSafeResponse({ success: true, data: catalog });
+          break;
+
+        case 'RECORD_USAGE':
+          await this.usageLedger.record(request.entry);
+          sendSafeResponse({ success: true });
+          break;
+
+        case 'GET_USAGE_SUMMARY':
+          const usageSummary = await this.usageLedger.getSummary();
+          sendSafeResponse({ success: true, data: usageSummary });
+          break;
+
+        case 'SAVE_MODEL_PRICING':
+          await this.usageLedger.savePricing(request.pricing);
+          sendSafeResponse({ success: true });
+          break;
+
+        case 'CLEAR_USAGE_LEDGER':
+          await this.usageLedger.clear();
+          sendSafeResponse({ success: true });
+          break;
+
+        case 'GET_CACHED_RESPONSE':
+          const cachedResponse = await this.responseCache.get(request.hash);
+          sendSafeResponse({ success: true, data: cachedResponse });
+          break;
+
+        case 'SAVE_CACHED_RESPONSE':
+          await this.responseCache.set(request.hash, request.response);
+          sendSafeResponse({ success: true });
+          break;
+
+        case 'GET_RESPONSE_CACHE_STATS':
+          const cacheStats = await this.responseCache.getStats();
+          sendSafeResponse({ success: true, data: cacheStats });
+          break;
+
+        case 'CLEAR_RESPONSE_CACHE':
+          await this.responseCache.clear();
+          sendSafeResponse({ success: true });
+          break;
+
         case 'STREAM_GENERATE_CONTENT':
           console.log('aiFiverr Background: Processing STREAM_GENERATE_CONTENT request...');
           const streamResult = await this.streamGenerateContentEnhanced(request);
@@ -455,22 +859,27 @@ class BackgroundManager {
   }
 
   async updateApiKeys(newKeys) {
+    // Throws while the vault is locked, before anything changes
+    await this.keyVault.saveKeys(newKeys);
+    const previousKeys = this.apiKeys;
+
+    // Labels and budgets of removed keys are dropped
+    const fingerprints = newKeys.map(key => this.modelCatalog.hashKey(key));
+    this.keyMeta = Object.fromEntries(Object.entries(this.keyMeta).filter(([fingerprint]) => fingerprints.includes(fingerprint)));
+    await chrome.storage.local.set({ apiKeyMeta: this.keyMeta });
+
     this.apiKeys = newKeys;
     this.currentKeyIndex = 0;
     this.keyHealthStatus.clear();
     
     // Initialize health status for all keys
     newKeys.forEach((key, index) => {
-      this.keyHealthStatus.set(index, {
-        isHealthy: true,
-        lastUsed: null,
-        errorCount: 0,
-        quotaExhausted: false
-      });
+      this.keyHealthStatus.set(index, this.createKeyHealth());
     });
 
-    await chrome.storage.local.set({ apiKeys: newKeys });
     await this.saveKeyHealthStatus();
+    await this.requestScheduler.updateKeys(previousKeys);
+    this.broadcastKeyVaultChange();
   }
 
   async getSession(sessionId) {
@@ -486,6 +895,16 @@ class BackgroundManager {
 
   async exportAllData() {
     const allData = await chrome.storage.local.get(null);
+
+    // The device secret never leaves this browser, so a vault without a passphrase can't either
+    delete allData.keyVaultDeviceSecret;
+    if (!allData.keyVault?.protected) delete allData.keyVault;
+    if (allData.settings) {
+      // Left in the settings by older versions until the vault is unlocked
+      const { openaiApiKey, anthropicApiKey, ...settings } = allData.settings;
+      allData.settings = settings;
+    }
+
     return {
       version: '1.0.0',
       timestamp: Date.now(),
@@ -495,8 +914,12 @@ class BackgroundManager {
 
   async importAllData(importData) {
     if (importData.version && importData.data) {
+      // Keep this browser's vault unless the import brings its own
+      const current = await chrome.storage.local.get(['keyVault', 'keyVaultDeviceSecret']);
+      const { keyVaultDeviceSecret, ...data } = importData.data;
       await chrome.storage.local.clear();
-      await chrome.storage.local.set(importData.data);
+      await chrome.storage.local.set({ ...current, ...data });
+      this.keyVault.clearCache();
       await this.loadApiKeys();
     }
   }
@@ -1418,143 +1841,46 @@ Would you like to continue without authentication or switch to Chrome?`;
   }
 
   /**
-   * Enhanced content generation with retry logic
+   * Enhanced content generation with an optional file - pipeline errors come back with blocked and finishReason
    */
   async generateContentEnhanced(request) {
     try {
       console.log('aiFiverr Background: Enhanced content generation...');
 
-      const apiKey = await this.getGeminiApiKey();
-      if (!apiKey) {
-        return { success: false, error: 'No Gemini API key available' };
-      }
-
-      const { prompt, fileUri, fileMimeType, model, retryCount = 0 } = request;
-      const maxRetries = 3;
-      const selectedModel = model || 'gemini-2.5-flash';
+      const { prompt, fileUri, fileMimeType, model } = request;
 
-      const contents = [{
-        parts: [],
-        role: "user"
-      }];
+      const pipelineRequest = { prompt, model, usageContext: { ...request.usageContext, source: 'background' } };
 
-      // Add file FIRST (critical for Gemini API performance)
+      // Add file with a system instruction for better context understanding (like Gemini web interface)
       if (fileUri && fileMimeType) {
-        contents[0].parts.push({
-          fileData: {
-            fileUri: fileUri,
-            mimeType: fileMimeType
-          }
-        });
+        pipelineRequest.files = [{ fileUri, mimeType: fileMimeType }];
+        pipelineRequest.systemInstruction = "You are an expert proposal writer. Use the attached files to extract relevant project examples, links, and portfolio information. Create professional, detailed proposals that include specific project references from the provided files. Do not use placeholders - only include actual project links and examples found in the files.";
         console.log('aiFiverr Background: File attached to enhanced request');
       }
 
-      // Add text prompt AFTER file (critical order for Gemini API)
-      contents[0].parts.push({
-        text: prompt
-      });
-
-      const payload = {
-        contents: contents,
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 8192,
-          candidateCount: 1
-        }
-      };
-
-      // Add system instruction for better context understanding (like Gemini web interface)
-      if (fileUri && fileMimeType) {
-        payload.systemInstruction = {
-          parts: [{
-            text: "You are an expert proposal writer. Use the attached files to extract relevant project examples, links, and portfolio information. Create professional, detailed proposals that include specific project references from the provided files. Do not use placeholders - only include actual project links and examples found in the files."
-          }]
-        };
-      }
-
-      const generateUrl = `https://generativelanguage.googleapis.com/v1beta/models/${selectedModel}:generateContent?key=${apiKey}`;
-
-      const response = await fetch(generateUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Enhanced generation failed: ${response.status} ${response.statusText}\n${errorText}`);
-      }
+      // The pipeline already continues responses cut off at MAX_TOKENS
+      const result = await this.requestPipeline.generate(pipelineRequest);
 
-      const result = await response.json();
+      console.log('aiFiverr Background: Enhanced content generated, length:', result.text.length);
 
-      if (result.candidates && result.candidates[0]) {
-        const candidate = result.candidates[0];
-
-        // Handle MAX_TOKENS finish reason
-        if (candidate.finishReason === 'MAX_TOKENS') {
-          console.log('aiFiverr Background: Response truncated due to MAX_TOKENS limit');
-
-          if (retryCount < maxRetries) {
-            console.log(`aiFiverr Background: Retrying with shorter prompt (${retryCount + 1}/${maxRetries})...`);
-            const shorterPrompt = `Create a concise professional response (under 2000 characters) based on the request. Include relevant examples if applicable.`;
-
-            return await this.generateContentEnhanced({
-              ...request,
-              prompt: shorterPrompt,
-              fileUri: null,
-              fileMimeType: null,
-              retryCount: retryCount + 1
-            });
-          } else {
-            // Return fallback response
-            const fallbackResponse = `**Professional Response**
-
-I understand your request and can help you with this task. Based on my experience, I can provide a comprehensive solution that meets your requirements.
-
-**Key Points:**
-• Professional approach to your needs
-• Quality deliverables within timeline
-• Competitive pricing and value
-
-**Next Steps:**
-Ready to discuss your specific requirements and provide a detailed proposal.
-
-Let's connect to move forward with your project.`;
-
-            return {
-              success: true,
-              data: {
-                content: fallbackResponse,
-                finishReason: 'MAX_TOKENS_FALLBACK'
-              }
-            };
-          }
-        }
-
-        // Check if content exists and has parts
-        if (candidate.content && candidate.content.parts && candidate.content.parts.length > 0) {
-          const text = candidate.content.parts[0].text;
-          console.log('aiFiverr Background: Enhanced content generated, length:', text.length);
-
-          return {
-            success: true,
-            data: {
-              content: text,
-              finishReason: candidate.finishReason
-            }
-          };
-        } else {
-          throw new Error('No content in response');
+      return {
+        success: true,
+        data: {
+          content: result.text,
+          finishReason: result.finishReason,
+          usage: result.usage
         }
-      } else {
-        throw new Error('No candidates in response');
-      }
+      };
 
     } catch (error) {
       console.error('aiFiverr Background: Enhanced content generation failed:', error);
-      return { success: false, error: error.message };
+      return {
+        success: false,
+        error: error.message,
+        blocked: error.blocked,
+        finishReason: error.finishReason,
+        partialText: error.partialText
+      };
     }
   }
 
@@ -1897,6 +2223,134 @@ Let's connect to move forward with your project.`;
   }
 
   // Helper methods for file operations
+  /**
+   * Get local only mode (Ollama) settings
+   */
+  async getLocalModeSettings() {
+    const result = await chrome.storage.local.get('settings');
+    const settings = result.settings || {};
+    return {
+      localOnly: settings.localOnly === true,
+      baseUrl: (settings.ollamaBaseUrl || 'http://localhost:11434').replace(/\/+$/, ''),
+      model: settings.ollamaModel || 'llama3.2'
+    };
+  }
+
+  /**
+   * Send a chat request to the local Ollama server
+   */
+  async ollamaChat(request) {
+    try {
+      const localMode = await this.getLocalModeSettings();
+      const model = request.model || localMode.model;
+      console.log('aiFiverr Background: Ollama chat with model:', model);
+
+      const payload = {
+        model,
+        messages: request.messages || [],
+        stream: false,
+        options: {
+          temperature: typeof request.temperature === 'number' ? request.temperature : 0.7
+        }
+      };
+      if (typeof request.maxTokens === 'number') {
+        payload.options.num_predict = request.maxTokens;
+      }
+      // Ollama accepts a JSON schema as the output format
+      if (request.format) {
+        payload.format = request.format;
+      }
+
+      const response = await fetch(`${localMode.baseUrl}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`Ollama error: ${response.status} - ${errorData.error || response.statusText}`);
+      }
+
+      const result = await response.json();
+      return {
+        success: true,
+        data: {
+          content: result.message?.content || '',
+          model: result.model,
+          usage: {
+            input_tokens: result.prompt_eval_count || 0,
+            output_tokens: result.eval_count || 0
+          }
+        }
+      };
+    } catch (error) {
+      console.error('aiFiverr Background: Ollama chat failed:', error);
+      const message = error instanceof TypeError
+        ? 'Cannot reach Ollama - make sure it is running and allows extension origins (OLLAMA_ORIGINS)'
+        : error.message;
+      return { success: false, error: message };
+    }
+  }
+
+  /**
+   * List models installed on the local Ollama server
+   */
+  async getOllamaModels(baseUrl) {
+    try {
+      const localMode = await this.getLocalModeSettings();
+      const url = (baseUrl || localMode.baseUrl).replace(/\/+$/, '');
+
+      const response = await fetch(`${url}/api/tags`);
+      if (!response.ok) {
+        throw new Error(`Ollama error: ${response.status} ${response.statusText}`);
+      }
+
+      const result = await response.json();
+      const models = (result.models || []).map(model => ({
+        name: model.name,
+        size: model.size,
+        family: model.details?.family,
+        parameterSize: model.details?.parameter_size
+      }));
+
+      return { success: true, data: models };
+    } catch (error) {
+      console.error('aiFiverr Background: Failed to list Ollama models:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Stream a cloud chat provider reply to a content script over a PROVIDER_STREAM port
+   * The first message is the chat request; each event goes back as { event } and a failure as { error }
+   */
+  handleProviderStream(port) {
+    const controller = new AbortController();
+    port.onDisconnect.addListener(() => controller.abort());
+
+    const post = (message) => {
+      try {
+        port.postMessage(message);
+      } catch (error) {
+        controller.abort(); // The tab went away
+      }
+    };
+
+    port.onMessage.addListener(async (request) => {
+      try {
+        for await (const event of this.chatProviders.stream({ ...request, signal: controller.signal })) {
+          post({ event });
+        }
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.error('aiFiverr Background: Provider stream failed:', error);
+          post({ error: { message: error.message, status: error.status, finishReason: error.finishReason } });
+        }
+      }
+    });
+  }
+
   async getGeminiApiKey() {
     try {
       const keyData = this.getNextHealthyApiKey();
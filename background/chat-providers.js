@@ -0,0 +1,452 @@
+/**
+ * aiFiverr Chat Providers
+ * Streams replies from the non-Gemini cloud providers: any OpenAI-compatible /chat/completions server and Anthropic
+ */
+
+class ChatProviders {
+  constructor(getProviderKeys) {
+    this.getProviderKeys = getProviderKeys; // () => { openai, anthropic } from the key vault
+    this.defaults = {
+      openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+      anthropic: { baseUrl: 'https://api.anthropic.com/v1', model: 'claude-sonnet-4-0' }
+    };
+    this.names = { openai: 'the OpenAI-compatible provider', anthropic: 'Anthropic' };
+    this.anthropicVersion = '2023-06-01';
+  }
+
+  /**
+   * Base URL and model of a provider from the extension settings
+   */
+  async getConfig(provider) {
+    const defaults = this.defaults[provider];
+    if (!defaults) {
+      throw new Error(`Unknown provider: ${provider}`);
+    }
+
+    const result = await chrome.storage.local.get('settings');
+    const settings = result.settings || {};
+    return {
+      baseUrl: (settings[`${provider}BaseUrl`] || defaults.baseUrl).replace(/\/+$/, ''),
+      model: settings[`${provider}Model`] || defaults.model
+    };
+  }
+
+  async getApiKey(provider) {
+    const providerKeys = await this.getProviderKeys();
+    return providerKeys[provider] || '';
+  }
+
+  /**
+   * Request headers for a provider
+   */
+  getHeaders(provider, apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (provider === 'openai') {
+      headers.Authorization = `Bearer ${apiKey}`;
+    } else if (provider === 'anthropic') {
+      headers['x-api-key'] = apiKey;
+      headers['anthropic-version'] = this.anthropicVersion;
+      headers['anthropic-dangerous-direct-browser-access'] = 'true'; // Required for calls from an extension
+    }
+    return headers;
+  }
+
+  /**
+   * Stream a chat reply
+   *
+   * request: { provider, messages, tools, temperature, maxTokens, thinking, format, signal }
+   * messages: { role: 'system' | 'user' | 'assistant', content, toolCalls: [{ id, name, args }] } and { role: 'tool', toolCallId, name, content }
+   * Yields { text } and { thoughts } as they arrive, then { done: true, toolCalls, finishReason, usage, model }
+   */
+  async *stream(request) {
+    const config = await this.getConfig(request.provider);
+    config.apiKey = await this.getApiKey(request.provider);
+    if (!config.apiKey) {
+      throw new Error(`No API key set for ${this.names[request.provider]}. Add one in the extension settings.`);
+    }
+
+    if (request.provider === 'openai') {
+      yield* this.streamOpenAI(request, config);
+    } else {
+      yield* this.streamAnthropic(request, config);
+    }
+  }
+
+  /**
+   * Throw a descriptive error for a failed HTTP response
+   */
+  async checkResponse(response, label) {
+    if (response.ok) return;
+
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(`${label} error: ${response.status} - ${errorData.error?.message || response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  /**
+   * Parse a server-sent events body into { event, data } with data parsed as JSON
+   */
+  async *readEvents(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let event = null;
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || ''; // Keep incomplete line in buffer
+
+        for (const line of lines.map(text => text.replace(/\r$/, ''))) {
+          if (!line) {
+            event = null; // A blank line ends the event
+            continue;
+          }
+          if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+            continue;
+          }
+          if (!line.startsWith('data:')) continue;
+
+          const text = line.slice(5).trim();
+          if (text === '[DONE]') return;
+
+          let data;
+          try {
+            data = JSON.parse(text);
+          } catch (parseError) {
+            console.warn('aiFiverr Chat Providers: Failed to parse stream event:', parseError);
+            continue;
+          }
+          yield { event, data };
+        }
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * Tool arguments arrive as JSON text
+   */
+  parseToolArguments(text) {
+    if (!text) return {};
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      console.warn('aiFiverr Chat Providers: Failed to parse tool arguments:', error);
+      return {};
+    }
+  }
+
+  /**
+   * OpenAI chat message for a provider-neutral message
+   */
+  toOpenAIMessage(message) {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    if (message.toolCalls && message.toolCalls.length > 0) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+        }))
+      };
+    }
+    return { role: message.role, content: message.content };
+  }
+
+  buildOpenAIPayload(request, model) {
+    const messages = (request.messages || []).map(message => this.toOpenAIMessage(message));
+    // Not every compatible server takes json_schema, so JSON mode gets the schema as an instruction
+    if (request.format) {
+      messages.unshift({ role: 'system', content: `Reply only with JSON matching this schema: ${JSON.stringify(request.format)}` });
+    }
+
+    const payload = {
+      model,
+      messages,
+      stream: true,
+      stream_options: { include_usage: true } // Usage arrives in a last chunk without choices
+    };
+    if (typeof request.temperature === 'number') {
+      payload.temperature = request.temperature;
+    }
+    if (typeof request.maxTokens === 'number') {
+      payload.max_tokens = request.maxTokens;
+    }
+    if (request.format) {
+      payload.response_format = { type: 'json_object' };
+    }
+    if (request.tools && request.tools.length > 0) {
+      payload.tools = request.tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }));
+    }
+    return payload;
+  }
+
+  /**
+   * Stream from an OpenAI-compatible /chat/completions endpoint
+   * Thinking settings are not sent - reasoning models pick their own effort
+   */
+  async *streamOpenAI(request, config) {
+    const model = request.model || config.model;
+    console.log('aiFiverr Chat Providers: OpenAI-compatible stream with model:', model);
+
+    const response = await fetch(`${config.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders('openai', config.apiKey),
+      body: JSON.stringify(this.buildOpenAIPayload(request, model)),
+      signal: request.signal
+    });
+    await this.checkResponse(response, 'OpenAI-compatible API');
+
+    const toolCalls = []; // Tool calls arrive in fragments keyed by index
+    let finishReason = null;
+    let usage = null;
+    let responseModel = model;
+
+    for await (const { data } of this.readEvents(response)) {
+      if (data.error) {
+        const error = new Error(`OpenAI-compatible API error: ${data.error.message || data.error}`);
+        error.status = Number(data.error.code) || undefined;
+        throw error;
+      }
+      if (data.model) responseModel = data.model;
+      if (data.usage) {
+        usage = {
+          input_tokens: data.usage.prompt_tokens || 0,
+          output_tokens: data.usage.completion_tokens || 0,
+          cached_tokens: data.usage.prompt_tokens_details?.cached_tokens || 0
+        };
+      }
+
+      const choice = data.choices?.[0];
+      if (!choice) continue;
+      const delta = choice.delta || {};
+
+      // DeepSeek and some proxies stream reasoning separately
+      const thoughts = delta.reasoning_content || delta.reasoning;
+      if (thoughts) yield { thoughts };
+      if (delta.content) yield { text: delta.content };
+
+      for (const fragment of delta.tool_calls || []) {
+        const index = typeof fragment.index === 'number' ? fragment.index : toolCalls.length;
+        const call = toolCalls[index] || (toolCalls[index] = { id: '', name: '', arguments: '' });
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.name += fragment.function.name;
+        if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+      }
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+    }
+
+    if (finishReason === 'content_filter') {
+      const error = new Error('The provider stopped the response (content filter)');
+      error.finishReason = 'SAFETY';
+      throw error;
+    }
+
+    yield {
+      done: true,
+      toolCalls: toolCalls.filter(Boolean).map(call => ({
+        id: call.id,
+        name: call.name,
+        args: this.parseToolArguments(call.arguments)
+      })),
+      finishReason: finishReason === 'length' ? 'MAX_TOKENS' : 'STOP',
+      usage,
+      model: responseModel
+    };
+  }
+
+  /**
+   * Anthropic thinking budget for the prompt's thinking setting, or 0 to leave thinking off
+   */
+  getAnthropicThinkingBudget(thinking) {
+    if (thinking?.mode === 'dynamic') return 2048;
+    if (thinking?.mode !== 'fixed') return 0;
+
+    const budget = parseInt(thinking.budget);
+    return Math.max(1024, Math.min(isNaN(budget) ? 2048 : budget, 32000)); // Anthropic's minimum is 1024
+  }
+
+  /**
+   * Anthropic Messages API body - system messages go to the top-level system field and tool turns become content blocks
+   */
+  buildAnthropicPayload(request, model) {
+    const messages = request.messages || [];
+    const system = messages.filter(message => message.role === 'system').map(message => message.content);
+    if (request.format) {
+      system.push(`Reply only with JSON matching this schema: ${JSON.stringify(request.format)}`);
+    }
+
+    const chat = [];
+    for (const message of messages) {
+      let turn;
+      if (message.role === 'tool') {
+        turn = { role: 'user', content: [{ type: 'tool_result', tool_use_id: message.toolCallId, content: message.content }] };
+      } else if (message.role === 'user' || message.role === 'assistant') {
+        const content = message.content ? [{ type: 'text', text: message.content }] : [];
+        for (const call of message.toolCalls || []) {
+          content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.args || {} });
+        }
+        turn = { role: message.role, content };
+      } else {
+        continue;
+      }
+
+      // Turns have to alternate, so tool results and the next user text share one turn
+      const last = chat[chat.length - 1];
+      if (last && last.role === turn.role) {
+        last.content.push(...turn.content);
+      } else if (turn.content.length > 0) {
+        chat.push(turn);
+      }
+    }
+    // The conversation has to start with a user turn
+    while (chat.length > 1 && chat[0].role === 'assistant') {
+      chat.shift();
+    }
+
+    const payload = {
+      model,
+      messages: chat,
+      max_tokens: typeof request.maxTokens === 'number' ? request.maxTokens : 4096,
+      stream: true
+    };
+    if (system.length > 0) {
+      payload.system = system.join('\n\n');
+    }
+    if (request.tools && request.tools.length > 0) {
+      payload.tools = request.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters || { type: 'object', properties: {} }
+      }));
+    }
+
+    // Replayed tool calls would need the signed thinking blocks that came before them, which aren't kept
+    const replaysTools = chat.some(turn => turn.content.some(block => block.type === 'tool_use'));
+    const thinkingBudget = replaysTools ? 0 : this.getAnthropicThinkingBudget(request.thinking);
+    if (thinkingBudget > 0) {
+      payload.thinking = { type: 'enabled', budget_tokens: thinkingBudget };
+      // max_tokens includes the thinking, so leave room for the answer
+      if (payload.max_tokens <= thinkingBudget) {
+        payload.max_tokens += thinkingBudget;
+      }
+    } else if (typeof request.temperature === 'number') {
+      // Temperature can't be set while thinking, and Anthropic's range is 0-1
+      payload.temperature = Math.min(1, request.temperature);
+    }
+    return payload;
+  }
+
+  /**
+   * Stream from the Anthropic Messages API
+   * Thinking deltas come through as thoughts; message_delta carries the stop reason and the running output token count
+   */
+  async *streamAnthropic(request, config) {
+    const model = request.model || config.model;
+    console.log('aiFiverr Chat Providers: Anthropic stream with model:', model);
+
+    const response = await fetch(`${config.baseUrl}/messages`, {
+      method: 'POST',
+      headers: this.getHeaders('anthropic', config.apiKey),
+      body: JSON.stringify(this.buildAnthropicPayload(request, model)),
+      signal: request.signal
+    });
+    await this.checkResponse(response, 'Anthropic API');
+
+    const blocks = []; // Content blocks by index - tool inputs arrive as JSON fragments
+    const usage = { input_tokens: 0, output_tokens: 0, cached_tokens: 0 };
+    let stopReason = null;
+    let responseModel = model;
+
+    for await (const { event, data } of this.readEvents(response)) {
+      switch (data.type || event) {
+        case 'message_start':
+          responseModel = data.message?.model || responseModel;
+          usage.input_tokens = data.message?.usage?.input_tokens || 0;
+          usage.output_tokens = data.message?.usage?.output_tokens || 0;
+          usage.cached_tokens = data.message?.usage?.cache_read_input_tokens || 0;
+          break;
+
+        case 'content_block_start':
+          blocks[data.index] = { ...data.content_block, json: '' };
+          break;
+
+        case 'content_block_delta': {
+          const delta = data.delta || {};
+          if (delta.type === 'text_delta' && delta.text) {
+            yield { text: delta.text };
+          } else if (delta.type === 'thinking_delta' && delta.thinking) {
+            yield { thoughts: delta.thinking };
+          } else if (delta.type === 'input_json_delta' && blocks[data.index]) {
+            blocks[data.index].json += delta.partial_json || '';
+          }
+          break;
+        }
+
+        case 'message_delta':
+          if (data.delta?.stop_reason) stopReason = data.delta.stop_reason;
+          if (typeof data.usage?.output_tokens === 'number') usage.output_tokens = data.usage.output_tokens; // Cumulative
+          if (data.usage?.input_tokens) usage.input_tokens = data.usage.input_tokens;
+          break;
+
+        case 'error': {
+          const error = new Error(`Anthropic API error: ${data.error?.type} - ${data.error?.message}`);
+          error.status = { overloaded_error: 529, rate_limit_error: 429, api_error: 500 }[data.error?.type];
+          throw error;
+        }
+      }
+    }
+
+    if (stopReason === 'refusal') {
+      const error = new Error('Anthropic declined to answer this request');
+      error.finishReason = 'SAFETY';
+      throw error;
+    }
+
+    yield {
+      done: true,
+      toolCalls: blocks.filter(block => block?.type === 'tool_use').map(block => ({
+        id: block.id,
+        name: block.name,
+        args: block.json ? this.parseToolArguments(block.json) : block.input || {}
+      })),
+      finishReason: stopReason === 'max_tokens' ? 'MAX_TOKENS' : 'STOP',
+      usage,
+      model: responseModel
+    };
+  }
+
+  /**
+   * List the models a provider offers - baseUrl and apiKey override the saved settings
+   */
+  async listModels({ provider, baseUrl, apiKey }) {
+    const config = await this.getConfig(provider);
+    const url = (baseUrl || config.baseUrl).replace(/\/+$/, '');
+
+    const response = await fetch(`${url}/models`, {
+      headers: this.getHeaders(provider, apiKey || await this.getApiKey(provider))
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`${response.status} - ${errorData.error?.message || response.statusText}`);
+    }
+
+    const result = await response.json();
+    return (result.data || []).map(model => ({ name: model.id }));
+  }
+}
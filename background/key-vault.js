@@ -0,0 +1,364 @@
+/**
+ * aiFiverr Key Vault
+ * Keeps API keys encrypted at rest (PBKDF2 + AES-GCM). With a passphrase the vault stays locked
+ * until it is unlocked once per browser session; without one it is encrypted with a random device secret
+ */
+
+class KeyVault {
+  constructor() {
+    this.storageKey = 'keyVault';
+    this.deviceSecretKey = 'keyVaultDeviceSecret';
+    this.sessionKey = 'keyVaultSessionKey'; // chrome.storage.session - cleared when the browser closes
+    this.iterations = 310000;
+    this.cryptoKey = null;
+    this.keys = null; // Decrypted keys while unlocked
+    this.providerKeys = null; // Decrypted chat provider keys ({ openai, anthropic }) while unlocked
+    this.providerKeyFields = { openai: 'openaiApiKey', anthropic: 'anthropicApiKey' }; // Settings fields older versions kept provider keys in
+  }
+
+  toBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+  }
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  async getRecord() {
+    const result = await chrome.storage.local.get(this.storageKey);
+    return result[this.storageKey] || null;
+  }
+
+  /**
+   * Random secret used instead of a passphrase, created on first use
+   */
+  async getDeviceSecret() {
+    const result = await chrome.storage.local.get(this.deviceSecretKey);
+    if (result[this.deviceSecretKey]) return result[this.deviceSecretKey];
+
+    const secret = this.toBase64(crypto.getRandomValues(new Uint8Array(32)));
+    await chrome.storage.local.set({ [this.deviceSecretKey]: secret });
+    return secret;
+  }
+
+  /**
+   * Derive the AES-GCM key from a passphrase and salt
+   */
+  async deriveKey(passphrase, salt, iterations = this.iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true, // Extractable so the unlocked key can be kept in session storage
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async encrypt(cryptoKey, keys) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, cryptoKey, new TextEncoder().encode(JSON.stringify(keys)));
+    return { iv: this.toBase64(iv), data: this.toBase64(data) };
+  }
+
+  /**
+   * Decrypt a vault record or export blob - throws when the key is wrong
+   */
+  async decrypt(cryptoKey, blob) {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: this.fromBase64(blob.iv) },
+      cryptoKey,
+      this.fromBase64(blob.data)
+    );
+    return JSON.parse(new TextDecoder().decode(data));
+  }
+
+  /**
+   * Get the unlocked key: from memory, from this browser session, or from the device secret
+   * Returns null while a passphrase-protected vault is locked
+   */
+  async getCryptoKey(record) {
+    if (this.cryptoKey) return this.cryptoKey;
+
+    const session = await chrome.storage.session.get(this.sessionKey);
+    if (session[this.sessionKey]) {
+      this.cryptoKey = await crypto.subtle.importKey('raw', this.fromBase64(session[this.sessionKey]), 'AES-GCM', true, ['encrypt', 'decrypt']);
+    } else if (record && !record.protected) {
+      this.cryptoKey = await this.deriveKey(await this.getDeviceSecret(), this.fromBase64(record.salt), record.iterations);
+    }
+    return this.cryptoKey;
+  }
+
+  async rememberKey(cryptoKey) {
+    this.cryptoKey = cryptoKey;
+    const raw = await crypto.subtle.exportKey('raw', cryptoKey);
+    await chrome.storage.session.set({ [this.sessionKey]: this.toBase64(raw) });
+  }
+
+  /**
+   * Encrypt and store keys and chat provider keys under a new salt
+   */
+  async writeRecord(keys, passphrase = null, providerKeys = {}) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const cryptoKey = await this.deriveKey(passphrase || await this.getDeviceSecret(), salt);
+    const encrypted = await this.encrypt(cryptoKey, keys);
+
+    await chrome.storage.local.set({
+      [this.storageKey]: {
+        version: 1,
+        protected: !!passphrase,
+        salt: this.toBase64(salt),
+        iterations: this.iterations,
+        ...encrypted,
+        count: keys.length,
+        providerKeys: await this.encrypt(cryptoKey, providerKeys),
+        updatedAt: Date.now()
+      }
+    });
+    await this.rememberKey(cryptoKey);
+    this.keys = [...keys];
+    this.providerKeys = { ...providerKeys };
+  }
+
+  /**
+   * Move plain-text keys left by older versions or a full data import into the vault
+   */
+  async absorbPlainKeys(record) {
+    const result = await chrome.storage.local.get(['apiKeys', 'settings']);
+    const plainKeys = [...(result.apiKeys || []), ...(result.settings?.apiKeys || [])];
+    if (plainKeys.length === 0 && !('apiKeys' in result) && !result.settings?.apiKeys) return record;
+
+    const current = record ? await this.getKeys(record) : [];
+    if (current === null) return record; // Locked - absorbed after unlock
+
+    const keys = [...new Set([...current, ...plainKeys])];
+    if (!record) {
+      await this.writeRecord(keys, null);
+      console.log('aiFiverr Key Vault: Encrypted', plainKeys.length, 'plain-text API keys');
+    } else if (keys.length !== current.length) {
+      await this.saveKeys(keys);
+      console.log('aiFiverr Key Vault: Encrypted', plainKeys.length, 'plain-text API keys');
+    }
+
+    await chrome.storage.local.remove('apiKeys');
+    if (result.settings?.apiKeys) {
+      const { apiKeys, ...settings } = result.settings;
+      await chrome.storage.local.set({ settings });
+    }
+    return this.getRecord();
+  }
+
+  /**
+   * Move chat provider keys that older versions kept in the settings into the vault
+   */
+  async absorbPlainProviderKeys() {
+    const { settings } = await chrome.storage.local.get('settings');
+    const fields = Object.entries(this.providerKeyFields).filter(([, field]) => settings && field in settings);
+    if (fields.length === 0) return;
+
+    const providerKeys = await this.getProviderKeys();
+    if (providerKeys === null) return; // Locked - absorbed after unlock
+
+    const remaining = { ...settings };
+    for (const [provider, field] of fields) {
+      if (settings[field]) providerKeys[provider] = settings[field];
+      delete remaining[field];
+    }
+    await this.saveProviderKeys(providerKeys);
+    await chrome.storage.local.set({ settings: remaining });
+    console.log('aiFiverr Key Vault: Encrypted the plain-text chat provider keys');
+  }
+
+  /**
+   * Decrypted keys, or null while the vault is locked
+   */
+  async getKeys(record) {
+    if (this.keys) return [...this.keys];
+
+    record = record === undefined ? await this.getRecord() : record;
+    if (!record) {
+      record = await this.absorbPlainKeys(null);
+      if (!record) return [];
+    }
+
+    const cryptoKey = await this.getCryptoKey(record);
+    if (!cryptoKey) return null;
+
+    try {
+      this.keys = await this.decrypt(cryptoKey, record);
+    } catch (error) {
+      // A session key from before a passphrase change no longer fits
+      console.warn('aiFiverr Key Vault: Stored session key is stale, locking');
+      await this.lock();
+      return null;
+    }
+    return [...this.keys];
+  }
+
+  /**
+   * Decrypted chat provider keys ({ openai, anthropic }), or null while the vault is locked
+   */
+  async getProviderKeys(record) {
+    if (this.providerKeys) return { ...this.providerKeys };
+
+    record = record === undefined ? await this.getRecord() : record;
+    if (!record) return {};
+
+    const cryptoKey = await this.getCryptoKey(record);
+    if (!cryptoKey) return null;
+    if (!record.providerKeys) return {}; // Vault written before provider keys moved in
+
+    try {
+      this.providerKeys = await this.decrypt(cryptoKey, record.providerKeys);
+    } catch (error) {
+      console.warn('aiFiverr Key Vault: Stored session key is stale, locking');
+      await this.lock();
+      return null;
+    }
+    return { ...this.providerKeys };
+  }
+
+  /**
+   * Load the keys on startup, migrating plain-text keys when the vault is open
+   */
+  async load() {
+    const record = await this.getRecord();
+    if (record && (await this.getKeys(record)) === null) return null;
+    await this.absorbPlainKeys(record);
+    await this.absorbPlainProviderKeys();
+    return this.getKeys();
+  }
+
+  /**
+   * Unlock a passphrase-protected vault for this browser session
+   */
+  async unlock(passphrase) {
+    const record = await this.getRecord();
+    if (!record?.protected) return this.getKeys(record);
+
+    const cryptoKey = await this.deriveKey(passphrase || '', this.fromBase64(record.salt), record.iterations);
+    try {
+      this.keys = await this.decrypt(cryptoKey, record);
+    } catch (error) {
+      throw new Error('Wrong passphrase');
+    }
+
+    await this.rememberKey(cryptoKey);
+    await this.absorbPlainKeys(record);
+    await this.absorbPlainProviderKeys();
+    console.log('aiFiverr Key Vault: Unlocked');
+    return [...this.keys];
+  }
+
+  /**
+   * Forget the unlocked key - only a passphrase-protected vault actually locks
+   */
+  async lock() {
+    this.cryptoKey = null;
+    this.keys = null;
+    this.providerKeys = null;
+    await chrome.storage.session.remove(this.sessionKey);
+  }
+
+  /**
+   * Drop decrypted keys held in memory, e.g. after the stored vault was replaced
+   */
+  clearCache() {
+    this.cryptoKey = null;
+    this.keys = null;
+    this.providerKeys = null;
+  }
+
+  async saveKeys(keys) {
+    const record = await this.getRecord();
+    if (record && (await this.getKeys(record)) === null) {
+      throw new Error('Key vault is locked. Unlock it with your passphrase first.');
+    }
+
+    if (record?.protected) {
+      const encrypted = await this.encrypt(await this.getCryptoKey(record), keys);
+      await chrome.storage.local.set({
+        [this.storageKey]: { ...record, ...encrypted, count: keys.length, updatedAt: Date.now() }
+      });
+      this.keys = [...keys];
+    } else {
+      await this.writeRecord(keys, null, await this.getProviderKeys(record));
+    }
+  }
+
+  /**
+   * Replace the chat provider keys - empty keys are dropped
+   */
+  async saveProviderKeys(providerKeys) {
+    const record = await this.getRecord();
+    if (record && (await this.getKeys(record)) === null) {
+      throw new Error('Key vault is locked. Unlock it with your passphrase first.');
+    }
+
+    const kept = Object.fromEntries(Object.entries(providerKeys).filter(([, key]) => key));
+    if (!record) {
+      await this.writeRecord([], null, kept);
+      return;
+    }
+
+    const encrypted = await this.encrypt(await this.getCryptoKey(record), kept);
+    await chrome.storage.local.set({
+      [this.storageKey]: { ...record, providerKeys: encrypted, updatedAt: Date.now() }
+    });
+    this.providerKeys = kept;
+  }
+
+  /**
+   * Set, change or remove (empty passphrase) the vault passphrase - the vault must be unlocked
+   */
+  async setPassphrase(passphrase) {
+    const keys = await this.getKeys();
+    if (keys === null) {
+      throw new Error('Key vault is locked. Unlock it with your current passphrase first.');
+    }
+
+    await this.writeRecord(keys, passphrase || null, await this.getProviderKeys());
+    console.log('aiFiverr Key Vault:', passphrase ? 'Passphrase set' : 'Passphrase removed');
+  }
+
+  async getStatus() {
+    const record = await this.getRecord();
+    const keys = await this.getKeys(record);
+    return {
+      protected: !!record?.protected,
+      locked: keys === null,
+      count: keys ? keys.length : (record?.count || 0)
+    };
+  }
+
+  /**
+   * The encrypted vault for export - only passphrase-protected vaults can leave this browser
+   */
+  async exportBlob() {
+    const record = await this.getRecord();
+    if (!record?.protected) {
+      throw new Error('Set a key vault passphrase before exporting API keys');
+    }
+
+    const { version, salt, iterations, iv, data, count } = record;
+    return { version, salt, iterations, iv, data, count };
+  }
+
+  /**
+   * Decrypt keys from an exported vault with the passphrase it was exported under
+   */
+  async decryptBlob(blob, passphrase) {
+    if (!blob?.salt || !blob?.iv || !blob?.data) {
+      throw new Error('Invalid key vault export');
+    }
+
+    const cryptoKey = await this.deriveKey(passphrase || '', this.fromBase64(blob.salt), blob.iterations || this.iterations);
+    try {
+      return await this.decrypt(cryptoKey, blob);
+    } catch (error) {
+      throw new Error('Wrong passphrase for the exported API keys');
+    }
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * aiFiverr Model Catalog
+ * Lists the Gemini models each API key can use, with token limits and supported features
+ */
+
+class ModelCatalog {
+  constructor(getApiKeys) {
+    this.getApiKeys = getApiKeys;
+    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
+    this.storageKey = 'modelCatalog';
+    this.maxAge = 24 * 60 * 60 * 1000; // Refetch a key's models once a day
+  }
+
+  /**
+   * Short fingerprint so the cache never stores the API key itself
+   */
+  hashKey(key) {
+    let hash = 5381;
+    for (let i = 0; i < key.length; i++) {
+      hash = ((hash << 5) + hash + key.charCodeAt(i)) | 0;
+    }
+    return `${key.slice(-4)}:${(hash >>> 0).toString(36)}`;
+  }
+
+  /**
+   * Convert a models.list entry to catalog metadata
+   */
+  parseModel(model) {
+    const name = (model.name || '').replace(/^models\//, '');
+    const methods = model.supportedGenerationMethods || [];
+
+    return {
+      name,
+      displayName: model.displayName || name,
+      description: model.description || '',
+      inputTokenLimit: model.inputTokenLimit || null,
+      outputTokenLimit: model.outputTokenLimit || null,
+      thinking: !!model.thinking,
+      // Gemma models are text only; every Gemini generation model accepts uploaded files
+      files: name.startsWith('gemini-'),
+      caching: methods.includes('createCachedContent')
+    };
+  }
+
+  /**
+   * Fetch the generation models available to one key
+   */
+  async fetchModels(key) {
+    const models = [];
+    let pageToken = '';
+
+    do {
+      const url = `${this.baseUrl}/models?pageSize=1000&key=${key}${pageToken ? `&pageToken=${pageToken}` : ''}`;
+      const response = await fetch(url);
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`Failed to fetch models: ${response.status} - ${errorData.error?.message || response.statusText}`);
+      }
+
+      const data = await response.json();
+      models.push(...(data.models || []));
+      pageToken = data.nextPageToken || '';
+    } while (pageToken);
+
+    return models
+      .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+      .map(model => this.parseModel(model));
+  }
+
+  /**
+   * Get the catalog: every model available on at least one key, with the keys that can use it
+   * Cached per key; refresh forces a refetch
+   *
+   * Returns { models: [{ name, displayName, description, inputTokenLimit, outputTokenLimit, thinking, files, caching, keys }], errors, updatedAt }
+   */
+  async getCatalog(refresh = false) {
+    const apiKeys = this.getApiKeys() || [];
+    const result = await chrome.storage.local.get(this.storageKey);
+    const cache = result[this.storageKey] || {};
+    const nextCache = {};
+    const errors = [];
+    const now = Date.now();
+
+    for (let index = 0; index < apiKeys.length; index++) {
+      const keyHash = this.hashKey(apiKeys[index]);
+      const cached = cache[keyHash];
+
+      if (!refresh && cached && now - cached.fetchedAt < this.maxAge) {
+        nextCache[keyHash] = cached;
+        continue;
+      }
+
+      try {
+        nextCache[keyHash] = { fetchedAt: now, models: await this.fetchModels(apiKeys[index]) };
+        console.log('aiFiverr Models: Fetched', nextCache[keyHash].models.length, 'models for key', index + 1);
+      } catch (error) {
+        console.warn('aiFiverr Models: Failed to fetch models for key', index + 1, error.message);
+        errors.push({ keyIndex: index, error: error.message });
+        // Keep stale models rather than showing none
+        if (cached) nextCache[keyHash] = cached;
+      }
+    }
+
+    // Removed keys drop out of the cache
+    await chrome.storage.local.set({ [this.storageKey]: nextCache });
+
+    const byName = new Map();
+    apiKeys.forEach((key, index) => {
+      for (const model of nextCache[this.hashKey(key)]?.models || []) {
+        if (!byName.has(model.name)) {
+          byName.set(model.name, { ...model, keys: [] });
+        }
+        byName.get(model.name).keys.push(index);
+      }
+    });
+
+    const updatedAt = Math.min(...Object.values(nextCache).map(entry => entry.fetchedAt), now);
+    return {
+      models: Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name)),
+      errors,
+      updatedAt
+    };
+  }
+
+  /**
+   * Get metadata for one model, or null if no key lists it
+   */
+  async getModel(name) {
+    const catalog = await this.getCatalog();
+    return catalog.models.find(model => model.name === name) || null;
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * aiFiverr Request Scheduler
+ * One queue for generation requests from every tab, handing out API keys within each key's rate limits
+ */
+
+class RequestScheduler {
+  constructor(getApiKeys, isKeyUsable = () => true, getKeyMeta = () => ({})) {
+    this.getApiKeys = getApiKeys;
+    this.isKeyUsable = isKeyUsable;
+    this.getKeyMeta = getKeyMeta; // index -> { label, tier, models, dailyBudget }
+    this.countsKey = 'schedulerCounts';
+
+    // Gemini free tier limits for 2.5 Flash - overridden by settings.rateLimits
+    this.defaultLimits = { rpm: 10, rpd: 250, tpm: 250000, concurrency: 2 };
+    this.limits = { ...this.defaultLimits };
+
+    this.leaseTimeout = 180000; // Slots never released (crashed tab, lost message) expire
+    this.maxWait = 210000; // Jobs still queued after this fail instead of hanging the UI - longer than a lease, so a leaked slot is reclaimed first
+    this.queue = []; // { jobId, exclude, tokens, owner, model, long, queuedAt, resolve, reject }
+    this.active = new Map(); // jobId -> { index, owner, startedAt }
+    this.counts = {}; // key index -> { day, dayRequests, recent: [{ time, tokens, jobId }] }
+    this.timer = null;
+    this.loadPromise = null;
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.settings) {
+        this.setLimits(changes.settings.newValue?.rateLimits);
+      }
+    });
+  }
+
+  /**
+   * Load limits and the persisted counts so a restarted service worker keeps counting
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = chrome.storage.local.get(['settings', this.countsKey]).then(result => {
+        this.setLimits(result.settings?.rateLimits);
+        this.counts = result[this.countsKey] || {};
+      }).catch(error => {
+        console.warn('aiFiverr Scheduler: Failed to load state:', error);
+      });
+    }
+    return this.loadPromise;
+  }
+
+  setLimits(limits = {}) {
+    this.limits = { ...this.defaultLimits };
+    for (const [name, value] of Object.entries(limits || {})) {
+      if (Number(value) > 0) this.limits[name] = Number(value);
+    }
+    this.pump();
+  }
+
+  /**
+   * Daily quotas reset at midnight Pacific time
+   */
+  getQuotaDay(timestamp = Date.now()) {
+    return new Date(timestamp).toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+  }
+
+  /**
+   * Counts for one key with requests older than a minute dropped
+   */
+  getKeyCounts(index, now) {
+    const day = this.getQuotaDay(now);
+    let counts = this.counts[index];
+    if (!counts || counts.day !== day) {
+      counts = { day, dayRequests: 0, recent: counts?.recent || [] };
+      this.counts[index] = counts;
+    }
+    counts.recent = counts.recent.filter(entry => now - entry.time < 60000);
+    return counts;
+  }
+
+  /**
+   * Requests per day for a key - its own daily budget when set
+   */
+  getDayLimit(index) {
+    const budget = Number(this.getKeyMeta(index)?.dailyBudget);
+    return budget > 0 ? budget : this.limits.rpd;
+  }
+
+  /**
+   * Whether a key may be used for a model - keys without a model list allow every model
+   */
+  allowsModel(index, model) {
+    const models = this.getKeyMeta(index)?.models || [];
+    return !model || models.length === 0 || models.includes(model);
+  }
+
+  hasCapacity(index, tokens, now) {
+    const counts = this.getKeyCounts(index, now);
+    const minuteTokens = counts.recent.reduce((sum, entry) => sum + (entry.tokens || 0), 0);
+
+    return counts.recent.length < this.limits.rpm &&
+      counts.dayRequests < this.getDayLimit(index) &&
+      // A request larger than the whole TPM budget still runs on an idle key
+      (minuteTokens === 0 || minuteTokens + tokens <= this.limits.tpm);
+  }
+
+  /**
+   * Keys allowed to run a model
+   */
+  getModelKeys(model) {
+    const keys = this.getApiKeys() || [];
+    return keys.map((key, index) => index).filter(index => keys[index] && this.allowsModel(index, model));
+  }
+
+  /**
+   * Pick a key for a job: only keys allowed for its model, healthy keys first, paid keys first for long jobs,
+   * then the key with the most quota left today and this minute
+   * Keys that already failed the job are skipped unless nothing else is left
+   */
+  pickKey(job, now) {
+    const allowed = this.getModelKeys(job.model);
+    let candidates = allowed.filter(index => !job.exclude.includes(index));
+    if (candidates.length === 0) {
+      candidates = allowed;
+    }
+
+    const healthy = candidates.filter(index => this.isKeyUsable(index));
+    const pool = healthy.length > 0 ? healthy : candidates;
+    const isPaid = index => this.getKeyMeta(index)?.tier === 'paid';
+
+    return pool
+      .filter(index => this.hasCapacity(index, job.tokens, now))
+      .sort((a, b) => {
+        if (job.long && isPaid(a) !== isPaid(b)) return isPaid(a) ? -1 : 1;
+        const dayLeft = (this.getDayLimit(b) - this.counts[b].dayRequests) - (this.getDayLimit(a) - this.counts[a].dayRequests);
+        return dayLeft || this.counts[a].recent.length - this.counts[b].recent.length;
+      })[0] ?? null;
+  }
+
+  /**
+   * Queue a job until a key has capacity
+   * long jobs (proposals, large inputs) prefer paid keys
+   * Returns { key, index, jobId }
+   */
+  async acquire({ jobId, exclude = [], tokens = 0, owner = null, model = null, long = false }) {
+    await this.load();
+
+    if ((this.getApiKeys() || []).length === 0) {
+      throw new Error('No API key available');
+    }
+    if (this.getModelKeys(model).length === 0) {
+      throw new Error(`None of your API keys is allowed to use ${model}. Check the key's models in the extension popup.`);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ jobId, exclude, tokens, owner, model, long, queuedAt: Date.now(), resolve, reject });
+      this.pump();
+    });
+  }
+
+  /**
+   * Release a job's slot with its real token count, or drop it from the queue if it is still waiting
+   */
+  release(jobId, { tokens } = {}) {
+    const queued = this.queue.findIndex(job => job.jobId === jobId);
+    if (queued !== -1) {
+      const [job] = this.queue.splice(queued, 1);
+      const error = new Error('Request aborted');
+      error.name = 'AbortError';
+      job.reject(error);
+      return;
+    }
+
+    const lease = this.active.get(jobId);
+    if (!lease) return;
+    this.active.delete(jobId);
+
+    if (typeof tokens === 'number') {
+      const entry = this.counts[lease.index]?.recent.find(item => item.jobId === jobId);
+      if (entry) {
+        entry.tokens = tokens;
+        this.saveCounts();
+      }
+    }
+    this.pump();
+  }
+
+  /**
+   * Drop every job of a closed tab
+   */
+  releaseOwner(owner) {
+    for (const job of this.queue.filter(item => item.owner === owner)) {
+      this.release(job.jobId);
+    }
+    for (const [jobId, lease] of this.active) {
+      if (lease.owner === owner) this.release(jobId);
+    }
+  }
+
+  /**
+   * Hand out slots while keys and concurrency allow, then wake up when the next minute window frees
+   */
+  pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const now = Date.now();
+
+    for (const [jobId, lease] of this.active) {
+      if (now - lease.startedAt > this.leaseTimeout) {
+        console.warn('aiFiverr Scheduler: Lease expired without release:', jobId);
+        this.active.delete(jobId);
+      }
+    }
+
+    for (const job of [...this.queue]) {
+      if (now - job.queuedAt > this.maxWait) {
+        this.queue.splice(this.queue.indexOf(job), 1);
+        job.reject(new Error('All API keys are at their rate limits. Try again in a minute or add another key.'));
+        continue;
+      }
+      if (this.active.size >= this.limits.concurrency) continue;
+
+      const index = this.pickKey(job, now);
+      if (index === null) continue;
+
+      this.queue.splice(this.queue.indexOf(job), 1);
+      this.grant(job, index, now);
+    }
+
+    // Concurrency frees up on release; rate windows free up with time
+    if (this.queue.length > 0) {
+      const oldest = Object.values(this.counts)
+        .flatMap(counts => counts.recent.map(entry => entry.time))
+        .sort((a, b) => a - b)[0];
+      const delay = oldest ? Math.max(250, oldest + 60000 - now) : 1000;
+      this.timer = setTimeout(() => this.pump(), Math.min(delay, 5000));
+    }
+  }
+
+  grant(job, index, now) {
+    const counts = this.getKeyCounts(index, now);
+    counts.recent.push({ time: now, tokens: job.tokens, jobId: job.jobId });
+    counts.dayRequests++;
+    this.active.set(job.jobId, { index, owner: job.owner, startedAt: now });
+    this.saveCounts();
+
+    console.log('aiFiverr Scheduler: Job', job.jobId, 'on key', this.getKeyMeta(index)?.label || index + 1, 'after', now - job.queuedAt, 'ms,', this.queue.length, 'queued');
+    job.resolve({ key: this.getApiKeys()[index], index, jobId: job.jobId });
+  }
+
+  saveCounts() {
+    chrome.storage.local.set({ [this.countsKey]: this.counts }).catch(error => {
+      console.warn('aiFiverr Scheduler: Failed to save counts:', error);
+    });
+  }
+
+  /**
+   * Move counts and active leases to the new key indexes when the key list changes - removed keys are forgotten
+   */
+  async updateKeys(previousKeys = []) {
+    await this.load();
+    const keys = this.getApiKeys() || [];
+
+    const counts = {};
+    previousKeys.forEach((key, index) => {
+      const newIndex = keys.indexOf(key);
+      if (newIndex !== -1 && this.counts[index]) counts[newIndex] = this.counts[index];
+    });
+    this.counts = counts;
+
+    for (const lease of this.active.values()) {
+      lease.index = keys.indexOf(previousKeys[lease.index]); // -1 once the key is gone
+    }
+    this.saveCounts();
+    this.pump();
+  }
+
+  /**
+   * Limits, queue length and per-key counts for the popup
+   */
+  async getStatus() {
+    await this.load();
+    const now = Date.now();
+
+    return {
+      limits: this.limits,
+      queued: this.queue.length,
+      active: this.active.size,
+      keys: (this.getApiKeys() || []).map((key, index) => {
+        const counts = this.getKeyCounts(index, now);
+        return {
+          index,
+          minuteRequests: counts.recent.length,
+          minuteTokens: counts.recent.reduce((sum, entry) => sum + (entry.tokens || 0), 0),
+          dayRequests: counts.dayRequests,
+          dayLimit: this.getDayLimit(index)
+        };
+      })
+    };
+  }
+}
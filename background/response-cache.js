@@ -0,0 +1,103 @@
+/**
+ * aiFiverr Response Cache
+ * Stores generated responses by a hash of everything that shapes them, so re-running a prompt on unchanged input costs nothing
+ */
+
+class ResponseCache {
+  constructor() {
+    this.storageKey = 'responseCache';
+    this.defaultTtlHours = 24;
+    this.maxEntries = 200;
+    this.maxBytes = 2 * 1024 * 1024; // Stored text across all entries
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Cache settings from the extension settings
+   */
+  async getSettings() {
+    const result = await chrome.storage.local.get('settings');
+    const settings = result.settings || {};
+    const ttlHours = Number(settings.responseCacheTtl) > 0 ? Number(settings.responseCacheTtl) : this.defaultTtlHours;
+    return {
+      enabled: settings.responseCache !== false,
+      ttl: ttlHours * 60 * 60 * 1000
+    };
+  }
+
+  /**
+   * Get a cached response, or null when missing, expired or caching is off
+   */
+  async get(hash) {
+    const { enabled, ttl } = await this.getSettings();
+    if (!enabled) return null;
+
+    const result = await chrome.storage.local.get(this.storageKey);
+    const entry = (result[this.storageKey] || {})[hash];
+    if (!entry || Date.now() - entry.createdAt > ttl) return null;
+
+    console.log('aiFiverr Response Cache: Hit', hash.substring(0, 12));
+    return entry;
+  }
+
+  /**
+   * Store a response - writes are queued so concurrent requests don't overwrite each other
+   */
+  set(hash, response) {
+    this.writeQueue = this.writeQueue
+      .then(() => this.writeEntry(hash, response))
+      .catch(error => console.error('aiFiverr Response Cache: Failed to store response:', error));
+    return this.writeQueue;
+  }
+
+  async writeEntry(hash, response) {
+    const { enabled, ttl } = await this.getSettings();
+    if (!enabled) return;
+
+    const result = await chrome.storage.local.get(this.storageKey);
+    const entries = result[this.storageKey] || {};
+    const now = Date.now();
+
+    entries[hash] = {
+      text: response.text || '',
+      thoughts: response.thoughts || '',
+      finishReason: response.finishReason || null,
+      model: response.model || null,
+      createdAt: now,
+      size: (response.text || '').length + (response.thoughts || '').length
+    };
+
+    // Drop expired entries, then the oldest until within the count and size limits
+    const kept = Object.entries(entries)
+      .filter(([, entry]) => now - entry.createdAt <= ttl)
+      .sort(([, a], [, b]) => b.createdAt - a.createdAt);
+    const trimmed = {};
+    let bytes = 0;
+    for (const [key, entry] of kept.slice(0, this.maxEntries)) {
+      bytes += entry.size || 0;
+      if (bytes > this.maxBytes && Object.keys(trimmed).length > 0) break;
+      trimmed[key] = entry;
+    }
+
+    await chrome.storage.local.set({ [this.storageKey]: trimmed });
+  }
+
+  /**
+   * Entry count and stored size for the popup
+   */
+  async getStats() {
+    const result = await chrome.storage.local.get(this.storageKey);
+    const entries = Object.values(result[this.storageKey] || {});
+    return {
+      entries: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0)
+    };
+  }
+
+  /**
+   * Remove all cached responses
+   */
+  async clear() {
+    await chrome.storage.local.remove(this.storageKey);
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * aiFiverr Usage Ledger
+ * Records token usage and cost for every generation, with daily totals per key, client, model and prompt
+ */
+
+class UsageLedger {
+  constructor() {
+    this.storageKey = 'usageLedger';
+    this.pricingKey = 'modelPricing';
+    this.maxEntries = 500; // Recent generations kept individually
+    this.retentionDays = 400; // Daily totals kept for monthly comparisons
+    this.writeQueue = Promise.resolve();
+    this.providerLabels = { openai: 'OpenAI-compatible', anthropic: 'Anthropic' }; // Shown in place of a key for other cloud providers
+
+    // USD per 1M tokens - used until the price table is edited in the popup
+    this.defaultPricing = {
+      'gemini-2.5-pro': { input: 1.25, output: 10.0, cached: 0.125 },
+      'gemini-2.5-flash': { input: 0.30, output: 2.50, cached: 0.03 },
+      'gemini-2.5-flash-lite': { input: 0.10, output: 0.40, cached: 0.01 },
+      'gemini-2.0-flash': { input: 0.10, output: 0.40, cached: 0.025 },
+      'gemini-2.0-flash-lite': { input: 0.075, output: 0.30, cached: 0.01875 }
+    };
+  }
+
+  /**
+   * Get the price table - the saved table replaces the defaults once edited
+   */
+  async getPricing() {
+    const result = await chrome.storage.local.get(this.pricingKey);
+    return result[this.pricingKey] || { ...this.defaultPricing };
+  }
+
+  /**
+   * Save the user's price table
+   */
+  async savePricing(pricing) {
+    await chrome.storage.local.set({ [this.pricingKey]: pricing || {} });
+  }
+
+  /**
+   * Find the price for a model - versioned names like gemini-2.5-flash-preview-05-20 use the longest matching prefix
+   */
+  getModelPrice(pricing, model) {
+    if (!model) return null;
+    if (pricing[model]) return pricing[model];
+
+    const prefix = Object.keys(pricing)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? pricing[prefix] : null;
+  }
+
+  /**
+   * Cost in USD - cached input is billed at the cached rate and thinking tokens as output
+   */
+  calculateCost(entry, price) {
+    if (!price || entry.local) return 0;
+
+    const cachedTokens = entry.cachedTokens || 0;
+    const uncachedInput = Math.max(0, (entry.inputTokens || 0) - cachedTokens);
+    const output = (entry.outputTokens || 0) + (entry.thoughtsTokens || 0);
+
+    return (uncachedInput * (price.input || 0) +
+      cachedTokens * (price.cached ?? price.input ?? 0) +
+      output * (price.output || 0)) / 1000000;
+  }
+
+  /**
+   * Local calendar day (YYYY-MM-DD)
+   */
+  getDayKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Label for the key that served a request
+   */
+  getKeyLabel(entry) {
+    if (entry.local) return 'Local (Ollama)';
+    if (entry.provider) return this.providerLabels[entry.provider] || entry.provider;
+    return typeof entry.keyIndex === 'number' ? `Key #${entry.keyIndex + 1}` : 'Unknown key';
+  }
+
+  /**
+   * Record a generation - writes are queued so concurrent requests don't overwrite each other
+   */
+  record(entry) {
+    this.writeQueue = this.writeQueue
+      .then(() => this.writeEntry(entry))
+      .catch(error => console.error('aiFiverr Usage: Failed to record usage:', error));
+    return this.writeQueue;
+  }
+
+  async writeEntry(entry) {
+    const pricing = await this.getPricing();
+    const price = this.getModelPrice(pricing, entry.model);
+    const timestamp = entry.timestamp || Date.now();
+
+    const recorded = {
+      timestamp,
+      model: entry.model || 'unknown',
+      keyIndex: entry.keyIndex,
+      local: !!entry.local,
+      provider: entry.provider || null,
+      promptKey: entry.promptKey || null,
+      contact: entry.contact || null,
+      source: entry.source || null,
+      inputTokens: entry.inputTokens || 0,
+      outputTokens: entry.outputTokens || 0,
+      cachedTokens: entry.cachedTokens || 0,
+      thoughtsTokens: entry.thoughtsTokens || 0,
+      priced: !!price || !!entry.local,
+      cost: this.calculateCost(entry, price)
+    };
+
+    const result = await chrome.storage.local.get(this.storageKey);
+    const ledger = result[this.storageKey] || { entries: [], daily: {} };
+
+    ledger.entries.push(recorded);
+    if (ledger.entries.length > this.maxEntries) {
+      ledger.entries = ledger.entries.slice(-this.maxEntries);
+    }
+
+    const dayKey = this.getDayKey(timestamp);
+    const day = ledger.daily[dayKey] || { total: this.emptyTotals(), byKey: {}, byClient: {}, byModel: {}, byPrompt: {} };
+    this.addTotals(day.total, recorded);
+    this.addTotals(day.byKey[this.getKeyLabel(recorded)] ||= this.emptyTotals(), recorded);
+    this.addTotals(day.byClient[recorded.contact || '(no client)'] ||= this.emptyTotals(), recorded);
+    this.addTotals(day.byModel[recorded.model] ||= this.emptyTotals(), recorded);
+    this.addTotals(day.byPrompt[recorded.promptKey || '(chat)'] ||= this.emptyTotals(), recorded);
+    ledger.daily[dayKey] = day;
+
+    // Drop daily totals past the retention window
+    const oldestKept = this.getDayKey(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+    for (const key of Object.keys(ledger.daily)) {
+      if (key < oldestKept) delete ledger.daily[key];
+    }
+
+    await chrome.storage.local.set({ [this.storageKey]: ledger });
+    console.log('aiFiverr Usage: Recorded', recorded.model, recorded.inputTokens, '+', recorded.outputTokens, '+', recorded.thoughtsTokens, 'thinking tokens, $' + recorded.cost.toFixed(6));
+  }
+
+  emptyTotals() {
+    return { requests: 0, inputTokens: 0, outputTokens: 0, cachedTokens: 0, thoughtsTokens: 0, cost: 0 };
+  }
+
+  addTotals(totals, entry) {
+    totals.requests += entry.requests ?? 1;
+    totals.inputTokens += entry.inputTokens;
+    totals.outputTokens += entry.outputTokens;
+    totals.cachedTokens += entry.cachedTokens;
+    totals.thoughtsTokens = (totals.thoughtsTokens || 0) + (entry.thoughtsTokens || 0);
+    totals.cost += entry.cost;
+    return totals;
+  }
+
+  /**
+   * Merge daily buckets into one set of totals per group
+   */
+  mergeDays(days) {
+    const merged = { total: this.emptyTotals(), byKey: {}, byClient: {}, byModel: {}, byPrompt: {} };
+
+    for (const day of days) {
+      this.addTotals(merged.total, day.total);
+      for (const group of ['byKey', 'byClient', 'byModel', 'byPrompt']) {
+        for (const [name, totals] of Object.entries(day[group] || {})) {
+          this.addTotals(merged[group][name] ||= this.emptyTotals(), totals);
+        }
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Summary for the popup dashboard: today, this month and the last 30 days
+   */
+  async getSummary() {
+    const result = await chrome.storage.local.get(this.storageKey);
+    const ledger = result[this.storageKey] || { entries: [], daily: {} };
+
+    const todayKey = this.getDayKey(Date.now());
+    const monthPrefix = todayKey.substring(0, 7);
+    const dayKeys = Object.keys(ledger.daily).sort();
+
+    const recentDays = [];
+    for (let i = 29; i >= 0; i--) {
+      const key = this.getDayKey(Date.now() - i * 24 * 60 * 60 * 1000);
+      recentDays.push({ day: key, ...(ledger.daily[key]?.total || this.emptyTotals()) });
+    }
+
+    return {
+      today: this.mergeDays(ledger.daily[todayKey] ? [ledger.daily[todayKey]] : []),
+      month: this.mergeDays(dayKeys.filter(key => key.startsWith(monthPrefix)).map(key => ledger.daily[key])),
+      recentDays,
+      recentEntries: ledger.entries.slice(-20).reverse(),
+      pricing: await this.getPricing()
+    };
+  }
+
+  /**
+   * Remove all recorded usage
+   */
+  async clear() {
+    await chrome.storage.local.remove(this.storageKey);
+  }
+}
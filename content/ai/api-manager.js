@@ -1,15 +1,15 @@
 /**
  * API Key Manager
- * Handles API key rotation, health monitoring, and session-based key persistence
+ * Handles session-based key persistence in content scripts. Key health lives in the background,
+ * which every tab reports to; this keeps a read-only copy that the background pushes on every change
  */
 
 class APIKeyManager {
   constructor() {
     this.keys = [];
-    this.currentKeyIndex = 0;
-    this.keyHealth = new Map();
+    this.keyMeta = []; // index -> { label, tier, models, dailyBudget } from the background
+    this.keyHealth = new Map(); // Mirror of the background's key health
     this.sessionKeys = new Map(); // Maps session IDs to specific keys
-    this.rateLimits = new Map();
     this.init();
   }
 
@@ -20,107 +20,60 @@ class APIKeyManager {
   }
 
   /**
-   * Load API keys from storage
+   * Load API keys and their health from the background
    */
   async loadKeys() {
     try {
-      const result = await storageManager.get(['apiKeys', 'keyHealth']);
-      this.keys = result.apiKeys || [];
-      
-      // Initialize health status for all keys
-      this.keys.forEach((key, index) => {
-        const savedHealth = result.keyHealth?.[index];
-        this.keyHealth.set(index, {
-          isHealthy: savedHealth?.isHealthy ?? true,
-          lastUsed: savedHealth?.lastUsed || null,
-          errorCount: savedHealth?.errorCount || 0,
-          quotaExhausted: savedHealth?.quotaExhausted || false,
-          lastError: savedHealth?.lastError || null,
-          successCount: savedHealth?.successCount || 0,
-          totalRequests: savedHealth?.totalRequests || 0
-        });
-      });
+      const response = await chrome.runtime.sendMessage({ type: 'GET_API_KEYS' });
+      this.keys = response?.success ? response.data.keys : [];
+      this.keyMeta = response?.success ? response.data.meta || [] : [];
+      this.locked = !!response?.data?.locked;
+      this.sessionKeys.clear();
+      this.applyHealth(response?.success ? response.data.health || [] : []);
     } catch (error) {
       console.error('Failed to load API keys:', error);
     }
   }
 
   /**
-   * Save key health status
+   * Replace the health copy with the background's, moving sessions off keys that became unusable
    */
-  async saveKeyHealth() {
-    try {
-      // Check if storage manager is available and extension context is valid
-      if (!window.storageManager || !window.storageManager.isExtensionContextValid()) {
-        console.warn('aiFiverr: Cannot save key health - storage unavailable or context invalidated');
-        return;
-      }
+  applyHealth(health) {
+    this.keyHealth = new Map(health.map((keyHealth, index) => [index, keyHealth]));
 
-      const healthData = {};
-      this.keyHealth.forEach((health, index) => {
-        try {
-          if (health && typeof health === 'object') {
-            healthData[index] = health;
-          }
-        } catch (error) {
-          console.warn(`aiFiverr: Error processing key health for index ${index}:`, error);
-        }
-      });
-
-      await storageManager.set({ keyHealth: healthData });
-    } catch (error) {
-      console.error('aiFiverr: Failed to save key health:', error);
-    }
+    this.keyHealth.forEach((keyHealth, index) => {
+      if (!keyHealth.isHealthy || keyHealth.quotaExhausted) {
+        this.removeKeyFromSessions(index);
+      }
+    });
   }
 
   /**
    * Add new API keys
    */
   async addKeys(newKeys) {
-    const startIndex = this.keys.length;
     this.keys.push(...newKeys);
-    
-    // Initialize health for new keys
-    newKeys.forEach((key, i) => {
-      this.keyHealth.set(startIndex + i, {
-        isHealthy: true,
-        lastUsed: null,
-        errorCount: 0,
-        quotaExhausted: false,
-        lastError: null,
-        successCount: 0,
-        totalRequests: 0
-      });
-    });
+    await this.saveKeysToVault();
+    await this.loadKeys();
+  }
 
-    await storageManager.set({ apiKeys: this.keys });
-    await this.saveKeyHealth();
+  /**
+   * Store the key list in the background key vault
+   */
+  async saveKeysToVault() {
+    const response = await chrome.runtime.sendMessage({ type: 'UPDATE_API_KEYS', keys: this.keys });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to save API keys');
+    }
   }
 
   /**
-   * Update all API keys
+   * Update all API keys - the background resets their health
    */
   async updateKeys(newKeys) {
     this.keys = [...newKeys];
-    this.keyHealth.clear();
-    this.sessionKeys.clear();
-    this.currentKeyIndex = 0;
-
-    // Initialize health for all keys
-    newKeys.forEach((key, index) => {
-      this.keyHealth.set(index, {
-        isHealthy: true,
-        lastUsed: null,
-        errorCount: 0,
-        quotaExhausted: false,
-        lastError: null,
-        successCount: 0,
-        totalRequests: 0
-      });
-    });
-
-    await storageManager.set({ apiKeys: this.keys });
-    await this.saveKeyHealth();
+    await this.saveKeysToVault();
+    await this.loadKeys();
   }
 
   /**
@@ -151,143 +104,72 @@ class APIKeyManager {
   }
 
   /**
-   * Get next healthy API key
+   * Whether a key may be used for a model - keys without a model list allow every model
    */
-  getNextHealthyKey() {
-    if (this.keys.length === 0) {
+  allowsModel(index, model) {
+    const models = this.keyMeta[index]?.models || [];
+    return !model || models.length === 0 || models.includes(model);
+  }
+
+  /**
+   * Get the healthy API key used least recently, skipping keys not allowed to use the model
+   * exclude skips keys that already failed for the current request
+   * The background scheduler does quota-aware selection; this is the fallback when it can't be reached
+   */
+  getNextHealthyKey(exclude = [], model = null) {
+    const allowed = this.keys.map((key, index) => index).filter(index => this.allowsModel(index, model));
+    if (allowed.length === 0) {
       return null;
     }
 
-    // Find the next healthy key
-    let attempts = 0;
-    while (attempts < this.keys.length) {
-      const keyHealth = this.keyHealth.get(this.currentKeyIndex);
-      
-      if (keyHealth?.isHealthy && !keyHealth?.quotaExhausted) {
-        const keyData = {
-          key: this.keys[this.currentKeyIndex],
-          index: this.currentKeyIndex
-        };
-        
-        // Update last used time
-        keyHealth.lastUsed = Date.now();
-        this.saveKeyHealth();
-        
-        // Move to next key for round-robin
-        this.currentKeyIndex = (this.currentKeyIndex + 1) % this.keys.length;
-        
-        return keyData;
-      }
+    const healthy = allowed
+      .filter(index => {
+        const keyHealth = this.keyHealth.get(index);
+        return keyHealth?.isHealthy && !keyHealth?.quotaExhausted && !exclude.includes(index);
+      })
+      .sort((a, b) => (this.keyHealth.get(a).lastUsed || 0) - (this.keyHealth.get(b).lastUsed || 0));
 
-      this.currentKeyIndex = (this.currentKeyIndex + 1) % this.keys.length;
-      attempts++;
-    }
+    if (healthy.length > 0) {
+      // Local only - spreads this tab's fallback picks until the background reports again
+      this.keyHealth.get(healthy[0]).lastUsed = Date.now();
 
-    // If no healthy keys found, try to reset quota-exhausted keys
-    this.resetQuotaExhaustedKeys();
-    
-    // Return the first available key as fallback
-    if (this.keys.length > 0) {
       return {
-        key: this.keys[0],
-        index: 0
+        key: this.keys[healthy[0]],
+        index: healthy[0]
       };
     }
 
-    return null;
+    // Return the first allowed key that hasn't failed for this request, or the first allowed key as fallback
+    const fallbackIndex = allowed.find(index => !exclude.includes(index)) ?? allowed[0];
+    return {
+      key: this.keys[fallbackIndex],
+      index: fallbackIndex
+    };
   }
 
   /**
-   * Mark key as successful
+   * Report a successful request to the background
    */
   markKeySuccess(keyIndex) {
-    const keyHealth = this.keyHealth.get(keyIndex);
-    if (keyHealth) {
-      keyHealth.successCount++;
-      keyHealth.totalRequests++;
-      keyHealth.lastUsed = Date.now();
-      
-      // Reset error count on success
-      if (keyHealth.errorCount > 0) {
-        keyHealth.errorCount = Math.max(0, keyHealth.errorCount - 1);
-      }
-      
-      // Mark as healthy if it was unhealthy
-      if (!keyHealth.isHealthy && keyHealth.errorCount === 0) {
-        keyHealth.isHealthy = true;
-      }
-      
-      this.saveKeyHealth();
-    }
+    this.reportKeyResult(keyIndex, null);
   }
 
   /**
-   * Mark key as failed
+   * Report a failed request to the background and stop using the key for sessions
    */
   markKeyFailure(keyIndex, error) {
-    const keyHealth = this.keyHealth.get(keyIndex);
-    if (keyHealth) {
-      keyHealth.errorCount++;
-      keyHealth.totalRequests++;
-      keyHealth.lastError = {
-        message: error.message,
-        timestamp: Date.now()
-      };
-
-      // Check for quota exhaustion
-      if (this.isQuotaError(error)) {
-        keyHealth.quotaExhausted = true;
-        keyHealth.quotaExhaustedAt = Date.now();
-      }
-
-      // Mark as unhealthy if too many errors
-      if (keyHealth.errorCount >= 3) {
-        keyHealth.isHealthy = false;
-      }
-
-      this.saveKeyHealth();
-      
-      // Remove session assignment if key failed
-      this.removeKeyFromSessions(keyIndex);
-    }
-  }
-
-  /**
-   * Check if error is quota-related
-   */
-  isQuotaError(error) {
-    const quotaKeywords = [
-      'quota',
-      'limit',
-      'rate limit',
-      'too many requests',
-      '429',
-      'exceeded'
-    ];
-
-    const errorMessage = error.message?.toLowerCase() || '';
-    return quotaKeywords.some(keyword => errorMessage.includes(keyword));
+    this.reportKeyResult(keyIndex, error);
+    this.removeKeyFromSessions(keyIndex);
   }
 
-  /**
-   * Reset quota-exhausted keys (after 24 hours)
-   */
-  resetQuotaExhaustedKeys() {
-    const now = Date.now();
-    const quotaResetTime = 24 * 60 * 60 * 1000; // 24 hours
-
-    this.keyHealth.forEach((health, index) => {
-      if (health.quotaExhausted && health.quotaExhaustedAt) {
-        if (now - health.quotaExhaustedAt > quotaResetTime) {
-          health.quotaExhausted = false;
-          health.quotaExhaustedAt = null;
-          health.errorCount = 0;
-          health.isHealthy = true;
-        }
-      }
+  reportKeyResult(keyIndex, error) {
+    chrome.runtime.sendMessage({
+      type: 'REPORT_KEY_RESULT',
+      keyIndex,
+      error: error ? { message: error.message } : null
+    }).catch(reportError => {
+      console.warn('aiFiverr: Failed to report key result:', reportError);
     });
-
-    this.saveKeyHealth();
   }
 
   /**
@@ -336,6 +218,8 @@ class APIKeyManager {
 
       stats.keyDetails.push({
         index,
+        label: this.keyMeta[index]?.label || '',
+        tier: this.keyMeta[index]?.tier || 'free',
         isHealthy: health.isHealthy,
         quotaExhausted: health.quotaExhausted,
         errorCount: health.errorCount,
@@ -353,11 +237,6 @@ class APIKeyManager {
    * Start health monitoring
    */
   startHealthMonitoring() {
-    // Reset quota-exhausted keys every hour
-    setInterval(() => {
-      this.resetQuotaExhaustedKeys();
-    }, 60 * 60 * 1000);
-
     // Clean up old session assignments every 30 minutes
     setInterval(() => {
       this.cleanupOldSessions();
@@ -410,18 +289,13 @@ class APIKeyManager {
   }
 
   /**
-   * Force refresh key health
+   * Force refresh key health - resets every key to healthy in the background
    */
   async refreshKeyHealth() {
-    // Reset all keys to healthy state
-    this.keyHealth.forEach((health) => {
-      health.isHealthy = true;
-      health.errorCount = 0;
-      health.quotaExhausted = false;
-      health.lastError = null;
-    });
-
-    await this.saveKeyHealth();
+    const response = await chrome.runtime.sendMessage({ type: 'RESET_KEY_HEALTH' });
+    if (response?.success) {
+      this.applyHealth(response.data);
+    }
   }
 
   /**
@@ -443,55 +317,6 @@ class APIKeyManager {
   hasAvailableKeys() {
     return this.getAvailableKeysCount() > 0;
   }
-
-  /**
-   * Get rate limit info for key
-   */
-  getRateLimit(keyIndex) {
-    return this.rateLimits.get(keyIndex) || {
-      requestsPerMinute: 60,
-      requestsPerDay: 1500,
-      currentMinuteRequests: 0,
-      currentDayRequests: 0,
-      minuteResetTime: 0,
-      dayResetTime: 0
-    };
-  }
-
-  /**
-   * Update rate limit info
-   */
-  updateRateLimit(keyIndex, requestCount = 1) {
-    const now = Date.now();
-    const rateLimit = this.getRateLimit(keyIndex);
-
-    // Reset minute counter if needed
-    if (now > rateLimit.minuteResetTime) {
-      rateLimit.currentMinuteRequests = 0;
-      rateLimit.minuteResetTime = now + 60000; // Next minute
-    }
-
-    // Reset day counter if needed
-    if (now > rateLimit.dayResetTime) {
-      rateLimit.currentDayRequests = 0;
-      rateLimit.dayResetTime = now + 86400000; // Next day
-    }
-
-    // Update counters
-    rateLimit.currentMinuteRequests += requestCount;
-    rateLimit.currentDayRequests += requestCount;
-
-    this.rateLimits.set(keyIndex, rateLimit);
-  }
-
-  /**
-   * Check if key is rate limited
-   */
-  isRateLimited(keyIndex) {
-    const rateLimit = this.getRateLimit(keyIndex);
-    return rateLimit.currentMinuteRequests >= rateLimit.requestsPerMinute ||
-           rateLimit.currentDayRequests >= rateLimit.requestsPerDay;
-  }
 }
 
 // Create global API key manager - but only when explicitly called
@@ -0,0 +1,216 @@
+/**
+ * Context Cache Manager for aiFiverr Extension
+ * Creates and reuses Gemini cachedContents for the knowledge base file set and profile variables
+ */
+
+class ContextCacheManager {
+  constructor() {
+    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
+    this.ttlSeconds = 3600;
+    this.refreshMarginMs = 2 * 60 * 1000; // Recreate caches that expire within 2 minutes
+    this.uncacheableRetryMs = 6 * 60 * 60 * 1000; // Retry too-small file sets after 6 hours
+    this.profileVariables = ['bio', 'services', 'experience', 'skills', 'portfolio'];
+    this.caches = {}; // entryKey -> { name, expireTime, model, keyHash, fingerprint }
+    this.pending = new Map();
+    this.initialized = false;
+  }
+
+  async init() {
+    try {
+      const result = await window.storageManager.get('contextCaches');
+      this.caches = result.contextCaches || {};
+      this.pruneExpired();
+      this.initialized = true;
+      console.log('aiFiverr: Context Cache Manager initialized with', Object.keys(this.caches).length, 'caches');
+    } catch (error) {
+      console.error('aiFiverr: Context Cache Manager initialization error:', error);
+      this.initialized = true;
+    }
+  }
+
+  /**
+   * Persist cache entries
+   */
+  async save() {
+    try {
+      await window.storageManager.set({ contextCaches: this.caches });
+    } catch (error) {
+      console.warn('aiFiverr Context Cache: Failed to save caches:', error);
+    }
+  }
+
+  /**
+   * Drop entries whose cache has already expired
+   */
+  pruneExpired() {
+    const now = Date.now();
+    for (const [entryKey, entry] of Object.entries(this.caches)) {
+      const expired = entry.expireTime && Date.parse(entry.expireTime) <= now;
+      const retryAllowed = entry.uncacheableUntil && entry.uncacheableUntil <= now;
+      if (expired || retryAllowed) {
+        delete this.caches[entryKey];
+      }
+    }
+  }
+
+  /**
+   * Stable string hash (caches are per API key, so keys are hashed rather than stored)
+   */
+  hash(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  /**
+   * Build the profile text from knowledge base variables like bio
+   */
+  getProfileText() {
+    const variables = window.knowledgeBaseManager?.variables;
+    if (!variables) return '';
+
+    return this.profileVariables
+      .filter(key => variables.get(key))
+      .map(key => `${key}: ${variables.get(key)}`)
+      .join('\n\n');
+  }
+
+  /**
+   * Get a cachedContents name for the files, creating or refreshing it if needed
+   * Returns null when caching is not possible (the caller then attaches files directly)
+   */
+  async getCachedContent({ files, model, keyData }) {
+    const fileUris = files.map(file => file.geminiUri || file.fileUri).filter(Boolean).sort();
+    if (fileUris.length === 0) return null;
+
+    const profileText = this.getProfileText();
+    const keyHash = this.hash(keyData.key);
+    const fingerprint = this.hash(JSON.stringify({ model, fileUris, profileText }));
+    const entryKey = `${keyHash}:${fingerprint}`;
+
+    const entry = this.caches[entryKey];
+    const now = Date.now();
+
+    if (entry?.uncacheableUntil && entry.uncacheableUntil > now) {
+      return null;
+    }
+    if (entry?.name && Date.parse(entry.expireTime) - now > this.refreshMarginMs) {
+      return entry.name;
+    }
+
+    // Share one creation between concurrent requests
+    if (this.pending.has(entryKey)) {
+      return await this.pending.get(entryKey);
+    }
+
+    const creation = this.createCache({ files, model, keyData, profileText, keyHash, fingerprint, entryKey })
+      .finally(() => this.pending.delete(entryKey));
+    this.pending.set(entryKey, creation);
+    return await creation;
+  }
+
+  /**
+   * Create a cachedContents resource and replace stale caches for the same key and model
+   */
+  async createCache({ files, model, keyData, profileText, keyHash, fingerprint, entryKey }) {
+    const parts = files
+      .filter(file => file.geminiUri || file.fileUri)
+      .map(file => ({
+        fileData: {
+          fileUri: file.geminiUri || file.fileUri,
+          mimeType: file.mimeType || file.geminiMimeType || 'application/octet-stream'
+        }
+      }));
+    if (profileText) {
+      parts.push({ text: `Freelancer profile:\n\n${profileText}` });
+    }
+
+    console.log('aiFiverr Context Cache: Creating cache for', parts.length, 'parts with model:', model);
+
+    const response = await fetch(`${this.baseUrl}/cachedContents?key=${keyData.key}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: `models/${model}`,
+        displayName: 'aifiverr-knowledge-base',
+        contents: [{ role: 'user', parts }],
+        ttl: `${this.ttlSeconds}s`
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const message = errorData.error?.message || response.statusText;
+
+      // Small file sets are below the model's minimum cache size - remember and skip
+      if (response.status === 400 && /too small|minimum|min_total_token_count/i.test(message)) {
+        console.log('aiFiverr Context Cache: File set too small to cache, attaching files directly');
+        this.caches[entryKey] = { keyHash, model, fingerprint, uncacheableUntil: Date.now() + this.uncacheableRetryMs };
+        await this.save();
+        return null;
+      }
+
+      throw new Error(`Context cache creation failed: ${response.status} - ${message}`);
+    }
+
+    const cache = await response.json();
+
+    // Files or variables changed - remove the old caches for this key and model
+    for (const [otherKey, other] of Object.entries(this.caches)) {
+      if (otherKey !== entryKey && other.keyHash === keyHash && other.model === model) {
+        if (other.name) this.deleteCache(other.name, keyData.key);
+        delete this.caches[otherKey];
+      }
+    }
+
+    this.caches[entryKey] = {
+      name: cache.name,
+      expireTime: cache.expireTime,
+      model,
+      keyHash,
+      fingerprint
+    };
+    await this.save();
+
+    console.log('aiFiverr Context Cache: Created', cache.name, 'expires', cache.expireTime);
+    return cache.name;
+  }
+
+  /**
+   * Delete a cache on the server (best effort)
+   */
+  async deleteCache(name, apiKey) {
+    try {
+      await fetch(`${this.baseUrl}/${name}?key=${apiKey}`, { method: 'DELETE' });
+    } catch (error) {
+      console.warn('aiFiverr Context Cache: Failed to delete cache:', name, error);
+    }
+  }
+
+  /**
+   * Forget a cache the API no longer accepts
+   */
+  async invalidate(name) {
+    for (const [entryKey, entry] of Object.entries(this.caches)) {
+      if (entry.name === name) {
+        delete this.caches[entryKey];
+      }
+    }
+    await this.save();
+  }
+}
+
+// Initialize global instance
+function initializeContextCacheManager() {
+  if (!window.contextCacheManager) {
+    window.contextCacheManager = new ContextCacheManager();
+    window.contextCacheManager.init();
+    console.log('aiFiverr: Context Cache Manager created and initialized');
+  }
+  return window.contextCacheManager;
+}
+
+// Export the initialization function
+window.initializeContextCacheManager = initializeContextCacheManager;
@@ -5,9 +5,7 @@
 
 class EnhancedGeminiClient {
   constructor() {
-    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
     this.initialized = false;
-    this.defaultModel = 'gemini-2.5-flash';
     this.sessions = new Map();
   }
 
@@ -22,47 +20,10 @@ class EnhancedGeminiClient {
   }
 
   /**
-   * Get API key for Gemini API
+   * Get the shared request pipeline
    */
-  async getApiKey() {
-    try {
-      if (window.apiKeyManager && window.apiKeyManager.initialized) {
-        const keyData = window.apiKeyManager.getKeyForSession('gemini');
-        if (keyData) {
-          return keyData.key;
-        }
-      }
-
-      // Fallback to background script
-      const response = await chrome.runtime.sendMessage({ type: 'GET_API_KEY' });
-      if (response?.success && response?.data) {
-        return response.data.key;
-      }
-
-      throw new Error('No API key available');
-    } catch (error) {
-      console.error('aiFiverr Enhanced Gemini: Failed to get API key:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Get selected model from settings
-   */
-  async getSelectedModel() {
-    try {
-      if (window.storageManager && window.storageManager.initialized) {
-        const settings = await window.storageManager.get('settings');
-        return settings.settings?.selectedModel || settings.settings?.defaultModel || this.defaultModel;
-      }
-
-      // Fallback to chrome storage
-      const result = await chrome.storage.local.get('settings');
-      return result.settings?.selectedModel || result.settings?.defaultModel || this.defaultModel;
-    } catch (error) {
-      console.warn('aiFiverr Enhanced Gemini: Failed to get model setting, using default:', error);
-      return this.defaultModel;
-    }
+  getPipeline() {
+    return window.requestPipeline || window.initializeRequestPipeline();
   }
 
   /**
@@ -72,85 +33,23 @@ class EnhancedGeminiClient {
     try {
       console.log('aiFiverr Enhanced Gemini: Generating chat reply for session:', session?.id);
 
-      const apiKey = await this.getApiKey();
-      const model = options.model || await this.getSelectedModel();
-
-      // Build conversation history
-      const contents = [];
-
-      if (session && session.messages && session.messages.length > 0) {
-        // Add recent conversation history (last 10 messages for context)
-        const recentMessages = session.messages.slice(-10);
-        for (const msg of recentMessages) {
-          if (msg.role === 'user') {
-            contents.push({
-              role: 'user',
-              parts: [{ text: msg.content }]
-            });
-          } else if (msg.role === 'assistant' || msg.role === 'model') {
-            contents.push({
-              role: 'model',
-              parts: [{ text: msg.content }]
-            });
-          }
-        }
-      }
-
-      // Add current message
-      const currentMessageParts = [];
-
-      // Add knowledge base files first if provided
-      if (options.knowledgeBaseFiles && options.knowledgeBaseFiles.length > 0) {
-        for (const file of options.knowledgeBaseFiles) {
-          if (file.geminiUri) {
-            currentMessageParts.push({
-              fileData: {
-                fileUri: file.geminiUri,
-                mimeType: file.mimeType || 'application/octet-stream'
-              }
-            });
-          }
-        }
-        console.log('aiFiverr Enhanced Gemini: Added', options.knowledgeBaseFiles.length, 'knowledge base files to chat');
-      }
-
-      // Add text message
-      currentMessageParts.push({ text: message });
-
-      contents.push({
-        role: 'user',
-        parts: currentMessageParts
+      const result = await this.getPipeline().generate({
+        prompt: message,
+        history: session?.messages,
+        files: options.knowledgeBaseFiles,
+        cacheKnowledgeBase: options.cacheKnowledgeBase,
+        temperature: options.temperature,
+        maxOutputTokens: options.maxOutputTokens,
+        systemInstruction: options.systemInstruction,
+        model: options.model,
+        thinking: options.thinking,
+        includeThoughts: options.includeThoughts,
+        relaxSafety: options.relaxSafety,
+        sessionId: session?.id,
+        usageContext: { promptKey: options.promptKey, source: 'chat' }
       });
 
-      const payload = {
-        contents: contents,
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 8192,
-          candidateCount: 1
-        }
-      };
-
-      const response = await fetch(`${this.baseUrl}/models/${model}:generateContent?key=${apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`Gemini API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-      }
-
-      const result = await response.json();
-
-      if (!result.candidates || result.candidates.length === 0) {
-        throw new Error('No response generated from Gemini API');
-      }
-
-      const responseText = result.candidates[0].content.parts[0].text;
+      const responseText = postProcessText(result.text, options.postProcess);
 
       // Add to session if provided
       if (session && session.addMessage) {
@@ -160,7 +59,8 @@ class EnhancedGeminiClient {
 
       return {
         response: responseText,
-        text: responseText // For compatibility
+        text: responseText, // For compatibility
+        thoughts: result.thoughts
       };
 
     } catch (error) {
@@ -173,137 +73,55 @@ class EnhancedGeminiClient {
    * Stream generate content with real-time response
    */
   async streamGenerateContent(prompt, fileUri = null, fileMimeType = null, sessionId = 'default', options = {}) {
-    try {
-      const apiKey = await this.getApiKey();
-      const model = options.model || await this.getSelectedModel();
-
-      console.log('aiFiverr Enhanced Gemini: Starting streaming generation with model:', model);
-
-      const contents = [{
-        parts: [],
-        role: "user"
-      }];
-
-      // Add knowledge base files first if provided
-      if (options.knowledgeBaseFiles && options.knowledgeBaseFiles.length > 0) {
-        for (const file of options.knowledgeBaseFiles) {
-          if (file.geminiUri) {
-            contents[0].parts.push({
-              fileData: {
-                fileUri: file.geminiUri,
-                mimeType: file.mimeType || 'application/octet-stream'
-              }
-            });
-          }
-        }
-        console.log('aiFiverr Enhanced Gemini: Added', options.knowledgeBaseFiles.length, 'knowledge base files to stream');
-      }
-
-      // Add legacy file support
-      if (fileUri && fileMimeType) {
-        contents[0].parts.push({
-          fileData: {
-            fileUri: fileUri,
-            mimeType: fileMimeType
-          }
-        });
-      }
+    const files = [...(options.knowledgeBaseFiles || [])];
 
-      // Add text prompt
-      contents[0].parts.push({
-        text: prompt
-      });
-
-      const payload = {
-        contents: contents,
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 8192,
-          candidateCount: 1
-        }
-      };
-
-      const response = await fetch(`${this.baseUrl}/models/${model}:streamGenerateContent?key=${apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`Gemini streaming API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-      }
-
-      return this.processStreamResponse(response, sessionId);
-
-    } catch (error) {
-      console.error('aiFiverr Enhanced Gemini: Stream generate content failed:', error);
-      throw error;
+    // Add legacy file support
+    if (fileUri && fileMimeType) {
+      files.push({ fileUri, mimeType: fileMimeType });
     }
+
+    const stream = this.getPipeline().stream({
+      prompt,
+      history: options.history,
+      files,
+      cacheKnowledgeBase: options.cacheKnowledgeBase,
+      temperature: options.temperature,
+      maxOutputTokens: options.maxOutputTokens,
+      systemInstruction: options.systemInstruction,
+      model: options.model,
+      thinking: options.thinking,
+      includeThoughts: options.includeThoughts,
+      relaxSafety: options.relaxSafety,
+      cacheResponse: options.cacheResponse,
+      fresh: options.fresh,
+      sessionId,
+      signal: options.signal,
+      usageContext: { promptKey: options.promptKey, source: options.source || 'chat' }
+    });
+
+    return this.processStreamResponse(stream);
   }
 
   /**
-   * Process streaming response from Gemini API
+   * Adapt pipeline chunks to the { text, thoughts, fullResponse, done } shape - the final chunk also has cached and cachedAt
    */
-  async processStreamResponse(response, sessionId) {
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
-    let fullResponse = '';
-
+  processStreamResponse(stream) {
     return {
       async *[Symbol.asyncIterator]() {
         try {
-          while (true) {
-            const { done, value } = await reader.read();
-
-            if (done) {
-              break;
-            }
-
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || ''; // Keep incomplete line in buffer
-
-            for (const line of lines) {
-              if (line.trim() === '') continue;
-
-              try {
-                // Remove "data: " prefix if present
-                const jsonStr = line.startsWith('data: ') ? line.slice(6) : line;
-                const data = JSON.parse(jsonStr);
-
-                if (data.candidates && data.candidates[0] && data.candidates[0].content) {
-                  const text = data.candidates[0].content.parts[0]?.text || '';
-                  if (text) {
-                    fullResponse += text;
-                    yield {
-                      text: text,
-                      fullResponse: fullResponse,
-                      done: false
-                    };
-                  }
-                }
-              } catch (parseError) {
-                console.warn('aiFiverr Enhanced Gemini: Failed to parse streaming chunk:', parseError);
-              }
-            }
+          for await (const chunk of stream) {
+            yield {
+              text: chunk.text,
+              thoughts: chunk.thoughts,
+              fullResponse: chunk.fullText,
+              done: chunk.done,
+              cached: chunk.cached,
+              cachedAt: chunk.cachedAt
+            };
           }
-
-          // Final response
-          yield {
-            text: '',
-            fullResponse: fullResponse,
-            done: true
-          };
-
         } catch (error) {
           console.error('aiFiverr Enhanced Gemini: Stream processing error:', error);
           throw error;
-        } finally {
-          reader.releaseLock();
         }
       }
     };
@@ -223,18 +223,15 @@ Best regards,
     return Object.fromEntries(this.variables);
   }
 
+  getTemplateEngine() {
+    return window.promptTemplateEngine || window.initializePromptTemplateEngine();
+  }
+
   /**
-   * Replace variables in text
+   * Render a prompt or template - knowledge base variables are available alongside data
    */
-  replaceVariables(text) {
-    let result = text;
-
-    this.variables.forEach((value, key) => {
-      const regex = new RegExp(`{{${key}}}`, 'g');
-      result = result.replace(regex, value);
-    });
-
-    return result;
+  renderTemplate(text, data = {}) {
+    return this.getTemplateEngine().render(text, { ...this.getAllVariables(), ...data });
   }
 
   /**
@@ -296,10 +293,11 @@ Best regards,
   }
 
   /**
-   * Add or update custom prompt
+   * Add or update custom prompt, recording the change in its version history
    */
   async addCustomPrompt(key, prompt) {
-    this.customPrompts.set(key, prompt);
+    const history = window.promptHistory || window.initializePromptHistory();
+    this.customPrompts.set(key, history.withVersion(this.customPrompts.get(key), prompt));
     await this.saveCustomPrompts();
   }
 
@@ -367,13 +365,18 @@ Best regards,
         name: 'Proposal',
         description: 'Create a Fiverr project proposal based on the conversation',
         prompt: 'Please go through the attached documents.\n\nCreate a Fiverr project proposal based on the conversation: {conversation}\n\nUse my bio: {bio}\n\nInclude a greeting, project summary, scope, price, why I\'m a good fit, and next steps. No markdown or explanations.',
-        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        maxOutputTokens: 8192,
+        postProcess: { plainText: true }
       },
       'translate': {
         name: 'Translate',
         description: 'Translate conversation into specified language',
         prompt: 'Please go through the attached documents.\n\nTranslate this conversation: {conversation}\n\nInto this language: {language}\n\nProvide only the translated text. No explanations.',
-        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        variables: {
+          language: { type: 'select', label: 'Language', options: ['English', 'Spanish', 'French', 'German', 'Portuguese', 'Italian', 'Arabic', 'Chinese', 'Japanese'], default: 'English' }
+        }
       },
       'improve_translate': {
         name: 'Improve & Translate',
@@ -385,21 +388,29 @@ Best regards,
         name: 'Improve',
         description: 'Improve message grammar, clarity and professionalism',
         prompt: 'Please go through the attached documents.\n\nImprove this message: {conversation}\n\nMake it grammatically correct, clear, and professional, but keep the original meaning. No explanations.',
-        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        temperature: 0.3,
+        maxOutputTokens: 1024,
+        thinking: { mode: 'off' },
+        postProcess: { stripPreamble: true, stripQuotes: true }
       }
     };
   }
 
   /**
    * Process prompt with variables and context
+   * options.variables supplies values for placeholders up front; anything still missing is asked for
+   * in the variable form near options.anchor. Cancelling the form throws an AbortError
+   * options.prompt processes a prompt definition that isn't stored, e.g. an inline workflow step
+   * The result carries the prompt's generation settings both flat and as result.generation
    */
-  async processPrompt(promptKey, context = {}) {
+  async processPrompt(promptKey, context = {}, options = {}) {
     console.log('=== aiFiverr KB: Processing prompt ===');
     console.log('aiFiverr KB: Processing prompt:', promptKey);
     console.log('aiFiverr KB: Context provided:', context);
 
     // First try to get from custom prompts
-    let prompt = this.getCustomPrompt(promptKey);
+    let prompt = options.prompt || this.getCustomPrompt(promptKey);
     console.log('aiFiverr KB: Custom prompt found:', !!prompt);
 
     // If not found in custom, try default prompts
@@ -413,7 +424,9 @@ Best regards,
       console.warn('aiFiverr KB: Prompt not found:', promptKey);
       console.log('aiFiverr KB: Available custom prompts:', Array.from(this.customPrompts.keys()));
       console.log('aiFiverr KB: Available default prompts:', Object.keys(this.getDefaultPrompts()));
-      throw new Error(`Prompt '${promptKey}' not found`);
+      const error = new Error(`Prompt '${promptKey}' not found`);
+      error.promptNotFound = true;
+      throw error;
     }
 
     console.log('aiFiverr KB: Found prompt:', {
@@ -437,22 +450,20 @@ Best regards,
       });
     }
 
-    let processedPrompt = prompt.prompt;
+    // Fill placeholders that neither the context nor the knowledge base covers
+    const unresolved = this.getTemplateEngine().getUnresolvedVariables(prompt.prompt, { ...this.getAllVariables(), ...context });
+    const variables = unresolved.length > 0
+      ? await this.resolvePromptVariables(promptKey, prompt, unresolved, options)
+      : {};
 
-    // Replace knowledge base variables
-    processedPrompt = this.replaceVariables(processedPrompt);
-
-    // Replace context variables
-    Object.entries(context).forEach(([key, value]) => {
-      const regex = new RegExp(`{${key}}`, 'g');
-      processedPrompt = processedPrompt.replace(regex, value);
-    });
+    const processedPrompt = this.renderTemplate(prompt.prompt, { ...variables, ...context });
 
     // Determine which files to attach - only use explicitly configured files
     let filesToResolve = prompt.knowledgeBaseFiles || [];
 
     // CRITICAL FIX: Handle AUTO_LOAD_ALL directive
-    if (filesToResolve === 'AUTO_LOAD_ALL' || (Array.isArray(filesToResolve) && filesToResolve.includes('AUTO_LOAD_ALL'))) {
+    const autoLoadAll = filesToResolve === 'AUTO_LOAD_ALL' || (Array.isArray(filesToResolve) && filesToResolve.includes('AUTO_LOAD_ALL'));
+    if (autoLoadAll) {
       console.log('aiFiverr KB: AUTO_LOAD_ALL detected - loading all available knowledge base files');
       const allFiles = await this.getKnowledgeBaseFilesFromBackground();
       if (allFiles.success && allFiles.data) {
@@ -483,13 +494,81 @@ Best regards,
 
     console.log('aiFiverr KB: Resolved files for prompt:', resolvedFiles.length, 'files with geminiUri');
 
+    const generation = this.getGenerationSettings(prompt);
+
     // Return both processed prompt and knowledge base files
+    // The full KB file set is stable across prompts, so it can be served from the context cache
     return {
       prompt: processedPrompt,
-      knowledgeBaseFiles: resolvedFiles
+      knowledgeBaseFiles: resolvedFiles,
+      cacheKnowledgeBase: autoLoadAll && resolvedFiles.length > 0,
+      responseSchema: prompt.responseSchema || null,
+      ...generation,
+      generation,
+      variables
+    };
+  }
+
+  /**
+   * A prompt's generation settings, passed as-is to the Gemini client
+   * Unset values are null so the model and API Config defaults apply
+   */
+  getGenerationSettings(prompt) {
+    return {
+      model: prompt.model || null,
+      thinking: prompt.thinking || null,
+      temperature: typeof prompt.temperature === 'number' ? prompt.temperature : null,
+      maxOutputTokens: prompt.maxOutputTokens || null,
+      systemInstruction: prompt.systemInstruction || null,
+      postProcess: prompt.postProcess || null
     };
   }
 
+  /**
+   * Get values for unresolved placeholders from options.variables or the variable form
+   * Field types, labels, options and defaults come from the prompt's variables declaration;
+   * the last values entered for each prompt are remembered and prefilled
+   */
+  async resolvePromptVariables(promptKey, prompt, names, options = {}) {
+    const supplied = options.variables || {};
+    const missing = names.filter(name => supplied[name] === undefined);
+    const form = window.promptVariableForm ||
+      (typeof window.initializePromptVariableForm === 'function' ? window.initializePromptVariableForm() : null);
+    if (missing.length === 0 || !form) {
+      return { ...supplied };
+    }
+
+    const stored = window.storageManager ? await window.storageManager.get('promptVariableValues') : {};
+    const remembered = stored.promptVariableValues || {};
+    const last = remembered[promptKey] || {};
+
+    const fields = missing.map(name => {
+      const declared = prompt.variables?.[name] || {};
+      return {
+        name,
+        type: declared.type || 'text',
+        label: declared.label || name.replace(/_/g, ' ').replace(/^\w/, char => char.toUpperCase()),
+        options: declared.options || [],
+        value: String(last[name] ?? declared.default ?? ''),
+        required: declared.required !== false,
+        placeholder: declared.placeholder || ''
+      };
+    });
+
+    const values = await form.show({ title: prompt.name, fields, anchor: options.anchor });
+    if (!values) {
+      const error = new Error('Prompt variables cancelled');
+      error.name = 'AbortError';
+      throw error;
+    }
+
+    if (window.storageManager) {
+      remembered[promptKey] = { ...last, ...values };
+      await window.storageManager.set({ promptVariableValues: remembered });
+    }
+    return { ...supplied, ...values };
+  }
+
   /**
    * Add or update template
    */
@@ -889,21 +968,8 @@ Best regards,
       throw new Error(`Template '${templateKey}' not found`);
     }
 
-    let processedContent = template.content;
-
-    // Replace knowledge base variables
-    processedContent = this.replaceVariables(processedContent);
-
-    // Replace file references
-    processedContent = this.replaceFileReferences(processedContent);
-
-    // Replace additional variables
-    Object.entries(variables).forEach(([key, value]) => {
-      const regex = new RegExp(`{{${key}}}`, 'g');
-      processedContent = processedContent.replace(regex, value);
-    });
-
-    return processedContent;
+    // File references first, then knowledge base and additional variables
+    return this.renderTemplate(this.replaceFileReferences(template.content), variables);
   }
 
   /**
@@ -1316,10 +1382,15 @@ Best regards,
   /**
    * Extract context variables from current Fiverr page with intelligent context management
    */
-  async extractFiverrContext(contextType = 'recent', maxLength = 4000) {
+  async extractFiverrContext(contextType = 'recent', maxTokens = null) {
     const context = {};
 
     try {
+      // Size the conversation to the model's token budget unless a budget is given
+      if (!maxTokens && window.tokenBudgeter) {
+        maxTokens = await window.tokenBudgeter.getConversationBudget();
+      }
+
       // Extract username from URL
       if (window.fiverrExtractor) {
         context.username = window.fiverrExtractor.extractUsernameFromUrl() || 'Client';
@@ -1328,8 +1399,8 @@ Best regards,
         const conversationData = await window.fiverrExtractor.extractConversation();
         if (conversationData) {
           // Use intelligent context based on use case
-          context.conversation = window.fiverrExtractor.getIntelligentContext(conversationData, contextType, maxLength);
-          context.conversation_summary = window.fiverrExtractor.getConversationSummary(conversationData, 1500);
+          context.conversation = window.fiverrExtractor.getIntelligentContext(conversationData, contextType, maxTokens || undefined);
+          context.conversation_summary = window.fiverrExtractor.getConversationSummary(conversationData, 400);
           context.conversation_count = conversationData.messages?.length || 0;
           context.conversation_last_message = conversationData.messages?.length > 0
             ? conversationData.messages[conversationData.messages.length - 1].body
@@ -1341,8 +1412,12 @@ Best regards,
           context.is_large_conversation = conversationData.messages?.length > 50;
         }
 
+        // Structured data for template loops and conditions
+        Object.assign(context, window.fiverrExtractor.getTemplateContext(conversationData));
+        context.source = context.brief ? 'brief' : 'inbox';
+
         // Extract brief details if on brief page
-        const briefData = window.fiverrExtractor.extractBriefDetails();
+        const briefData = context.brief;
         if (briefData) {
           // Format brief data for proposal context
           let proposalText = '';
@@ -0,0 +1,265 @@
+/**
+ * Anthropic LLM Provider for Browser Extension
+ * Implements the Messages API with streaming, tools and extended thinking
+ */
+
+import LLM from './base.js';
+import { MESSAGE_ROLES, SERVICES } from './types.js';
+import { filterMessageRole, filterNotMessageRole, join, deepClone, handleErrorResponse } from './utils.js';
+
+/**
+ * Anthropic LLM Provider
+ */
+export default class Anthropic extends LLM {
+  static service = SERVICES.ANTHROPIC;
+  static DEFAULT_BASE_URL = 'https://api.anthropic.com/v1/';
+  static DEFAULT_MODEL = 'claude-sonnet-4-0';
+  static API_VERSION = '2023-06-01';
+  static DEFAULT_THINKING_TOKENS = 2048;
+  static isBearerAuth = false;
+
+  get chatUrl() {
+    return join(this.baseUrl, 'messages');
+  }
+
+  get modelsUrl() {
+    return join(this.baseUrl, 'models');
+  }
+
+  async getLLMHeaders() {
+    const headers = await super.getLLMHeaders();
+    headers['anthropic-version'] = Anthropic.API_VERSION;
+    // Required for requests made directly from the extension
+    headers['anthropic-dangerous-direct-browser-access'] = 'true';
+    return headers;
+  }
+
+  parseMessages(messages) {
+    // Thinking blocks are not replayed as plain assistant text
+    return super.parseMessages(messages.filter(message => message.role !== MESSAGE_ROLES.THINKING));
+  }
+
+  parseOptions(options) {
+    const opts = deepClone(options);
+    const messages = opts.messages || [];
+
+    // System messages go to the top-level system field
+    const system = filterMessageRole(messages, MESSAGE_ROLES.SYSTEM);
+    const nonSystem = filterNotMessageRole(messages, MESSAGE_ROLES.SYSTEM);
+
+    if (system.length > 0) {
+      opts.system = system.map(message => message.content).join('\n');
+    }
+    opts.messages = nonSystem.map(Anthropic.toAnthropicMessage);
+
+    // Handle tools
+    if (opts.tools) {
+      opts.tools = opts.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.input_schema
+      }));
+    }
+
+    // Handle thinking mode
+    if (opts.think) {
+      const budget = typeof opts.max_thinking_tokens === 'number'
+        ? opts.max_thinking_tokens
+        : Anthropic.DEFAULT_THINKING_TOKENS;
+      opts.thinking = { type: 'enabled', budget_tokens: budget };
+      // max_tokens must leave room for the answer after thinking
+      if (opts.max_tokens <= budget) {
+        opts.max_tokens = budget + this.max_tokens;
+      }
+      // Temperature cannot be set while thinking is enabled
+      delete opts.temperature;
+    }
+
+    delete opts.think;
+    delete opts.max_thinking_tokens;
+
+    return opts;
+  }
+
+  static toAnthropicMessage(message) {
+    const role = message.role === MESSAGE_ROLES.USER ? 'user' : 'assistant';
+
+    if (typeof message.content === 'string') {
+      return { role, content: message.content };
+    }
+
+    // Handle complex content with attachments
+    if (Array.isArray(message.content)) {
+      const content = message.content.map(part => {
+        if (part.type === 'text') {
+          return { type: 'text', text: part.text };
+        } else if (part.type === 'image_url') {
+          const url = part.image_url.url;
+          if (url.startsWith('data:')) {
+            const [mimeType, data] = url.split(',');
+            return {
+              type: 'image',
+              source: {
+                type: 'base64',
+                media_type: mimeType.split(':')[1].split(';')[0],
+                data
+              }
+            };
+          }
+          return { type: 'image', source: { type: 'url', url } };
+        }
+        return { type: 'text', text: JSON.stringify(part) };
+      });
+      return { role, content };
+    }
+
+    return { role, content: JSON.stringify(message.content) };
+  }
+
+  parseContent(data) {
+    if (!data || !Array.isArray(data.content)) {
+      return '';
+    }
+
+    return data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  parseContentChunk(chunk) {
+    if (!chunk || chunk.type !== 'content_block_delta' || !chunk.delta) {
+      return '';
+    }
+
+    return chunk.delta.type === 'text_delta' ? chunk.delta.text : '';
+  }
+
+  parseThinking(data) {
+    if (!data || !Array.isArray(data.content)) {
+      return '';
+    }
+
+    return data.content
+      .filter(block => block.type === 'thinking')
+      .map(block => block.thinking)
+      .join('');
+  }
+
+  parseThinkingChunk(chunk) {
+    if (!chunk || chunk.type !== 'content_block_delta' || !chunk.delta) {
+      return '';
+    }
+
+    return chunk.delta.type === 'thinking_delta' ? chunk.delta.thinking : '';
+  }
+
+  parseTools(data) {
+    if (!data || !Array.isArray(data.content)) {
+      return [];
+    }
+
+    return data.content
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({
+        id: block.id,
+        name: block.name,
+        input: block.input || {}
+      }));
+  }
+
+  parseToolsChunk(chunk) {
+    if (!chunk) return [];
+    if (!this.cache.tool_blocks) this.cache.tool_blocks = {};
+
+    // Tool input JSON is streamed in fragments between block start and stop
+    if (chunk.type === 'content_block_start' && chunk.content_block?.type === 'tool_use') {
+      this.cache.tool_blocks[chunk.index] = {
+        id: chunk.content_block.id,
+        name: chunk.content_block.name,
+        json: ''
+      };
+      return [];
+    }
+
+    const block = this.cache.tool_blocks[chunk.index];
+    if (!block) return [];
+
+    if (chunk.type === 'content_block_delta' && chunk.delta?.type === 'input_json_delta') {
+      block.json += chunk.delta.partial_json || '';
+      return [];
+    }
+
+    if (chunk.type === 'content_block_stop') {
+      delete this.cache.tool_blocks[chunk.index];
+      let input = {};
+      try {
+        input = block.json ? JSON.parse(block.json) : {};
+      } catch (error) {
+        console.warn('LLM anthropic: Failed to parse tool input:', error);
+      }
+      return [{ id: block.id, name: block.name, input }];
+    }
+
+    return [];
+  }
+
+  parseTokenUsage(data) {
+    if (!data) return null;
+
+    // Streaming: input tokens arrive in message_start, output tokens in message_delta
+    if (data.type === 'message_start') {
+      this.cache.input_tokens = data.message?.usage?.input_tokens || 0;
+      return null;
+    }
+    if (data.type === 'message_delta') {
+      if (!data.usage) return null;
+      return {
+        input_tokens: data.usage.input_tokens || this.cache.input_tokens || 0,
+        output_tokens: data.usage.output_tokens || 0
+      };
+    }
+
+    if (!data.usage) return null;
+    return {
+      input_tokens: data.usage.input_tokens || 0,
+      output_tokens: data.usage.output_tokens || 0
+    };
+  }
+
+  parseModel(model) {
+    return {
+      model: model.id,
+      name: model.display_name || model.id,
+      created: model.created_at ? new Date(model.created_at) : null,
+      max_tokens: 200000,
+      max_input_tokens: 200000,
+      max_output_tokens: 0,
+      supports_reasoning: !model.id.includes('claude-3-') || model.id.includes('3-7'),
+      supports_function_calling: true,
+      supports_vision: true,
+      supports_web_search: false,
+      supports_audio_input: false,
+      supports_audio_output: false,
+      supports_prompt_caching: true,
+      tags: []
+    };
+  }
+
+  async fetchModels() {
+    const headers = await this.getLLMHeaders();
+    console.log(`LLM ${this.service} fetchModels`);
+
+    const response = await fetch(this.getModelsUrl(), { headers });
+    await handleErrorResponse(response, 'Failed to fetch models');
+
+    const data = await response.json();
+    const models = Array.isArray(data.data) ? data.data : [];
+
+    if (models.length === 0) {
+      throw new Error('No models found');
+    }
+
+    return models.map(this.parseModel);
+  }
+}
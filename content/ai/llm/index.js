@@ -5,11 +5,13 @@
 
 import LLM from './base.js';
 import Google from './google.js';
+import OpenAI, { Groq, DeepSeek, XAI } from './openai.js';
+import Anthropic from './anthropic.js';
 import { parsers } from './parsers.js';
 import { SERVICES, DEFAULT_CONFIG, createOptions } from './types.js';
 
-// Available services (only Google for now as requested)
-let SERVICES_LIST = [Google];
+// Available services
+let SERVICES_LIST = [Google, OpenAI, Anthropic, Groq, DeepSeek, XAI];
 
 /**
  * Main LLM Interface Function
@@ -60,6 +62,11 @@ LLMInterface.services = SERVICES_LIST;
 // Attach service classes
 LLMInterface.LLM = LLM;
 LLMInterface.Google = Google;
+LLMInterface.OpenAI = OpenAI;
+LLMInterface.Anthropic = Anthropic;
+LLMInterface.Groq = Groq;
+LLMInterface.DeepSeek = DeepSeek;
+LLMInterface.XAI = XAI;
 
 // Service registration methods
 LLMInterface.register = (LLMClass) => {
@@ -123,7 +130,7 @@ LLMInterface.Attachment = {
 export default LLMInterface;
 
 // Also export individual components for direct use
-export { LLM, Google, parsers, SERVICES };
+export { LLM, Google, OpenAI, Anthropic, Groq, DeepSeek, XAI, parsers, SERVICES };
 
 // Helper function to create a new LLM instance with specific service
 export function createLLM(service = SERVICES.GOOGLE, options = {}) {
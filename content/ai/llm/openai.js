@@ -0,0 +1,238 @@
+/**
+ * OpenAI-compatible LLM Provider for Browser Extension
+ * Works with any /v1/chat/completions endpoint (OpenAI, Groq, DeepSeek, xAI, proxies)
+ */
+
+import LLM from './base.js';
+import { MESSAGE_ROLES, SERVICES } from './types.js';
+import { join, deepClone, handleErrorResponse } from './utils.js';
+
+/**
+ * OpenAI-compatible LLM Provider
+ */
+export default class OpenAI extends LLM {
+  static service = SERVICES.OPENAI;
+  static DEFAULT_BASE_URL = 'https://api.openai.com/v1/';
+  static DEFAULT_MODEL = 'gpt-4o-mini';
+  static isBearerAuth = true;
+
+  get chatUrl() {
+    return join(this.baseUrl, 'chat/completions');
+  }
+
+  get modelsUrl() {
+    return join(this.baseUrl, 'models');
+  }
+
+  parseOptions(options) {
+    const opts = deepClone(options);
+
+    if (Array.isArray(opts.messages)) {
+      opts.messages = opts.messages.map(OpenAI.toOpenAIMessage);
+    }
+
+    // Ask for a final usage chunk when streaming
+    if (opts.stream) {
+      opts.stream_options = { include_usage: true };
+    }
+
+    // Handle tools
+    if (opts.tools) {
+      opts.tools = opts.tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.input_schema
+        }
+      }));
+    }
+
+    // Handle thinking mode (reasoning models only)
+    if (opts.think) {
+      opts.reasoning_effort = opts.reasoning_effort || 'medium';
+    }
+
+    // JSON mode
+    if (this.json) {
+      opts.response_format = { type: 'json_object' };
+    }
+
+    delete opts.think;
+    delete opts.max_thinking_tokens;
+
+    return opts;
+  }
+
+  static toOpenAIMessage(message) {
+    const role = message.role === MESSAGE_ROLES.SYSTEM || message.role === MESSAGE_ROLES.USER
+      ? message.role
+      : MESSAGE_ROLES.ASSISTANT;
+
+    return { role, content: message.content };
+  }
+
+  parseContent(data) {
+    if (!data || !data.choices || !data.choices[0]) {
+      return '';
+    }
+
+    const message = data.choices[0].message;
+    return (message && message.content) || '';
+  }
+
+  parseContentChunk(chunk) {
+    if (!chunk || !chunk.choices || !chunk.choices[0]) {
+      return '';
+    }
+
+    const delta = chunk.choices[0].delta;
+    return (delta && delta.content) || '';
+  }
+
+  parseThinking(data) {
+    if (!data || !data.choices || !data.choices[0]) {
+      return '';
+    }
+
+    // DeepSeek and some proxies return reasoning separately
+    const message = data.choices[0].message;
+    return (message && message.reasoning_content) || '';
+  }
+
+  parseThinkingChunk(chunk) {
+    if (!chunk || !chunk.choices || !chunk.choices[0]) {
+      return '';
+    }
+
+    const delta = chunk.choices[0].delta;
+    return (delta && delta.reasoning_content) || '';
+  }
+
+  parseTools(data) {
+    if (!data || !data.choices || !data.choices[0]) {
+      return [];
+    }
+
+    const message = data.choices[0].message;
+    if (!message || !Array.isArray(message.tool_calls)) {
+      return [];
+    }
+
+    return message.tool_calls.map(OpenAI.toToolCall);
+  }
+
+  parseToolsChunk(chunk) {
+    if (!chunk || !chunk.choices || !chunk.choices[0]) {
+      return [];
+    }
+
+    // Tool call arguments arrive in fragments keyed by index
+    const choice = chunk.choices[0];
+    const deltas = (choice.delta && choice.delta.tool_calls) || [];
+    if (!this.cache.tool_calls) this.cache.tool_calls = [];
+
+    for (const delta of deltas) {
+      const index = typeof delta.index === 'number' ? delta.index : this.cache.tool_calls.length;
+      const call = this.cache.tool_calls[index] || { id: '', function: { name: '', arguments: '' } };
+      if (delta.id) call.id = delta.id;
+      if (delta.function?.name) call.function.name += delta.function.name;
+      if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+      this.cache.tool_calls[index] = call;
+    }
+
+    // Only emit complete calls once the choice has finished
+    if (!choice.finish_reason || this.cache.tool_calls.length === 0) {
+      return [];
+    }
+
+    const toolCalls = this.cache.tool_calls.filter(Boolean).map(OpenAI.toToolCall);
+    this.cache.tool_calls = [];
+    return toolCalls;
+  }
+
+  static toToolCall(call) {
+    let input = {};
+    try {
+      input = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+    } catch (error) {
+      console.warn('LLM openai: Failed to parse tool arguments:', error);
+    }
+
+    return {
+      id: call.id || `call_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: call.function.name,
+      input
+    };
+  }
+
+  parseTokenUsage(data) {
+    if (!data || !data.usage) {
+      return null;
+    }
+
+    const usage = data.usage;
+    return {
+      input_tokens: usage.prompt_tokens || 0,
+      output_tokens: usage.completion_tokens || 0,
+      total_tokens: usage.total_tokens || 0
+    };
+  }
+
+  parseModel(model) {
+    return {
+      model: model.id,
+      name: model.id,
+      created: model.created ? new Date(model.created * 1000) : null,
+      max_tokens: model.context_window || 0,
+      max_input_tokens: model.context_window || 0,
+      max_output_tokens: model.max_completion_tokens || 0,
+      supports_reasoning: /^(o\d|deepseek-reasoner)/.test(model.id),
+      supports_function_calling: true,
+      supports_vision: model.id.includes('4o') || model.id.includes('vision'),
+      supports_web_search: false,
+      supports_audio_input: false,
+      supports_audio_output: false,
+      supports_prompt_caching: false,
+      tags: model.owned_by ? [model.owned_by] : []
+    };
+  }
+
+  async fetchModels() {
+    const headers = await this.getLLMHeaders();
+    console.log(`LLM ${this.service} fetchModels`);
+
+    const response = await fetch(this.getModelsUrl(), { headers });
+    await handleErrorResponse(response, 'Failed to fetch models');
+
+    const data = await response.json();
+    const models = Array.isArray(data.data) ? data.data : (Array.isArray(data) ? data : []);
+
+    if (models.length === 0) {
+      throw new Error('No models found');
+    }
+
+    return models.map(this.parseModel);
+  }
+}
+
+/**
+ * Vendors that speak the same chat/completions protocol
+ */
+export class Groq extends OpenAI {
+  static service = SERVICES.GROQ;
+  static DEFAULT_BASE_URL = 'https://api.groq.com/openai/v1/';
+  static DEFAULT_MODEL = 'llama-3.3-70b-versatile';
+}
+
+export class DeepSeek extends OpenAI {
+  static service = SERVICES.DEEPSEEK;
+  static DEFAULT_BASE_URL = 'https://api.deepseek.com/v1/';
+  static DEFAULT_MODEL = 'deepseek-chat';
+}
+
+export class XAI extends OpenAI {
+  static service = SERVICES.XAI;
+  static DEFAULT_BASE_URL = 'https://api.x.ai/v1/';
+  static DEFAULT_MODEL = 'grok-3-mini';
+}
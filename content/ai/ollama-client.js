@@ -0,0 +1,105 @@
+/**
+ * Ollama Client for aiFiverr Extension
+ * Talks to the local Ollama server used by "local only" mode
+ */
+
+class OllamaClient {
+  constructor() {
+    this.initialized = false;
+    this.defaultModel = 'llama3.2';
+  }
+
+  async init() {
+    try {
+      this.initialized = true;
+      console.log('aiFiverr: Ollama Client initialized');
+    } catch (error) {
+      console.error('aiFiverr: Ollama Client initialization error:', error);
+      this.initialized = true;
+    }
+  }
+
+  /**
+   * Get settings from storage
+   */
+  async getSettings() {
+    try {
+      if (window.storageManager && window.storageManager.initialized) {
+        return await window.storageManager.getSettings();
+      }
+
+      const result = await chrome.storage.local.get('settings');
+      return result.settings || {};
+    } catch (error) {
+      console.warn('aiFiverr Ollama: Failed to get settings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Check if local only mode is enabled
+   */
+  async isLocalOnly() {
+    const settings = await this.getSettings();
+    return settings.localOnly === true;
+  }
+
+  /**
+   * Get selected local model from settings
+   */
+  async getSelectedModel() {
+    const settings = await this.getSettings();
+    return settings.ollamaModel || this.defaultModel;
+  }
+
+  /**
+   * Send chat messages to Ollama through the background script
+   */
+  async chat(messages, options = {}) {
+    const model = options.model || await this.getSelectedModel();
+    console.log('aiFiverr Ollama: Generating locally with model:', model);
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'OLLAMA_CHAT',
+      model,
+      messages,
+      temperature: options.temperature,
+      maxTokens: options.maxTokens,
+      format: options.format
+    });
+
+    if (!response?.success) {
+      throw new Error(response?.error || 'Local generation failed');
+    }
+
+    if (!response.data.content) {
+      throw new Error('No response generated from Ollama');
+    }
+
+    return response.data;
+  }
+
+  /**
+   * List models installed on the local Ollama server
+   */
+  async listModels(baseUrl) {
+    const response = await chrome.runtime.sendMessage({ type: 'OLLAMA_LIST_MODELS', baseUrl });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to list Ollama models');
+    }
+    return response.data;
+  }
+}
+
+// Initialize global instance
+function initializeOllamaClient() {
+  if (!window.ollamaClient) {
+    window.ollamaClient = new OllamaClient();
+    window.ollamaClient.init();
+    console.log('aiFiverr: Ollama Client created and initialized');
+  }
+  return window.ollamaClient;
+}
+
+// Export the initialization function
+window.initializeOllamaClient = initializeOllamaClient;
@@ -0,0 +1,166 @@
+/**
+ * Prompt History
+ * Version history for custom prompts. Versions live on the prompt itself (prompt.versions),
+ * so they travel with storage exports, prompt exports and the Google Drive backup
+ */
+
+class PromptHistory {
+  constructor() {
+    this.maxVersions = 50;
+    this.fields = [
+      'name', 'description', 'prompt', 'knowledgeBaseFiles', 'responseSchema', 'model', 'thinking',
+      'temperature', 'maxOutputTokens', 'systemInstruction', 'postProcess', 'variables'
+    ];
+  }
+
+  /**
+   * The versioned part of a prompt
+   */
+  snapshot(prompt) {
+    const data = {};
+    this.fields.forEach(field => {
+      if (prompt?.[field] !== undefined && prompt[field] !== null) data[field] = prompt[field];
+    });
+    return data;
+  }
+
+  createVersion(prompt, savedAt = Date.now(), note = '') {
+    return {
+      id: `v_${savedAt}_${Math.random().toString(36).slice(2, 8)}`,
+      savedAt,
+      note: note || '',
+      data: this.snapshot(prompt)
+    };
+  }
+
+  getVersions(prompt) {
+    return Array.isArray(prompt?.versions) ? prompt.versions : [];
+  }
+
+  isSameContent(a, b) {
+    return JSON.stringify(this.snapshot(a)) === JSON.stringify(this.snapshot(b));
+  }
+
+  /**
+   * Return next with its version history: previous's versions plus next's content
+   * Prompts saved before history existed get their old content as the first version
+   */
+  withVersion(previous, next, note = '') {
+    const versions = [...this.getVersions(previous)];
+    if (versions.length === 0 && previous) {
+      versions.push(this.createVersion(previous, previous.modified || previous.created || Date.now()));
+    }
+
+    const latest = versions[versions.length - 1];
+    if (!latest || note || !this.isSameContent(latest.data, next)) {
+      versions.push(this.createVersion(next, Date.now(), note));
+    }
+
+    return { ...next, versions: versions.slice(-this.maxVersions) };
+  }
+
+  /**
+   * Union of two version lists by id, oldest first
+   */
+  mergeVersions(a = [], b = []) {
+    const byId = new Map();
+    [...a, ...b].forEach(version => {
+      if (version?.id && !byId.has(version.id)) byId.set(version.id, version);
+    });
+    return [...byId.values()]
+      .sort((x, y) => x.savedAt - y.savedAt)
+      .slice(-this.maxVersions);
+  }
+
+  /**
+   * Combine a prompt from an import or sync with the local copy
+   * winner supplies the content, the histories are merged and the winner's content is kept as the latest version
+   */
+  mergePrompt(winner, other) {
+    if (!other) return winner;
+
+    const versions = this.mergeVersions(this.getVersions(other), this.getVersions(winner));
+    const latest = versions[versions.length - 1];
+    if (!latest || !this.isSameContent(latest.data, winner)) {
+      versions.push(this.createVersion(winner, winner.modified || Date.now()));
+    }
+    return { ...winner, versions: versions.slice(-this.maxVersions) };
+  }
+
+  /**
+   * Return the prompt with a version's content restored - recorded as a new version so nothing is lost
+   */
+  restore(prompt, versionId, note = '') {
+    const versions = this.getVersions(prompt);
+    const index = versions.findIndex(version => version.id === versionId);
+    if (index === -1) {
+      throw new Error('Version not found');
+    }
+
+    const restored = { ...prompt, modified: Date.now() };
+    this.fields.forEach(field => delete restored[field]);
+    Object.assign(restored, versions[index].data);
+    return this.withVersion(prompt, restored, note || `Rolled back to version ${index + 1}`);
+  }
+
+  /**
+   * Line diff between two texts: [{ type: 'same' | 'added' | 'removed', text }]
+   */
+  diffLines(oldText = '', newText = '') {
+    const a = String(oldText).split('\n');
+    const b = String(newText).split('\n');
+
+    // Longest common subsequence table, filled from the end
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        diff.push({ type: 'same', text: a[i] });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        diff.push({ type: 'removed', text: a[i++] });
+      } else {
+        diff.push({ type: 'added', text: b[j++] });
+      }
+    }
+    while (i < a.length) diff.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) diff.push({ type: 'added', text: b[j++] });
+    return diff;
+  }
+
+  /**
+   * Differences between two versions: the prompt text as a line diff, other fields as before/after
+   */
+  diffVersions(older, newer) {
+    const before = older?.data || {};
+    const after = newer?.data || {};
+    const format = (value) => (value === undefined ? '' : typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+
+    return {
+      prompt: this.diffLines(before.prompt || '', after.prompt || ''),
+      fields: this.fields
+        .filter(field => field !== 'prompt' && format(before[field]) !== format(after[field]))
+        .map(field => ({ field, before: format(before[field]), after: format(after[field]) }))
+    };
+  }
+}
+
+// Create global prompt history helper
+function initializePromptHistory() {
+  if (!window.promptHistory) {
+    window.promptHistory = new PromptHistory();
+  }
+  return window.promptHistory;
+}
+
+window.PromptHistory = PromptHistory;
+window.initializePromptHistory = initializePromptHistory;
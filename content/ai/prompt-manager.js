@@ -11,6 +11,7 @@ class PromptManager {
     this.initialized = false;
     this.storageManager = null;
     this.knowledgeBaseManager = null;
+    this.history = window.promptHistory || window.initializePromptHistory();
   }
 
   /**
@@ -88,7 +89,9 @@ Create a short and concise project proposal (under 3000 characters) based on thi
 go through the attachment and extract my relevant previous project links and add to the proposal, no placeholders please
 
 Write a well-formatted proposal. No explanations.`,
-        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        maxOutputTokens: 8192,
+        postProcess: { plainText: true }
       },
       'project_proposal': {
         name: 'Project Proposal',
@@ -110,7 +113,10 @@ Write a well-formatted proposal. No explanations.`,
 Into this language: {language}
 
 Provide only the translated text. No explanations.`,
-        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        variables: {
+          language: { type: 'select', label: 'Language', options: ['English', 'Spanish', 'French', 'German', 'Portuguese', 'Italian', 'Arabic', 'Chinese', 'Japanese'], default: 'English' }
+        }
       },
       'improve_translate': {
         name: 'Improve & Translate',
@@ -126,7 +132,37 @@ Then, translate the improved message to English. Use my bio ({bio}) to add relev
         prompt: `Improve this message: {conversation}
 
 Make it grammatically correct, clear, and professional, but keep the original meaning. No explanations.`,
-        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        temperature: 0.3,
+        maxOutputTokens: 1024,
+        thinking: { mode: 'off' },
+        postProcess: { stripPreamble: true, stripQuotes: true }
+      },
+      'message_analysis': {
+        name: 'Message Analysis',
+        description: 'Analyze a client message into tone, intent, requirements, budget, deadline and risks',
+        prompt: `Analyze this client message from a Fiverr conversation:
+
+{message}
+
+Conversation context:
+
+{conversation}
+
+Only use details stated or clearly implied. Use null for budget or deadline when they are not mentioned.`,
+        knowledgeBaseFiles: [],
+        responseSchema: {
+          type: 'object',
+          properties: {
+            tone: { type: 'string', description: 'Overall tone of the client, e.g. friendly, urgent, frustrated' },
+            intent: { type: 'string', description: 'What the client wants to achieve with this message' },
+            requirements: { type: 'array', items: { type: 'string' }, description: 'Concrete project requirements' },
+            budget: { type: 'string', nullable: true, description: 'Budget with currency, if mentioned' },
+            deadline: { type: 'string', nullable: true, description: 'Deadline or timeline, if mentioned' },
+            risks: { type: 'array', items: { type: 'string' }, description: 'Scope, payment or communication risks' }
+          },
+          required: ['tone', 'intent', 'requirements', 'budget', 'deadline', 'risks']
+        }
       }
     };
 
@@ -258,16 +294,19 @@ Make it grammatically correct, clear, and professional, but keep the original me
 
   /**
    * Save a custom prompt (converts default to custom if needed)
+   * Each save with changed content adds a version to the prompt's history, with an optional note
    */
-  async savePrompt(key, promptData) {
+  async savePrompt(key, promptData, note = '') {
     try {
-      const prompt = {
-        ...promptData,
+      const previous = this.customPrompts.get(key);
+      const { versions, ...data } = promptData; // History comes from the stored prompt, not the caller
+      const prompt = this.history.withVersion(previous, {
+        ...data,
         isDefault: false,
-        created: this.customPrompts.get(key)?.created || Date.now(),
+        created: previous?.created || Date.now(),
         modified: Date.now()
-      };
-      
+      }, note);
+
       this.customPrompts.set(key, prompt);
       
       // Save to storage
@@ -281,6 +320,34 @@ Make it grammatically correct, clear, and professional, but keep the original me
     }
   }
 
+  /**
+   * Version history of a custom prompt, oldest first
+   */
+  getPromptVersions(key) {
+    return this.history.getVersions(this.customPrompts.get(key));
+  }
+
+  /**
+   * Restore a custom prompt to an earlier version
+   */
+  async rollbackPrompt(key, versionId, note = '') {
+    try {
+      const prompt = this.customPrompts.get(key);
+      if (!prompt) {
+        throw new Error('Only custom prompts have a version history');
+      }
+
+      this.customPrompts.set(key, this.history.restore(prompt, versionId, note));
+      await this.saveCustomPromptsToStorage();
+
+      console.log('aiFiverr: Rolled back prompt:', key, 'to', versionId);
+      return true;
+    } catch (error) {
+      console.error('aiFiverr: Failed to roll back prompt:', error);
+      return false;
+    }
+  }
+
   /**
    * Delete a custom prompt
    */
@@ -454,7 +521,7 @@ Make it grammatically correct, clear, and professional, but keep the original me
   /**
    * Process prompt with variables and knowledge base files
    */
-  async processPrompt(key, context = {}) {
+  async processPrompt(key, context = {}, options = {}) {
     const prompt = this.getPrompt(key);
     if (!prompt) {
       throw new Error(`Prompt '${key}' not found`);
@@ -462,17 +529,12 @@ Make it grammatically correct, clear, and professional, but keep the original me
 
     // Use knowledge base manager for processing if available
     if (this.knowledgeBaseManager) {
-      return await this.knowledgeBaseManager.processPrompt(key, context);
+      return await this.knowledgeBaseManager.processPrompt(key, context, options);
     }
 
-    // Fallback processing
-    let processedPrompt = prompt.prompt;
-
-    // Replace context variables
-    Object.entries(context).forEach(([key, value]) => {
-      const regex = new RegExp(`{${key}}`, 'g');
-      processedPrompt = processedPrompt.replace(regex, value);
-    });
+    // Fallback processing - context only, without knowledge base variables
+    const engine = window.promptTemplateEngine || window.initializePromptTemplateEngine();
+    const processedPrompt = engine.render(prompt.prompt, { ...(options.variables || {}), ...context });
 
     return {
       prompt: processedPrompt,
@@ -493,9 +555,12 @@ Make it grammatically correct, clear, and professional, but keep the original me
       const drivePrompts = await this.loadPromptsFromGoogleDrive();
 
       if (drivePrompts) {
-        // Merge with local prompts (local takes precedence for conflicts)
+        // Merge with local prompts (local takes precedence for conflicts, version histories are combined)
         const localPrompts = Object.fromEntries(this.customPrompts);
-        const mergedPrompts = { ...drivePrompts, ...localPrompts };
+        const mergedPrompts = { ...drivePrompts };
+        Object.entries(localPrompts).forEach(([key, prompt]) => {
+          mergedPrompts[key] = this.history.mergePrompt(prompt, drivePrompts[key]);
+        });
 
         // Update local storage
         this.customPrompts.clear();
@@ -542,14 +607,14 @@ Make it grammatically correct, clear, and professional, but keep the original me
       const data = JSON.parse(jsonData);
 
       if (data.customPrompts) {
-        // Merge with existing prompts
+        // Merge with existing prompts - imported content wins, version histories are combined
         Object.entries(data.customPrompts).forEach(([key, prompt]) => {
-          this.customPrompts.set(key, {
+          this.customPrompts.set(key, this.history.mergePrompt({
             ...prompt,
             isDefault: false,
             imported: true,
             importDate: new Date().toISOString()
-          });
+          }, this.customPrompts.get(key)));
         });
 
         await this.saveCustomPromptsToStorage();
@@ -0,0 +1,372 @@
+/**
+ * Prompt Template Engine
+ * Renders prompt templates with variables, conditionals, loops, defaults and filters:
+ *   {name} or {{name}}                   - variable, dotted paths like {{brief.budget}} work too
+ *   {{brief.budget | default: "open"}}   - filters, chained with |
+ *   {{#if brief.budget}}...{{else}}...{{/if}}, {{#unless ...}}...{{/unless}}
+ *   {{#each brief.requirements}}- {{this}}{{/each}} - also @index, @number, @first, @last, @key
+ * Lists can be arrays, objects or multi-line text (one item per non-empty line)
+ */
+
+class PromptTemplateEngine {
+  constructor() {
+    this.blocks = ['if', 'unless', 'each'];
+    this.filters = {
+      default: (value, fallback = '') => (value === undefined || value === '' || (Array.isArray(value) && value.length === 0) ? fallback : value),
+      truncate: (value, length = 100) => {
+        const text = this.toText(value);
+        const max = Number(length);
+        if (!Number.isFinite(max) || max < 1) throw new Error('truncate needs a positive length');
+        return text.length > max ? `${text.slice(0, max).trimEnd()}…` : text;
+      },
+      lower: (value) => this.toText(value).toLowerCase(),
+      upper: (value) => this.toText(value).toUpperCase(),
+      trim: (value) => this.toText(value).trim(),
+      join: (value, separator = ', ') => (Array.isArray(value) ? value.map(item => this.toText(item)).join(separator) : this.toText(value)),
+      date: (value, format = 'short') => this.formatDate(value, format)
+    };
+    this.filterArgs = { default: [1, 1], truncate: [0, 1], lower: [0, 0], upper: [0, 0], trim: [0, 0], join: [0, 1], date: [0, 1] };
+    this.dateFormats = ['short', 'long', 'iso', 'time', 'datetime'];
+  }
+
+  /**
+   * Create a template error pointing at a line of the template
+   */
+  createError(message, line) {
+    const error = new Error(`Line ${line}: ${message}`);
+    error.line = line;
+    error.templateError = true;
+    return error;
+  }
+
+  /**
+   * Split a template into text and tag tokens
+   * Block tags alone on a line take their line with them so they don't leave blank lines behind
+   */
+  tokenize(template) {
+    const tokens = [];
+    const pattern = /\{\{\s*([^{}]*?)\s*\}\}|(?<!\{)\{([a-zA-Z_][\w.]*)\}(?!\})/g;
+    let position = 0;
+    let match;
+
+    const lineAt = (index) => template.slice(0, index).split('\n').length;
+
+    while ((match = pattern.exec(template)) !== null) {
+      if (match.index > position) {
+        tokens.push({ type: 'text', value: template.slice(position, match.index) });
+      }
+      tokens.push({
+        type: 'tag',
+        inner: match[1] !== undefined ? match[1] : match[2],
+        single: match[1] === undefined,
+        source: match[0],
+        line: lineAt(match.index)
+      });
+      position = pattern.lastIndex;
+    }
+    if (position < template.length) {
+      tokens.push({ type: 'text', value: template.slice(position) });
+    }
+
+    // Strip the line around standalone block tags
+    tokens.forEach((token, index) => {
+      if (token.type !== 'tag' || token.single || !/^(#|\/|else$)/.test(token.inner)) return;
+
+      const before = tokens[index - 1];
+      const after = tokens[index + 1];
+      const startsLine = !before || (before.type === 'text' && (index === 1 ? /(^|\n)[ \t]*$/ : /\n[ \t]*$/).test(before.value));
+      const endsLine = !after || (after.type === 'text' && (index === tokens.length - 2 ? /^[ \t]*(\r?\n|$)/ : /^[ \t]*\r?\n/).test(after.value));
+      if (!startsLine || !endsLine) return;
+
+      if (before) before.value = before.value.replace(/[ \t]*$/, '');
+      if (after) after.value = after.value.replace(/^[ \t]*\r?\n?/, '');
+    });
+
+    return tokens;
+  }
+
+  /**
+   * Parse "path | filter: arg, arg | filter" - returns null when the text isn't an expression
+   */
+  parseExpression(text, line) {
+    const parts = this.splitOutsideQuotes(text, '|').map(part => part.trim());
+    const path = parts.shift();
+    if (!/^(@?[a-zA-Z_]\w*)(\.\w+)*$/.test(path)) return null;
+
+    const filters = parts.map(part => {
+      const match = part.match(/^([a-zA-Z_]\w*)\s*(?::\s*(.*))?$/);
+      if (!match) throw this.createError(`Can't read filter "${part}"`, line);
+
+      const [, name, argText] = match;
+      if (!this.filters[name]) {
+        throw this.createError(`Unknown filter "${name}". Available: ${Object.keys(this.filters).join(', ')}`, line);
+      }
+
+      const args = argText ? this.splitOutsideQuotes(argText, ',').map(arg => this.parseLiteral(arg.trim(), line)) : [];
+      const [min, max] = this.filterArgs[name];
+      if (args.length < min || args.length > max) {
+        throw this.createError(`Filter "${name}" takes ${min === max ? min : `${min} to ${max}`} argument${max === 1 ? '' : 's'}`, line);
+      }
+      if (name === 'date' && args.length > 0 && !this.dateFormats.includes(args[0])) {
+        throw this.createError(`Unknown date format "${args[0]}". Use ${this.dateFormats.join(', ')}`, line);
+      }
+      return { name, args };
+    });
+
+    return { path, filters };
+  }
+
+  splitOutsideQuotes(text, separator) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+
+    for (const char of text) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === separator) {
+        parts.push(current);
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    parts.push(current);
+    return parts;
+  }
+
+  parseLiteral(text, line) {
+    if (/^(["']).*\1$/s.test(text)) return text.slice(1, -1);
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+    throw this.createError(`Filter arguments must be numbers or quoted text, got ${text || 'nothing'}`, line);
+  }
+
+  /**
+   * Parse a template into a tree of text, variable and block nodes - throws on the first error
+   */
+  parse(template) {
+    const root = { type: 'root', body: [] };
+    const stack = [root];
+    const current = () => {
+      const node = stack[stack.length - 1];
+      return node.inElse ? node.elseBody : node.body;
+    };
+
+    for (const token of this.tokenize(template || '')) {
+      if (token.type === 'text') {
+        current().push({ type: 'text', value: token.value });
+        continue;
+      }
+
+      const inner = token.inner;
+      if (inner.startsWith('#')) {
+        const match = inner.match(/^#(\w+)\s*(.*)$/);
+        const name = match?.[1];
+        if (!this.blocks.includes(name)) {
+          throw this.createError(`Unknown block "{{#${name || ''}}}". Use #if, #unless or #each`, token.line);
+        }
+        if (!/^(@?[a-zA-Z_]\w*)(\.\w+)*$/.test(match[2])) {
+          throw this.createError(`{{#${name}}} needs a variable, e.g. {{#${name} brief.budget}}`, token.line);
+        }
+        const node = { type: name, path: match[2], body: [], elseBody: [], line: token.line };
+        current().push(node);
+        stack.push(node);
+      } else if (inner.startsWith('/')) {
+        const name = inner.slice(1).trim();
+        const open = stack[stack.length - 1];
+        if (open === root) {
+          throw this.createError(`{{/${name}}} has no matching {{#${name}}}`, token.line);
+        }
+        if (open.type !== name) {
+          throw this.createError(`{{/${name}}} closes {{#${open.type}}} from line ${open.line}`, token.line);
+        }
+        stack.pop();
+      } else if (inner === 'else') {
+        const open = stack[stack.length - 1];
+        if (open === root) throw this.createError('{{else}} outside a block', token.line);
+        if (open.inElse) throw this.createError(`Second {{else}} in {{#${open.type}}}`, token.line);
+        open.inElse = true;
+      } else {
+        const expression = this.parseExpression(inner, token.line);
+        // Anything else in braces (JSON, {{file:...}} references) is left as written
+        current().push(expression
+          ? { type: 'var', ...expression, source: token.source, line: token.line }
+          : { type: 'text', value: token.source });
+      }
+    }
+
+    if (stack.length > 1) {
+      const open = stack[stack.length - 1];
+      throw this.createError(`{{#${open.type}}} is never closed with {{/${open.type}}}`, open.line);
+    }
+    return root;
+  }
+
+  /**
+   * Check a template - returns null when it is valid, otherwise { message, line }
+   */
+  validate(template) {
+    try {
+      this.parse(template);
+      return null;
+    } catch (error) {
+      if (!error.templateError) throw error;
+      return { message: error.message, line: error.line };
+    }
+  }
+
+  /**
+   * Render a template with data
+   * Unknown bare names ({budget}) stay as written so unfilled placeholders remain visible;
+   * missing dotted paths and list fields render empty
+   */
+  render(template, data = {}) {
+    return this.renderNodes(this.parse(template).body, [{ data }]);
+  }
+
+  renderNodes(nodes, scopes) {
+    return nodes.map(node => {
+      if (node.type === 'text') return node.value;
+
+      if (node.type === 'var') {
+        let value = this.lookup(node.path, scopes);
+        for (const filter of node.filters) {
+          if (value === undefined && filter.name !== 'default') break;
+          try {
+            value = this.filters[filter.name](value, ...filter.args);
+          } catch (error) {
+            throw this.createError(error.message, node.line);
+          }
+        }
+        if (value === undefined) {
+          return node.path.includes('.') || scopes.length > 1 ? '' : node.source;
+        }
+        return this.toText(value);
+      }
+
+      const value = this.lookup(node.path, scopes);
+      if (node.type === 'each') {
+        const items = this.toItems(value);
+        if (items.length === 0) return this.renderNodes(node.elseBody, scopes);
+
+        return items.map(([key, item], index) => this.renderNodes(node.body, [...scopes, {
+          data: item,
+          meta: { index, number: index + 1, first: index === 0, last: index === items.length - 1, key }
+        }])).join('');
+      }
+
+      const truthy = !this.isEmpty(value);
+      const show = node.type === 'if' ? truthy : !truthy;
+      return this.renderNodes(show ? node.body : node.elseBody, scopes);
+    }).join('');
+  }
+
+  /**
+   * Resolve a path against the innermost scope that has its first segment
+   */
+  lookup(path, scopes) {
+    const [head, ...rest] = path.split('.');
+    const innermost = scopes[scopes.length - 1];
+
+    let value;
+    if (head.startsWith('@')) {
+      value = innermost.meta?.[head.slice(1)];
+    } else if (head === 'this') {
+      value = innermost.data;
+    } else {
+      const scope = [...scopes].reverse().find(({ data }) =>
+        data !== null && typeof data === 'object' && data[head] !== undefined
+      );
+      value = scope?.data[head];
+    }
+
+    for (const key of rest) {
+      if (value === null || value === undefined) return undefined;
+      value = value[key];
+    }
+    return value === null ? undefined : value;
+  }
+
+  toItems(value) {
+    if (Array.isArray(value)) return value.map((item, index) => [index, item]);
+    if (typeof value === 'string') {
+      return value.split('\n').map(line => line.trim()).filter(Boolean).map((line, index) => [index, line]);
+    }
+    if (value && typeof value === 'object') return Object.entries(value);
+    return [];
+  }
+
+  isEmpty(value) {
+    if (value === undefined || value === null || value === false || value === 0) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object' && !(value instanceof Date)) return Object.keys(value).length === 0;
+    return false;
+  }
+
+  toText(value) {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return this.formatDate(value, 'short');
+    if (Array.isArray(value)) return value.map(item => this.toText(item)).join(', ');
+    if (typeof value === 'object') {
+      return value.name || value.title || value.filename || JSON.stringify(value);
+    }
+    return String(value);
+  }
+
+  formatDate(value, format = 'short') {
+    const date = value instanceof Date ? value : new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+    if (value === undefined || value === null || value === '' || isNaN(date.getTime())) {
+      return this.toText(value); // Not a date - e.g. "in 3 days"
+    }
+
+    switch (format) {
+      case 'iso': return date.toISOString().slice(0, 10);
+      case 'long': return date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+      case 'time': return date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+      case 'datetime': return date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+      default: return date.toLocaleDateString();
+    }
+  }
+
+  /**
+   * Bare names the template would output but data has no value for, skipping branches
+   * the data rules out, list bodies and variables with a default
+   */
+  getUnresolvedVariables(template, data = {}) {
+    const names = new Set();
+    const scopes = [{ data }];
+
+    const walk = (nodes) => nodes.forEach(node => {
+      if (node.type === 'var') {
+        const hasDefault = node.filters.some(filter => filter.name === 'default');
+        if (!hasDefault && /^[a-zA-Z_]\w*$/.test(node.path) && node.path !== 'this' &&
+            this.lookup(node.path, scopes) === undefined) {
+          names.add(node.path);
+        }
+      } else if (node.type === 'if' || node.type === 'unless') {
+        const truthy = !this.isEmpty(this.lookup(node.path, scopes));
+        walk((node.type === 'if') === truthy ? node.body : node.elseBody);
+      } else if (node.type === 'each') {
+        if (this.toItems(this.lookup(node.path, scopes)).length === 0) walk(node.elseBody);
+      }
+    });
+
+    walk(this.parse(template).body);
+    return [...names];
+  }
+}
+
+// Create global prompt template engine
+function initializePromptTemplateEngine() {
+  if (!window.promptTemplateEngine) {
+    window.promptTemplateEngine = new PromptTemplateEngine();
+    console.log('aiFiverr: Prompt Template Engine created');
+  }
+  return window.promptTemplateEngine;
+}
+
+window.PromptTemplateEngine = PromptTemplateEngine;
+window.initializePromptTemplateEngine = initializePromptTemplateEngine;
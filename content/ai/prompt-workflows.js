@@ -0,0 +1,261 @@
+/**
+ * Prompt Workflows
+ * A workflow is an ordered chain of prompt steps. Each step's output becomes a variable for the
+ * steps after it ({{previous}} and the step's output name), and steps can pause for the user to edit
+ * Workflows are listed next to prompts under "workflow:<key>" keys
+ */
+
+class PromptWorkflows {
+  constructor() {
+    this.storageKey = 'promptWorkflows';
+    this.keyPrefix = 'workflow:';
+  }
+
+  isWorkflowKey(key) {
+    return typeof key === 'string' && key.startsWith(this.keyPrefix);
+  }
+
+  getDefaultWorkflows() {
+    return {
+      brief_to_proposal: {
+        name: 'Conversation to Proposal',
+        description: 'Summarize the conversation, extract requirements, draft a proposal and shorten it to 1200 characters',
+        isDefault: true,
+        steps: [
+          { name: 'Summarize conversation', promptKey: 'summary', output: 'summary' },
+          {
+            name: 'Extract requirements',
+            prompt: 'List the client\'s concrete requirements from this project summary as short bullet points. Include budget, deadline and deliverables when they are mentioned. No explanations.\n\n{{summary}}',
+            output: 'requirements'
+          },
+          {
+            name: 'Draft proposal',
+            prompt: 'Please go through the attached documents.\n\nWrite a Fiverr project proposal that addresses every one of these requirements:\n\n{{requirements}}\n\nProject summary:\n{{summary}}\n\nInclude a greeting, how I will deliver, relevant past work and next steps. No markdown or explanations.',
+            knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+            output: 'draft',
+            pause: true
+          },
+          {
+            name: 'Shorten to 1200 characters',
+            prompt: 'Shorten this proposal to at most 1200 characters. Keep the greeting, the key commitments and the next steps. Return only the proposal.\n\n{{draft}}',
+            output: 'proposal'
+          }
+        ]
+      }
+    };
+  }
+
+  /**
+   * Default and saved workflows - saved ones override defaults with the same key
+   */
+  async getWorkflows() {
+    const result = await chrome.storage.local.get(this.storageKey);
+    return { ...this.getDefaultWorkflows(), ...(result[this.storageKey] || {}) };
+  }
+
+  async getWorkflow(key) {
+    const workflows = await this.getWorkflows();
+    return workflows[this.isWorkflowKey(key) ? key.slice(this.keyPrefix.length) : key] || null;
+  }
+
+  /**
+   * Workflows shaped like prompts for the prompt menus
+   */
+  async getWorkflowPrompts() {
+    try {
+      const workflows = await this.getWorkflows();
+      const prompts = {};
+      Object.entries(workflows).forEach(([key, workflow]) => {
+        prompts[`${this.keyPrefix}${key}`] = {
+          name: `⛓ ${workflow.name}`,
+          description: workflow.description || workflow.steps.map(step => step.name).join(' → '),
+          isWorkflow: true
+        };
+      });
+      return prompts;
+    } catch (error) {
+      console.warn('aiFiverr Workflows: Failed to load workflows:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Check a workflow definition - returns an error message or null
+   */
+  validateWorkflow(workflow) {
+    if (!workflow?.name?.trim()) return 'Workflow needs a name';
+    if (!Array.isArray(workflow.steps) || workflow.steps.length === 0) return 'Workflow needs at least one step';
+
+    const outputs = new Set(['previous']);
+    for (const [index, step] of workflow.steps.entries()) {
+      const label = `Step ${index + 1}`;
+      if (!step.promptKey && !step.prompt?.trim()) return `${label} needs a prompt`;
+      if (step.output && !/^[a-zA-Z_]\w*$/.test(step.output)) {
+        return `${label}: output name "${step.output}" can only use letters, numbers and _`;
+      }
+      if (step.output && outputs.has(step.output)) return `${label}: output name "${step.output}" is already used`;
+      outputs.add(this.getOutputName(step, index));
+
+      const engine = window.promptTemplateEngine || window.initializePromptTemplateEngine?.();
+      if (step.prompt && engine) {
+        const error = engine.validate(step.prompt);
+        if (error) return `${label}: ${error.message}`;
+      }
+    }
+    return null;
+  }
+
+  async saveWorkflow(key, workflow) {
+    const error = this.validateWorkflow(workflow);
+    if (error) throw new Error(error);
+
+    const result = await chrome.storage.local.get(this.storageKey);
+    const workflows = result[this.storageKey] || {};
+    workflows[key] = {
+      ...workflow,
+      isDefault: false,
+      created: workflows[key]?.created || Date.now(),
+      modified: Date.now()
+    };
+    await chrome.storage.local.set({ [this.storageKey]: workflows });
+  }
+
+  async deleteWorkflow(key) {
+    const result = await chrome.storage.local.get(this.storageKey);
+    const workflows = result[this.storageKey] || {};
+    delete workflows[key];
+    await chrome.storage.local.set({ [this.storageKey]: workflows });
+  }
+
+  getOutputName(step, index) {
+    return step.output || `step${index + 1}`;
+  }
+
+  /**
+   * Prompt definition of an inline step - everything but the workflow's own output and pause fields,
+   * so generation settings like model, temperature and postProcess apply
+   */
+  getStepPrompt(step) {
+    const { output, pause, ...definition } = step;
+    return { ...definition, knowledgeBaseFiles: step.knowledgeBaseFiles || [] };
+  }
+
+  /**
+   * Run a workflow
+   * options: context (variables for every step), anchor (for the variable form), signal,
+   * onStep(index, { status, output, error }) for progress and onPause(index, output) resolving to the
+   * edited output, or null to stop
+   * Returns { output, outputs, steps }
+   */
+  async run(key, { context = {}, anchor = null, signal = null, onStep = () => {}, onPause = null } = {}) {
+    const workflow = await this.getWorkflow(key);
+    if (!workflow) {
+      throw new Error(`Workflow '${key}' not found`);
+    }
+
+    const outputs = {};
+    const steps = [];
+    let previous = '';
+
+    for (const [index, step] of workflow.steps.entries()) {
+      if (signal?.aborted) throw this.createAbortError();
+
+      onStep(index, { status: 'running' });
+      try {
+        const promptKey = step.promptKey || `${key}:${index + 1}`;
+        const result = await window.knowledgeBaseManager.processPrompt(promptKey, {
+          ...context,
+          ...outputs,
+          previous
+        }, {
+          anchor,
+          prompt: step.promptKey ? undefined : this.getStepPrompt(step)
+        });
+
+        const response = await window.geminiClient.generateContent(result.prompt, {
+          knowledgeBaseFiles: result.knowledgeBaseFiles,
+          cacheKnowledgeBase: result.cacheKnowledgeBase,
+          ...result.generation,
+          responseSchema: result.responseSchema,
+          promptKey,
+          source: 'workflow',
+          signal
+        });
+
+        let output = (response.text || '').trim();
+        if (step.pause && onPause) {
+          onStep(index, { status: 'paused', output });
+          output = await onPause(index, output);
+          if (output === null) throw this.createAbortError();
+        }
+
+        outputs[this.getOutputName(step, index)] = output;
+        previous = output;
+        steps.push({ name: step.name, output });
+        onStep(index, { status: 'done', output });
+      } catch (error) {
+        onStep(index, { status: error.name === 'AbortError' ? 'stopped' : 'error', error });
+        throw error;
+      }
+    }
+
+    console.log('aiFiverr Workflows: Completed workflow', key, 'with', steps.length, 'steps');
+    return { output: previous, outputs, steps };
+  }
+
+  createAbortError() {
+    const error = new Error('Workflow stopped');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * Run a workflow in a progress panel near anchor
+   * actions: [{ label, onClick(output) }] offered once the final output is ready
+   */
+  async runWithPanel(key, { context = {}, anchor = null, actions = [] } = {}) {
+    const workflow = await this.getWorkflow(key);
+    if (!workflow) {
+      throw new Error(`Workflow '${key}' not found`);
+    }
+
+    const controller = new AbortController();
+    const panel = new window.WorkflowPanel({
+      title: workflow.name,
+      steps: workflow.steps.map(step => step.name || step.promptKey || 'Step'),
+      anchor,
+      onStop: () => controller.abort()
+    });
+
+    try {
+      const result = await this.run(key, {
+        context,
+        anchor,
+        signal: controller.signal,
+        onStep: (index, state) => panel.setStep(index, state),
+        onPause: (index, output) => panel.pause(index, output)
+      });
+      panel.finish(result.output, actions);
+      return result;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        panel.stopped();
+        return null;
+      }
+      console.error('aiFiverr Workflows: Workflow failed:', error);
+      panel.fail(error);
+      return null;
+    }
+  }
+}
+
+// Create global prompt workflows
+function initializePromptWorkflows() {
+  if (!window.promptWorkflows) {
+    window.promptWorkflows = new PromptWorkflows();
+  }
+  return window.promptWorkflows;
+}
+
+window.PromptWorkflows = PromptWorkflows;
+window.initializePromptWorkflows = initializePromptWorkflows;
@@ -0,0 +1,1393 @@
+/**
+ * AI Request Pipeline for aiFiverr Extension
+ * Single path for every generation request from content scripts and the background script
+ */
+
+class AIRequestPipeline {
+  constructor(options = {}) {
+    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
+    this.defaultModel = 'gemini-2.5-flash';
+    this.historyLimit = 10;
+    this.maxToolSteps = 5;
+    this.maxRetries = 3; // Default retries per user action on rate limit, overload and quota errors - overridden by the Max Retries setting
+    this.retryBaseDelay = 1000;
+    this.maxRetryDelay = 30000; // Longer Retry-After waits on the same key fail instead
+    this.longRequestTokens = 8000; // Requests this large prefer paid keys
+    this.defaultGenerationConfig = {
+      temperature: 0.7,
+      maxOutputTokens: 8192,
+      candidateCount: 1
+    };
+    this.safetySettings = [
+      { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+      { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' }
+    ];
+    // Used when the user retries a blocked request
+    this.relaxedSafetySettings = this.safetySettings.map(setting => ({ ...setting, threshold: 'BLOCK_ONLY_HIGH' }));
+    this.blockedFinishReasons = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
+    this.maxContinuations = 3; // Follow-up requests when a response stops at MAX_TOKENS
+    this.continuePrompt = 'Continue exactly where your last message stopped. Do not repeat any of it and do not add an introduction.';
+    this.chatProviders = ['openai', 'anthropic']; // Values of the Provider setting served by the background chat transport
+
+    // Environment hooks - the background script supplies its own
+    this.keyProvider = options.keyProvider || null;
+    this.keyReporter = options.keyReporter || null;
+    this.localProvider = options.localProvider || null;
+    this.chatProvider = options.chatProvider || null; // (provider, request) -> async iterable of provider stream events, for the non-Gemini cloud providers
+    this.usageRecorder = options.usageRecorder || null;
+    this.scheduler = options.scheduler || null; // { acquire(job), release(jobId, result) }
+    this.responseCache = options.responseCache || null; // { get(hash), set(hash, response) }
+    this.initialized = false;
+  }
+
+  async init() {
+    this.initialized = true;
+    console.log('aiFiverr: Request Pipeline initialized');
+  }
+
+  /**
+   * Get extension settings
+   */
+  async getSettings() {
+    try {
+      if (typeof window !== 'undefined' && window.storageManager && window.storageManager.initialized) {
+        return await window.storageManager.getSettings();
+      }
+
+      const result = await chrome.storage.local.get('settings');
+      return result.settings || {};
+    } catch (error) {
+      console.warn('aiFiverr Pipeline: Failed to get settings, using defaults:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Resolve the model for a request
+   */
+  resolveModel(request, settings) {
+    return request.model || settings.selectedModel || settings.defaultModel || this.defaultModel;
+  }
+
+  /**
+   * Acquire an API key ({ key, index }) for a request
+   * exclude lists key indexes that already failed during this request; model skips keys not allowed to use it
+   */
+  async acquireKey(sessionId, exclude = [], model = null) {
+    if (this.keyProvider) {
+      const keyData = await this.keyProvider(sessionId, exclude, model);
+      if (keyData?.key) return keyData;
+      throw new Error('No API key available');
+    }
+
+    if (typeof window !== 'undefined' && window.apiKeyManager && window.apiKeyManager.initialized) {
+      const keyData = exclude.length > 0 || model
+        ? window.apiKeyManager.getNextHealthyKey(exclude, model)
+        : window.apiKeyManager.getKeyForSession(sessionId || 'gemini');
+      if (keyData) return keyData;
+    }
+
+    // Fallback to background script
+    const response = await chrome.runtime.sendMessage({ type: 'GET_API_KEY', exclude, model });
+    if (response?.success && response?.data?.key) {
+      return response.data;
+    }
+
+    throw new Error(response?.error || 'No API key available');
+  }
+
+  /**
+   * Reserve a slot for one Gemini request from the background scheduler, waiting until a key is within its rate limits
+   * Returns keyData { key, index, jobId }; falls back to plain key selection when the background can't be reached
+   */
+  async acquireSlot(request, exclude = [], model = null) {
+    const tokens = this.estimateRequestTokens(request);
+    const job = {
+      jobId: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      exclude,
+      tokens,
+      model,
+      long: !!request.long || tokens >= this.longRequestTokens
+    };
+
+    const onAbort = () => this.releaseSlot(job);
+    request.signal?.addEventListener('abort', onAbort, { once: true });
+
+    let slot;
+    try {
+      if (this.scheduler) {
+        slot = await this.scheduler.acquire(job);
+      } else {
+        let response;
+        try {
+          response = await chrome.runtime.sendMessage({ type: 'SCHEDULE_REQUEST', ...job });
+        } catch (error) {
+          console.warn('aiFiverr Pipeline: Scheduler unavailable, picking a key directly:', error.message);
+          return await this.acquireKey(request.sessionId, exclude, model);
+        }
+
+        if (!response?.success) {
+          const error = new Error(response?.error || 'No API key available');
+          if (response?.aborted) error.name = 'AbortError';
+          throw error;
+        }
+        slot = response.data;
+      }
+    } finally {
+      request.signal?.removeEventListener('abort', onAbort);
+    }
+
+    if (request.signal?.aborted) {
+      this.releaseSlot(slot);
+      throw new DOMException('Request aborted', 'AbortError');
+    }
+    return slot;
+  }
+
+  /**
+   * Give a scheduler slot back, with the input tokens the request really used
+   */
+  releaseSlot(keyData, usage = null) {
+    if (!keyData?.jobId) return;
+
+    const result = usage ? { tokens: usage.inputTokens || 0 } : {};
+    try {
+      if (this.scheduler) {
+        this.scheduler.release(keyData.jobId, result);
+      } else {
+        chrome.runtime.sendMessage({ type: 'RELEASE_REQUEST', jobId: keyData.jobId, ...result }).catch(error => {
+          console.warn('aiFiverr Pipeline: Failed to release request slot:', error);
+        });
+      }
+    } catch (error) {
+      console.warn('aiFiverr Pipeline: Failed to release request slot:', error);
+    }
+  }
+
+  /**
+   * Rough input token count for the scheduler's tokens-per-minute limit
+   */
+  estimateRequestTokens(request) {
+    const text = [
+      request.systemInstruction || '',
+      request.prompt || '',
+      ...(request.history || []).slice(-this.historyLimit).map(msg => msg.content || '')
+    ].join('');
+    const fileBytes = (request.files || []).reduce((sum, file) => sum + (file.size || 0), 0);
+    return Math.ceil((text.length + fileBytes) / 4);
+  }
+
+  /**
+   * Report key success or failure back to the background key health service
+   */
+  reportKeyResult(keyData, error = null) {
+    if (!keyData || typeof keyData.index !== 'number') return;
+
+    try {
+      if (this.keyReporter) {
+        this.keyReporter(keyData.index, error);
+      } else if (typeof window !== 'undefined' && window.apiKeyManager && window.apiKeyManager.initialized) {
+        if (error) {
+          window.apiKeyManager.markKeyFailure(keyData.index, error);
+        } else {
+          window.apiKeyManager.markKeySuccess(keyData.index);
+        }
+      } else {
+        // Key health is tracked in the background for every tab
+        chrome.runtime.sendMessage({
+          type: 'REPORT_KEY_RESULT',
+          keyIndex: keyData.index,
+          error: error ? { message: error.message } : null
+        }).catch(reportError => console.warn('aiFiverr Pipeline: Failed to report key result:', reportError));
+      }
+    } catch (reportError) {
+      console.warn('aiFiverr Pipeline: Failed to report key result:', reportError);
+    }
+  }
+
+  /**
+   * Build the Gemini request body
+   *
+   * request: { prompt, history, files, cacheKnowledgeBase, systemInstruction, temperature, maxOutputTokens, generationConfig, responseSchema,
+   *            tools, toolContents, thinking: { mode, budget }, includeThoughts, relaxSafety, cacheResponse, fresh, long,
+   *            usageContext: { promptKey, contact, source } }
+   */
+  buildPayload(request, cachedContent = null, model = null) {
+    const contents = [];
+
+    // Recent conversation history
+    for (const msg of (request.history || []).slice(-this.historyLimit)) {
+      if (msg.role === 'user') {
+        contents.push({ role: 'user', parts: [{ text: msg.content }] });
+      } else if (msg.role === 'assistant' || msg.role === 'model') {
+        contents.push({ role: 'model', parts: [{ text: msg.content }] });
+      }
+    }
+
+    // Files go before the prompt text (cached files are already part of the cached content)
+    const parts = [];
+    for (const file of cachedContent ? [] : request.files || []) {
+      const fileUri = file.geminiUri || file.fileUri;
+      if (fileUri) {
+        parts.push({
+          fileData: {
+            fileUri,
+            mimeType: file.mimeType || file.geminiMimeType || 'application/octet-stream'
+          }
+        });
+      }
+    }
+    parts.push({ text: request.prompt });
+    contents.push({ role: 'user', parts });
+
+    // Function calls and responses from earlier steps of a tool loop
+    contents.push(...(request.toolContents || []));
+
+    const generationConfig = { ...this.defaultGenerationConfig, ...(request.generationConfig || {}) };
+    if (typeof request.temperature === 'number') {
+      generationConfig.temperature = request.temperature;
+    }
+    if (typeof request.maxOutputTokens === 'number') {
+      generationConfig.maxOutputTokens = request.maxOutputTokens;
+    }
+    if (request.responseSchema) {
+      generationConfig.responseMimeType = 'application/json';
+      generationConfig.responseSchema = this.toGeminiSchema(request.responseSchema);
+    }
+    const thinkingConfig = this.buildThinkingConfig(request, model);
+    if (thinkingConfig) {
+      generationConfig.thinkingConfig = thinkingConfig;
+    }
+
+    const payload = {
+      contents,
+      generationConfig,
+      safetySettings: request.relaxSafety ? this.relaxedSafetySettings : this.safetySettings
+    };
+
+    if (request.systemInstruction) {
+      payload.systemInstruction = { parts: [{ text: request.systemInstruction }] };
+    }
+
+    if (request.tools && request.tools.length > 0) {
+      payload.tools = [{
+        functionDeclarations: request.tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          parameters: this.toGeminiSchema(tool.parameters)
+        }))
+      }];
+    }
+
+    if (cachedContent) {
+      payload.cachedContent = cachedContent;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Build the thinkingConfig for models that think (Gemini 2.5 and later)
+   *
+   * thinking: { mode: 'default' | 'off' | 'dynamic' | 'fixed', budget } - missing or 'default' keeps the model's own setting
+   */
+  buildThinkingConfig(request, model) {
+    if (!model || !/^gemini-(2\.5|[3-9])/.test(model)) return null;
+
+    const config = {};
+    const mode = request.thinking?.mode || 'default';
+
+    if (mode === 'off') {
+      // Pro models can't turn thinking off, so they get the smallest budget
+      config.thinkingBudget = /-pro/.test(model) ? 128 : 0;
+    } else if (mode === 'dynamic') {
+      config.thinkingBudget = -1;
+    } else if (mode === 'fixed') {
+      const budget = parseInt(request.thinking.budget);
+      config.thinkingBudget = Math.max(/-pro/.test(model) ? 128 : 0, Math.min(isNaN(budget) ? 1024 : budget, 32768));
+    }
+
+    if (request.includeThoughts && config.thinkingBudget !== 0) {
+      config.includeThoughts = true;
+    }
+
+    return Object.keys(config).length > 0 ? config : null;
+  }
+
+  /**
+   * Convert a prompt's JSON schema to the Gemini OpenAPI schema subset
+   */
+  toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const converted = {};
+    for (const key of ['type', 'description', 'enum', 'nullable', 'format', 'required', 'propertyOrdering']) {
+      if (schema[key] !== undefined) converted[key] = schema[key];
+    }
+    if (typeof converted.type === 'string') {
+      converted.type = converted.type.toUpperCase();
+    }
+    if (schema.properties) {
+      converted.properties = {};
+      for (const [name, property] of Object.entries(schema.properties)) {
+        converted.properties[name] = this.toGeminiSchema(property);
+      }
+      // Keep fields in the declared order so the cards render predictably
+      if (!converted.propertyOrdering) {
+        converted.propertyOrdering = Object.keys(schema.properties);
+      }
+    }
+    if (schema.items) {
+      converted.items = this.toGeminiSchema(schema.items);
+    }
+
+    return converted;
+  }
+
+  /**
+   * Parse the JSON text of a structured response
+   */
+  parseStructured(text) {
+    // Local models sometimes wrap JSON in a code block
+    const cleaned = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+      return JSON.parse(cleaned);
+    } catch (error) {
+      throw new Error(`Structured response was not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up the Gemini context cache for knowledge base requests
+   */
+  async resolveCachedContent(request, settings, model, keyData) {
+    // System instructions and tools cannot be combined with cachedContent
+    if (!request.cacheKnowledgeBase || request.systemInstruction || request.tools || settings.contextCaching === false) {
+      return null;
+    }
+    if (!request.files || request.files.length === 0) return null;
+
+    const contextCache = typeof window !== 'undefined' ? window.contextCacheManager : null;
+    if (!contextCache) return null;
+
+    try {
+      return await contextCache.getCachedContent({ files: request.files, model, keyData });
+    } catch (error) {
+      console.warn('aiFiverr Pipeline: Context cache unavailable, attaching files directly:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Check if an error means the referenced cache is gone or invalid
+   */
+  isCacheError(error, cachedContent) {
+    return !!cachedContent && [400, 403, 404].includes(error.status) && /cache/i.test(error.message);
+  }
+
+  /**
+   * Throw a descriptive error for a failed HTTP response
+   */
+  async checkResponse(response) {
+    if (response.ok) return;
+
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(`Gemini API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
+    error.status = response.status;
+    error.retryAfterMs = this.parseRetryAfter(response.headers.get('Retry-After'), errorData.error?.details);
+    throw error;
+  }
+
+  /**
+   * Read how long the API asked us to wait, from the Retry-After header or a RetryInfo detail
+   * Returns milliseconds or null
+   */
+  parseRetryAfter(header, details = []) {
+    const retryInfo = (details || []).find(detail => detail?.retryDelay);
+    if (retryInfo) {
+      // Duration string such as "37s" or "1.5s"
+      const seconds = parseFloat(retryInfo.retryDelay);
+      if (!isNaN(seconds)) return Math.ceil(seconds * 1000);
+    }
+
+    if (header) {
+      const seconds = Number(header);
+      if (!isNaN(seconds)) return seconds * 1000;
+
+      const date = Date.parse(header);
+      if (!isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if an error is worth retrying on another key: rate limits, overload, quota and dropped connections
+   */
+  isRetryableError(error) {
+    if (!error || error.name === 'AbortError') return false;
+    if ([429, 503].includes(error.status)) return true;
+    if (!error.status && error instanceof TypeError) return true; // Network failure
+
+    const message = (error.message || '').toLowerCase();
+    return ['quota', 'rate limit', 'resource_exhausted', 'resource exhausted', 'too many requests', 'overloaded']
+      .some(keyword => message.includes(keyword));
+  }
+
+  /**
+   * Backoff before the next attempt
+   * A different key only needs a short exponential backoff; the same key waits for Retry-After
+   * Returns null when the required wait is too long to retry within the user action
+   */
+  getRetryDelay(error, attempt, sameKey) {
+    const backoff = Math.min(this.retryBaseDelay * 2 ** (attempt - 1), this.maxRetryDelay);
+    const jitter = Math.floor(Math.random() * 250);
+    if (!sameKey) return backoff + jitter;
+
+    const retryAfter = error.retryAfterMs || 0;
+    if (retryAfter > this.maxRetryDelay) return null;
+    return Math.max(backoff, retryAfter) + jitter;
+  }
+
+  /**
+   * Wait before retrying, stopping early if the request is aborted
+   */
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('Request aborted', 'AbortError'));
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Request aborted', 'AbortError'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Decide whether to retry a failed attempt and pick the key for the next one
+   * Throws the error when it isn't retryable or the retries are used up
+   *
+   * failover: { attempt, maxRetries, exclude, keyData, model } shared by all attempts of one request
+   */
+  async prepareRetry(request, error, failover) {
+    if (!this.isRetryableError(error) || failover.attempt >= failover.maxRetries) {
+      throw error;
+    }
+
+    const failedKey = failover.keyData;
+    failover.attempt++;
+    if (typeof failedKey?.index === 'number' && !failover.exclude.includes(failedKey.index)) {
+      failover.exclude.push(failedKey.index);
+    }
+
+    const nextKey = await this.acquireSlot(request, failover.exclude, failover.model);
+    const delay = this.getRetryDelay(error, failover.attempt, nextKey.index === failedKey?.index);
+    if (delay === null) {
+      this.releaseSlot(nextKey);
+      throw error;
+    }
+
+    console.warn(`aiFiverr Pipeline: ${error.message} - retrying with key ${nextKey.index} in ${delay}ms (attempt ${failover.attempt}/${failover.maxRetries})`);
+    try {
+      await this.wait(delay, request.signal);
+    } catch (abortError) {
+      this.releaseSlot(nextKey);
+      throw abortError;
+    }
+    failover.keyData = nextKey;
+  }
+
+  /**
+   * Send a request, failing over to other keys on retryable errors
+   * Returns { response, keyData, request } - request drops the context cache if the cache was rejected
+   */
+  async openRequest(request, settings, model, method, failover) {
+    failover.model = model;
+    if (!failover.keyData) {
+      failover.keyData = await this.acquireSlot(request, [], model);
+    }
+
+    while (true) {
+      const keyData = failover.keyData;
+      const cachedContent = await this.resolveCachedContent(request, settings, model, keyData);
+      const payload = this.buildPayload(request, cachedContent, model);
+
+      console.log(`aiFiverr Pipeline: ${method.split('?')[0]} with model:`, model, 'files:', (request.files || []).length, 'cached:', !!cachedContent);
+
+      try {
+        const separator = method.includes('?') ? '&' : '?';
+        const response = await fetch(`${this.baseUrl}/models/${model}:${method}${separator}key=${keyData.key}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload),
+          signal: request.signal
+        });
+
+        await this.checkResponse(response);
+        this.reportKeyResult(keyData);
+        return { response, keyData, request };
+      } catch (error) {
+        if (this.isCacheError(error, cachedContent)) {
+          console.warn('aiFiverr Pipeline: Cached content rejected, retrying with attached files');
+          await window.contextCacheManager.invalidate(cachedContent);
+          request = { ...request, cacheKnowledgeBase: false };
+          continue;
+        }
+
+        // Only transport and HTTP errors count against the key
+        if (error.name !== 'AbortError') {
+          this.reportKeyResult(keyData, error);
+        }
+        this.releaseSlot(keyData);
+        await this.prepareRetry(request, error, failover);
+      }
+    }
+  }
+
+  /**
+   * Extract text, function calls, finish reason and usage from a (partial) Gemini response
+   */
+  parseResponse(data) {
+    const candidate = data?.candidates?.[0];
+    const parts = candidate?.content?.parts || [];
+
+    return {
+      text: parts.filter(part => part.text && !part.thought).map(part => part.text).join(''),
+      thoughts: parts.filter(part => part.text && part.thought).map(part => part.text).join(''),
+      functionCalls: parts.filter(part => part.functionCall).map(part => ({
+        name: part.functionCall.name,
+        args: part.functionCall.args || {}
+      })),
+      parts: parts.filter(part => !part.thought),
+      finishReason: candidate?.finishReason || null,
+      blockReason: data?.promptFeedback?.blockReason || null,
+      safetyRatings: candidate?.safetyRatings || data?.promptFeedback?.safetyRatings || [],
+      usage: this.parseUsage(data?.usageMetadata)
+    };
+  }
+
+  /**
+   * Error for a blocked prompt or a response stopped by a safety or recitation check, or null
+   * error.blocked: { stage: 'prompt' | 'response', reason, categories, canRetry }
+   */
+  getBlockError(result, request, partialText = '') {
+    let stage;
+    let reason;
+    if (result.blockReason) {
+      stage = 'prompt';
+      reason = result.blockReason;
+    } else if (this.blockedFinishReasons.includes(result.finishReason)) {
+      stage = 'response';
+      reason = result.finishReason;
+    } else {
+      return null;
+    }
+
+    const categories = (result.safetyRatings || [])
+      .filter(rating => rating.blocked || rating.probability === 'HIGH' || rating.probability === 'MEDIUM')
+      .map(rating => this.formatHarmCategory(rating.category));
+    const detail = categories.length > 0 ? `${reason}: ${categories.join(', ')}` : reason;
+
+    const error = new Error(stage === 'prompt'
+      ? `Gemini blocked the prompt (${detail})`
+      : `Gemini stopped the response (${detail})`);
+    error.blocked = {
+      stage,
+      reason,
+      categories,
+      canRetry: ['SAFETY', 'RECITATION'].includes(reason) && !request.relaxSafety
+    };
+    error.finishReason = result.finishReason || null;
+    error.partialText = partialText;
+    return error;
+  }
+
+  /**
+   * HARM_CATEGORY_HATE_SPEECH -> Hate speech
+   */
+  formatHarmCategory(category) {
+    const name = String(category || 'unknown').replace(/^HARM_CATEGORY_/, '').replace(/_/g, ' ').toLowerCase();
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  /**
+   * Whether a response cut off at the output limit should be continued with a follow-up request
+   */
+  shouldContinue(result) {
+    return result.finishReason === 'MAX_TOKENS' && !!result.text && result.functionCalls.length === 0;
+  }
+
+  /**
+   * Follow-up request that asks the model to continue the text it has written so far
+   */
+  buildContinuation(request, text) {
+    return {
+      ...request,
+      toolContents: [
+        ...(request.toolContents || []),
+        { role: 'model', parts: [{ text }] },
+        { role: 'user', parts: [{ text: this.continuePrompt }] }
+      ]
+    };
+  }
+
+  /**
+   * Add one response's usage to a running total
+   */
+  addUsage(total, usage) {
+    if (!usage) return total;
+    if (!total) return { ...usage };
+
+    for (const key of ['inputTokens', 'outputTokens', 'cachedTokens', 'thoughtsTokens', 'totalTokens']) {
+      total[key] = (total[key] || 0) + (usage[key] || 0);
+    }
+    return total;
+  }
+
+  /**
+   * Normalize Gemini usage metadata
+   */
+  parseUsage(usageMetadata) {
+    if (!usageMetadata) return null;
+
+    return {
+      inputTokens: usageMetadata.promptTokenCount || 0,
+      outputTokens: usageMetadata.candidatesTokenCount || 0,
+      cachedTokens: usageMetadata.cachedContentTokenCount || 0,
+      thoughtsTokens: usageMetadata.thoughtsTokenCount || 0,
+      totalTokens: usageMetadata.totalTokenCount || 0
+    };
+  }
+
+  /**
+   * Fiverr contact for the current page, if any
+   */
+  getCurrentContact() {
+    try {
+      if (typeof window !== 'undefined' && window.fiverrExtractor) {
+        return window.fiverrExtractor.extractUsernameFromUrl() || null;
+      }
+    } catch (error) {
+      // Not on a Fiverr page
+    }
+    return null;
+  }
+
+  /**
+   * Send usage for one generation to the usage ledger (never blocks or fails the request)
+   */
+  recordUsage(request, { model, usage, keyData = null, local = false, provider = null }) {
+    if (!usage) return;
+
+    const context = request.usageContext || {};
+    const entry = {
+      timestamp: Date.now(),
+      model,
+      keyIndex: keyData?.index,
+      local,
+      provider,
+      promptKey: context.promptKey || null,
+      contact: context.contact !== undefined ? context.contact : this.getCurrentContact(),
+      source: context.source || null,
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      cachedTokens: usage.cachedTokens || 0,
+      thoughtsTokens: usage.thoughtsTokens || 0
+    };
+
+    try {
+      if (this.usageRecorder) {
+        this.usageRecorder(entry);
+      } else {
+        chrome.runtime.sendMessage({ type: 'RECORD_USAGE', entry }).catch(error => {
+          console.warn('aiFiverr Pipeline: Failed to record usage:', error);
+        });
+      }
+    } catch (error) {
+      console.warn('aiFiverr Pipeline: Failed to record usage:', error);
+    }
+  }
+
+  /**
+   * Content address for a response: model, final prompt, KB file URIs and generation config
+   * Session history is left out - prompts that depend on the conversation carry it in their text
+   */
+  async getResponseCacheKey(request, model) {
+    const source = JSON.stringify({
+      model,
+      systemInstruction: request.systemInstruction || '',
+      prompt: request.prompt,
+      files: (request.files || []).map(file => file.geminiUri || file.fileUri).filter(Boolean),
+      temperature: request.temperature ?? null,
+      maxOutputTokens: request.maxOutputTokens ?? null,
+      generationConfig: request.generationConfig || null,
+      responseSchema: request.responseSchema || null,
+      thinking: request.thinking || null,
+      relaxSafety: !!request.relaxSafety
+    });
+
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(source));
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Whether a request may be answered from and saved to the response cache - tool runs never are
+   */
+  canCacheResponse(request) {
+    return !!request.cacheResponse && !(request.tools && request.tools.length > 0);
+  }
+
+  /**
+   * Look up a cached response - cache problems never fail the request
+   */
+  async readResponseCache(hash) {
+    try {
+      if (this.responseCache) {
+        return await this.responseCache.get(hash);
+      }
+      const response = await chrome.runtime.sendMessage({ type: 'GET_CACHED_RESPONSE', hash });
+      return response?.success ? response.data : null;
+    } catch (error) {
+      console.warn('aiFiverr Pipeline: Response cache unavailable:', error);
+      return null;
+    }
+  }
+
+  writeResponseCache(hash, result) {
+    const response = { text: result.text, thoughts: result.thoughts, finishReason: result.finishReason, model: result.model };
+    try {
+      if (this.responseCache) {
+        this.responseCache.set(hash, response);
+      } else {
+        chrome.runtime.sendMessage({ type: 'SAVE_CACHED_RESPONSE', hash, response }).catch(error => {
+          console.warn('aiFiverr Pipeline: Failed to cache response:', error);
+        });
+      }
+    } catch (error) {
+      console.warn('aiFiverr Pipeline: Failed to cache response:', error);
+    }
+  }
+
+  /**
+   * Generate a complete response, continuing it with follow-up requests when it stops at MAX_TOKENS
+   * Returns { text, thoughts, finishReason, usage, model } plus the parsed data for requests with a responseSchema
+   *
+   * With cacheResponse, an identical earlier request is answered from the response cache ({ cached: true, cachedAt })
+   * unless fresh is set; fresh results still refresh the cache
+   */
+  async generate(request) {
+    const settings = await this.getSettings();
+    const routed = await this.routeToProvider(request, settings);
+    if (routed) return routed;
+
+    const model = this.resolveModel(request, settings);
+    const cacheKey = this.canCacheResponse(request) ? await this.getResponseCacheKey(request, model) : null;
+    if (cacheKey && !request.fresh) {
+      const hit = await this.readResponseCache(cacheKey);
+      if (hit) {
+        const cachedResult = {
+          text: hit.text,
+          thoughts: hit.thoughts || '',
+          functionCalls: [],
+          parts: [{ text: hit.text }],
+          finishReason: hit.finishReason,
+          usage: null,
+          model,
+          cached: true,
+          cachedAt: hit.createdAt
+        };
+        if (request.responseSchema) {
+          cachedResult.data = this.parseStructured(hit.text);
+        }
+        return cachedResult;
+      }
+    }
+
+    const failover = { attempt: 0, maxRetries: Number(settings.maxRetries) >= 0 ? Number(settings.maxRetries) : this.maxRetries, exclude: [], keyData: null };
+    let result = null;
+    let current = request;
+
+    for (let part = 0; part <= this.maxContinuations; part++) {
+      const { response, keyData } = await this.openRequest(current, settings, model, 'generateContent', failover);
+      let parsed = null;
+      try {
+        parsed = this.parseResponse(await response.json());
+      } finally {
+        this.releaseSlot(keyData, parsed?.usage);
+        failover.keyData = null; // A continuation needs a new slot
+      }
+      this.recordUsage(request, { model, usage: parsed.usage, keyData });
+
+      const blockError = this.getBlockError(parsed, request, result?.text || '');
+      if (blockError) throw blockError;
+
+      result = result ? {
+        ...parsed,
+        text: result.text + parsed.text,
+        thoughts: result.thoughts + parsed.thoughts,
+        usage: this.addUsage(result.usage, parsed.usage)
+      } : parsed;
+
+      if (!this.shouldContinue(parsed) || part === this.maxContinuations) break;
+      console.log('aiFiverr Pipeline: Response hit MAX_TOKENS, requesting continuation', part + 1);
+      current = this.buildContinuation(request, result.text);
+    }
+
+    if (!result.text && result.functionCalls.length === 0) {
+      if (result.finishReason === 'MAX_TOKENS') {
+        const error = new Error('The model used its whole output limit before answering. Raise Max Tokens or lower the thinking budget.');
+        error.finishReason = 'MAX_TOKENS';
+        throw error;
+      }
+      throw new Error('No response generated from Gemini API');
+    }
+    if (request.responseSchema) {
+      result.data = this.parseStructured(result.text);
+    }
+    if (cacheKey && result.functionCalls.length === 0) {
+      this.writeResponseCache(cacheKey, { ...result, model });
+    }
+
+    return { ...result, model, cached: false };
+  }
+
+  /**
+   * Stream a response, continuing it with follow-up requests when it stops at MAX_TOKENS
+   * Yields { text, fullText, done } and a final chunk with usage, finishReason and thoughts
+   * With includeThoughts, thought summaries arrive as { text: '', thoughts, fullText, done: false }
+   * cacheResponse and fresh work as in generate - a cached response arrives as one chunk and the final chunk has cached and cachedAt
+   */
+  async *stream(request) {
+    const settings = await this.getSettings();
+    if (settings.localOnly) {
+      const local = await this.generateLocal(request);
+      yield { text: local.text, fullText: local.text, done: false };
+      yield { text: '', fullText: local.text, thoughts: '', done: true, usage: local.usage, finishReason: local.finishReason, model: local.model };
+      return;
+    }
+    if (this.chatProviders.includes(settings.provider)) {
+      yield* this.streamContinued(request, (current, previousText) => this.streamProviderPart(settings.provider, current, previousText));
+      return;
+    }
+
+    const model = this.resolveModel(request, settings);
+    const cacheKey = this.canCacheResponse(request) ? await this.getResponseCacheKey(request, model) : null;
+    if (cacheKey && !request.fresh) {
+      const hit = await this.readResponseCache(cacheKey);
+      if (hit) {
+        if (request.includeThoughts && hit.thoughts) {
+          yield { text: '', thoughts: hit.thoughts, fullText: '', done: false };
+        }
+        yield { text: hit.text, fullText: hit.text, done: false };
+        yield {
+          text: '',
+          fullText: hit.text,
+          thoughts: hit.thoughts || '',
+          done: true,
+          usage: null,
+          finishReason: hit.finishReason,
+          model,
+          functionCalls: [],
+          modelParts: [{ text: hit.text }],
+          cached: true,
+          cachedAt: hit.createdAt
+        };
+        return;
+      }
+    }
+
+    const failover = { attempt: 0, maxRetries: Number(settings.maxRetries) >= 0 ? Number(settings.maxRetries) : this.maxRetries, exclude: [], keyData: null };
+    for await (const chunk of this.streamContinued(request, (current, previousText) => this.streamPart(current, settings, model, failover, previousText))) {
+      if (!chunk.done) {
+        yield chunk;
+        continue;
+      }
+
+      // Only complete responses are cached - a stopped stream never reaches its final chunk
+      if (cacheKey && chunk.fullText && chunk.functionCalls.length === 0) {
+        this.writeResponseCache(cacheKey, { text: chunk.fullText, thoughts: chunk.thoughts, finishReason: chunk.finishReason, model });
+      }
+      yield { ...chunk, cached: false };
+    }
+  }
+
+  /**
+   * Run stream parts until one ends for a reason other than MAX_TOKENS
+   * streamPart(request, previousText) streams one request and ends with a done chunk
+   */
+  async *streamContinued(request, streamPart) {
+    let fullText = '';
+    let thoughts = '';
+    let usage = null;
+    let final = null;
+    let current = request;
+
+    for (let part = 0; part <= this.maxContinuations; part++) {
+      const previousText = fullText;
+      for await (const chunk of streamPart(current, previousText)) {
+        if (chunk.done) {
+          final = chunk;
+          break;
+        }
+        yield { ...chunk, fullText: previousText + chunk.fullText };
+      }
+
+      fullText += final.fullText;
+      thoughts += final.thoughts;
+      usage = this.addUsage(usage, final.usage);
+
+      if (!this.shouldContinue({ ...final, text: final.fullText }) || part === this.maxContinuations) break;
+      console.log('aiFiverr Pipeline: Stream hit MAX_TOKENS, requesting continuation', part + 1);
+      current = this.buildContinuation(request, fullText);
+    }
+
+    yield { ...final, fullText, thoughts, usage };
+  }
+
+  /**
+   * Stream one Gemini request, restarting it on another key when it fails before any text arrives
+   * previousText is what earlier continuations already produced, for block errors
+   */
+  async *streamPart(request, settings, model, failover, previousText = '') {
+    let fullText = '';
+    let thoughts = '';
+    let sentThoughts = 0; // Thought characters the caller already has - kept across restarts
+    let usage = null;
+    let safetyRatings = [];
+    let finishReason = null;
+    const functionCalls = [];
+    const modelParts = [];
+
+    let opened = await this.openRequest(request, settings, model, 'streamGenerateContent?alt=sse', failover);
+    let reader = opened.response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      while (true) {
+        let done = false;
+        let events = [];
+        try {
+          const read = await reader.read();
+          done = read.done;
+          if (!done) {
+            buffer += decoder.decode(read.value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || ''; // Keep incomplete line in buffer
+            events = this.parseStreamLines(lines);
+          }
+        } catch (error) {
+          // Nothing has reached the caller yet - restart the stream, on another key if possible
+          if (fullText || functionCalls.length > 0) throw error;
+
+          if (error.name !== 'AbortError') {
+            this.reportKeyResult(opened.keyData, error);
+          }
+          this.releaseSlot(opened.keyData);
+          await this.prepareRetry(request, error, failover);
+          reader.releaseLock();
+          opened = await this.openRequest(opened.request, settings, model, 'streamGenerateContent?alt=sse', failover);
+          reader = opened.response.body.getReader();
+          buffer = '';
+          thoughts = '';
+          usage = null;
+          safetyRatings = [];
+          finishReason = null;
+          modelParts.length = 0;
+          continue;
+        }
+
+        if (done) break;
+
+        for (const data of events) {
+          const chunk = this.parseResponse(data);
+          if (chunk.usage) usage = chunk.usage;
+          if (chunk.finishReason) finishReason = chunk.finishReason;
+          if (chunk.safetyRatings.length > 0) safetyRatings = chunk.safetyRatings;
+
+          const blockError = this.getBlockError({ ...chunk, safetyRatings }, request, previousText + fullText);
+          if (blockError) {
+            this.recordUsage(request, { model, usage, keyData: opened.keyData });
+            throw blockError;
+          }
+          functionCalls.push(...chunk.functionCalls);
+          modelParts.push(...chunk.parts);
+
+          if (chunk.thoughts) {
+            thoughts += chunk.thoughts;
+            // A restarted stream thinks again from the start - only pass on what goes past the thoughts already sent
+            if (thoughts.length > sentThoughts) {
+              yield { text: '', thoughts: thoughts.slice(sentThoughts), fullText, done: false };
+              sentThoughts = thoughts.length;
+            }
+          }
+          if (chunk.text) {
+            fullText += chunk.text;
+            yield { text: chunk.text, fullText, done: false };
+          }
+        }
+      }
+    } finally {
+      reader.releaseLock();
+      this.releaseSlot(opened.keyData, usage);
+      failover.keyData = null; // A continuation needs a new slot
+    }
+
+    this.recordUsage(request, { model, usage, keyData: opened.keyData });
+    yield { text: '', fullText, thoughts, done: true, usage, finishReason, model, functionCalls, modelParts };
+  }
+
+  /**
+   * Parse complete SSE lines into response objects
+   * Throws errors the API sends inside the stream, such as an overloaded model
+   */
+  parseStreamLines(lines) {
+    const events = [];
+
+    for (const line of lines) {
+      if (!line.startsWith('data: ')) continue;
+
+      let data;
+      try {
+        data = JSON.parse(line.slice(6));
+      } catch (parseError) {
+        console.warn('aiFiverr Pipeline: Failed to parse streaming chunk:', parseError);
+        continue;
+      }
+
+      if (data.error) {
+        const error = new Error(`Gemini API error: ${data.error.code} - ${data.error.message}`);
+        error.status = data.error.code;
+        error.retryAfterMs = this.parseRetryAfter(null, data.error.details);
+        throw error;
+      }
+      events.push(data);
+    }
+
+    return events;
+  }
+
+  /**
+   * Stream a response, running tool calls until the model gives a final answer
+   * Yields the stream chunks plus { toolCall: { name, args }, done: false } before each tool runs
+   */
+  async *streamWithTools(request, toolRegistry) {
+    const toolContents = [...(request.toolContents || [])];
+    let totalUsage = { inputTokens: 0, outputTokens: 0, cachedTokens: 0, thoughtsTokens: 0, totalTokens: 0 };
+    let thoughts = '';
+
+    for (let step = 0; step <= this.maxToolSteps; step++) {
+      // The last step runs without tools so the model has to answer
+      const tools = step < this.maxToolSteps ? toolRegistry.getDeclarations() : undefined;
+      let final = null;
+
+      for await (const chunk of this.stream({ ...request, tools, toolContents })) {
+        if (chunk.done) {
+          final = chunk;
+          break;
+        }
+        yield chunk;
+      }
+
+      totalUsage = this.addUsage(totalUsage, final.usage);
+      thoughts += final.thoughts || '';
+
+      if (!final.functionCalls || final.functionCalls.length === 0) {
+        yield { ...final, thoughts, usage: totalUsage };
+        return;
+      }
+
+      const responseParts = [];
+      for (const call of final.functionCalls) {
+        yield { text: '', fullText: final.fullText, done: false, toolCall: call };
+        const response = await toolRegistry.execute(call.name, call.args);
+        responseParts.push({ functionResponse: { id: call.id, name: call.name, response } }); // Chat providers match results to calls by id
+      }
+
+      toolContents.push({ role: 'model', parts: final.modelParts });
+      toolContents.push({ role: 'user', parts: responseParts });
+    }
+  }
+
+  /**
+   * Generate with Ollama in local only mode or with the chat provider picked in settings
+   * Returns null when the request goes to Gemini
+   */
+  async routeToProvider(request, settings) {
+    if (settings.localOnly) {
+      return await this.generateLocal(request);
+    }
+    if (this.chatProviders.includes(settings.provider)) {
+      return await this.generateWithProvider(settings.provider, request);
+    }
+    return null;
+  }
+
+  /**
+   * Chat messages for providers that take a plain message list
+   */
+  buildChatMessages(request) {
+    const messages = [];
+    if (request.systemInstruction) {
+      messages.push({ role: 'system', content: request.systemInstruction });
+    }
+    for (const msg of (request.history || []).slice(-this.historyLimit)) {
+      if (msg.role === 'user') {
+        messages.push({ role: 'user', content: msg.content });
+      } else if (msg.role === 'assistant' || msg.role === 'model') {
+        messages.push({ role: 'assistant', content: msg.content });
+      }
+    }
+    messages.push({ role: 'user', content: request.prompt });
+
+    // Tool steps and continuations are kept in the Gemini format
+    for (const content of request.toolContents || []) {
+      const parts = content.parts || [];
+      const text = parts.filter(part => part.text && !part.thought).map(part => part.text).join('');
+      if (content.role === 'model') {
+        const toolCalls = parts.filter(part => part.functionCall).map(part => ({
+          id: part.functionCall.id,
+          name: part.functionCall.name,
+          args: part.functionCall.args || {}
+        }));
+        messages.push({ role: 'assistant', content: text, toolCalls });
+        continue;
+      }
+
+      for (const part of parts.filter(part => part.functionResponse)) {
+        messages.push({
+          role: 'tool',
+          toolCallId: part.functionResponse.id,
+          name: part.functionResponse.name,
+          content: JSON.stringify(part.functionResponse.response)
+        });
+      }
+      if (text) {
+        messages.push({ role: 'user', content: text });
+      }
+    }
+    return messages;
+  }
+
+  /**
+   * Normalize the { input_tokens, output_tokens } usage of the Ollama and chat provider transports
+   */
+  parseChatUsage(usage) {
+    if (!usage) return null;
+
+    return {
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0,
+      cachedTokens: usage.cached_tokens || 0,
+      totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+    };
+  }
+
+  /**
+   * Generate with the local Ollama server (local only mode)
+   */
+  async generateLocal(request) {
+    if ((request.files || []).length > 0) {
+      console.log('aiFiverr Pipeline: Skipping', request.files.length, 'cloud files in local only mode');
+    }
+
+    const messages = this.buildChatMessages(request);
+    const options = {
+      temperature: request.temperature,
+      maxTokens: request.maxOutputTokens,
+      format: request.responseSchema || undefined
+    };
+
+    let result;
+    if (this.localProvider) {
+      result = await this.localProvider(messages, options);
+    } else if (typeof window !== 'undefined' && window.ollamaClient) {
+      result = await window.ollamaClient.chat(messages, options);
+    } else {
+      throw new Error('Local only mode is enabled but the Ollama client is not available');
+    }
+
+    const usage = this.parseChatUsage(result.usage);
+    this.recordUsage(request, { model: result.model, usage, local: true });
+
+    return {
+      text: result.content,
+      data: request.responseSchema ? this.parseStructured(result.content) : undefined,
+      finishReason: 'STOP',
+      blockReason: null,
+      usage,
+      model: result.model,
+      local: true
+    };
+  }
+
+  /**
+   * Generate with a non-Gemini cloud provider - collects the provider stream, continuations included
+   */
+  async generateWithProvider(provider, request) {
+    let final = null;
+    for await (const chunk of this.streamContinued(request, (current, previousText) => this.streamProviderPart(provider, current, previousText))) {
+      if (chunk.done) final = chunk;
+    }
+
+    if (!final.fullText && final.functionCalls.length === 0) {
+      if (final.finishReason === 'MAX_TOKENS') {
+        const error = new Error('The model used its whole output limit before answering. Raise Max Tokens or lower the thinking budget.');
+        error.finishReason = 'MAX_TOKENS';
+        throw error;
+      }
+      throw new Error(`No response generated from ${provider}`);
+    }
+
+    return {
+      text: final.fullText,
+      thoughts: final.thoughts,
+      data: request.responseSchema ? this.parseStructured(final.fullText) : undefined,
+      functionCalls: final.functionCalls,
+      parts: final.modelParts,
+      finishReason: final.finishReason,
+      blockReason: null,
+      usage: final.usage,
+      model: final.model,
+      provider
+    };
+  }
+
+  /**
+   * Stream one request to a non-Gemini cloud provider through the background chat transport
+   * The provider's own model setting applies - Gemini files and caches are skipped
+   */
+  async *streamProviderPart(provider, request, previousText = '') {
+    if ((request.files || []).length > 0) {
+      console.log('aiFiverr Pipeline: Skipping', request.files.length, 'Gemini files for provider', provider);
+    }
+
+    const chatRequest = {
+      messages: this.buildChatMessages(request),
+      tools: request.tools,
+      temperature: request.temperature,
+      maxTokens: request.maxOutputTokens,
+      thinking: request.thinking,
+      format: request.responseSchema || undefined
+    };
+    const events = this.chatProvider
+      ? this.chatProvider(provider, { ...chatRequest, signal: request.signal })
+      : this.openProviderStream(provider, chatRequest, request.signal);
+
+    let fullText = '';
+    let thoughts = '';
+    let final = null;
+    try {
+      for await (const event of events) {
+        if (event.done) {
+          final = event;
+        } else if (event.thoughts) {
+          thoughts += event.thoughts;
+          if (request.includeThoughts) {
+            yield { text: '', thoughts: event.thoughts, fullText, done: false };
+          }
+        } else if (event.text) {
+          fullText += event.text;
+          yield { text: event.text, fullText, done: false };
+        }
+      }
+    } catch (error) {
+      error.partialText = previousText + fullText;
+      throw error;
+    }
+    if (!final) {
+      throw new Error(`The ${provider} response ended unexpectedly`);
+    }
+
+    const usage = this.parseChatUsage(final.usage);
+    this.recordUsage(request, { model: final.model, usage, provider });
+
+    const functionCalls = final.toolCalls || [];
+    const modelParts = [
+      ...(fullText ? [{ text: fullText }] : []),
+      ...functionCalls.map(call => ({ functionCall: call }))
+    ];
+    yield { text: '', fullText, thoughts, done: true, usage, finishReason: final.finishReason, model: final.model, functionCalls, modelParts, provider };
+  }
+
+  /**
+   * Provider stream events from the background over a PROVIDER_STREAM port (content scripts)
+   */
+  async *openProviderStream(provider, chatRequest, signal) {
+    if (signal?.aborted) {
+      throw new DOMException('Request aborted', 'AbortError');
+    }
+
+    const port = chrome.runtime.connect({ name: 'PROVIDER_STREAM' });
+    const queue = [];
+    let wake = null;
+    let connected = true;
+    const push = (message) => {
+      queue.push(message);
+      if (wake) {
+        wake();
+        wake = null;
+      }
+    };
+    const onAbort = () => push({ aborted: true });
+
+    port.onMessage.addListener(push);
+    port.onDisconnect.addListener(() => {
+      connected = false;
+      push(null);
+    });
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      port.postMessage({ provider, ...chatRequest });
+      while (true) {
+        if (queue.length === 0) {
+          await new Promise(resolve => { wake = resolve; });
+        }
+        const message = queue.shift();
+
+        if (!message) {
+          throw new Error(`Lost the connection to the background script during the ${provider} request`);
+        }
+        if (message.aborted) {
+          throw new DOMException('Request aborted', 'AbortError');
+        }
+        if (message.error) {
+          const error = new Error(message.error.message);
+          error.status = message.error.status;
+          error.finishReason = message.error.finishReason || null;
+          throw error;
+        }
+
+        yield message.event;
+        if (message.event.done) return;
+      }
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      if (connected) port.disconnect(); // Stops the background request too
+    }
+  }
+}
+
+// Initialize global instance (content scripts only - the background script creates its own)
+function initializeRequestPipeline() {
+  if (!window.requestPipeline) {
+    window.requestPipeline = new AIRequestPipeline();
+    window.requestPipeline.init();
+    console.log('aiFiverr: Request Pipeline created and initialized');
+  }
+  return window.requestPipeline;
+}
+
+if (typeof window !== 'undefined') {
+  window.AIRequestPipeline = AIRequestPipeline;
+  window.initializeRequestPipeline = initializeRequestPipeline;
+}
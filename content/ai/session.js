@@ -85,35 +85,44 @@ class ChatSession {
   }
 
   /**
-   * Get conversation context for API with intelligent optimization
+   * Estimate tokens for context budgeting
    */
-  getConversationContext(maxLength = 10000) {
+  estimateTokens(text) {
+    return window.tokenBudgeter ? window.tokenBudgeter.estimateTokens(text) : Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Get conversation context for API with intelligent optimization (maxTokens is a token budget)
+   */
+  getConversationContext(maxTokens = 2500) {
     let context = '';
-    let totalLength = 0;
+    let totalTokens = 0;
 
     // Start from the most recent messages and work backwards
     for (let i = this.messages.length - 1; i >= 0; i--) {
       const message = this.messages[i];
       const messageText = `${message.role}: ${message.content}\n\n`;
+      const messageTokens = this.estimateTokens(messageText);
 
-      if (totalLength + messageText.length > maxLength) {
+      if (totalTokens + messageTokens > maxTokens) {
         break;
       }
 
       context = messageText + context;
-      totalLength += messageText.length;
+      totalTokens += messageTokens;
     }
 
     // Add Fiverr context if available and space permits
     if (this.metadata.fiverrContext) {
       const fiverrContextText = `Fiverr Context: ${this.metadata.fiverrContext}\n\n`;
-      if (totalLength + fiverrContextText.length <= maxLength) {
+      if (totalTokens + this.estimateTokens(fiverrContextText) <= maxTokens) {
         context = fiverrContextText + context;
       } else {
         // Try to add a truncated version
-        const availableSpace = maxLength - totalLength - 50; // Leave some buffer
-        if (availableSpace > 100) {
-          const truncatedContext = this.metadata.fiverrContext.substring(0, availableSpace) + '...';
+        const availableTokens = maxTokens - totalTokens - 15; // Leave some buffer
+        if (availableTokens > 25) {
+          const availableChars = Math.floor(this.metadata.fiverrContext.length * availableTokens / this.estimateTokens(this.metadata.fiverrContext));
+          const truncatedContext = this.metadata.fiverrContext.substring(0, availableChars) + '...';
           context = `Fiverr Context (truncated): ${truncatedContext}\n\n` + context;
         }
       }
@@ -125,7 +134,7 @@ class ChatSession {
   /**
    * Get optimized context based on conversation analysis
    */
-  getOptimizedContext(maxLength = 10000) {
+  getOptimizedContext(maxTokens = 2500) {
     // If we have Fiverr context, try to optimize it
     if (this.metadata.fiverrContext && window.fiverrExtractor) {
       try {
@@ -139,7 +148,7 @@ class ChatSession {
             const optimizedFiverrContext = window.fiverrExtractor.getIntelligentContext(
               conversationData,
               analysis.strategy,
-              Math.floor(maxLength * 0.7) // Reserve 30% for chat history
+              Math.floor(maxTokens * 0.7) // Reserve 30% for chat history
             );
 
             // Update metadata with optimized context
@@ -153,7 +162,7 @@ class ChatSession {
       }
     }
 
-    return this.getConversationContext(maxLength);
+    return this.getConversationContext(maxTokens);
   }
 
   /**
@@ -0,0 +1,320 @@
+/**
+ * Token Budgeter for aiFiverr Extension
+ * Counts tokens with the Gemini countTokens endpoint and splits the model's context window
+ * between the system prompt, knowledge base files, Fiverr conversation and chat history
+ */
+
+class TokenBudgeter {
+  constructor() {
+    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
+    this.charsPerToken = 4; // Local estimate when countTokens is unavailable
+    this.defaultInputLimit = 1048576;
+    this.localInputLimit = 4096; // Ollama default context size
+    this.outputReserve = 8192;
+    // Share of the window left after the system prompt and prompt text
+    this.shares = { files: 0.5, conversation: 0.35, history: 0.15 };
+    this.modelLimits = new Map(); // model -> { inputTokenLimit, outputTokenLimit }
+    this.countCache = new Map(); // text hash or file URI -> tokens
+    this.maxCacheEntries = 500;
+    this.initialized = false;
+  }
+
+  async init() {
+    this.initialized = true;
+    console.log('aiFiverr: Token Budgeter initialized');
+  }
+
+  /**
+   * Get the shared request pipeline (settings and API keys)
+   */
+  getPipeline() {
+    return window.requestPipeline || window.initializeRequestPipeline();
+  }
+
+  /**
+   * Estimate tokens locally from character count
+   */
+  estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(String(text).length / this.charsPerToken);
+  }
+
+  /**
+   * Stable string hash for the count cache
+   */
+  hash(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return `${text.length}:${(hash >>> 0).toString(36)}`;
+  }
+
+  /**
+   * Remember a count, dropping the oldest entries when the cache is full
+   */
+  cacheCount(cacheKey, tokens) {
+    if (this.countCache.size >= this.maxCacheEntries) {
+      this.countCache.delete(this.countCache.keys().next().value);
+    }
+    this.countCache.set(cacheKey, tokens);
+  }
+
+  /**
+   * Get input and output token limits for a model
+   */
+  async getModelLimits(model, localOnly = false) {
+    if (localOnly) {
+      return { inputTokenLimit: this.localInputLimit, outputTokenLimit: this.localInputLimit };
+    }
+    if (this.modelLimits.has(model)) {
+      return this.modelLimits.get(model);
+    }
+
+    // The background model catalog already knows the limits of listed models
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_MODEL_CATALOG' });
+      const info = response?.success ? response.data.models.find(entry => entry.name === model) : null;
+      if (info?.inputTokenLimit) {
+        const limits = {
+          inputTokenLimit: info.inputTokenLimit,
+          outputTokenLimit: info.outputTokenLimit || this.outputReserve
+        };
+        this.modelLimits.set(model, limits);
+        return limits;
+      }
+    } catch (error) {
+      console.warn('aiFiverr Token Budget: Model catalog unavailable:', error.message);
+    }
+
+    try {
+      const keyData = await this.getPipeline().acquireKey();
+      const response = await fetch(`${this.baseUrl}/models/${model}?key=${keyData.key}`);
+      if (!response.ok) {
+        throw new Error(`Model lookup failed: ${response.status}`);
+      }
+
+      const info = await response.json();
+      const limits = {
+        inputTokenLimit: info.inputTokenLimit || this.defaultInputLimit,
+        outputTokenLimit: info.outputTokenLimit || this.outputReserve
+      };
+      this.modelLimits.set(model, limits);
+      return limits;
+    } catch (error) {
+      console.warn('aiFiverr Token Budget: Using default limits for', model, error.message);
+      return { inputTokenLimit: this.defaultInputLimit, outputTokenLimit: this.outputReserve };
+    }
+  }
+
+  /**
+   * Count tokens for parts with countTokens
+   * Returns null when the API can't be used so callers fall back to estimates
+   */
+  async countParts(parts, model) {
+    try {
+      const keyData = await this.getPipeline().acquireKey();
+      const response = await fetch(`${this.baseUrl}/models/${model}:countTokens?key=${keyData.key}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ contents: [{ role: 'user', parts }] })
+      });
+      if (!response.ok) {
+        throw new Error(`countTokens failed: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.totalTokens || 0;
+    } catch (error) {
+      console.warn('aiFiverr Token Budget: countTokens unavailable, estimating:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Count tokens in text
+   * Returns { tokens, exact }
+   */
+  async countText(text, model, localOnly = false) {
+    if (!text) return { tokens: 0, exact: true };
+    if (localOnly) return { tokens: this.estimateTokens(text), exact: false };
+
+    const cacheKey = `${model}:${this.hash(text)}`;
+    if (this.countCache.has(cacheKey)) {
+      return { tokens: this.countCache.get(cacheKey), exact: true };
+    }
+
+    const tokens = await this.countParts([{ text }], model);
+    if (tokens === null) {
+      return { tokens: this.estimateTokens(text), exact: false };
+    }
+
+    this.cacheCount(cacheKey, tokens);
+    return { tokens, exact: true };
+  }
+
+  /**
+   * Count tokens in knowledge base files (counted once per file URI)
+   * Returns { tokens, exact }
+   */
+  async countFiles(files, model, localOnly = false) {
+    // Local only mode never sends cloud files
+    if (localOnly || !files || files.length === 0) return { tokens: 0, exact: true };
+
+    let tokens = 0;
+    let exact = true;
+
+    for (const file of files) {
+      const fileUri = file.geminiUri || file.fileUri;
+      if (!fileUri) continue;
+
+      const cacheKey = `${model}:${fileUri}`;
+      if (this.countCache.has(cacheKey)) {
+        tokens += this.countCache.get(cacheKey);
+        continue;
+      }
+
+      const count = await this.countParts([{
+        fileData: { fileUri, mimeType: file.mimeType || file.geminiMimeType || 'application/octet-stream' }
+      }], model);
+
+      if (count === null) {
+        tokens += file.size ? Math.ceil(file.size / this.charsPerToken) : 0;
+        exact = false;
+      } else {
+        this.cacheCount(cacheKey, count);
+        tokens += count;
+      }
+    }
+
+    return { tokens, exact };
+  }
+
+  /**
+   * Resolve the input window for a model, capped by the maxContextLength setting
+   */
+  async getInputWindow(model, settings) {
+    const limits = await this.getModelLimits(model, settings.localOnly);
+    const cap = Number(settings.maxContextLength) > 0 ? Number(settings.maxContextLength) : Infinity;
+    return Math.min(limits.inputTokenLimit, cap);
+  }
+
+  /**
+   * Token budget for Fiverr conversation context, before the rest of the request is known
+   */
+  async getConversationBudget(model = null) {
+    const pipeline = this.getPipeline();
+    const settings = await pipeline.getSettings();
+    const inputWindow = await this.getInputWindow(model || pipeline.resolveModel({}, settings), settings);
+    return Math.floor(inputWindow * this.shares.conversation);
+  }
+
+  /**
+   * Plan how a request uses the context window
+   *
+   * Returns { model, inputWindow, sections: { system, prompt, files, conversation, history }, totalTokens, fits, exact }
+   * where each section is { tokens, limit }
+   */
+  async planContext({ model = null, systemInstruction = '', prompt = '', files = [], conversation = '', history = [] } = {}) {
+    const pipeline = this.getPipeline();
+    const settings = await pipeline.getSettings();
+    const resolvedModel = model || pipeline.resolveModel({}, settings);
+    const localOnly = !!settings.localOnly;
+
+    const inputWindow = await this.getInputWindow(resolvedModel, settings);
+    const historyText = history.map(message => message.content || '').join('\n');
+
+    const [system, promptCount, filesCount, conversationCount, historyCount] = await Promise.all([
+      this.countText(systemInstruction, resolvedModel, localOnly),
+      this.countText(prompt, resolvedModel, localOnly),
+      this.countFiles(files, resolvedModel, localOnly),
+      this.countText(conversation, resolvedModel, localOnly),
+      this.countText(historyText, resolvedModel, localOnly)
+    ]);
+
+    // Fixed parts first, then split what is left - unused file space rolls over
+    const available = Math.max(0, inputWindow - system.tokens - promptCount.tokens);
+    const filesLimit = Math.floor(available * this.shares.files);
+    const rest = available - Math.min(filesCount.tokens, filesLimit);
+    const conversationShare = this.shares.conversation / (this.shares.conversation + this.shares.history);
+    const conversationLimit = Math.floor(rest * conversationShare);
+    const historyLimit = rest - Math.min(conversationCount.tokens, conversationLimit);
+
+    const sections = {
+      system: { tokens: system.tokens, limit: null },
+      prompt: { tokens: promptCount.tokens, limit: null },
+      files: { tokens: filesCount.tokens, limit: filesLimit },
+      conversation: { tokens: conversationCount.tokens, limit: conversationLimit },
+      history: { tokens: historyCount.tokens, limit: historyLimit }
+    };
+    const totalTokens = Object.values(sections).reduce((sum, section) => sum + section.tokens, 0);
+
+    return {
+      model: resolvedModel,
+      inputWindow,
+      sections,
+      totalTokens,
+      fits: totalTokens <= inputWindow,
+      exact: [system, promptCount, filesCount, conversationCount, historyCount].every(count => count.exact)
+    };
+  }
+
+  /**
+   * Keep the most recent chat messages that fit in a token budget
+   */
+  trimHistory(history, maxTokens) {
+    const kept = [];
+    let used = 0;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      const tokens = this.estimateTokens(history[i].content);
+      if (used + tokens > maxTokens) break;
+      kept.unshift(history[i]);
+      used += tokens;
+    }
+
+    return kept;
+  }
+
+  /**
+   * Trim chat history to the plan's history budget and update the plan to match
+   */
+  fitHistory(plan, history) {
+    const section = plan.sections.history;
+    if (section.tokens <= section.limit) return history;
+
+    const trimmed = this.trimHistory(history, section.limit);
+    const tokens = this.estimateTokens(trimmed.map(message => message.content || '').join('\n'));
+    plan.totalTokens += tokens - section.tokens;
+    section.tokens = tokens;
+    plan.fits = plan.totalTokens <= plan.inputWindow;
+    plan.exact = false;
+    return trimmed;
+  }
+
+  /**
+   * Format a plan as a one-line breakdown for the UI
+   */
+  formatPlan(plan) {
+    const format = tokens => tokens.toLocaleString();
+    const { system, prompt, files, conversation, history } = plan.sections;
+    const approx = plan.exact ? '' : '~';
+
+    return `System ${approx}${format(system.tokens + prompt.tokens)} · KB files ${approx}${format(files.tokens)} · ` +
+      `Conversation ${approx}${format(conversation.tokens)} · History ${approx}${format(history.tokens)} = ` +
+      `${approx}${format(plan.totalTokens)} / ${format(plan.inputWindow)} tokens`;
+  }
+}
+
+// Initialize global instance
+function initializeTokenBudgeter() {
+  if (!window.tokenBudgeter) {
+    window.tokenBudgeter = new TokenBudgeter();
+    window.tokenBudgeter.init();
+    console.log('aiFiverr: Token Budgeter created and initialized');
+  }
+  return window.tokenBudgeter;
+}
+
+// Export the initialization function
+window.initializeTokenBudgeter = initializeTokenBudgeter;
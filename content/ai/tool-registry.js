@@ -0,0 +1,235 @@
+/**
+ * Tool Registry for aiFiverr Extension
+ * Tools the model can call during chat to read Fiverr pages and the knowledge base
+ */
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map(); // name -> { name, description, parameters, handler }
+    this.maxResultLength = 8000;
+    this.initialized = false;
+  }
+
+  async init() {
+    try {
+      this.registerDefaultTools();
+      this.initialized = true;
+      console.log('aiFiverr: Tool Registry initialized with', this.tools.size, 'tools');
+    } catch (error) {
+      console.error('aiFiverr: Tool Registry initialization error:', error);
+      this.initialized = true;
+    }
+  }
+
+  /**
+   * Register a tool
+   * tool: { name, description, parameters (JSON schema), handler(args) }
+   */
+  register(tool) {
+    if (!tool?.name || typeof tool.handler !== 'function') {
+      throw new Error('Tool requires a name and a handler');
+    }
+    this.tools.set(tool.name, tool);
+  }
+
+  /**
+   * Remove a tool
+   */
+  unregister(name) {
+    this.tools.delete(name);
+  }
+
+  /**
+   * Get tool declarations for a model request
+   */
+  getDeclarations() {
+    return Array.from(this.tools.values()).map(({ name, description, parameters }) => ({
+      name,
+      description,
+      parameters
+    }));
+  }
+
+  /**
+   * Execute a tool call - errors are returned to the model instead of thrown
+   */
+  async execute(name, args = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { error: `Unknown tool: ${name}` };
+    }
+
+    try {
+      console.log('aiFiverr Tools: Executing', name, args);
+      const result = await tool.handler(args || {});
+      return this.limitResult(result ?? { result: null });
+    } catch (error) {
+      console.error('aiFiverr Tools: Tool failed:', name, error);
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Keep tool results within a reasonable size for the next model turn
+   */
+  limitResult(result) {
+    const value = typeof result === 'object' ? result : { result };
+    const json = JSON.stringify(value);
+    if (json.length <= this.maxResultLength) return value;
+
+    return {
+      truncated: true,
+      content: json.substring(0, this.maxResultLength)
+    };
+  }
+
+  /**
+   * Register the built-in Fiverr and knowledge base tools
+   */
+  registerDefaultTools() {
+    this.register({
+      name: 'get_current_conversation',
+      description: 'Get the Fiverr conversation open on the current inbox page, with the most recent messages',
+      parameters: {
+        type: 'object',
+        properties: {
+          maxTokens: { type: 'integer', description: 'Maximum tokens of conversation text to return (default 1500)' }
+        }
+      },
+      handler: async ({ maxTokens }) => {
+        if (!window.fiverrExtractor || !isFiverrConversationPage()) {
+          return { error: 'No Fiverr conversation is open on this page' };
+        }
+
+        const conversation = await window.fiverrExtractor.extractConversation();
+        if (!conversation) {
+          return { error: 'Could not extract the conversation' };
+        }
+
+        return {
+          username: conversation.username || window.fiverrExtractor.extractUsernameFromUrl(),
+          messageCount: conversation.messages?.length || 0,
+          conversation: window.fiverrExtractor.getRecentContext(conversation, maxTokens || 1500)
+        };
+      }
+    });
+
+    this.register({
+      name: 'get_brief_details',
+      description: 'Get the title, description, requirements, budget, deadline and skills of the Fiverr brief open on the current page',
+      parameters: { type: 'object', properties: {} },
+      handler: async () => {
+        if (!window.fiverrExtractor || !isFiverrBriefPage()) {
+          return { error: 'No Fiverr brief is open on this page' };
+        }
+
+        return window.fiverrExtractor.extractBriefDetails() || { error: 'Could not extract the brief' };
+      }
+    });
+
+    this.register({
+      name: 'search_knowledge_base',
+      description: 'Search the user\'s knowledge base variables (bio, services, portfolio, etc.) and file names for a query',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Words to search for, e.g. "logo design portfolio"' }
+        },
+        required: ['query']
+      },
+      handler: async ({ query }) => {
+        const kb = window.knowledgeBaseManager;
+        if (!kb) {
+          return { error: 'Knowledge base is not available' };
+        }
+
+        const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const score = text => terms.filter(term => text.toLowerCase().includes(term)).length;
+
+        const variables = Object.entries(kb.getAllVariables())
+          .map(([key, value]) => ({ key, value: String(value), score: score(`${key} ${value}`) }))
+          .filter(match => match.score > 0)
+          .sort((a, b) => b.score - a.score)
+          .slice(0, 5)
+          .map(({ key, value }) => ({ key, value }));
+
+        let files = [];
+        const filesResult = await kb.getKnowledgeBaseFilesFromBackground();
+        if (filesResult.success && Array.isArray(filesResult.data)) {
+          files = filesResult.data
+            .filter(file => file.name && score(file.name) > 0)
+            .slice(0, 10)
+            .map(file => ({ name: file.name, mimeType: file.mimeType }));
+        }
+
+        return { variables, files };
+      }
+    });
+
+    this.register({
+      name: 'list_contacts',
+      description: 'List the user\'s stored Fiverr inbox contacts, most recent first',
+      parameters: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', description: 'Maximum number of contacts to return (default 20)' }
+        }
+      },
+      handler: async ({ limit }) => {
+        if (!window.fiverrExtractor) {
+          return { error: 'Fiverr extractor is not available' };
+        }
+
+        const contacts = await window.fiverrExtractor.getStoredContacts();
+        return {
+          total: contacts.length,
+          contacts: contacts
+            .slice()
+            .sort((a, b) => (b.recentMessageDate || 0) - (a.recentMessageDate || 0))
+            .slice(0, limit || 20)
+            .map(contact => ({
+              username: contact.username,
+              lastMessage: contact.recentMessageDate ? new Date(contact.recentMessageDate).toLocaleString() : null
+            }))
+        };
+      }
+    });
+
+    this.register({
+      name: 'get_variable',
+      description: 'Get the value of a knowledge base variable such as bio, services or portfolio',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Variable name' }
+        },
+        required: ['name']
+      },
+      handler: async ({ name }) => {
+        const kb = window.knowledgeBaseManager;
+        if (!kb) {
+          return { error: 'Knowledge base is not available' };
+        }
+
+        const value = kb.getVariable(name);
+        if (!value) {
+          return { error: `Variable '${name}' not found`, available: Object.keys(kb.getAllVariables()) };
+        }
+        return { name, value };
+      }
+    });
+  }
+}
+
+// Initialize global instance
+function initializeToolRegistry() {
+  if (!window.toolRegistry) {
+    window.toolRegistry = new ToolRegistry();
+    window.toolRegistry.init();
+    console.log('aiFiverr: Tool Registry created and initialized');
+  }
+  return window.toolRegistry;
+}
+
+// Export the initialization function
+window.initializeToolRegistry = initializeToolRegistry;
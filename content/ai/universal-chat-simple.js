@@ -96,19 +96,17 @@ class AIAssistanceChat {
         }
       }
 
-      // Try to get from storage manager
-      if (window.storageManager) {
-        const settings = await window.storageManager.getSettings();
-        if (settings && settings.apiKeys && settings.apiKeys.length > 0) {
-          this.apiKey = settings.apiKeys[0]; // Use first available key
-          console.log('AI Assistance: API key loaded from settings');
-          return;
-        }
+      // Saved API keys are only readable through the background key vault
+      const response = await chrome.runtime.sendMessage({ type: 'GET_API_KEY' });
+      if (response?.success && response.data?.key) {
+        this.apiKey = response.data.key;
+        console.log('AI Assistance: API key loaded from key vault');
+        return;
       }
 
       // Try Chrome storage for direct API key
       if (chrome.storage) {
-        const result = await chrome.storage.local.get(['GOOGLE_API_KEY', 'apiKeys']);
+        const result = await chrome.storage.local.get(['GOOGLE_API_KEY']);
 
         // Check for direct Google API key
         if (result.GOOGLE_API_KEY) {
@@ -116,13 +114,6 @@ class AIAssistanceChat {
           console.log('AI Assistance: API key loaded from direct storage');
           return;
         }
-
-        // Check for API keys array
-        if (result.apiKeys && result.apiKeys.length > 0) {
-          this.apiKey = result.apiKeys[0];
-          console.log('AI Assistance: API key loaded from apiKeys array');
-          return;
-        }
       }
 
       // Try localStorage as fallback
@@ -442,16 +433,6 @@ class AIAssistanceChat {
 
     if (!message || this.isStreaming) return;
 
-    // Try to reload API key if not available
-    if (!this.apiKey) {
-      await this.loadApiKey();
-    }
-
-    if (!this.apiKey) {
-      this.addMessage('system', 'No API key found. Please set your Google API key in the extension settings and refresh the page.');
-      return;
-    }
-
     // Clear input
     input.value = '';
     input.style.height = 'auto';
@@ -461,18 +442,7 @@ class AIAssistanceChat {
 
     // Add loading message
     const loadingId = this.addMessage('assistant', 'Thinking...');
-
-    // Try enhanced streaming first
-    try {
-      if (!window.enhancedGeminiClient) {
-        initializeEnhancedGeminiClient();
-      }
-
-      await this.sendMessageWithEnhancedStreaming(message, loadingId);
-      return;
-    } catch (error) {
-      console.log('aiFiverr: Enhanced streaming failed, falling back to regular:', error);
-    }
+    let messageWithFiles = message;
 
     try {
       this.isStreaming = true;
@@ -485,7 +455,7 @@ class AIAssistanceChat {
       this.currentAbortController = new AbortController();
 
       // Prepare message with attached files
-      const messageWithFiles = await this.prepareMessageWithFiles(message);
+      messageWithFiles = await this.prepareMessageWithFiles(message);
 
       // Call Gemini API with streaming
       await this.callGeminiAPIStreaming(messageWithFiles, loadingId);
@@ -498,17 +468,7 @@ class AIAssistanceChat {
 
     } catch (error) {
       console.error('AI Assistance: Chat error:', error);
-      let errorMessage = 'Sorry, I encountered an error. Please try again.';
-
-      if (error.name === 'AbortError') {
-        errorMessage = 'Request was cancelled.';
-      } else if (error.message.includes('API key')) {
-        errorMessage = 'API key issue. Please check your settings and try again.';
-      } else if (error.message.includes('quota')) {
-        errorMessage = 'API quota exceeded. Please try again later or check your API key.';
-      }
-
-      this.updateMessage(loadingId, errorMessage);
+      this.showMessageError(loadingId, error, messageWithFiles);
     } finally {
       this.isStreaming = false;
       this.currentAbortController = null;
@@ -519,257 +479,182 @@ class AIAssistanceChat {
     }
   }
 
-  async callGeminiAPI(message) {
-    // Build conversation history for context
-    const contents = [];
-
-    // Add conversation history (last 10 messages for context)
-    const recentMessages = this.messages.slice(-10);
-    for (const msg of recentMessages) {
-      if (msg.role === 'user') {
-        contents.push({
-          role: 'user',
-          parts: [{ text: msg.content }]
-        });
-      } else if (msg.role === 'assistant') {
-        contents.push({
-          role: 'model',
-          parts: [{ text: msg.content }]
-        });
-      }
-    }
-
-    // Prepare parts for current message
-    const currentMessageParts = [{ text: message }];
-
-    // Add knowledge base files if available
-    let knowledgeBaseFiles = [];
-    if (window.knowledgeBaseManager) {
-      try {
-        const allFiles = await window.knowledgeBaseManager.getKnowledgeBaseFiles();
-        knowledgeBaseFiles = allFiles.filter(file => file.geminiUri);
-        console.log('aiFiverr Fallback Non-Streaming: Found', knowledgeBaseFiles.length, 'knowledge base files with geminiUri');
-
-        // Add file parts to current message
-        knowledgeBaseFiles.forEach(file => {
-          console.log('aiFiverr Fallback Non-Streaming: Adding file to request:', file.name, file.geminiUri);
-          currentMessageParts.push({
-            fileData: {
-              mimeType: file.mimeType || 'application/octet-stream',
-              fileUri: file.geminiUri
-            }
-          });
-        });
-      } catch (error) {
-        console.warn('aiFiverr Fallback Non-Streaming: Failed to get knowledge base files:', error);
-      }
+  /**
+   * Show why a request failed in its message, with a retry button when Gemini blocked it for safety or recitation
+   */
+  showMessageError(messageId, error, message) {
+    let errorMessage = 'Sorry, I encountered an error. Please try again.';
+
+    if (error.name === 'AbortError') {
+      errorMessage = 'Request was cancelled.';
+    } else if (error.blocked) {
+      errorMessage = `${error.message}.`;
+      if (error.partialText) {
+        errorMessage = `${error.partialText}\n\n⚠️ ${errorMessage}`;
+      }
+    } else if (error.message.includes('API key')) {
+      errorMessage = 'API key issue. Please check your settings and try again.';
+    } else if (error.message.includes('quota')) {
+      errorMessage = 'API quota exceeded. Please try again later or check your API key.';
+    } else if (error.message.includes('Ollama') || error.message.includes('Local')) {
+      errorMessage = `Local model error: ${error.message}`;
+    } else if (error.message.includes('output limit')) {
+      errorMessage = error.message;
     }
 
-    // Add current message with files
-    contents.push({
-      role: 'user',
-      parts: currentMessageParts
-    });
+    this.updateMessage(messageId, errorMessage);
 
-    // Get model from settings or use fallback
-    const modelName = await this.getCurrentModel();
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent?key=${this.apiKey}`;
-
-    const body = {
-      contents: contents,
-      generationConfig: {
-        temperature: this.modelSettings?.temperature || 0.7,
-        maxOutputTokens: this.modelSettings?.maxTokens || 4096,
-        topP: 0.8,
-        topK: 40
-      },
-      safetySettings: [
-        {
-          category: "HARM_CATEGORY_HARASSMENT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE"
-        },
-        {
-          category: "HARM_CATEGORY_HATE_SPEECH",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE"
-        }
-      ]
-    };
-
-    console.log('aiFiverr Fallback Non-Streaming: API request with', knowledgeBaseFiles.length, 'knowledge base files');
+    const messageDiv = document.getElementById(messageId);
+    if (!error.blocked?.canRetry || !messageDiv) return;
 
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(body)
+    const retryBtn = document.createElement('button');
+    retryBtn.textContent = '↻ Retry with relaxed safety settings';
+    retryBtn.style.cssText = `
+      margin-top: 8px; padding: 4px 10px; background: #fff3e0; border: 1px solid #ffe0b2;
+      border-radius: 6px; color: #e65100; cursor: pointer; font-size: 12px;
+    `;
+    retryBtn.addEventListener('click', () => {
+      retryBtn.remove();
+      this.retryMessage(message, messageId, { relaxSafety: true });
     });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      const errorMessage = errorData.error?.message || `${response.status} ${response.statusText}`;
-      throw new Error(`API Error: ${errorMessage}`);
-    }
-
-    const data = await response.json();
-
-    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-      throw new Error('No valid response generated. Please try again.');
-    }
-
-    const responseText = data.candidates[0].content.parts[0].text;
-
-    // Store message in history
-    this.messages.push({ role: 'user', content: message });
-    this.messages.push({ role: 'assistant', content: responseText });
-
-    return responseText;
+    messageDiv.querySelector('.message-wrapper').appendChild(retryBtn);
   }
 
-  async callGeminiAPIStreaming(message, messageId) {
-    // Build conversation history for context
-    const contents = [];
+  /**
+   * Regenerate a failed reply in place
+   */
+  async retryMessage(message, messageId, options = {}) {
+    if (this.isStreaming) return;
 
-    // Add system prompt if available
-    if (this.modelSettings?.systemPrompt) {
-      contents.push({
-        role: 'user',
-        parts: [{ text: `System: ${this.modelSettings.systemPrompt}` }]
-      });
-      contents.push({
-        role: 'model',
-        parts: [{ text: 'I understand. I will follow these instructions.' }]
-      });
-    }
+    const abortBtn = this.container.querySelector('.abort-btn');
+    try {
+      this.isStreaming = true;
+      abortBtn.style.display = 'block';
+      this.currentAbortController = new AbortController();
+      this.updateMessage(messageId, 'Thinking...');
 
-    // Add conversation history (last 10 messages for context)
-    const recentMessages = this.messages.slice(-10);
-    for (const msg of recentMessages) {
-      if (msg.role === 'user') {
-        contents.push({
-          role: 'user',
-          parts: [{ text: msg.content }]
-        });
-      } else if (msg.role === 'assistant') {
-        contents.push({
-          role: 'model',
-          parts: [{ text: msg.content }]
-        });
-      }
+      await this.callGeminiAPIStreaming(message, messageId, options);
+    } catch (error) {
+      console.error('AI Assistance: Retry error:', error);
+      this.showMessageError(messageId, error, message);
+    } finally {
+      this.isStreaming = false;
+      this.currentAbortController = null;
+      abortBtn.style.display = 'none';
     }
+  }
 
-    // Prepare parts for current message
-    const currentMessageParts = [{ text: message }];
-
+  /**
+   * Build a pipeline request from the chat state and model settings
+   * options.relaxSafety retries a request Gemini blocked
+   */
+  async buildPipelineRequest(message, options = {}) {
     // Add knowledge base files if available
     let knowledgeBaseFiles = [];
     if (window.knowledgeBaseManager) {
       try {
         const allFiles = await window.knowledgeBaseManager.getKnowledgeBaseFiles();
         knowledgeBaseFiles = allFiles.filter(file => file.geminiUri);
-        console.log('aiFiverr Fallback: Found', knowledgeBaseFiles.length, 'knowledge base files with geminiUri');
-
-        // Add file parts to current message
-        knowledgeBaseFiles.forEach(file => {
-          console.log('aiFiverr Fallback: Adding file to request:', file.name, file.geminiUri);
-          currentMessageParts.push({
-            fileData: {
-              mimeType: file.mimeType || 'application/octet-stream',
-              fileUri: file.geminiUri
-            }
-          });
-        });
+        console.log('AI Assistance: Found', knowledgeBaseFiles.length, 'knowledge base files with geminiUri');
       } catch (error) {
-        console.warn('aiFiverr Fallback: Failed to get knowledge base files:', error);
+        console.warn('AI Assistance: Failed to get knowledge base files:', error);
       }
     }
 
-    // Add current message with files
-    contents.push({
-      role: 'user',
-      parts: currentMessageParts
-    });
+    const model = await this.getCurrentModel();
+    const systemInstruction = this.modelSettings?.systemPrompt || undefined;
+    let history = this.messages;
 
-    // Get model from settings or use fallback
-    const modelName = await this.getCurrentModel();
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:streamGenerateContent?key=${this.apiKey}`;
-
-    const body = {
-      contents: contents,
-      generationConfig: {
-        temperature: this.modelSettings?.temperature || 0.7,
-        maxOutputTokens: this.modelSettings?.maxTokens || 4096,
-        topP: 0.8,
-        topK: 40
-      },
-      safetySettings: [
-        {
-          category: "HARM_CATEGORY_HARASSMENT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE"
-        },
-        {
-          category: "HARM_CATEGORY_HATE_SPEECH",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE"
+    // Split the model's context window and drop the oldest history that doesn't fit
+    this.lastContextPlan = null;
+    if (window.tokenBudgeter) {
+      try {
+        const plan = await window.tokenBudgeter.planContext({
+          model,
+          systemInstruction,
+          prompt: message,
+          files: knowledgeBaseFiles,
+          history
+        });
+        history = window.tokenBudgeter.fitHistory(plan, history);
+        if (history.length < this.messages.length) {
+          console.log('AI Assistance: Trimmed history to', history.length, 'messages to fit the token budget');
         }
-      ]
+        this.lastContextPlan = plan;
+      } catch (error) {
+        console.warn('AI Assistance: Token budgeting failed:', error);
+      }
+    }
+
+    return {
+      prompt: message,
+      history,
+      files: knowledgeBaseFiles,
+      model,
+      systemInstruction,
+      temperature: this.modelSettings?.temperature || 0.7,
+      maxOutputTokens: this.modelSettings?.maxTokens || 4096,
+      generationConfig: { topP: 0.8, topK: 40 },
+      thinking: this.modelSettings?.thinking,
+      includeThoughts: true,
+      relaxSafety: !!options.relaxSafety,
+      signal: this.currentAbortController?.signal,
+      usageContext: { source: 'chat' }
     };
+  }
 
-    console.log('aiFiverr Fallback: API request with', knowledgeBaseFiles.length, 'knowledge base files');
+  /**
+   * Get the shared request pipeline
+   */
+  getPipeline() {
+    return window.requestPipeline || window.initializeRequestPipeline();
+  }
 
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(body),
-      signal: this.currentAbortController?.signal
-    });
+  async callGeminiAPI(message) {
+    const request = await this.buildPipelineRequest(message);
+    const result = await this.getPipeline().generate(request);
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      const errorMessage = errorData.error?.message || `${response.status} ${response.statusText}`;
-      throw new Error(`API Error: ${errorMessage}`);
-    }
+    // Store message in history
+    this.messages.push({ role: 'user', content: message });
+    this.messages.push({ role: 'assistant', content: result.text });
+
+    return result.text;
+  }
+
+  /**
+   * Get the tool registry when tools are enabled in the model settings
+   */
+  getToolRegistry() {
+    if (this.modelSettings?.useTools === false) return null;
+    return window.toolRegistry || window.initializeToolRegistry?.() || null;
+  }
 
-    // Handle streaming response
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
+  async callGeminiAPIStreaming(message, messageId, options = {}) {
+    const request = await this.buildPipelineRequest(message, options);
+    const toolRegistry = this.getToolRegistry();
+    const stream = toolRegistry
+      ? this.getPipeline().streamWithTools(request, toolRegistry)
+      : this.getPipeline().stream(request);
     let fullResponse = '';
-    let inputTokens = 0;
-    let outputTokens = 0;
+    let thoughts = '';
+    let usage = null;
 
-    try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        const chunk = decoder.decode(value);
-        const lines = chunk.split('\n');
-
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            try {
-              const data = JSON.parse(line.slice(6));
-
-              if (data.candidates && data.candidates[0] && data.candidates[0].content) {
-                const newText = data.candidates[0].content.parts[0].text;
-                fullResponse += newText;
-                this.updateMessage(messageId, fullResponse);
-              }
-
-              // Track token usage
-              if (data.usageMetadata) {
-                inputTokens = data.usageMetadata.promptTokenCount || 0;
-                outputTokens = data.usageMetadata.candidatesTokenCount || 0;
-              }
-            } catch (e) {
-              // Skip invalid JSON lines
-            }
-          }
-        }
+    for await (const chunk of stream) {
+      if (chunk.done) {
+        usage = chunk.usage;
+        break;
       }
-    } finally {
-      reader.releaseLock();
+      if (chunk.thoughts) {
+        thoughts += chunk.thoughts;
+        this.updateMessageReasoning(messageId, thoughts);
+        continue;
+      }
+      if (chunk.toolCall) {
+        this.updateMessage(messageId, `🔧 Using ${chunk.toolCall.name.replace(/_/g, ' ')}...`);
+        continue;
+      }
+      fullResponse = chunk.fullText;
+      this.updateMessage(messageId, fullResponse);
     }
 
     // Store message in history
@@ -777,16 +662,20 @@ class AIAssistanceChat {
     this.messages.push({ role: 'assistant', content: fullResponse });
 
     // Add token usage info
-    if (inputTokens > 0 || outputTokens > 0) {
-      this.addTokenUsageInfo(inputTokens, outputTokens);
+    if (usage && (usage.inputTokens > 0 || usage.outputTokens > 0)) {
+      this.addTokenUsageInfo(usage.inputTokens, usage.outputTokens, usage.thoughtsTokens);
+    }
+    if (this.lastContextPlan) {
+      this.addContextBreakdown(this.lastContextPlan);
     }
 
     return fullResponse;
   }
 
-  addTokenUsageInfo(inputTokens, outputTokens) {
-    const totalTokens = inputTokens + outputTokens;
-    const cost = this.calculateCost(inputTokens, outputTokens);
+  addTokenUsageInfo(inputTokens, outputTokens, thoughtsTokens = 0) {
+    const totalTokens = inputTokens + outputTokens + thoughtsTokens;
+    // Thinking tokens are billed as output
+    const cost = this.calculateCost(inputTokens, outputTokens + thoughtsTokens);
 
     const usageDiv = document.createElement('div');
     usageDiv.style.cssText = `
@@ -801,7 +690,7 @@ class AIAssistanceChat {
     `;
 
     usageDiv.innerHTML = `
-      📊 Tokens: ${inputTokens} in + ${outputTokens} out = ${totalTokens} total |
+      📊 Tokens: ${inputTokens} in + ${outputTokens} out${thoughtsTokens ? ` + ${thoughtsTokens} thinking` : ''} = ${totalTokens} total |
       💰 Cost: ~$${cost.toFixed(6)}
     `;
 
@@ -810,6 +699,29 @@ class AIAssistanceChat {
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
   }
 
+  /**
+   * Show how the request used the model's context window
+   */
+  addContextBreakdown(plan) {
+    const breakdownDiv = document.createElement('div');
+    breakdownDiv.style.cssText = `
+      margin: -4px 20px 8px;
+      padding: 6px 12px;
+      background: ${plan.fits ? '#f1f8e9' : '#fff3e0'};
+      border: 1px solid ${plan.fits ? '#dcedc8' : '#ffe0b2'};
+      border-radius: 8px;
+      font-size: 11px;
+      color: ${plan.fits ? '#33691e' : '#e65100'};
+      text-align: center;
+    `;
+    breakdownDiv.textContent = `🧮 ${window.tokenBudgeter.formatPlan(plan)}`;
+    breakdownDiv.title = 'Context used by system prompt, knowledge base files, Fiverr conversation and chat history';
+
+    const messagesContainer = this.container.querySelector('.messages-container');
+    messagesContainer.appendChild(breakdownDiv);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  }
+
   calculateCost(inputTokens, outputTokens) {
     // Gemini pricing (approximate)
     const inputCostPer1K = 0.00015; // $0.00015 per 1K input tokens
@@ -906,6 +818,36 @@ class AIAssistanceChat {
     }
   }
 
+  /**
+   * Show the model's thought summary in a collapsible section above the reply
+   */
+  updateMessageReasoning(messageId, thoughts) {
+    const messageDiv = document.getElementById(messageId);
+    if (!messageDiv) return;
+
+    let details = messageDiv.querySelector('.message-reasoning');
+    if (!details) {
+      details = document.createElement('details');
+      details.className = 'message-reasoning';
+      details.style.cssText = `
+        margin-bottom: 8px;
+        padding: 6px 10px;
+        background: #f8f9fa;
+        border: 1px solid #e9ecef;
+        border-radius: 8px;
+        font-size: 12px;
+        color: #6c757d;
+      `;
+      details.innerHTML = `
+        <summary style="cursor: pointer; font-weight: 600; user-select: none;">💭 Reasoning</summary>
+        <div class="message-reasoning-text" style="margin-top: 6px; max-height: 200px; overflow-y: auto; white-space: pre-wrap; line-height: 1.4;"></div>
+      `;
+      messageDiv.querySelector('.message-content').before(details);
+    }
+
+    details.querySelector('.message-reasoning-text').textContent = thoughts;
+  }
+
   formatMessage(content) {
     // First, handle JSON and XML parsing
     content = this.parseStructuredData(content);
@@ -1790,6 +1732,30 @@ class AIAssistanceChat {
             <option value="gemini-2.5-pro">Gemini 2.5 Pro</option>
             <option value="gemini-2.5-flash-lite">Gemini 2.5 Flash Lite</option>
           </select>
+          <span id="model-info" style="font-size: 12px; color: #6c757d;"></span>
+        </div>
+
+        <div style="margin-bottom: 16px;">
+          <label style="display: block; margin-bottom: 4px; font-weight: 600; color: #495057;">Thinking:</label>
+          <div style="display: flex; gap: 8px;">
+            <select id="thinking-mode" style="flex: 1; padding: 8px; border: 1px solid #e1e5e9; border-radius: 6px;">
+              <option value="default">Model default</option>
+              <option value="off">Off</option>
+              <option value="dynamic">Dynamic</option>
+              <option value="fixed">Fixed budget</option>
+            </select>
+            <input type="number" id="thinking-budget" value="1024" min="0" max="32768" step="128" title="Thinking budget in tokens"
+                   style="width: 90px; padding: 8px; border: 1px solid #e1e5e9; border-radius: 6px; display: none;">
+          </div>
+          <span style="font-size: 12px; color: #6c757d;">Gemini 2.5 models only</span>
+        </div>
+
+        <div style="margin-bottom: 16px;">
+          <label style="display: flex; align-items: center; gap: 8px; font-weight: 600; color: #495057; cursor: pointer;">
+            <input type="checkbox" id="use-tools" checked>
+            Let the AI use tools
+          </label>
+          <span style="font-size: 12px; color: #6c757d;">Reads the open conversation or brief, contacts and your knowledge base when needed</span>
         </div>
 
         <div style="margin-bottom: 16px;">
@@ -1823,6 +1789,10 @@ class AIAssistanceChat {
       document.getElementById('temperature-value').textContent = e.target.value;
     });
 
+    document.getElementById('thinking-mode').addEventListener('change', (e) => {
+      document.getElementById('thinking-budget').style.display = e.target.value === 'fixed' ? '' : 'none';
+    });
+
     document.getElementById('save-settings').addEventListener('click', () => {
       this.saveModelSettings();
       this.closeModelSettings();
@@ -1848,14 +1818,19 @@ class AIAssistanceChat {
         temperature: 0.7,
         maxTokens: 65536,
         model: await this.getDefaultModel(),
-        systemPrompt: ''
+        systemPrompt: '',
+        useTools: true
       };
 
       document.getElementById('temperature-slider').value = settings.temperature;
       document.getElementById('temperature-value').textContent = settings.temperature;
       document.getElementById('max-tokens').value = settings.maxTokens;
-      document.getElementById('model-select').value = settings.model;
+      await this.loadModelOptions(settings.model);
       document.getElementById('system-prompt').value = settings.systemPrompt || '';
+      document.getElementById('use-tools').checked = settings.useTools !== false;
+      document.getElementById('thinking-mode').value = settings.thinking?.mode || 'default';
+      document.getElementById('thinking-budget').value = settings.thinking?.budget ?? 1024;
+      document.getElementById('thinking-budget').style.display = settings.thinking?.mode === 'fixed' ? '' : 'none';
 
       this.modelSettings = settings;
     } catch (error) {
@@ -1863,6 +1838,55 @@ class AIAssistanceChat {
     }
   }
 
+  /**
+   * Fill the model select with the models available to the API keys
+   */
+  async loadModelOptions(selectedModel) {
+    const select = document.getElementById('model-select');
+    const info = document.getElementById('model-info');
+    if (!select) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_MODEL_CATALOG' });
+      this.modelCatalog = response?.success ? response.data.models : [];
+    } catch (error) {
+      console.warn('AI Assistance: Model catalog unavailable, using built-in list:', error);
+      this.modelCatalog = [];
+    }
+
+    if (this.modelCatalog.length > 0) {
+      select.innerHTML = this.modelCatalog
+        .map(model => `<option value="${escapeHtml(model.name)}">${escapeHtml(model.displayName)}</option>`)
+        .join('');
+    }
+    if (selectedModel && !Array.from(select.options).some(option => option.value === selectedModel)) {
+      select.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(selectedModel)}">${escapeHtml(selectedModel)}</option>`);
+    }
+    select.value = selectedModel;
+
+    // Show limits and cap max tokens at the model's output limit
+    const showInfo = () => {
+      const model = this.modelCatalog.find(entry => entry.name === select.value);
+      const maxTokens = document.getElementById('max-tokens');
+      if (!model) {
+        info.textContent = '';
+        return;
+      }
+
+      const features = [model.thinking && 'thinking', model.files && 'files', model.caching && 'caching'].filter(Boolean);
+      info.textContent = `${(model.inputTokenLimit || 0).toLocaleString()} in / ${(model.outputTokenLimit || 0).toLocaleString()} out tokens` +
+        (features.length > 0 ? ` · ${features.join(', ')}` : '');
+      if (model.outputTokenLimit && maxTokens) {
+        maxTokens.max = model.outputTokenLimit;
+        if (parseInt(maxTokens.value) > model.outputTokenLimit) {
+          maxTokens.value = model.outputTokenLimit;
+        }
+      }
+    };
+    select.addEventListener('change', showInfo);
+    showInfo();
+  }
+
   /**
    * Get current model from extension settings
    */
@@ -1907,7 +1931,12 @@ class AIAssistanceChat {
       temperature: parseFloat(document.getElementById('temperature-slider').value),
       maxTokens: parseInt(document.getElementById('max-tokens').value),
       model: document.getElementById('model-select').value,
-      systemPrompt: document.getElementById('system-prompt').value
+      systemPrompt: document.getElementById('system-prompt').value,
+      useTools: document.getElementById('use-tools').checked,
+      thinking: {
+        mode: document.getElementById('thinking-mode').value,
+        budget: parseInt(document.getElementById('thinking-budget').value) || 0
+      }
     };
 
     try {
@@ -1939,7 +1968,8 @@ class AIAssistanceChat {
         temperature: 0.7,
         maxTokens: 4096,
         model: await this.getDefaultModel(),
-        systemPrompt: ''
+        systemPrompt: '',
+        useTools: true
       };
     } catch (error) {
       console.error('Failed to initialize settings:', error);
@@ -1947,102 +1977,11 @@ class AIAssistanceChat {
         temperature: 0.7,
         maxTokens: 4096,
         model: await this.getDefaultModel(),
-        systemPrompt: ''
+        systemPrompt: '',
+        useTools: true
       };
     }
   }
-
-  async sendMessageWithEnhancedStreaming(message, loadingId) {
-    try {
-      console.log('aiFiverr: Using enhanced streaming for message:', message);
-
-      // Get conversation history
-      const contents = [];
-
-      // Add conversation history
-      for (let i = 0; i < this.messages.length - 1; i++) { // -1 to exclude the loading message
-        const msg = this.messages[i];
-        if (msg.role === 'user') {
-          contents.push({
-            role: 'user',
-            parts: [{ text: msg.content }]
-          });
-        } else if (msg.role === 'assistant') {
-          contents.push({
-            role: 'model',
-            parts: [{ text: msg.content }]
-          });
-        }
-      }
-
-      // Add current message
-      contents.push({
-        role: 'user',
-        parts: [{ text: message }]
-      });
-
-      // Convert to prompt format for enhanced client
-      const conversationPrompt = contents.map(c =>
-        `${c.role === 'user' ? 'User' : 'Assistant'}: ${c.parts[0].text}`
-      ).join('\n\n');
-
-      // Get knowledge base files if available
-      let knowledgeBaseFiles = [];
-      if (window.knowledgeBaseManager) {
-        try {
-          console.log('aiFiverr: Getting knowledge base files for API request...');
-          const files = Array.from(window.knowledgeBaseManager.files.values());
-          knowledgeBaseFiles = files.filter(file => file.geminiUri);
-          console.log('aiFiverr: Found', knowledgeBaseFiles.length, 'knowledge base files with geminiUri');
-        } catch (error) {
-          console.warn('aiFiverr: Failed to get knowledge base files:', error);
-        }
-      }
-
-      // Prepare options with knowledge base files
-      const options = {};
-      if (knowledgeBaseFiles.length > 0) {
-        options.knowledgeBaseFiles = knowledgeBaseFiles;
-        console.log('aiFiverr: Attaching', knowledgeBaseFiles.length, 'knowledge base files to API request');
-      }
-
-      // Use enhanced streaming with knowledge base files
-      const streamResponse = await window.enhancedGeminiClient.streamGenerateContent(
-        conversationPrompt,
-        null, // fileUri (legacy parameter)
-        null, // fileMimeType (legacy parameter)
-        'default', // sessionId
-        options // options with knowledgeBaseFiles
-      );
-
-      let fullResponse = '';
-      let isFirstChunk = true;
-
-      for await (const chunk of streamResponse) {
-        if (isFirstChunk) {
-          // Replace loading message with streaming content
-          this.updateMessage(loadingId, chunk.text);
-          fullResponse = chunk.text;
-          isFirstChunk = false;
-        } else {
-          // Append to existing message
-          fullResponse += chunk.text;
-          this.updateMessage(loadingId, fullResponse);
-        }
-
-        // Auto-scroll during streaming
-        this.scrollToBottom();
-      }
-
-      console.log('aiFiverr: Enhanced streaming completed, final length:', fullResponse.length);
-
-    } catch (error) {
-      console.error('aiFiverr: Enhanced streaming error:', error);
-      // Update loading message with error
-      this.updateMessage(loadingId, 'Sorry, I encountered an error. Please try again.');
-      throw error;
-    }
-  }
 }
 
 // Export for global access
@@ -9,6 +9,7 @@ class FiverrExtractor {
     this.conversationCache = new Map();
     this.extractionInProgress = false;
     this.storedConversations = new Map();
+    this.maxStoredAnalyses = 20;
     this.loadStoredConversations();
   }
 
@@ -31,7 +32,10 @@ class FiverrExtractor {
    */
   async saveConversation(username, conversationData) {
     try {
+      // Re-extracted conversations keep the analyses stored on the previous record
+      const previous = this.storedConversations.get(username);
       const conversationWithMeta = {
+        ...(previous?.analyses && !conversationData.analyses ? { analyses: previous.analyses } : {}),
         ...conversationData,
         lastExtracted: Date.now(),
         lastUpdated: Date.now()
@@ -58,6 +62,24 @@ class FiverrExtractor {
     }
   }
 
+  /**
+   * Store a structured message analysis on the conversation record
+   */
+  async saveConversationAnalysis(username, analysis) {
+    const stored = this.getStoredConversation(username);
+    if (!stored) {
+      console.warn('aiFiverr: No stored conversation to attach analysis to:', username);
+      return false;
+    }
+
+    const analyses = [...(stored.analyses || []), {
+      ...analysis,
+      analyzedAt: Date.now()
+    }].slice(-this.maxStoredAnalyses);
+
+    return await this.saveConversation(username, { ...stored, analyses });
+  }
+
   /**
    * Get stored conversation
    */
@@ -527,66 +549,106 @@ class FiverrExtractor {
     return context;
   }
 
+  /**
+   * Structured conversation and brief data for prompt templates, e.g. {{#each attachments}}
+   */
+  getTemplateContext(conversationData) {
+    const messages = conversationData?.messages || [];
+    return {
+      messages: messages.map(message => ({
+        sender: message.sender || 'Unknown',
+        body: message.body || '',
+        time: message.createdAt,
+        formattedTime: message.formattedTime
+      })),
+      attachments: messages.flatMap(message => (message.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        fileSize: attachment.fileSize,
+        sender: message.sender || 'Unknown',
+        time: attachment.created_at
+      }))),
+      brief: this.extractBriefDetails()
+    };
+  }
+
   /**
    * Get conversation summary for AI context with intelligent context management
    */
-  getConversationSummary(conversationData, maxLength = 2000) {
+  getConversationSummary(conversationData, maxTokens = 500) {
     const fullContext = this.conversationToContext(conversationData);
 
-    if (fullContext.length <= maxLength) {
+    if (this.estimateTokens(fullContext) <= maxTokens) {
       return fullContext;
     }
 
     // Take the most recent messages that fit within the limit
     let summary = `Conversation with ${conversationData.username} (recent messages):\n\n`;
-    let currentLength = summary.length;
+    let currentTokens = this.estimateTokens(summary);
 
     for (let i = conversationData.messages.length - 1; i >= 0; i--) {
       const message = conversationData.messages[i];
       const messageText = `${message.sender}: ${message.body}\n\n`;
 
-      if (currentLength + messageText.length > maxLength) {
+      if (currentTokens + this.estimateTokens(messageText) > maxTokens) {
         break;
       }
 
       summary = summary + messageText;
-      currentLength += messageText.length;
+      currentTokens += this.estimateTokens(messageText);
     }
 
     return summary;
   }
 
   /**
-   * Get intelligent conversation context based on use case
+   * Estimate tokens for context budgeting
+   */
+  estimateTokens(text) {
+    return window.tokenBudgeter ? window.tokenBudgeter.estimateTokens(text) : Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Get conversation context sized to the model's conversation token budget
+   */
+  async getBudgetedContext(conversationData, contextType = 'recent') {
+    const maxTokens = window.tokenBudgeter
+      ? await window.tokenBudgeter.getConversationBudget()
+      : undefined;
+    return this.getIntelligentContext(conversationData, contextType, maxTokens);
+  }
+
+  /**
+   * Get intelligent conversation context based on use case (maxTokens is a token budget)
    */
-  getIntelligentContext(conversationData, contextType = 'recent', maxLength = 4000) {
+  getIntelligentContext(conversationData, contextType = 'recent', maxTokens = 1000) {
     if (!conversationData || !conversationData.messages) {
       return '';
     }
 
     switch (contextType) {
       case 'recent':
-        return this.getRecentContext(conversationData, maxLength);
+        return this.getRecentContext(conversationData, maxTokens);
       case 'summary':
-        return this.getConversationSummary(conversationData, maxLength);
+        return this.getConversationSummary(conversationData, maxTokens);
       case 'key_points':
-        return this.getKeyPointsContext(conversationData, maxLength);
+        return this.getKeyPointsContext(conversationData, maxTokens);
       case 'project_focused':
-        return this.getProjectFocusedContext(conversationData, maxLength);
+        return this.getProjectFocusedContext(conversationData, maxTokens);
       default:
-        return this.getRecentContext(conversationData, maxLength);
+        return this.getRecentContext(conversationData, maxTokens);
     }
   }
 
   /**
    * Get recent messages with smart truncation
    */
-  getRecentContext(conversationData, maxLength = 4000) {
+  getRecentContext(conversationData, maxTokens = 1000) {
     const messages = conversationData.messages;
     if (!messages || messages.length === 0) return '';
 
     let context = `Recent conversation with ${conversationData.username}:\n\n`;
-    let currentLength = context.length;
+    let currentTokens = this.estimateTokens(context);
     let includedMessages = 0;
 
     // Start from most recent and work backwards
@@ -594,12 +656,12 @@ class FiverrExtractor {
       const message = messages[i];
       const messageText = `${message.sender} (${message.formattedTime}):\n${message.body}\n\n`;
 
-      if (currentLength + messageText.length > maxLength) {
+      if (currentTokens + this.estimateTokens(messageText) > maxTokens) {
         break;
       }
 
       context = context + messageText;
-      currentLength += messageText.length;
+      currentTokens += this.estimateTokens(messageText);
       includedMessages++;
     }
 
@@ -615,7 +677,7 @@ class FiverrExtractor {
   /**
    * Extract key points and important messages
    */
-  getKeyPointsContext(conversationData, maxLength = 4000) {
+  getKeyPointsContext(conversationData, maxTokens = 1000) {
     const messages = conversationData.messages;
     if (!messages || messages.length === 0) return '';
 
@@ -627,7 +689,7 @@ class FiverrExtractor {
     ];
 
     let context = `Key points from conversation with ${conversationData.username}:\n\n`;
-    let currentLength = context.length;
+    let currentTokens = this.estimateTokens(context);
     let keyMessages = [];
 
     // Find messages with important keywords
@@ -644,19 +706,19 @@ class FiverrExtractor {
 
     // If no key messages found, fall back to recent messages
     if (keyMessages.length === 0) {
-      return this.getRecentContext(conversationData, maxLength);
+      return this.getRecentContext(conversationData, maxTokens);
     }
 
     // Add key messages
     for (const message of keyMessages) {
       const messageText = `${message.sender} (${message.formattedTime}):\n${message.body}\n\n`;
 
-      if (currentLength + messageText.length > maxLength) {
+      if (currentTokens + this.estimateTokens(messageText) > maxTokens) {
         break;
       }
 
       context += messageText;
-      currentLength += messageText.length;
+      currentTokens += this.estimateTokens(messageText);
     }
 
     return context;
@@ -665,7 +727,7 @@ class FiverrExtractor {
   /**
    * Get project-focused context (requirements, brief, etc.)
    */
-  getProjectFocusedContext(conversationData, maxLength = 4000) {
+  getProjectFocusedContext(conversationData, maxTokens = 1000) {
     const messages = conversationData.messages;
     if (!messages || messages.length === 0) return '';
 
@@ -676,7 +738,7 @@ class FiverrExtractor {
     ];
 
     let context = `Project details from conversation with ${conversationData.username}:\n\n`;
-    let currentLength = context.length;
+    let currentTokens = this.estimateTokens(context);
 
     // Find first few messages (usually contain project brief)
     const initialMessages = messages.slice(0, Math.min(5, messages.length));
@@ -684,28 +746,28 @@ class FiverrExtractor {
     for (const message of initialMessages) {
       const messageText = `${message.sender} (${message.formattedTime}):\n${message.body}\n\n`;
 
-      if (currentLength + messageText.length > maxLength) {
+      if (currentTokens + this.estimateTokens(messageText) > maxTokens) {
         break;
       }
 
       context += messageText;
-      currentLength += messageText.length;
+      currentTokens += this.estimateTokens(messageText);
     }
 
     // Add recent messages if space allows
-    if (currentLength < maxLength * 0.7) {
+    if (currentTokens < maxTokens * 0.7) {
       const recentMessages = messages.slice(-3);
       context += '\n--- Recent Messages ---\n\n';
 
       for (const message of recentMessages) {
         const messageText = `${message.sender}: ${message.body}\n\n`;
 
-        if (currentLength + messageText.length > maxLength) {
+        if (currentTokens + this.estimateTokens(messageText) > maxTokens) {
           break;
         }
 
         context += messageText;
-        currentLength += messageText.length;
+        currentTokens += this.estimateTokens(messageText);
       }
     }
 
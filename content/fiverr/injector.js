@@ -7,6 +7,9 @@ class FiverrInjector {
   constructor() {
     this.injectedElements = new Map();
     this.floatingWidget = null;
+    this.activeStreams = new Map(); // input element -> AbortController for replies being streamed
+    this.variantCount = 1; // Alternatives generated per prompt from the dropup (1-4)
+    this.variantTemperatures = [0.7, 1.0, 0.4, 1.3]; // One temperature per alternative so they differ
     this.init();
   }
 
@@ -24,6 +27,11 @@ class FiverrInjector {
 
     // Add manual trigger for debugging/testing
     this.addManualTrigger();
+
+    // Restore the number of alternatives chosen in the dropup
+    chrome.storage.local.get('replyVariantCount').then(result => {
+      this.variantCount = result.replyVariantCount || 1;
+    }).catch(() => {});
   }
 
   /**
@@ -365,6 +373,11 @@ class FiverrInjector {
       e.preventDefault();
       e.stopPropagation();
 
+      // While a reply is streaming the button stops it
+      if (this.stopStreaming(inputElement)) {
+        return;
+      }
+
       // Toggle dropdown visibility
       const isVisible = dropdown.style.display === 'block';
       if (isVisible) {
@@ -473,12 +486,19 @@ class FiverrInjector {
         console.warn('aiFiverr: Failed to load custom prompts, using defaults only:', error);
       }
 
+      // Workflows run from the same menu
+      const workflows = window.promptWorkflows || window.initializePromptWorkflows?.();
+      if (workflows) {
+        allPrompts = { ...allPrompts, ...await workflows.getWorkflowPrompts() };
+      }
+
       if (!allPrompts || Object.keys(allPrompts).length === 0) {
         dropdown.innerHTML = '<div style="padding: 12px; color: #6b7280;">No prompts available</div>';
         return;
       }
 
       this.renderPromptItems(dropdown, allPrompts, inputElement);
+      await this.renderVariantSelector(dropdown);
     } catch (error) {
       console.error('Failed to populate prompt dropdown:', error);
       dropdown.innerHTML = '<div style="padding: 12px; color: #6b7280;">Failed to load prompts</div>';
@@ -680,6 +700,36 @@ class FiverrInjector {
     };
   }
 
+  /**
+   * Render the alternatives selector at the bottom of the dropup
+   */
+  async renderVariantSelector(dropdown) {
+    const result = await chrome.storage.local.get('replyVariantCount');
+    this.variantCount = result.replyVariantCount || 1;
+
+    const selector = document.createElement('div');
+    selector.className = 'aifiverr-variant-selector';
+    selector.innerHTML = `
+      <span>Alternatives:</span>
+      ${[1, 2, 3, 4].map(count => `
+        <button class="aifiverr-variant-count${count === this.variantCount ? ' active' : ''}" data-count="${count}">${count}</button>
+      `).join('')}
+    `;
+
+    selector.querySelectorAll('.aifiverr-variant-count').forEach(button => {
+      button.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+
+        this.variantCount = parseInt(button.dataset.count);
+        selector.querySelectorAll('.aifiverr-variant-count').forEach(b => b.classList.toggle('active', b === button));
+        await chrome.storage.local.set({ replyVariantCount: this.variantCount });
+      });
+    });
+
+    dropdown.appendChild(selector);
+  }
+
   /**
    * Execute selected prompt
    */
@@ -687,6 +737,14 @@ class FiverrInjector {
     try {
       // Clear any existing notifications first
       this.clearMessageIconNotification();
+      if (window.promptWorkflows?.isWorkflowKey(promptKey)) {
+        await this.runWorkflow(inputElement, promptKey);
+        return;
+      }
+      if (this.variantCount > 1) {
+        await this.generateReplyVariants(inputElement, promptKey, this.variantCount);
+        return;
+      }
       await this.generateReplyWithPrompt(inputElement, promptKey);
     } catch (error) {
       console.error('Failed to execute prompt:', error);
@@ -707,7 +765,7 @@ class FiverrInjector {
   /**
    * Show notification next to the message icon (simple positioning)
    */
-  showMessageIconNotification(message, inputElement, duration = 3000) {
+  showMessageIconNotification(message, inputElement, duration = 3000, action = null) {
     // Clear any existing notification
     this.clearMessageIconNotification();
 
@@ -725,6 +783,20 @@ class FiverrInjector {
     notification.className = 'aifiverr-message-icon-notification';
     notification.textContent = message;
 
+    // Optional action button ({ label, onClick })
+    if (action) {
+      const actionBtn = document.createElement('button');
+      actionBtn.className = 'aifiverr-notification-action';
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        notification.remove();
+        action.onClick();
+      });
+      notification.appendChild(actionBtn);
+    }
+
     // Simple positioning: just append to the message icon container and position to the right
     messageIconContainer.style.position = 'relative';
     messageIconContainer.appendChild(notification);
@@ -737,7 +809,8 @@ class FiverrInjector {
       transform: 'translateY(-50%)',
       marginLeft: '8px',
       zIndex: '1002',
-      whiteSpace: 'nowrap'
+      whiteSpace: action ? 'normal' : 'nowrap',
+      minWidth: action ? '180px' : ''
     });
 
     // Auto-remove after duration (if duration > 0)
@@ -930,11 +1003,16 @@ class FiverrInjector {
    */
   async handleChatGeneration(inputElement) {
     try {
+      if (this.variantCount > 1) {
+        await this.generateReplyVariants(inputElement, null, this.variantCount);
+        return;
+      }
+
       showTooltip('Generating reply...', inputElement);
 
       // Get conversation context
       const conversationData = await fiverrExtractor.extractConversation();
-      const context = conversationData ? fiverrExtractor.getConversationSummary(conversationData) : '';
+      const context = conversationData ? await fiverrExtractor.getBudgetedContext(conversationData, 'summary') : '';
 
       // Get or create session
       const session = await sessionManager.getOrCreateSession(window.location.href);
@@ -950,8 +1028,8 @@ class FiverrInjector {
       removeTooltip();
     } catch (error) {
       console.error('Chat generation failed:', error);
-      showTooltip('Failed to generate reply', inputElement);
-      setTimeout(removeTooltip, 3000);
+      showTooltip(error.templateError ? `Prompt template error - ${error.message}` : 'Failed to generate reply', inputElement);
+      setTimeout(removeTooltip, error.templateError ? 8000 : 3000);
     }
   }
 
@@ -969,6 +1047,10 @@ class FiverrInjector {
 
       // Show prompt selector with callback
       await window.promptSelector.show(inputElement, async (promptKey, element) => {
+        if (window.promptWorkflows?.isWorkflowKey(promptKey)) {
+          await this.runWorkflow(element, promptKey);
+          return;
+        }
         await this.generateReplyWithPrompt(element, promptKey);
       });
     } catch (error) {
@@ -979,89 +1061,290 @@ class FiverrInjector {
   }
 
   /**
-   * Generate reply with specific prompt
+   * Generate reply with specific prompt, streaming it into the input as it arrives
+   * options.relaxSafety retries a reply Gemini blocked; options.fresh skips the response cache
    */
-  async generateReplyWithPrompt(inputElement, promptKey) {
+  async generateReplyWithPrompt(inputElement, promptKey, options = {}) {
     const messageIconContainer = inputElement.parentElement?.querySelector('.aifiverr-message-icon-container');
     const messageIcon = messageIconContainer?.querySelector('.aifiverr-message-icon-button');
 
-    try {
-      // Start loading animation on message icon
-      this.startMessageIconLoading(messageIcon);
+    // Only one reply per input at a time
+    this.stopStreaming(inputElement);
+    const abortController = new AbortController();
+    this.activeStreams.set(inputElement, abortController);
+    let reply = '';
+    let cachedAt = null;
 
+    try {
       // Get conversation context
       const conversationData = await fiverrExtractor.extractConversation();
-      const context = conversationData ? fiverrExtractor.getConversationSummary(conversationData) : '';
+      const context = conversationData ? await fiverrExtractor.getBudgetedContext(conversationData, 'summary') : '';
 
       // Get or create session
       const session = await sessionManager.getOrCreateSession(window.location.href);
 
-      // Generate reply using AI with specific prompt
-      const reply = await this.generateAIReply(context, session, promptKey);
+      // Stream the reply using the specific prompt - the stop button shows once the variable form is done
+      reply = await this.streamAIReply(context, session, promptKey, {
+        relaxSafety: options.relaxSafety,
+        fresh: options.fresh,
+        onCached: (createdAt) => { cachedAt = createdAt; },
+        anchor: inputElement,
+        signal: abortController.signal,
+        onStart: () => this.startMessageIconStreaming(messageIcon),
+        onText: (text) => {
+          reply = text; // Kept when the user stops the stream
+          this.setInputText(inputElement, text);
+        }
+      });
 
-      if (reply) {
-        // Remove markdown formatting from the reply
-        const cleanReply = removeMarkdownFormatting(reply);
-        inputElement.value = cleanReply;
-        inputElement.dispatchEvent(new Event('input', { bubbles: true }));
+      if (reply && cachedAt) {
+        this.showMessageIconNotification(`Cached reply from ${new Date(cachedAt).toLocaleString()}`, inputElement, 8000, {
+          label: '↻ Regenerate fresh',
+          onClick: () => this.generateReplyWithPrompt(inputElement, promptKey, { ...options, fresh: true })
+        });
+      } else if (reply) {
         this.showMessageIconNotification('Reply generated successfully!', inputElement, 2000);
       } else {
         this.showMessageIconNotification('No reply generated', inputElement);
       }
     } catch (error) {
-      console.error('Chat generation with prompt failed:', error);
-      this.showMessageIconNotification('Failed to generate reply', inputElement);
+      if (error.name === 'AbortError') {
+        // The partial draft stays in the input for the user to edit
+        console.log('aiFiverr Injector: Reply stopped by user');
+        this.showMessageIconNotification(reply ? 'Stopped - partial draft kept' : 'Stopped', inputElement, 2000);
+      } else if (error.blocked) {
+        console.warn('aiFiverr Injector: Reply blocked:', error.blocked);
+        const retry = error.blocked.canRetry ? {
+          label: 'Retry with relaxed safety',
+          onClick: () => this.generateReplyWithPrompt(inputElement, promptKey, { relaxSafety: true })
+        } : null;
+        this.showMessageIconNotification(error.message, inputElement, 8000, retry);
+      } else if (error.templateError) {
+        console.warn('aiFiverr Injector: Prompt template error:', error.message);
+        this.showMessageIconNotification(`Prompt template error - ${error.message}`, inputElement, 8000);
+      } else {
+        console.error('Chat generation with prompt failed:', error);
+        this.showMessageIconNotification('Failed to generate reply', inputElement);
+      }
     } finally {
-      // Stop loading animation
-      this.stopMessageIconLoading(messageIcon);
+      if (this.activeStreams.get(inputElement) === abortController) {
+        this.activeStreams.delete(inputElement);
+      }
+      this.stopMessageIconStreaming(messageIcon);
     }
   }
 
   /**
-   * Start loading animation on message icon
+   * Generate several alternative replies in parallel and let the user pick, merge or regenerate them
    */
-  startMessageIconLoading(messageIcon) {
-    if (!messageIcon) return;
-
-    messageIcon.classList.add('loading');
-    messageIcon.innerHTML = '💬';
+  async generateReplyVariants(inputElement, promptKey, count) {
+    try {
+      showTooltip(`Generating ${count} alternatives...`, inputElement);
 
-    // Add animated dots
-    let dotCount = 0;
-    const animateIcon = () => {
-      if (!messageIcon.classList.contains('loading')) return;
+      // Get conversation context
+      const conversationData = await fiverrExtractor.extractConversation();
+      const context = conversationData ? await fiverrExtractor.getBudgetedContext(conversationData, 'summary') : '';
 
-      dotCount = (dotCount + 1) % 4;
-      const dots = '.'.repeat(dotCount);
-      messageIcon.innerHTML = `💬${dots}`;
+      // Get or create session
+      const session = await sessionManager.getOrCreateSession(window.location.href);
 
-      setTimeout(animateIcon, 500);
-    };
+      // The prompt is built once and shared by every alternative
+      const request = await this.buildReplyPrompt(context, promptKey, { anchor: inputElement });
+      const generate = async (temperature) => {
+        const response = await geminiClient.generateContent(request.prompt, {
+          knowledgeBaseFiles: request.knowledgeBaseFiles,
+          cacheKnowledgeBase: request.cacheKnowledgeBase,
+          ...request.generation,
+          promptKey: request.selectedPromptKey,
+          history: session?.messages,
+          temperature
+        });
+        return removeMarkdownFormatting(response.text);
+      };
 
-    setTimeout(animateIcon, 500);
+      removeTooltip();
+      this.showVariantPicker(inputElement, this.variantTemperatures.slice(0, count), generate, (reply) => {
+        if (session && session.addMessage) {
+          session.addMessage('user', request.prompt);
+          session.addMessage('assistant', reply);
+        }
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        removeTooltip();
+        return;
+      }
+      console.error('Reply alternatives generation failed:', error);
+      showTooltip(error.templateError ? `Prompt template error - ${error.message}` : 'Failed to generate alternatives', inputElement);
+      setTimeout(removeTooltip, error.templateError ? 8000 : 3000);
+    }
   }
 
   /**
-   * Stop loading animation on message icon
+   * Show alternatives side by side
+   * Each alternative can be inserted as is or regenerated; clicking paragraphs combines them into a merged draft
    */
-  stopMessageIconLoading(messageIcon) {
-    if (!messageIcon) return;
+  showVariantPicker(inputElement, temperatures, generate, onInsert) {
+    document.querySelector('.aifiverr-variants-overlay')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'aifiverr-variants-overlay';
+    overlay.innerHTML = `
+      <div class="aifiverr-variants-panel">
+        <div class="aifiverr-variants-header">
+          <h4>Choose a reply</h4>
+          <button class="close-btn" title="Close">×</button>
+        </div>
+        <div class="aifiverr-variants-grid"></div>
+        <div class="aifiverr-variants-merge">
+          <textarea placeholder="Click paragraphs above to combine them here, then edit before inserting"></textarea>
+          <button class="aifiverr-variants-insert-merged" disabled>Insert merged</button>
+        </div>
+      </div>
+    `;
 
-    messageIcon.classList.remove('loading');
-    messageIcon.innerHTML = '💬';
-  }
+    const grid = overlay.querySelector('.aifiverr-variants-grid');
+    const mergeArea = overlay.querySelector('.aifiverr-variants-merge textarea');
+    const mergeButton = overlay.querySelector('.aifiverr-variants-insert-merged');
+    const selectedParts = []; // { variant, part, text } in click order
+
+    const close = () => overlay.remove();
+    const insert = (text) => {
+      this.setInputText(inputElement, text);
+      onInsert(text);
+      close();
+      this.showMessageIconNotification('Reply inserted', inputElement, 2000);
+    };
+    const updateMerge = () => {
+      mergeArea.value = selectedParts.map(part => part.text).join('\n\n');
+      mergeButton.disabled = !mergeArea.value.trim();
+    };
 
+    const renderVariant = async (card, index) => {
+      const body = card.querySelector('.aifiverr-variant-body');
+      const buttons = card.querySelectorAll('button');
+      buttons.forEach(button => { button.disabled = true; });
+      body.innerHTML = '<div class="aifiverr-variant-loading">Generating...</div>';
+      card.dataset.text = '';
 
+      // Parts from the previous text no longer exist
+      for (let i = selectedParts.length - 1; i >= 0; i--) {
+        if (selectedParts[i].variant === index) selectedParts.splice(i, 1);
+      }
+      updateMerge();
 
+      try {
+        const text = await generate(temperatures[index]);
+        card.dataset.text = text;
+        body.innerHTML = '';
+
+        text.split(/\n\s*\n/).filter(part => part.trim()).forEach((partText, partIndex) => {
+          const part = document.createElement('p');
+          part.className = 'aifiverr-variant-part';
+          part.textContent = partText.trim();
+          part.title = 'Click to add to the merged draft';
+          part.addEventListener('click', () => {
+            const position = selectedParts.findIndex(p => p.variant === index && p.part === partIndex);
+            if (position >= 0) {
+              selectedParts.splice(position, 1);
+              part.classList.remove('selected');
+            } else {
+              selectedParts.push({ variant: index, part: partIndex, text: partText.trim() });
+              part.classList.add('selected');
+            }
+            updateMerge();
+          });
+          body.appendChild(part);
+        });
+      } catch (error) {
+        console.error('aiFiverr Injector: Alternative failed:', error);
+        body.innerHTML = `<div class="aifiverr-variant-error">${this.escapeHtml(error.message)}</div>`;
+      } finally {
+        buttons.forEach(button => { button.disabled = false; });
+        card.querySelector('.aifiverr-variant-use').disabled = !card.dataset.text;
+      }
+    };
 
+    temperatures.forEach((temperature, index) => {
+      const card = document.createElement('div');
+      card.className = 'aifiverr-variant-card';
+      card.innerHTML = `
+        <div class="aifiverr-variant-header">
+          <span>Option ${index + 1} <small>temp ${temperature}</small></span>
+          <div>
+            <button class="aifiverr-variant-regenerate" title="Regenerate this option">↻</button>
+            <button class="aifiverr-variant-use">Use</button>
+          </div>
+        </div>
+        <div class="aifiverr-variant-body"></div>
+      `;
 
+      card.querySelector('.aifiverr-variant-regenerate').addEventListener('click', () => renderVariant(card, index));
+      card.querySelector('.aifiverr-variant-use').addEventListener('click', () => insert(card.dataset.text));
+      grid.appendChild(card);
+      renderVariant(card, index);
+    });
 
+    mergeArea.addEventListener('input', () => {
+      mergeButton.disabled = !mergeArea.value.trim();
+    });
+    mergeButton.addEventListener('click', () => insert(mergeArea.value.trim()));
+    overlay.querySelector('.close-btn').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) close();
+    });
 
+    document.body.appendChild(overlay);
+  }
 
+  /**
+   * Stop the reply streaming into an input
+   * Returns true if a reply was streaming
+   */
+  stopStreaming(inputElement) {
+    const abortController = this.activeStreams.get(inputElement);
+    if (!abortController) return false;
 
+    abortController.abort();
+    this.activeStreams.delete(inputElement);
+    return true;
+  }
 
+  /**
+   * Replace the text of a textarea, input or contenteditable and notify the page
+   */
+  setInputText(inputElement, text) {
+    if (inputElement.isContentEditable) {
+      inputElement.textContent = text;
+    } else {
+      inputElement.value = text;
+    }
+
+    inputElement.dispatchEvent(new Event('input', { bubbles: true }));
+    inputElement.scrollTop = inputElement.scrollHeight;
+  }
 
+  /**
+   * Show the stop button on the message icon while a reply streams
+   */
+  startMessageIconStreaming(messageIcon) {
+    if (!messageIcon) return;
 
+    messageIcon.classList.add('streaming');
+    messageIcon.innerHTML = '⏹';
+    messageIcon.title = 'Stop generating';
+  }
+
+  /**
+   * Restore the message icon after streaming
+   */
+  stopMessageIconStreaming(messageIcon) {
+    if (!messageIcon) return;
+
+    messageIcon.classList.remove('streaming');
+    messageIcon.innerHTML = '💬';
+    messageIcon.title = 'AI Reply Options';
+  }
 
   /**
    * Handle message action (translate, summarize, analyze)
@@ -1105,30 +1388,29 @@ class FiverrInjector {
 
   /**
    * Handle translate message action
+   * options: { language, fresh } - fresh skips the response cache
    */
-  async handleTranslateMessage(messageContent, messageElement) {
+  async handleTranslateMessage(messageContent, messageElement, options = {}) {
     // Show language selection popup
-    const language = await this.showLanguageSelector(messageElement);
+    const language = options.language || await this.showLanguageSelector(messageElement);
     if (!language) return null;
 
     showTooltip(`Translating to ${language}...`, messageElement);
 
     try {
-      // Get conversation context
-      const conversationData = await fiverrExtractor.extractConversation();
-      const context = conversationData ? fiverrExtractor.getConversationSummary(conversationData) : '';
-
-      // Prepare context variables
+      // The Translate prompt translates its {conversation} - here the one message
       const contextVars = {
+        conversation: messageContent,
         message: messageContent,
-        language: language,
-        conversation: context
+        language: language
       };
 
       // Process translate prompt
-      const result = await knowledgeBaseManager.processPrompt('translate_message', contextVars);
+      const result = await knowledgeBaseManager.processPrompt('translate', contextVars);
       const prompt = typeof result === 'object' ? result.prompt : result;
       const knowledgeBaseFiles = typeof result === 'object' ? result.knowledgeBaseFiles : [];
+      const cacheKnowledgeBase = typeof result === 'object' && result.cacheKnowledgeBase;
+      const generation = typeof result === 'object' ? result.generation : {};
 
       console.log('aiFiverr Injector: Translation - Knowledge base files:', knowledgeBaseFiles);
       console.log('aiFiverr Injector: Translation - Files details:', knowledgeBaseFiles.map(f => ({
@@ -1138,12 +1420,22 @@ class FiverrInjector {
         hasGeminiUri: !!f.geminiUri
       })));
 
-      const response = await geminiClient.generateContent(prompt, { knowledgeBaseFiles });
+      const response = await geminiClient.generateContent(prompt, {
+        knowledgeBaseFiles,
+        cacheKnowledgeBase,
+        ...generation,
+        promptKey: 'translate',
+        cacheResponse: true,
+        fresh: options.fresh
+      });
 
       removeTooltip();
       return {
         title: `Translation (${language})`,
-        content: removeMarkdownFormatting(response.text)
+        content: removeMarkdownFormatting(response.text),
+        cached: response.cached,
+        cachedAt: response.cachedAt,
+        regenerate: () => this.handleTranslateMessage(messageContent, messageElement, { language, fresh: true })
       };
     } catch (error) {
       console.error('Translation failed:', error);
@@ -1155,28 +1447,38 @@ class FiverrInjector {
   /**
    * Handle summarize message action
    */
-  async handleSummarizeMessage(messageContent, messageElement) {
+  async handleSummarizeMessage(messageContent, messageElement, options = {}) {
     showTooltip('Summarizing message...', messageElement);
 
     try {
-      // Get conversation context
-      const conversationData = await fiverrExtractor.extractConversation();
-      const context = conversationData ? fiverrExtractor.getConversationSummary(conversationData) : '';
-
-      // Prepare context variables
+      // The Summary prompt summarizes its {conversation} - here the one message
       const contextVars = {
-        message: messageContent,
-        conversation: context
+        conversation: messageContent,
+        message: messageContent
       };
 
-      // Process summarize prompt
-      const prompt = await knowledgeBaseManager.processPrompt('summarize_message', contextVars);
-      const response = await geminiClient.generateContent(prompt);
+      // Process summary prompt
+      const result = await knowledgeBaseManager.processPrompt('summary', contextVars);
+      const prompt = typeof result === 'object' ? result.prompt : result;
+      const knowledgeBaseFiles = typeof result === 'object' ? result.knowledgeBaseFiles : [];
+      const cacheKnowledgeBase = typeof result === 'object' && result.cacheKnowledgeBase;
+      const generation = typeof result === 'object' ? result.generation : {};
+      const response = await geminiClient.generateContent(prompt, {
+        knowledgeBaseFiles,
+        cacheKnowledgeBase,
+        ...generation,
+        promptKey: 'summary',
+        cacheResponse: true,
+        fresh: options.fresh
+      });
 
       removeTooltip();
       return {
         title: 'Summary',
-        content: removeMarkdownFormatting(response.text)
+        content: removeMarkdownFormatting(response.text),
+        cached: response.cached,
+        cachedAt: response.cachedAt,
+        regenerate: () => this.handleSummarizeMessage(messageContent, messageElement, { fresh: true })
       };
     } catch (error) {
       console.error('Summarization failed:', error);
@@ -1192,13 +1494,26 @@ class FiverrInjector {
     showTooltip('Analyzing message...', messageElement);
 
     try {
-      // Use existing analysis method
-      const analysis = await this.analyzeMessage(messageContent);
+      // Get conversation context
+      const conversationData = await fiverrExtractor.extractConversation();
+      const context = conversationData ? await fiverrExtractor.getBudgetedContext(conversationData, 'summary') : '';
+
+      const analysis = await this.analyzeMessage(messageContent, context);
+
+      // Keep the typed result on the conversation record
+      const username = fiverrExtractor.extractUsernameFromUrl();
+      if (username) {
+        await fiverrExtractor.saveConversationAnalysis(username, {
+          messageExcerpt: messageContent.substring(0, 200),
+          data: analysis
+        });
+      }
 
       removeTooltip();
       return {
         title: 'Analysis',
-        content: analysis
+        content: structuredDataToText(analysis),
+        data: analysis
       };
     } catch (error) {
       console.error('Analysis failed:', error);
@@ -1235,8 +1550,8 @@ class FiverrInjector {
       removeTooltip();
     } catch (error) {
       console.error('Proposal generation failed:', error);
-      showTooltip('Failed to generate proposal', inputElement);
-      setTimeout(removeTooltip, 3000);
+      showTooltip(error.templateError ? `Prompt template error - ${error.message}` : 'Failed to generate proposal', inputElement);
+      setTimeout(removeTooltip, error.templateError ? 8000 : 3000);
     }
   }
 
@@ -1429,57 +1744,168 @@ class FiverrInjector {
    */
   async generateAIReply(context, session, promptKey = null) {
     try {
-      // Extract conversation data and username
-      const conversationData = await fiverrExtractor.extractConversation();
-      const username = fiverrExtractor.extractUsernameFromUrl();
-
-      // Prepare context variables for prompt processing
-      const contextVars = {
-        conversation: context || (conversationData ? fiverrExtractor.conversationToContext(conversationData) : ''),
-        username: username || 'Client'
-      };
-
-      // Use specified prompt key or default to professional reply
-      const selectedPromptKey = promptKey || 'professional_initial_reply';
-
-      // Use knowledge base manager to process the selected prompt
-      let prompt;
-      let knowledgeBaseFiles = [];
-      try {
-        const result = await knowledgeBaseManager.processPrompt(selectedPromptKey, contextVars);
-        prompt = typeof result === 'object' ? result.prompt : result;
-        knowledgeBaseFiles = typeof result === 'object' ? result.knowledgeBaseFiles : [];
-
-        console.log('aiFiverr Injector: Chat Reply - Knowledge base files:', knowledgeBaseFiles);
-        console.log('aiFiverr Injector: Chat Reply - Files details:', knowledgeBaseFiles.map(f => ({
-          name: f.name,
-          id: f.id,
-          geminiUri: f.geminiUri,
-          hasGeminiUri: !!f.geminiUri
-        })));
-      } catch (error) {
-        console.warn(`Prompt '${selectedPromptKey}' not found, using fallback:`, error);
-        // Fallback to basic prompt if the structured prompt is not available
-        prompt = 'Generate a professional reply for this Fiverr conversation';
-        if (context) {
-          prompt += `\n\nConversation context:\n${context}`;
-        }
-        prompt += '\n\nPlease generate an appropriate, professional response that addresses the conversation context.';
-      }
+      const { prompt, knowledgeBaseFiles, cacheKnowledgeBase, generation, selectedPromptKey } = await this.buildReplyPrompt(context, promptKey);
 
       console.log('aiFiverr Injector: Chat Reply - Calling generateChatReply with options:', { knowledgeBaseFiles });
-      const response = await geminiClient.generateChatReply(session, prompt, { knowledgeBaseFiles });
+      const response = await geminiClient.generateChatReply(session, prompt, { knowledgeBaseFiles, cacheKnowledgeBase, ...generation, promptKey: selectedPromptKey });
       return removeMarkdownFormatting(response.response);
     } catch (error) {
       console.error('AI reply generation failed:', error);
+      if (error.templateError) throw error;
       throw new Error('Failed to generate AI reply');
     }
   }
 
-  async analyzeMessage(content) {
+  /**
+   * Stream an AI reply, calling onText with the cleaned text so far after each chunk
+   * onStart runs once the prompt is built, after any variable form; onCached(cachedAt) runs when the reply came from the response cache
+   * Returns the final text; aborting through signal throws an AbortError
+   */
+  async streamAIReply(context, session, promptKey = null, { signal, onStart, onText, onCached, relaxSafety, fresh, anchor } = {}) {
+    const { prompt, knowledgeBaseFiles, cacheKnowledgeBase, generation, selectedPromptKey } = await this.buildReplyPrompt(context, promptKey, { anchor });
+    if (onStart) onStart();
+    const client = window.enhancedGeminiClient || window.initializeEnhancedGeminiClient();
+
+    const stream = await client.streamGenerateContent(prompt, null, null, session?.id, {
+      knowledgeBaseFiles,
+      cacheKnowledgeBase,
+      ...generation,
+      relaxSafety,
+      history: session?.messages,
+      cacheResponse: true,
+      fresh,
+      promptKey: selectedPromptKey,
+      source: 'injector',
+      signal
+    });
+
+    let reply = '';
+    for await (const chunk of stream) {
+      if (chunk.done) {
+        if (chunk.cached && onCached) onCached(chunk.cachedAt);
+        break;
+      }
+
+      reply = removeMarkdownFormatting(chunk.fullResponse);
+      if (onText) onText(reply);
+    }
+
+    // Post-processing needs the whole reply, so it's applied once the stream ends
+    if (reply && generation?.postProcess) {
+      reply = postProcessText(reply, generation.postProcess);
+      if (onText) onText(reply);
+    }
+
+    if (reply && session && session.addMessage) {
+      session.addMessage('user', prompt);
+      session.addMessage('assistant', reply);
+    }
+
+    return reply;
+  }
+
+  /**
+   * Prompt variables for the current conversation
+   */
+  async buildPromptContext(context) {
+    const conversationData = await fiverrExtractor.extractConversation();
+    const username = fiverrExtractor.extractUsernameFromUrl();
+
+    return {
+      ...fiverrExtractor.getTemplateContext(conversationData),
+      conversation: context || (conversationData ? fiverrExtractor.conversationToContext(conversationData) : ''),
+      username: username || 'Client',
+      source: 'inbox'
+    };
+  }
+
+  /**
+   * Run a prompt workflow on the conversation, showing step progress next to the input
+   * The final output can be inserted into the input once the workflow finishes
+   */
+  async runWorkflow(inputElement, workflowKey) {
     try {
-      const analysis = await geminiClient.analyzeMessage(content);
-      return analysis;
+      const conversationData = await fiverrExtractor.extractConversation();
+      const context = conversationData ? await fiverrExtractor.getBudgetedContext(conversationData, 'summary') : '';
+
+      await window.promptWorkflows.runWithPanel(workflowKey, {
+        context: await this.buildPromptContext(context),
+        anchor: inputElement,
+        actions: [{
+          label: 'Insert',
+          onClick: (output) => this.setInputText(inputElement, removeMarkdownFormatting(output))
+        }]
+      });
+    } catch (error) {
+      console.error('aiFiverr Injector: Workflow failed:', error);
+      this.showMessageIconNotification('Failed to run workflow', inputElement);
+    }
+  }
+
+  /**
+   * Build the reply prompt and knowledge base files for a prompt key
+   * options.anchor places the form asking for any unfilled prompt variables
+   */
+  async buildReplyPrompt(context, promptKey = null, options = {}) {
+    // Prepare context variables for prompt processing
+    const contextVars = await this.buildPromptContext(context);
+
+    // Use specified prompt key or default to professional reply
+    const selectedPromptKey = promptKey || 'professional_initial_reply';
+
+    // Use knowledge base manager to process the selected prompt
+    let prompt;
+    let knowledgeBaseFiles = [];
+    let cacheKnowledgeBase = false;
+    let generation = {};
+    try {
+      const result = await knowledgeBaseManager.processPrompt(selectedPromptKey, contextVars, { anchor: options.anchor });
+      prompt = typeof result === 'object' ? result.prompt : result;
+      knowledgeBaseFiles = typeof result === 'object' ? result.knowledgeBaseFiles : [];
+      cacheKnowledgeBase = typeof result === 'object' && result.cacheKnowledgeBase;
+      generation = typeof result === 'object' ? result.generation : {};
+
+      console.log('aiFiverr Injector: Chat Reply - Knowledge base files:', knowledgeBaseFiles);
+      console.log('aiFiverr Injector: Chat Reply - Files details:', knowledgeBaseFiles.map(f => ({
+        name: f.name,
+        id: f.id,
+        geminiUri: f.geminiUri,
+        hasGeminiUri: !!f.geminiUri
+      })));
+    } catch (error) {
+      // Template errors, a cancelled variable form and everything else reach the caller
+      if (!error.promptNotFound) throw error;
+      console.warn(`Prompt '${selectedPromptKey}' not found, using fallback:`, error);
+      // Fallback to basic prompt if the structured prompt is not available
+      prompt = 'Generate a professional reply for this Fiverr conversation';
+      if (context) {
+        prompt += `\n\nConversation context:\n${context}`;
+      }
+      prompt += '\n\nPlease generate an appropriate, professional response that addresses the conversation context.';
+    }
+
+    return { prompt, knowledgeBaseFiles, cacheKnowledgeBase, generation, selectedPromptKey };
+  }
+
+  async analyzeMessage(content, conversation = '') {
+    try {
+      const result = await knowledgeBaseManager.processPrompt('message_analysis', {
+        message: content,
+        conversation
+      });
+
+      const response = await geminiClient.generateContent(result.prompt, {
+        knowledgeBaseFiles: result.knowledgeBaseFiles,
+        cacheKnowledgeBase: result.cacheKnowledgeBase,
+        responseSchema: result.responseSchema,
+        ...result.generation,
+        promptKey: 'message_analysis'
+      });
+
+      if (!response.data) {
+        throw new Error('Analysis prompt did not return structured data');
+      }
+      return response.data;
     } catch (error) {
       console.error('Message analysis failed:', error);
       throw new Error('Failed to analyze message');
@@ -1502,10 +1928,14 @@ class FiverrInjector {
       // Use knowledge base manager to process the project proposal prompt
       let prompt;
       let knowledgeBaseFiles = [];
+      let cacheKnowledgeBase = false;
+      let generation = {};
       try {
         const result = await knowledgeBaseManager.processPrompt('project_proposal', contextVars);
         prompt = typeof result === 'object' ? result.prompt : result;
         knowledgeBaseFiles = typeof result === 'object' ? result.knowledgeBaseFiles : [];
+        cacheKnowledgeBase = typeof result === 'object' && result.cacheKnowledgeBase;
+        generation = typeof result === 'object' ? result.generation : {};
 
         console.log('aiFiverr Injector: Project Proposal - Knowledge base files from prompt:', knowledgeBaseFiles.length);
 
@@ -1513,6 +1943,7 @@ class FiverrInjector {
         if (!knowledgeBaseFiles || knowledgeBaseFiles.length === 0) {
           console.warn('aiFiverr Injector: Project proposal prompt has no files attached, force loading all KB files');
           knowledgeBaseFiles = await this.getKnowledgeBaseFilesForced();
+          cacheKnowledgeBase = knowledgeBaseFiles.length > 0;
         }
 
         console.log('aiFiverr Injector: Project Proposal - Final knowledge base files:', knowledgeBaseFiles);
@@ -1523,6 +1954,7 @@ class FiverrInjector {
           hasGeminiUri: !!f.geminiUri
         })));
       } catch (error) {
+        if (!error.promptNotFound) throw error;
         console.warn('Project proposal prompt not found, using fallback with files:', error);
 
         // Force load knowledge base files
@@ -1545,10 +1977,12 @@ class FiverrInjector {
       console.log('aiFiverr Injector: Project Proposal - Files count:', knowledgeBaseFiles.length);
       console.log('aiFiverr Injector: Project Proposal - Files with Gemini URI:', knowledgeBaseFiles.filter(f => f.geminiUri).length);
 
-      const response = await geminiClient.generateContent(prompt, { knowledgeBaseFiles });
+      // Proposals are long - paid keys go first
+      const response = await geminiClient.generateContent(prompt, { knowledgeBaseFiles, cacheKnowledgeBase, ...generation, long: true, promptKey: 'project_proposal' });
       return removeMarkdownFormatting(response.text);
     } catch (error) {
       console.error('AI proposal generation failed:', error);
+      if (error.templateError) throw error;
       throw new Error('Failed to generate AI proposal');
     }
   }
@@ -1630,7 +2064,7 @@ class FiverrInjector {
         <button class="close-btn">×</button>
       </div>
       <div class="popup-content">
-        ${analysis}
+        ${typeof analysis === 'string' ? this.escapeHtml(analysis) : renderStructuredCards(analysis)}
       </div>
     `;
 
@@ -1753,9 +2187,13 @@ class FiverrInjector {
         <button class="close-btn">×</button>
       </div>
       <div class="result-content">
-        ${result.content.replace(/\n/g, '<br>')}
+        ${result.data ? renderStructuredCards(result.data) : result.content.replace(/\n/g, '<br>')}
       </div>
       <div class="result-actions">
+        ${result.cached ? `
+          <span class="cached-badge" title="Cached ${new Date(result.cachedAt).toLocaleString()}">Cached</span>
+          <button class="regenerate-btn" title="Ignore the cached result and generate again">↻ Regenerate fresh</button>
+        ` : ''}
         <button class="copy-btn">Copy</button>
       </div>
     `;
@@ -1774,6 +2212,20 @@ class FiverrInjector {
       popup.remove();
     });
 
+    popup.querySelector('.regenerate-btn')?.addEventListener('click', async () => {
+      popup.remove();
+      try {
+        const freshResult = await result.regenerate();
+        if (freshResult) {
+          this.showActionResult(freshResult, messageElement, actionKey);
+        }
+      } catch (error) {
+        console.error(`Regenerating '${actionKey}' failed:`, error);
+        showTooltip(`Failed to ${actionKey.replace('_', ' ')}`, messageElement);
+        setTimeout(removeTooltip, 3000);
+      }
+    });
+
     popup.querySelector('.copy-btn').addEventListener('click', () => {
       navigator.clipboard.writeText(result.content).then(() => {
         showTooltip('Copied to clipboard!', popup.querySelector('.copy-btn'));
@@ -1008,7 +1008,7 @@ class TextSelector {
       }
 
       // Add other prompts (limit to avoid overwhelming)
-      const otherPrompts = Object.keys(prompts).filter(key => !favoritePrompts.includes(key));
+      const otherPrompts = Object.keys(prompts).filter(key => !favoritePrompts.includes(key) && !prompts[key].isWorkflow);
       otherPrompts.slice(0, 5).forEach(promptKey => {
         const prompt = prompts[promptKey];
         if (prompt) {
@@ -1017,6 +1017,11 @@ class TextSelector {
         }
       });
 
+      // Add workflows last
+      Object.keys(prompts)
+        .filter(key => prompts[key].isWorkflow && !favoritePrompts.includes(key))
+        .forEach(workflowKey => this.contextMenu.appendChild(this.createDropdownItem(workflowKey, prompts[workflowKey])));
+
       console.log('aiFiverr: Dropdown populated with', this.contextMenu.children.length, 'items');
 
     } catch (error) {
@@ -1117,14 +1122,47 @@ class TextSelector {
       this.contextMenu.style.display = 'none';
     }
 
+    if (window.promptWorkflows?.isWorkflowKey(promptKey)) {
+      await this.processTextWithWorkflow(promptKey, this.selectedText);
+      return;
+    }
+
     // Process the selected text with the chosen prompt
     await this.processTextWithPrompt(promptKey, this.selectedText);
   }
 
+  /**
+   * Run a prompt workflow on the selected text, showing step progress next to the icon
+   */
+  async processTextWithWorkflow(workflowKey, selectedText) {
+    try {
+      this.startIconLoadingAnimation();
+      await window.promptWorkflows.runWithPanel(workflowKey, {
+        context: {
+          conversation: selectedText,
+          selection: selectedText,
+          username: 'User',
+          source: 'selection'
+        },
+        anchor: this.floatingIcon,
+        actions: [{
+          label: 'Open result',
+          onClick: (output) => this.showResultPopup(output, selectedText)
+        }]
+      });
+    } catch (error) {
+      console.error('aiFiverr: Workflow failed:', error);
+      this.showErrorMessage(`Workflow failed: ${error.message}`);
+    } finally {
+      this.stopIconLoadingAnimation();
+    }
+  }
+
   /**
    * Process selected text with chosen prompt
    */
-  async processTextWithPrompt(promptKey, selectedText) {
+  async processTextWithPrompt(promptKey, selectedText, options = {}) {
+    let variables = options.variables; // Filled-in prompt variables, reused by retries
     try {
       console.log('=== aiFiverr Text Selection Processing Started ===');
       console.log('aiFiverr: Processing text with prompt:', promptKey);
@@ -1195,11 +1233,19 @@ class TextSelector {
 
       const result = await window.knowledgeBaseManager.processPrompt(promptKey, {
         conversation: selectedText,
-        username: 'User'
+        selection: selectedText,
+        username: 'User',
+        source: 'selection'
+      }, {
+        anchor: this.floatingIcon,
+        variables: options.variables
       });
 
       const processedPrompt = typeof result === 'object' ? result.prompt : result;
       const knowledgeBaseFiles = typeof result === 'object' ? result.knowledgeBaseFiles : [];
+      const cacheKnowledgeBase = typeof result === 'object' && result.cacheKnowledgeBase;
+      const generation = typeof result === 'object' ? result.generation : {};
+      if (typeof result === 'object' && result.variables) variables = result.variables;
 
       const safeProcessedPrompt = processedPrompt || 'No processed prompt available';
       console.log('aiFiverr: Processed prompt:', safeProcessedPrompt.substring(0, 100) + '...');
@@ -1213,15 +1259,40 @@ class TextSelector {
 
       // Generate AI response
       console.log('aiFiverr: Generating AI response with options:', { knowledgeBaseFiles });
-      const response = await window.geminiClient.generateChatReply(session, processedPrompt, { knowledgeBaseFiles });
+      const response = await window.geminiClient.generateChatReply(session, processedPrompt, {
+        knowledgeBaseFiles,
+        cacheKnowledgeBase,
+        ...generation,
+        includeThoughts: true,
+        relaxSafety: options.relaxSafety,
+        cacheResponse: true,
+        fresh: options.fresh,
+        promptKey
+      });
       console.log('aiFiverr: Got AI response:', response.response.substring(0, 100) + '...');
 
       // Show result popup near the icon (like chatbox style)
-      this.showResultPopup(response.response, selectedText);
+      this.showResultPopup(response.response, selectedText, response.thoughts, response.cached ? {
+        cachedAt: response.cachedAt,
+        regenerate: () => this.processTextWithPrompt(promptKey, selectedText, { ...options, variables, fresh: true })
+      } : null);
 
     } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('aiFiverr: Prompt cancelled by user');
+        return;
+      }
       console.error('aiFiverr: Failed to process text with prompt:', error);
-      this.showErrorMessage(`Failed to process text: ${error.message}. Please try again.`);
+      if (error.blocked?.canRetry) {
+        this.showToastMessage(`${error.message}.`, 'error', {
+          label: 'Retry with relaxed safety',
+          onClick: () => this.processTextWithPrompt(promptKey, selectedText, { variables, relaxSafety: true })
+        });
+      } else if (error.blocked) {
+        this.showErrorMessage(`${error.message}.`);
+      } else {
+        this.showErrorMessage(`Failed to process text: ${error.message}. Please try again.`);
+      }
     } finally {
       this.stopIconLoadingAnimation();
     }
@@ -1361,7 +1432,7 @@ class TextSelector {
   /**
    * Show result popup near the floating icon (like chatbox style)
    */
-  showResultPopup(result, originalText) {
+  showResultPopup(result, originalText, thoughts = '', cacheInfo = null) {
     // Remove existing popup with proper cleanup
     const existingPopup = document.querySelector('.aifiverr-text-result-popup');
     if (existingPopup) {
@@ -1379,11 +1450,18 @@ class TextSelector {
         <div class="result-title">
           <span class="result-icon">✨</span>
           <h3>AI Result</h3>
+          ${cacheInfo ? `<span class="result-cached-badge" title="Cached ${new Date(cacheInfo.cachedAt).toLocaleString()}">Cached</span>` : ''}
           <span class="drag-indicator">⋮⋮</span>
         </div>
         <button class="close-btn" title="Close">×</button>
       </div>
       <div class="result-content">
+        ${thoughts ? `
+          <details class="result-reasoning">
+            <summary>Reasoning</summary>
+            <div class="result-reasoning-text">${this.escapeHtml(thoughts)}</div>
+          </details>
+        ` : ''}
         <div class="result-display">${formattedResult}</div>
         <textarea class="result-text-editor" style="display: none;" placeholder="AI generated text...">${result}</textarea>
       </div>
@@ -1391,6 +1469,7 @@ class TextSelector {
         <button class="copy-btn" title="Copy to clipboard">📋 Copy</button>
         <button class="edit-btn" title="Edit text">✏️ Edit</button>
         <button class="insert-btn" title="Insert into field">📝 Insert</button>
+        ${cacheInfo ? '<button class="regenerate-btn" title="Ignore the cached result and generate again">↻ Fresh</button>' : ''}
       </div>
     `;
 
@@ -1433,6 +1512,11 @@ class TextSelector {
       this.toggleEditMode(popup, result);
     });
 
+    popup.querySelector('.regenerate-btn')?.addEventListener('click', () => {
+      this.closeResultPopup(popup);
+      cacheInfo.regenerate();
+    });
+
     popup.querySelector('.insert-btn').addEventListener('click', () => {
       const isEditing = textarea.style.display !== 'none';
       const currentText = isEditing ? textarea.value : (popup.dataset.currentText || result);
@@ -1938,6 +2022,39 @@ class TextSelector {
         font-family: 'Google Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
       }
 
+      .aifiverr-text-result-popup .result-cached-badge {
+        padding: 1px 8px;
+        border-radius: 10px;
+        background: #e0f2fe;
+        color: #0369a1;
+        font-size: 11px;
+        font-weight: 500;
+      }
+
+      .aifiverr-text-result-popup .result-reasoning {
+        margin-bottom: 8px;
+        border: 1px solid #e2e8f0;
+        border-radius: 6px;
+        background: #f8fafc;
+        font-size: 12px;
+        color: #64748b;
+      }
+
+      .aifiverr-text-result-popup .result-reasoning summary {
+        padding: 6px 10px;
+        cursor: pointer;
+        font-weight: 500;
+        user-select: none;
+      }
+
+      .aifiverr-text-result-popup .result-reasoning-text {
+        max-height: 160px;
+        overflow-y: auto;
+        padding: 0 10px 8px;
+        white-space: pre-wrap;
+        line-height: 1.5;
+      }
+
       /* Enhanced formatting styles */
       .aifiverr-text-result-popup .result-display .ai-header-1 {
         font-size: 1.5em;
@@ -2148,13 +2265,24 @@ class TextSelector {
   }
 
   /**
-   * Show toast message
+   * Show toast message, optionally with an action button ({ label, onClick })
    */
-  showToastMessage(message, type = 'info') {
+  showToastMessage(message, type = 'info', action = null) {
     const toast = document.createElement('div');
     toast.className = `aifiverr-toast aifiverr-toast-${type}`;
     toast.textContent = message;
 
+    if (action) {
+      const actionBtn = document.createElement('button');
+      actionBtn.className = 'aifiverr-toast-action';
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener('click', () => {
+        toast.remove();
+        action.onClick();
+      });
+      toast.appendChild(actionBtn);
+    }
+
     // Add toast styles if not already added
     this.addToastStyles();
 
@@ -2173,7 +2301,7 @@ class TextSelector {
           toast.parentNode.removeChild(toast);
         }
       }, 300);
-    }, 3000);
+    }, action ? 8000 : 3000);
   }
 
   /**
@@ -2217,6 +2345,17 @@ class TextSelector {
       .aifiverr-toast-info {
         background: #17a2b8;
       }
+
+      .aifiverr-toast-action {
+        margin-left: 12px;
+        padding: 4px 10px;
+        background: rgba(255, 255, 255, 0.2);
+        border: 1px solid rgba(255, 255, 255, 0.6);
+        border-radius: 4px;
+        color: white;
+        font-size: 12px;
+        cursor: pointer;
+      }
     `;
 
     document.head.appendChild(styles);
@@ -186,7 +186,8 @@ class AiFiverrMain {
       console.log('aiFiverr: Initializing utility managers...');
       await Promise.all([
         this.initializeExportImportManager(),
-        this.initializePromptSelector()
+        this.initializePromptSelector(),
+        this.initializePromptVariableForm()
       ]);
 
       // Initialize chat managers last (these depend on other managers)
@@ -253,6 +254,24 @@ class AiFiverrMain {
    */
   async initializeGeminiClient() {
     try {
+      // Shared request pipeline used by every Gemini client
+      if (typeof window.initializeRequestPipeline === 'function') {
+        console.log('aiFiverr: Initializing Request Pipeline...');
+        await window.initializeRequestPipeline();
+      } else {
+        console.log('aiFiverr: Request Pipeline initialization function not available');
+      }
+
+      if (typeof window.initializeContextCacheManager === 'function') {
+        console.log('aiFiverr: Initializing Context Cache Manager...');
+        await window.initializeContextCacheManager();
+      }
+
+      if (typeof window.initializeTokenBudgeter === 'function') {
+        console.log('aiFiverr: Initializing Token Budgeter...');
+        await window.initializeTokenBudgeter();
+      }
+
       if (typeof window.initializeGeminiClient === 'function') {
         console.log('aiFiverr: Initializing Gemini Client...');
         await window.initializeGeminiClient();
@@ -267,6 +286,20 @@ class AiFiverrMain {
       } else {
         console.log('aiFiverr: Enhanced Gemini Client initialization function not available');
       }
+
+      // Local Ollama client used in local only mode
+      if (typeof window.initializeOllamaClient === 'function') {
+        console.log('aiFiverr: Initializing Ollama Client...');
+        await window.initializeOllamaClient();
+      } else {
+        console.log('aiFiverr: Ollama Client initialization function not available');
+      }
+
+      // Tools the universal chat can call
+      if (typeof window.initializeToolRegistry === 'function') {
+        console.log('aiFiverr: Initializing Tool Registry...');
+        await window.initializeToolRegistry();
+      }
     } catch (error) {
       console.error('aiFiverr: Failed to initialize Gemini Client:', error);
     }
@@ -400,6 +433,21 @@ class AiFiverrMain {
     }
   }
 
+  /**
+   * Initialize Prompt Variable Form
+   */
+  async initializePromptVariableForm() {
+    try {
+      if (typeof window.initializePromptVariableForm === 'function') {
+        window.initializePromptVariableForm();
+      } else {
+        console.log('aiFiverr: Prompt Variable Form initialization function not available');
+      }
+    } catch (error) {
+      console.error('aiFiverr: Failed to initialize Prompt Variable Form:', error);
+    }
+  }
+
   /**
    * Initialize Chat Assistant Manager if site restrictions allow
    */
@@ -569,6 +617,16 @@ class AiFiverrMain {
           });
           break;
 
+        case 'KEY_VAULT_CHANGED':
+          await window.apiKeyManager?.loadKeys();
+          sendResponse({ success: true });
+          break;
+
+        case 'KEY_HEALTH_CHANGED':
+          window.apiKeyManager?.applyHealth(request.health || []);
+          sendResponse({ success: true });
+          break;
+
         case 'EXTRACT_CONVERSATION':
           const conversation = await window.fiverrExtractor?.extractConversation();
           sendResponse({ success: true, data: conversation });
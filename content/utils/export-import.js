@@ -31,7 +31,7 @@ class ExportImportManager {
       // Export knowledge base
       exportData.data.knowledgeBase = await this.exportKnowledgeBase();
       
-      // Export API keys (encrypted)
+      // Export API keys (encrypted key vault)
       exportData.data.apiKeys = await this.exportApiKeys();
       
       // Export statistics
@@ -75,7 +75,7 @@ class ExportImportManager {
    */
   async exportSettings() {
     try {
-      const settings = await storageManager.getSettings();
+      const { apiKeys, openaiApiKey, anthropicApiKey, ...settings } = await storageManager.getSettings();
       return {
         ...settings,
         exportedAt: Date.now()
@@ -103,24 +103,23 @@ class ExportImportManager {
   }
 
   /**
-   * Export API keys (with basic encryption)
+   * Export API keys as the encrypted key vault - keys are never exported in plain text
    */
   async exportApiKeys() {
     try {
-      const settings = await storageManager.getSettings();
-      const apiKeys = settings.apiKeys || [];
-      
-      // Basic obfuscation for security
-      const obfuscatedKeys = apiKeys.map(key => this.obfuscateApiKey(key));
-      
+      const response = await chrome.runtime.sendMessage({ type: 'EXPORT_KEY_VAULT' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Key vault unavailable');
+      }
+
       return {
-        keys: obfuscatedKeys,
-        count: apiKeys.length,
+        vault: response.data,
+        count: response.data.count,
         exportedAt: Date.now()
       };
     } catch (error) {
       console.error('API keys export failed:', error);
-      return { keys: [], count: 0 };
+      return { vault: null, count: 0, error: error.message };
     }
   }
 
@@ -454,7 +453,7 @@ class ExportImportManager {
       // Import API keys
       if (importData.data?.apiKeys && options.importApiKeys) {
         try {
-          results.apiKeys = await this.importApiKeys(importData.data.apiKeys);
+          results.apiKeys = await this.importApiKeys(importData.data.apiKeys, options.apiKeysPassphrase);
         } catch (error) {
           results.errors.push(`API keys import failed: ${error.message}`);
         }
@@ -512,12 +511,12 @@ class ExportImportManager {
    * Import settings
    */
   async importSettings(settingsData) {
-    // Merge with existing settings, preserving API keys unless explicitly importing
+    // Merge with existing settings - API keys only come in through the key vault
     const currentSettings = await storageManager.getSettings();
+    const { apiKeys, ...importedSettings } = settingsData;
     const mergedSettings = {
       ...currentSettings,
-      ...settingsData,
-      apiKeys: currentSettings.apiKeys // Preserve existing API keys
+      ...importedSettings
     };
     
     await storageManager.saveSettings(mergedSettings);
@@ -533,20 +532,24 @@ class ExportImportManager {
   }
 
   /**
-   * Import API keys
+   * Import API keys from an exported key vault, decrypted with the passphrase it was exported under
+   * Imported keys are added to the current ones
    */
-  async importApiKeys(apiKeysData) {
-    if (!apiKeysData.keys || !Array.isArray(apiKeysData.keys)) {
+  async importApiKeys(apiKeysData, passphrase) {
+    if (!apiKeysData.vault) {
       return 0;
     }
 
-    // Deobfuscate keys
-    const deobfuscatedKeys = apiKeysData.keys.map(key => this.deobfuscateApiKey(key));
-
-    // Update API keys
-    await apiKeyManager.updateKeys(deobfuscatedKeys);
+    const response = await chrome.runtime.sendMessage({
+      type: 'IMPORT_KEY_VAULT',
+      vault: apiKeysData.vault,
+      passphrase
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to import API keys');
+    }
 
-    return deobfuscatedKeys.length;
+    return response.data.count;
   }
 
   /**
@@ -622,28 +625,6 @@ class ExportImportManager {
     return version && version.startsWith('1.');
   }
 
-  /**
-   * Basic API key obfuscation
-   */
-  obfuscateApiKey(key) {
-    if (!key || typeof key !== 'string' || key.length < 8) return key;
-
-    const start = key.substring(0, 4);
-    const end = key.substring(key.length - 4);
-    const middle = '*'.repeat(key.length - 8);
-
-    return start + middle + end;
-  }
-
-  /**
-   * Basic API key deobfuscation (placeholder - in real implementation, use proper encryption)
-   */
-  deobfuscateApiKey(obfuscatedKey) {
-    // In a real implementation, this would decrypt properly encrypted keys
-    // For now, return as-is since we're just doing basic obfuscation
-    return obfuscatedKey;
-  }
-
   /**
    * Calculate session statistics
    */
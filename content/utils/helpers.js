@@ -198,6 +198,39 @@ function removeMarkdownFormatting(text) {
     .trim();
 }
 
+/**
+ * Clean up a generated response with a prompt's post-processing settings
+ * postProcess: { plainText, stripPreamble, stripQuotes, singleParagraph, maxCharacters }
+ */
+function postProcessText(text, postProcess) {
+  if (!text || typeof text !== 'string' || !postProcess) return text;
+
+  let result = text.trim();
+  if (postProcess.stripPreamble) {
+    // Opening lines like "Sure! Here's the improved message:"
+    result = result.replace(/^(?:sure|certainly|of course|okay|ok|absolutely|here(?:'s| is| are))\b[^\n]*:\s*\n+/i, '');
+  }
+  if (postProcess.plainText) {
+    result = removeMarkdownFormatting(result);
+  }
+  if (postProcess.stripQuotes) {
+    result = result.replace(/^["“]([\s\S]*)["”]$/, '$1').trim();
+  }
+  if (postProcess.singleParagraph) {
+    result = result.replace(/\s*\n+\s*/g, ' ');
+  }
+
+  const limit = postProcess.maxCharacters;
+  if (limit > 0 && result.length > limit) {
+    // Cut at the last sentence end inside the limit, or hard-cut when there isn't one
+    const cut = result.slice(0, limit);
+    const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '), cut.lastIndexOf('\n'));
+    result = sentenceEnd > limit / 2 ? cut.slice(0, sentenceEnd + 1) : cut;
+  }
+
+  return result.trim();
+}
+
 /**
  * Debounce function to limit API calls
  */
@@ -259,6 +292,64 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+/**
+ * Turns a schema field name like "deadline_date" into "Deadline Date"
+ */
+function formatFieldLabel(key) {
+  return String(key)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .replace(/\b\w/g, char => char.toUpperCase());
+}
+
+/**
+ * Renders a structured (JSON schema) response as cards, one card per top-level field
+ */
+function renderStructuredCards(data) {
+  const renderValue = (value) => {
+    if (value === null || value === undefined || value === '') {
+      return '<span class="aifiverr-card-empty">Not mentioned</span>';
+    }
+    if (Array.isArray(value)) {
+      if (value.length === 0) return '<span class="aifiverr-card-empty">None</span>';
+      return `<ul>${value.map(item => `<li>${renderValue(item)}</li>`).join('')}</ul>`;
+    }
+    if (typeof value === 'object') {
+      return Object.entries(value)
+        .map(([key, nested]) => `<div><strong>${escapeHtml(formatFieldLabel(key))}:</strong> ${renderValue(nested)}</div>`)
+        .join('');
+    }
+    return escapeHtml(String(value));
+  };
+
+  return `
+    <div class="aifiverr-structured-cards">
+      ${Object.entries(data || {}).map(([key, value]) => `
+        <div class="aifiverr-card${Array.isArray(value) ? ' aifiverr-card-wide' : ''}" data-field="${escapeHtml(key)}">
+          <div class="aifiverr-card-label">${escapeHtml(formatFieldLabel(key))}</div>
+          <div class="aifiverr-card-value">${renderValue(value)}</div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Converts a structured response to plain text for copying
+ */
+function structuredDataToText(data) {
+  return Object.entries(data || {}).map(([key, value]) => {
+    const label = formatFieldLabel(key);
+    if (Array.isArray(value)) {
+      return `${label}:\n${value.map(item => `- ${typeof item === 'object' ? JSON.stringify(item) : item}`).join('\n')}`;
+    }
+    if (value && typeof value === 'object') {
+      return `${label}: ${JSON.stringify(value)}`;
+    }
+    return `${label}: ${value ?? 'Not mentioned'}`;
+  }).join('\n');
+}
+
 /**
  * Checks if current page is a Fiverr conversation page
  */
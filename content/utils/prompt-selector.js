@@ -107,8 +107,12 @@ class PromptSelector {
         }
       });
 
+      // Workflows are listed after the prompts
+      const workflows = window.promptWorkflows || window.initializePromptWorkflows?.();
+      const workflowPrompts = workflows ? await workflows.getWorkflowPrompts() : {};
+
       // Combine visible default prompts with custom prompts
-      this.allPrompts = { ...visibleDefaultPrompts, ...(customPrompts || {}) };
+      this.allPrompts = { ...visibleDefaultPrompts, ...(customPrompts || {}), ...workflowPrompts };
 
       // Enhanced debugging for prompt loading
       console.log('aiFiverr Prompt Selector: Loaded prompts:', {
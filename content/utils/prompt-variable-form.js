@@ -0,0 +1,184 @@
+/**
+ * Prompt Variable Form
+ * Small inline form that asks for prompt placeholders the extension can't fill on its own
+ */
+
+class PromptVariableForm {
+  constructor() {
+    this.form = null;
+    this.inputs = new Map(); // Field name -> input element
+    this.finish = null;
+    this.lastPoint = null; // Last pointer position, used when no anchor element is given
+  }
+
+  init() {
+    document.addEventListener('pointerdown', (e) => {
+      if (this.form?.contains(e.target)) return;
+      this.lastPoint = { x: e.clientX, y: e.clientY };
+    }, true);
+  }
+
+  /**
+   * Ask for variable values
+   * fields: [{ name, label, type: text|textarea|number|select, options, value, required, placeholder }]
+   * Resolves to { name: value } or null when cancelled
+   */
+  show({ title, fields, anchor = null }) {
+    this.close(null);
+
+    return new Promise((resolve) => {
+      this.finish = resolve;
+      this.form = this.createForm(title, fields);
+      document.body.appendChild(this.form);
+      this.position(anchor);
+      this.form.querySelector('input, textarea, select')?.focus();
+    });
+  }
+
+  createForm(title, fields) {
+    const form = document.createElement('form');
+    form.className = 'aifiverr-ui aifiverr-variable-form';
+    form.noValidate = true;
+
+    const header = document.createElement('div');
+    header.className = 'aifiverr-variable-form-header';
+    header.textContent = title ? `${title} - fill in` : 'Fill in prompt variables';
+    form.appendChild(header);
+
+    fields.forEach(field => form.appendChild(this.createField(field)));
+
+    const actions = document.createElement('div');
+    actions.className = 'aifiverr-variable-form-actions';
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'aifiverr-variable-form-cancel';
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', () => this.close(null));
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'aifiverr-variable-form-submit';
+    submit.textContent = 'Generate';
+    actions.append(cancel, submit);
+    form.appendChild(actions);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const values = this.readValues(fields);
+      if (values) this.close(values);
+    });
+
+    form.addEventListener('keydown', (e) => {
+      e.stopPropagation(); // Keep Fiverr's own shortcuts out of the form
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close(null);
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        form.requestSubmit();
+      }
+    });
+
+    return form;
+  }
+
+  createField(field) {
+    const row = document.createElement('label');
+    row.className = 'aifiverr-variable-form-field';
+
+    const label = document.createElement('span');
+    label.textContent = field.label || field.name;
+    row.appendChild(label);
+
+    let input;
+    if (field.type === 'select') {
+      input = document.createElement('select');
+      const options = [...(field.options || [])];
+      if (!options.includes(field.value) && field.value !== '') options.unshift(field.value);
+      options.forEach(option => {
+        const element = document.createElement('option');
+        element.value = option;
+        element.textContent = option;
+        input.appendChild(element);
+      });
+    } else if (field.type === 'textarea') {
+      input = document.createElement('textarea');
+      input.rows = 3;
+    } else {
+      input = document.createElement('input');
+      input.type = field.type === 'number' ? 'number' : 'text';
+    }
+
+    input.name = field.name;
+    input.value = field.value ?? '';
+    if (field.placeholder) input.placeholder = field.placeholder;
+    input.addEventListener('input', () => input.classList.remove('invalid'));
+    this.inputs.set(field.name, input);
+    row.appendChild(input);
+    return row;
+  }
+
+  /**
+   * Collect values, highlighting required fields left empty - returns null when any are missing
+   */
+  readValues(fields) {
+    const values = {};
+    let firstInvalid = null;
+
+    fields.forEach(field => {
+      const input = this.inputs.get(field.name);
+      const value = input.value.trim();
+      const invalid = (field.required !== false && !value) ||
+        (field.type === 'number' && value && isNaN(Number(value)));
+
+      input.classList.toggle('invalid', invalid);
+      if (invalid && !firstInvalid) firstInvalid = input;
+      values[field.name] = value;
+    });
+
+    if (firstInvalid) {
+      firstInvalid.focus();
+      return null;
+    }
+    return values;
+  }
+
+  /**
+   * Place the form below the anchor (or the last click), kept inside the viewport
+   */
+  position(anchor) {
+    const rect = anchor?.isConnected ? anchor.getBoundingClientRect() : null;
+    const point = rect ? { x: rect.left, y: rect.bottom + 8 } : (this.lastPoint || { x: window.innerWidth / 2 - 160, y: 120 });
+    const { width, height } = this.form.getBoundingClientRect();
+
+    let top = point.y;
+    if (top + height > window.innerHeight - 10) {
+      top = (rect ? rect.top - 8 : point.y) - height;
+    }
+    const left = Math.min(Math.max(10, point.x), window.innerWidth - width - 10);
+
+    this.form.style.top = `${Math.max(10, top)}px`;
+    this.form.style.left = `${left}px`;
+  }
+
+  close(values) {
+    this.form?.remove();
+    this.form = null;
+    this.inputs.clear();
+
+    const finish = this.finish;
+    this.finish = null;
+    if (finish) finish(values);
+  }
+}
+
+// Create global prompt variable form
+function initializePromptVariableForm() {
+  if (!window.promptVariableForm) {
+    window.promptVariableForm = new PromptVariableForm();
+    window.promptVariableForm.init();
+    console.log('aiFiverr: Prompt Variable Form created and initialized');
+  }
+  return window.promptVariableForm;
+}
+
+window.initializePromptVariableForm = initializePromptVariableForm;
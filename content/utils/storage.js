@@ -297,7 +297,6 @@ class StorageManager {
 
   getDefaultSettings() {
     return {
-      apiKeys: [],
       defaultModel: 'gemini-2.5-flash',
       selectedModel: 'gemini-2.5-flash', // User's selected model
       autoSave: true,
@@ -309,7 +308,16 @@ class StorageManager {
       keyRotation: true,
       conversationContext: true,
       maxContextLength: 1000000, // 1M tokens - Gemini 2.5 Flash default context window
-      restrictToFiverr: true // New setting: true = Fiverr only, false = all sites
+      restrictToFiverr: true, // New setting: true = Fiverr only, false = all sites
+      contextCaching: true, // Reuse a Gemini context cache for knowledge base files
+      localOnly: false, // true = generate only with the local Ollama server
+      ollamaBaseUrl: 'http://localhost:11434',
+      ollamaModel: 'llama3.2',
+      provider: 'gemini', // Cloud provider when local only mode is off: gemini, openai or anthropic
+      openaiBaseUrl: 'https://api.openai.com/v1', // Any OpenAI-compatible /chat/completions server
+      openaiModel: 'gpt-4o-mini',
+      anthropicBaseUrl: 'https://api.anthropic.com/v1',
+      anthropicModel: 'claude-sonnet-4-0'
     };
   }
 
@@ -342,6 +350,16 @@ class StorageManager {
    */
   async exportData() {
     const allData = await this.getAll();
+
+    // API keys only leave this browser as a passphrase-protected key vault
+    delete allData.keyVaultDeviceSecret;
+    if (!allData.keyVault?.protected) delete allData.keyVault;
+    if (allData.settings) {
+      // Left in the settings by older versions until the vault is unlocked
+      const { openaiApiKey, anthropicApiKey, ...settings } = allData.settings;
+      allData.settings = settings;
+    }
+
     return {
       version: '1.0.0',
       timestamp: Date.now(),
@@ -355,11 +373,15 @@ class StorageManager {
         throw new Error('Invalid import data format');
       }
 
+      // Keep this browser's key vault unless the import brings its own
+      const current = await chrome.storage.local.get(['keyVault', 'keyVaultDeviceSecret']);
+      const { keyVaultDeviceSecret, ...data } = importData.data;
+
       // Clear existing data
       await this.clear();
       
       // Import new data
-      await chrome.storage.local.set(importData.data);
+      await chrome.storage.local.set({ ...current, ...data });
       
       // Clear cache to force reload
       this.cache.clear();
@@ -0,0 +1,195 @@
+/**
+ * Workflow Panel
+ * Shows a running workflow's step progress near where it was started. Finished steps can be
+ * expanded to inspect their output, pausing steps are edited in place, and the final output
+ * is offered with the caller's actions (insert, show, copy)
+ */
+
+class WorkflowPanel {
+  constructor({ title, steps, anchor = null, onStop = null }) {
+    this.onStop = onStop;
+    this.outputs = [];
+    this.element = this.createPanel(title, steps);
+    document.body.appendChild(this.element);
+    this.position(anchor);
+  }
+
+  createPanel(title, steps) {
+    const panel = document.createElement('div');
+    panel.className = 'aifiverr-ui aifiverr-workflow-panel';
+
+    const header = document.createElement('div');
+    header.className = 'aifiverr-workflow-header';
+    const heading = document.createElement('span');
+    heading.textContent = title;
+    this.stopButton = document.createElement('button');
+    this.stopButton.className = 'aifiverr-workflow-stop';
+    this.stopButton.textContent = 'Stop';
+    this.stopButton.addEventListener('click', () => this.onStop?.());
+    const closeButton = document.createElement('button');
+    closeButton.className = 'aifiverr-workflow-close';
+    closeButton.title = 'Close';
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => {
+      this.onStop?.();
+      this.close();
+    });
+    header.append(heading, this.stopButton, closeButton);
+    panel.appendChild(header);
+
+    this.stepElements = steps.map((name, index) => {
+      const step = document.createElement('div');
+      step.className = 'aifiverr-workflow-step pending';
+
+      const row = document.createElement('div');
+      row.className = 'aifiverr-workflow-step-row';
+      const status = document.createElement('span');
+      status.className = 'aifiverr-workflow-step-status';
+      status.textContent = '○';
+      const label = document.createElement('span');
+      label.textContent = `${index + 1}. ${name}`;
+      row.append(status, label);
+      row.addEventListener('click', () => this.toggleOutput(index));
+
+      const output = document.createElement('pre');
+      output.className = 'aifiverr-workflow-step-output';
+      output.style.display = 'none';
+
+      step.append(row, output);
+      panel.appendChild(step);
+      return step;
+    });
+
+    this.footer = document.createElement('div');
+    this.footer.className = 'aifiverr-workflow-footer';
+    panel.appendChild(this.footer);
+
+    panel.addEventListener('keydown', (e) => e.stopPropagation());
+    return panel;
+  }
+
+  position(anchor) {
+    const rect = anchor?.isConnected ? anchor.getBoundingClientRect() : null;
+    const { width, height } = this.element.getBoundingClientRect();
+
+    let top = rect ? rect.top - height - 8 : 80;
+    if (top < 10) top = rect ? rect.bottom + 8 : 80;
+    const left = rect ? Math.min(Math.max(10, rect.left), window.innerWidth - width - 10) : window.innerWidth - width - 20;
+
+    this.element.style.top = `${Math.max(10, Math.min(top, window.innerHeight - height - 10))}px`;
+    this.element.style.left = `${Math.max(10, left)}px`;
+  }
+
+  /**
+   * Update a step: status is running, paused, done, error or stopped
+   */
+  setStep(index, { status, output, error }) {
+    const step = this.stepElements[index];
+    if (!step) return;
+
+    const icons = { running: '⏳', paused: '⏸', done: '✓', error: '✕', stopped: '■' };
+    step.className = `aifiverr-workflow-step ${status}`;
+    step.querySelector('.aifiverr-workflow-step-status').textContent = icons[status] || '○';
+
+    if (output !== undefined) {
+      this.outputs[index] = output;
+      step.querySelector('.aifiverr-workflow-step-output').textContent = output;
+    }
+    if (error && status === 'error') {
+      const outputElement = step.querySelector('.aifiverr-workflow-step-output');
+      outputElement.textContent = error.message;
+      outputElement.style.display = '';
+    }
+  }
+
+  toggleOutput(index) {
+    if (this.outputs[index] === undefined) return;
+    const output = this.stepElements[index].querySelector('.aifiverr-workflow-step-output');
+    output.style.display = output.style.display === 'none' ? '' : 'none';
+  }
+
+  /**
+   * Let the user edit a step's output - resolves to the edited text, or null to stop
+   */
+  pause(index, output) {
+    return new Promise((resolve) => {
+      const step = this.stepElements[index];
+      const editor = document.createElement('div');
+      editor.className = 'aifiverr-workflow-edit';
+      const textarea = document.createElement('textarea');
+      textarea.value = output;
+      textarea.rows = 8;
+      const continueButton = document.createElement('button');
+      continueButton.className = 'aifiverr-workflow-primary';
+      continueButton.textContent = 'Continue';
+      const stopButton = document.createElement('button');
+      stopButton.textContent = 'Stop';
+      const buttons = document.createElement('div');
+      buttons.className = 'aifiverr-workflow-actions';
+      buttons.append(stopButton, continueButton);
+      editor.append(textarea, buttons);
+      step.appendChild(editor);
+      textarea.focus();
+
+      const done = (value) => {
+        editor.remove();
+        resolve(value);
+      };
+      continueButton.addEventListener('click', () => done(textarea.value.trim()));
+      stopButton.addEventListener('click', () => done(null));
+    });
+  }
+
+  /**
+   * Show the final output with the caller's actions
+   */
+  finish(output, actions = []) {
+    this.stopButton.remove();
+    this.footer.innerHTML = '';
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'aifiverr-workflow-result';
+    textarea.value = output;
+    textarea.rows = 6;
+
+    const buttons = document.createElement('div');
+    buttons.className = 'aifiverr-workflow-actions';
+    const copyButton = document.createElement('button');
+    copyButton.textContent = 'Copy';
+    copyButton.addEventListener('click', async () => {
+      await navigator.clipboard.writeText(textarea.value);
+      copyButton.textContent = 'Copied';
+    });
+    buttons.appendChild(copyButton);
+
+    actions.forEach(action => {
+      const button = document.createElement('button');
+      button.className = 'aifiverr-workflow-primary';
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        action.onClick(textarea.value);
+        this.close();
+      });
+      buttons.appendChild(button);
+    });
+
+    this.footer.append(textarea, buttons);
+  }
+
+  fail(error) {
+    this.stopButton.remove();
+    this.footer.textContent = `Workflow failed: ${error.message}`;
+    this.footer.classList.add('error');
+  }
+
+  stopped() {
+    this.stopButton.remove();
+    this.footer.textContent = 'Workflow stopped';
+  }
+
+  close() {
+    this.element.remove();
+  }
+}
+
+window.WorkflowPanel = WorkflowPanel;
@@ -13,6 +13,11 @@ class PopupManager {
     this.currentPromptTab = 'custom';
     this.favoritePrompts = new Set();
     this.originalPromptData = null; // For tracking changes in prompt editing
+    this.modelCatalog = null; // Models available to the API keys, from the background
+    this.promptHistory = window.initializePromptHistory();
+    this.promptWorkflows = window.initializePromptWorkflows();
+    this.editingWorkflowKey = null;
+    this.workflowSteps = [];
     this.init();
   }
 
@@ -253,6 +258,62 @@ class PopupManager {
       this.hidePromptForm();
     });
 
+    // Workflows
+    document.getElementById('addWorkflowBtn')?.addEventListener('click', () => {
+      this.showWorkflowForm();
+    });
+
+    document.getElementById('saveWorkflowBtn')?.addEventListener('click', () => {
+      this.saveWorkflow();
+    });
+
+    document.getElementById('cancelWorkflowBtn')?.addEventListener('click', () => {
+      this.hideWorkflowForm();
+    });
+
+    document.getElementById('addWorkflowStepBtn')?.addEventListener('click', () => {
+      this.workflowSteps.push({ name: '', prompt: '' });
+      this.renderWorkflowSteps();
+    });
+
+    const workflowStepsEditor = document.getElementById('workflowSteps');
+    workflowStepsEditor?.addEventListener('input', (e) => this.updateWorkflowStep(e.target));
+    workflowStepsEditor?.addEventListener('change', (e) => this.updateWorkflowStep(e.target));
+    workflowStepsEditor?.addEventListener('click', (e) => {
+      const action = e.target.dataset.action;
+      if (action) this.moveWorkflowStep(Number(e.target.closest('.workflow-step').dataset.index), action);
+    });
+
+    document.getElementById('workflowsList')?.addEventListener('click', (e) => {
+      const key = e.target.dataset.key;
+      if (e.target.classList.contains('workflow-edit-btn')) {
+        this.editWorkflow(key, e.target.dataset.copy === 'true');
+      } else if (e.target.classList.contains('workflow-delete-btn')) {
+        this.deleteWorkflow(key);
+      }
+    });
+
+    // Model catalog
+    document.getElementById('refreshModels')?.addEventListener('click', () => {
+      this.loadModelCatalog(true);
+    });
+
+    document.getElementById('defaultModel')?.addEventListener('change', () => {
+      this.showModelCapabilities();
+    });
+
+    document.getElementById('newPromptModel')?.addEventListener('change', () => {
+      this.checkPromptModelLimits();
+    });
+
+    document.getElementById('newPromptContent')?.addEventListener('input', () => {
+      this.checkPromptTemplate();
+    });
+
+    document.getElementById('newPromptThinking')?.addEventListener('change', (e) => {
+      document.getElementById('newPromptThinkingBudget').style.display = e.target.value === 'fixed' ? '' : 'none';
+    });
+
     // Knowledge Base file selector for prompts
     document.getElementById('selectKbFiles')?.addEventListener('click', () => {
       console.log('aiFiverr: Select KB Files button clicked');
@@ -308,6 +369,9 @@ class PopupManager {
       } else if (e.target.classList.contains('prompt-delete-btn')) {
         const key = e.target.getAttribute('data-key');
         this.deletePrompt(key);
+      } else if (e.target.classList.contains('prompt-history-btn')) {
+        const key = e.target.getAttribute('data-key');
+        this.showPromptHistory(key);
       } else if (e.target.classList.contains('prompt-toggle-btn')) {
         const key = e.target.getAttribute('data-key');
         this.toggleDefaultPromptVisibility(key);
@@ -359,6 +423,64 @@ class PopupManager {
       this.saveApiConfiguration();
     });
 
+    document.getElementById('testOllama')?.addEventListener('click', () => {
+      this.testOllamaConnection();
+    });
+
+    document.getElementById('provider')?.addEventListener('change', () => {
+      this.updateProviderFields();
+    });
+
+    document.querySelectorAll('[data-test-provider]').forEach(button => {
+      button.addEventListener('click', () => this.testProviderConnection(button.dataset.testProvider));
+    });
+
+    document.getElementById('clearResponseCache')?.addEventListener('click', () => {
+      this.clearResponseCache();
+    });
+
+    // Key vault
+    document.getElementById('unlockKeyVault')?.addEventListener('click', () => {
+      this.unlockKeyVault();
+    });
+
+    document.getElementById('keyVaultPassphrase')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.unlockKeyVault();
+    });
+
+    document.getElementById('lockKeyVault')?.addEventListener('click', () => {
+      this.lockKeyVault();
+    });
+
+    document.getElementById('setKeyVaultPassphrase')?.addEventListener('click', () => {
+      this.setKeyVaultPassphrase();
+    });
+
+    // Usage tab event listeners
+    document.getElementById('refreshUsage')?.addEventListener('click', () => {
+      this.loadUsageDashboard();
+    });
+
+    document.getElementById('clearUsage')?.addEventListener('click', () => {
+      this.clearUsageLedger();
+    });
+
+    document.getElementById('addPricingRow')?.addEventListener('click', () => {
+      this.addPricingRow();
+    });
+
+    document.getElementById('savePricing')?.addEventListener('click', () => {
+      this.saveModelPricing();
+    });
+
+    document.querySelectorAll('.usage-period-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.usagePeriod = e.target.dataset.period;
+        document.querySelectorAll('.usage-period-btn').forEach(b => b.classList.toggle('active', b === e.target));
+        this.renderUsageSummary();
+      });
+    });
+
     // Conversations tab event listeners
     document.getElementById('refreshConversations')?.addEventListener('click', () => {
       this.loadConversations();
@@ -457,6 +579,10 @@ class PopupManager {
 
     this.currentTab = tabName;
 
+    // Per-key usage refreshes only while the API tab is open
+    clearInterval(this.keyUsageTimer);
+    this.keyUsageTimer = null;
+
     // Load tab-specific data
     switch (tabName) {
       case 'dashboard':
@@ -465,8 +591,12 @@ class PopupManager {
       case 'conversations':
         await this.loadConversations();
         break;
+      case 'usage':
+        await this.loadUsageDashboard();
+        break;
       case 'api':
         await this.loadApiConfig();
+        this.keyUsageTimer = setInterval(() => this.loadSchedulerStatus(), 5000);
         break;
       case 'settings':
         await this.loadSettings();
@@ -503,9 +633,9 @@ class PopupManager {
       const conversationCount = conversations ? Object.keys(conversations).length : 0;
       document.getElementById('totalConversations').textContent = conversationCount;
 
-      // Get API key count
-      const settings = await this.getStorageData('settings');
-      const apiKeyCount = settings?.apiKeys ? settings.apiKeys.length : 0;
+      // Get usable API key count from the background key health
+      const keyHealth = await this.sendMessageToBackground({ type: 'GET_KEY_HEALTH' });
+      const apiKeyCount = keyHealth.success ? keyHealth.data.filter(health => health.isHealthy && !health.quotaExhausted).length : 0;
       document.getElementById('healthyKeys').textContent = apiKeyCount;
 
       // Get custom prompts count
@@ -573,19 +703,17 @@ class PopupManager {
 
   async loadApiConfig() {
     try {
-      // Load API keys from the same location the background script uses
-      const result = await this.getStorageData(['apiKeys', 'settings']);
+      const result = await this.getStorageData(['settings']);
 
-      // Try to get API keys from the background script location first
-      this.currentApiKeys = result.apiKeys || [];
-
-      // If no keys found in background location, try settings as fallback
-      if (this.currentApiKeys.length === 0 && result.settings?.apiKeys) {
-        this.currentApiKeys = result.settings.apiKeys;
-      }
+      // API keys are only readable through the background key vault
+      const keysResult = await this.sendMessageToBackground({ type: 'GET_API_KEYS' });
+      this.currentApiKeys = keysResult.success ? keysResult.data.keys : [];
+      this.apiKeyMeta = keysResult.success ? keysResult.data.meta || [] : [];
+      this.apiKeyHealth = keysResult.success ? keysResult.data.health || [] : [];
 
       // Display API keys in the list
       this.displayApiKeys();
+      await this.loadKeyVaultStatus();
 
       // Initialize API keys visibility (default to hidden)
       const apiKeysInput = document.getElementById('apiKeysInput');
@@ -612,12 +740,353 @@ class PopupManager {
         document.getElementById('keyRotation').checked = result.settings.keyRotation !== false;
         document.getElementById('apiTimeout').value = result.settings.apiTimeout || 30;
         document.getElementById('maxRetries').value = result.settings.maxRetries || 3;
+        const rateLimits = result.settings.rateLimits || {};
+        document.getElementById('rateLimitRpm').value = rateLimits.rpm || 10;
+        document.getElementById('rateLimitRpd').value = rateLimits.rpd || 250;
+        document.getElementById('rateLimitTpm').value = rateLimits.tpm || 250000;
+        document.getElementById('rateLimitConcurrency').value = rateLimits.concurrency || 2;
+        document.getElementById('contextCaching').checked = result.settings.contextCaching !== false;
+        document.getElementById('responseCache').checked = result.settings.responseCache !== false;
+        document.getElementById('responseCacheTtl').value = result.settings.responseCacheTtl || 24;
+
+        // Local only mode
+        document.getElementById('localOnly').checked = result.settings.localOnly === true;
+        document.getElementById('ollamaBaseUrl').value = result.settings.ollamaBaseUrl || 'http://localhost:11434';
+        document.getElementById('ollamaModel').value = result.settings.ollamaModel || 'llama3.2';
+
+        // Cloud provider
+        document.getElementById('provider').value = result.settings.provider || 'gemini';
+        document.getElementById('openaiBaseUrl').value = result.settings.openaiBaseUrl || 'https://api.openai.com/v1';
+        document.getElementById('openaiModel').value = result.settings.openaiModel || 'gpt-4o-mini';
+        document.getElementById('anthropicBaseUrl').value = result.settings.anthropicBaseUrl || 'https://api.anthropic.com/v1';
+        document.getElementById('anthropicModel').value = result.settings.anthropicModel || 'claude-sonnet-4-0';
+        this.updateProviderFields();
       }
+      await this.loadProviderKeys();
+
+      await this.loadModelCatalog();
+      await this.loadSchedulerStatus();
+      await this.loadResponseCacheStats();
     } catch (error) {
       console.error('Failed to load API config:', error);
     }
   }
 
+  /**
+   * Show how much of each key's rate limits the shared scheduler has used
+   */
+  async loadSchedulerStatus() {
+    const container = document.getElementById('schedulerStatus');
+    if (!container) return;
+
+    try {
+      const response = await this.sendMessageToBackground({ type: 'GET_SCHEDULER_STATUS' });
+      if (!response?.success) throw new Error(response?.error || 'Scheduler unavailable');
+
+      const { limits, queued, active, keys } = response.data;
+      this.schedulerLimits = limits;
+      this.keyUsage = keys;
+      this.updateApiKeyUsage();
+      container.textContent = `${active} running · ${queued} queued`;
+    } catch (error) {
+      console.warn('Failed to load scheduler status:', error);
+      container.textContent = '';
+    }
+  }
+
+  /**
+   * Load the models available to the API keys and fill the model selects
+   */
+  async loadModelCatalog(refresh = false) {
+    const refreshBtn = document.getElementById('refreshModels');
+    if (refreshBtn) refreshBtn.disabled = true;
+
+    try {
+      const result = await this.sendMessageToBackground({ type: 'GET_MODEL_CATALOG', refresh });
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load models');
+      }
+
+      if (result.data.models.length > 0) {
+        this.modelCatalog = result.data.models;
+        this.populateModelSelect(document.getElementById('defaultModel'));
+        this.populateModelSelect(document.getElementById('newPromptModel'), 'Default model');
+      }
+
+      if (refresh) {
+        if (result.data.errors.length > 0) {
+          this.showToast(`Could not list models for ${result.data.errors.length} key(s): ${result.data.errors[0].error}`, 'warning');
+        } else {
+          this.showToast(`Found ${result.data.models.length} models`, 'success');
+        }
+      }
+    } catch (error) {
+      console.error('Failed to load model catalog:', error);
+      if (refresh) this.showToast(`Failed to load models: ${error.message}`, 'error');
+    } finally {
+      if (refreshBtn) refreshBtn.disabled = false;
+      this.showModelCapabilities();
+      this.checkPromptModelLimits();
+    }
+  }
+
+  /**
+   * Fill a model select from the catalog, keeping its current value
+   * defaultLabel adds an empty "use default" option first
+   */
+  populateModelSelect(select, defaultLabel = null) {
+    if (!select || !this.modelCatalog) return;
+
+    const current = select.value;
+    select.innerHTML = (defaultLabel ? `<option value="">${this.escapeHtml(defaultLabel)}</option>` : '') +
+      this.modelCatalog.map(model => `<option value="${this.escapeHtml(model.name)}">${this.escapeHtml(model.displayName)}</option>`).join('');
+    this.setModelSelectValue(select, current);
+  }
+
+  /**
+   * Select a model, adding it to the list if no key lists it so saved choices aren't lost
+   */
+  setModelSelectValue(select, value) {
+    if (!select) return;
+
+    if (value && !Array.from(select.options).some(option => option.value === value)) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = this.modelCatalog ? `${value} (not available on your keys)` : value;
+      select.appendChild(option);
+    }
+    select.value = value || '';
+  }
+
+  /**
+   * Get catalog metadata for a model
+   */
+  getCatalogModel(name) {
+    return this.modelCatalog?.find(model => model.name === name) || null;
+  }
+
+  /**
+   * Show token limits and features of the selected default model
+   */
+  showModelCapabilities() {
+    const container = document.getElementById('modelCapabilities');
+    if (!container) return;
+
+    const model = this.getCatalogModel(document.getElementById('defaultModel')?.value);
+    if (!model) {
+      container.textContent = this.modelCatalog ? 'This model is not available on your API keys' : '';
+      return;
+    }
+
+    const features = [
+      model.thinking && 'Thinking',
+      model.files && 'Files',
+      model.caching && 'Caching'
+    ].filter(Boolean);
+    const keyCount = this.currentApiKeys?.length || model.keys.length;
+
+    container.textContent = [
+      model.inputTokenLimit && `Input ${model.inputTokenLimit.toLocaleString()} tokens`,
+      model.outputTokenLimit && `Output ${model.outputTokenLimit.toLocaleString()} tokens`,
+      features.length > 0 && features.join(', '),
+      `Available on ${model.keys.length} of ${keyCount} key(s)`
+    ].filter(Boolean).join(' · ');
+  }
+
+  /**
+   * Rough token count for a knowledge base file from its size and type
+   */
+  estimateFileTokens(file) {
+    const mimeType = file.mimeType || '';
+    if (mimeType.startsWith('image/')) return 258; // Fixed cost per image
+    if (mimeType === 'application/pdf') {
+      return Math.ceil((file.size || 0) / 50000) * 258; // About one page per 50 KB, 258 tokens per page
+    }
+    return Math.ceil((file.size || 0) / 4);
+  }
+
+  /**
+   * Read the prompt form's thinking setting - null keeps the model default
+   */
+  getPromptThinking() {
+    const mode = document.getElementById('newPromptThinking')?.value || 'default';
+    if (mode === 'default') return null;
+    if (mode !== 'fixed') return { mode };
+    return { mode, budget: parseInt(document.getElementById('newPromptThinkingBudget').value) || 0 };
+  }
+
+  /**
+   * Show a prompt's thinking setting in the prompt form
+   */
+  setPromptThinking(thinking) {
+    const select = document.getElementById('newPromptThinking');
+    const budget = document.getElementById('newPromptThinkingBudget');
+    if (!select || !budget) return;
+
+    select.value = thinking?.mode || 'default';
+    budget.value = thinking?.budget ?? 1024;
+    budget.style.display = select.value === 'fixed' ? '' : 'none';
+  }
+
+  /**
+   * A prompt's temperature, length, system instruction and post-processing, with unset values as null
+   */
+  pickGenerationSettings(prompt) {
+    const postProcess = {};
+    ['plainText', 'stripPreamble', 'stripQuotes', 'singleParagraph'].forEach(option => {
+      if (prompt?.postProcess?.[option]) postProcess[option] = true;
+    });
+    if (prompt?.postProcess?.maxCharacters > 0) postProcess.maxCharacters = prompt.postProcess.maxCharacters;
+
+    return {
+      temperature: typeof prompt?.temperature === 'number' ? prompt.temperature : null,
+      maxOutputTokens: prompt?.maxOutputTokens || null,
+      systemInstruction: prompt?.systemInstruction || null,
+      postProcess: Object.keys(postProcess).length > 0 ? postProcess : null
+    };
+  }
+
+  /**
+   * Read the prompt form's generation settings - empty fields keep the defaults
+   * Throws on a value out of range
+   */
+  getPromptGenerationSettings() {
+    const temperatureText = document.getElementById('newPromptTemperature')?.value.trim() || '';
+    const maxTokensText = document.getElementById('newPromptMaxTokens')?.value.trim() || '';
+
+    const temperature = temperatureText === '' ? null : Number(temperatureText);
+    if (temperature !== null && !(temperature >= 0 && temperature <= 2)) {
+      throw new Error('Temperature must be between 0 and 2');
+    }
+    const maxOutputTokens = maxTokensText === '' ? null : parseInt(maxTokensText);
+    if (maxOutputTokens !== null && !(maxOutputTokens > 0)) {
+      throw new Error('Max output tokens must be a positive number');
+    }
+
+    const postProcess = {};
+    document.querySelectorAll('[data-post-process]').forEach(input => {
+      postProcess[input.dataset.postProcess] = input.checked;
+    });
+    postProcess.maxCharacters = parseInt(document.getElementById('newPromptMaxCharacters')?.value) || 0;
+
+    return this.pickGenerationSettings({
+      temperature,
+      maxOutputTokens,
+      systemInstruction: document.getElementById('newPromptSystemInstruction')?.value.trim(),
+      postProcess
+    });
+  }
+
+  /**
+   * Show a prompt's generation settings in the prompt form
+   */
+  setPromptGenerationSettings(prompt) {
+    const settings = this.pickGenerationSettings(prompt);
+    const setValue = (id, value) => {
+      const element = document.getElementById(id);
+      if (element) element.value = value ?? '';
+    };
+
+    setValue('newPromptTemperature', settings.temperature);
+    setValue('newPromptMaxTokens', settings.maxOutputTokens);
+    setValue('newPromptSystemInstruction', settings.systemInstruction);
+    setValue('newPromptMaxCharacters', settings.postProcess?.maxCharacters);
+    document.querySelectorAll('[data-post-process]').forEach(input => {
+      input.checked = !!settings.postProcess?.[input.dataset.postProcess];
+    });
+  }
+
+  /**
+   * Validate the prompt form's template and show the first error under it
+   * Returns the error, or null when the template is valid
+   */
+  checkPromptTemplate() {
+    const content = document.getElementById('newPromptContent')?.value || '';
+    const errorElement = document.getElementById('promptTemplateError');
+    const engine = window.promptTemplateEngine || window.initializePromptTemplateEngine?.();
+    const error = engine ? engine.validate(content) : null;
+
+    if (errorElement) {
+      errorElement.textContent = error ? error.message : '';
+      errorElement.style.display = error ? '' : 'none';
+    }
+    return error;
+  }
+
+  /**
+   * Read the prompt form's variable declarations - one "name: type(option|option) = default" per line
+   * Returns null when nothing is declared; throws on a line that can't be parsed
+   */
+  getPromptVariables() {
+    const text = document.getElementById('newPromptVariables')?.value || '';
+    const variables = {};
+
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+      const match = line.match(/^([a-zA-Z_]\w*)(\?)?\s*(?::\s*(text|textarea|number|select)\s*(?:\(([^)]*)\))?)?\s*(?:=\s*(.*))?$/);
+      if (!match) {
+        throw new Error(`Can't read variable "${line}"`);
+      }
+
+      const [, name, optional, type = 'text', options, defaultValue] = match;
+      variables[name] = { type };
+      if (type === 'select') {
+        variables[name].options = (options || '').split('|').map(option => option.trim()).filter(Boolean);
+        if (variables[name].options.length === 0) {
+          throw new Error(`Variable "${name}" needs options, e.g. select(a|b)`);
+        }
+      }
+      if (defaultValue?.trim()) variables[name].default = defaultValue.trim();
+      if (optional) variables[name].required = false;
+    });
+
+    return Object.keys(variables).length > 0 ? variables : null;
+  }
+
+  /**
+   * Show a prompt's variable declarations in the prompt form
+   */
+  setPromptVariables(variables) {
+    const textarea = document.getElementById('newPromptVariables');
+    if (!textarea) return;
+
+    textarea.value = Object.entries(variables || {}).map(([name, variable]) => {
+      let line = `${name}${variable.required === false ? '?' : ''}: ${variable.type || 'text'}`;
+      if (variable.type === 'select') line += `(${(variable.options || []).join('|')})`;
+      if (variable.default !== undefined && variable.default !== '') line += ` = ${variable.default}`;
+      return line;
+    }).join('\n');
+  }
+
+  /**
+   * Warn in the prompt form when the attached files don't suit the prompt's model
+   */
+  checkPromptModelLimits() {
+    const warning = document.getElementById('promptModelWarning');
+    if (!warning) return;
+
+    const modelName = document.getElementById('newPromptModel')?.value || document.getElementById('defaultModel')?.value;
+    const model = this.getCatalogModel(modelName);
+    const files = this.getSelectedKbFiles();
+    const warnings = [];
+
+    if (this.modelCatalog && modelName && !model) {
+      warnings.push(`${modelName} is not available on any of your API keys`);
+    }
+    if (model && files.length > 0) {
+      if (!model.files) {
+        warnings.push(`${model.displayName} does not accept file attachments`);
+      }
+
+      const fileTokens = files.reduce((sum, file) => sum + this.estimateFileTokens(file), 0);
+      if (model.inputTokenLimit && fileTokens > model.inputTokenLimit) {
+        warnings.push(`Attached files are about ${fileTokens.toLocaleString()} tokens, over the ${model.inputTokenLimit.toLocaleString()} token input limit of ${model.displayName}`);
+      }
+    }
+
+    warning.textContent = warnings.map(text => `⚠️ ${text}`).join('\n');
+    warning.style.display = warnings.length > 0 ? 'block' : 'none';
+  }
+
   async loadSettings() {
     try {
       const settings = await this.getStorageData('settings');
@@ -639,7 +1108,7 @@ class PopupManager {
         document.getElementById('restrictToFiverr').checked = settings.restrictToFiverr !== false;
         document.getElementById('autoSave').checked = settings.autoSave !== false;
         document.getElementById('notifications').checked = settings.notifications !== false;
-        document.getElementById('maxContextLength').value = settings.maxContextLength || 10000;
+        document.getElementById('maxContextLength').value = settings.maxContextLength || 1000000;
       }
     } catch (error) {
       console.error('Failed to load settings:', error);
@@ -1033,13 +1502,18 @@ class PopupManager {
         name: 'Proposal',
         description: 'Create a short and concise project proposal based on conversation',
         prompt: 'My bio: {bio}\n\nCreate a short and concise project proposal (under 3000 characters) based on this conversation:\n\n{conversation}\n\nInclude examples from my previous work. Write a well-formatted proposal. No explanations.',
-        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        maxOutputTokens: 8192,
+        postProcess: { plainText: true }
       },
       'translate': {
         name: 'Translate',
         description: 'Translate conversation into specified language',
         prompt: 'Translate this: {conversation}\n\nInto this language: {language}\n\nProvide only the translated text. No explanations.',
-        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        variables: {
+          language: { type: 'select', label: 'Language', options: ['English', 'Spanish', 'French', 'German', 'Portuguese', 'Italian', 'Arabic', 'Chinese', 'Japanese'], default: 'English' }
+        }
       },
       'improve_translate': {
         name: 'Improve & Translate',
@@ -1051,7 +1525,11 @@ class PopupManager {
         name: 'Improve',
         description: 'Improve message grammar, clarity and professionalism',
         prompt: 'Improve this message: {conversation}\n\nMake it grammatically correct, clear, and professional, but keep the original meaning. No explanations.',
-        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        temperature: 0.3,
+        maxOutputTokens: 1024,
+        thinking: { mode: 'off' },
+        postProcess: { stripPreamble: true, stripQuotes: true }
       }
     };
   }
@@ -1072,7 +1550,8 @@ class PopupManager {
     const panelMap = {
       'custom': 'customPromptsPanel',
       'default': 'defaultPromptsPanel',
-      'favorites': 'favoritesPanel'
+      'favorites': 'favoritesPanel',
+      'workflows': 'workflowsPanel'
     };
 
     const panelId = panelMap[tab];
@@ -1084,6 +1563,9 @@ class PopupManager {
 
     // Reload prompts to ensure they are displayed correctly
     this.loadPrompts();
+    if (tab === 'workflows') {
+      this.loadWorkflows();
+    }
   }
 
   displayPrompts(type, prompts) {
@@ -1122,6 +1604,9 @@ class PopupManager {
                 <button class="prompt-action-btn edit prompt-edit-btn"
                         data-key="${key}"
                         title="Edit prompt">✎</button>
+                <button class="prompt-action-btn history prompt-history-btn"
+                        data-key="${key}"
+                        title="Version history${prompt.versions?.length ? ` (${prompt.versions.length} versions)` : ''}">🕘</button>
                 <button class="prompt-action-btn delete prompt-delete-btn"
                         data-key="${key}"
                         title="Delete prompt">×</button>
@@ -1244,12 +1729,23 @@ class PopupManager {
     const form = document.getElementById('promptAddForm');
     form.classList.add('active');
 
+    if (!this.modelCatalog) {
+      this.loadModelCatalog();
+    }
+
     if (!isEdit) {
       // Clear form only for new prompts
       document.getElementById('newPromptKey').value = '';
       document.getElementById('newPromptName').value = '';
       document.getElementById('newPromptDescription').value = '';
       document.getElementById('newPromptContent').value = '';
+      document.getElementById('newPromptSchema').value = '';
+      this.setModelSelectValue(document.getElementById('newPromptModel'), '');
+      this.setPromptThinking(null);
+      this.setPromptVariables(null);
+      this.setPromptGenerationSettings(null);
+      document.getElementById('newPromptVersionNote').value = '';
+      this.checkPromptTemplate();
 
       // Make sure key field is enabled for new prompts
       document.getElementById('newPromptKey').readOnly = false;
@@ -1269,6 +1765,13 @@ class PopupManager {
     document.getElementById('newPromptName').value = '';
     document.getElementById('newPromptDescription').value = '';
     document.getElementById('newPromptContent').value = '';
+    document.getElementById('newPromptSchema').value = '';
+    this.setModelSelectValue(document.getElementById('newPromptModel'), '');
+    this.setPromptThinking(null);
+    this.setPromptVariables(null);
+    this.setPromptGenerationSettings(null);
+    document.getElementById('newPromptVersionNote').value = '';
+    this.checkPromptTemplate();
     document.getElementById('newPromptKey').readOnly = false;
 
     // Clear original prompt data
@@ -1303,6 +1806,13 @@ class PopupManager {
         return;
       }
 
+      const templateError = this.checkPromptTemplate();
+      if (templateError) {
+        this.showToast(`Prompt template error - ${templateError.message}`, 'error');
+        document.getElementById('newPromptContent').focus();
+        return;
+      }
+
       // Validate key format
       if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(key)) {
         this.showToast('Prompt key can only contain letters, numbers, and underscores', 'error');
@@ -1310,6 +1820,44 @@ class PopupManager {
         return;
       }
 
+      const schemaText = document.getElementById('newPromptSchema').value.trim();
+      let responseSchema = null;
+      if (schemaText) {
+        try {
+          responseSchema = JSON.parse(schemaText);
+        } catch (error) {
+          this.showToast('Response schema must be valid JSON', 'error');
+          document.getElementById('newPromptSchema').focus();
+          return;
+        }
+        if (responseSchema?.type !== 'object' || !responseSchema.properties) {
+          this.showToast('Response schema must be an object schema with properties', 'error');
+          document.getElementById('newPromptSchema').focus();
+          return;
+        }
+      }
+
+      const model = document.getElementById('newPromptModel')?.value || null;
+      const thinking = this.getPromptThinking();
+      const note = document.getElementById('newPromptVersionNote')?.value.trim() || '';
+
+      let variables;
+      try {
+        variables = this.getPromptVariables();
+      } catch (error) {
+        this.showToast(error.message, 'error');
+        document.getElementById('newPromptVariables').focus();
+        return;
+      }
+
+      let generation;
+      try {
+        generation = this.getPromptGenerationSettings();
+      } catch (error) {
+        this.showToast(error.message, 'error');
+        return;
+      }
+
       // Get selected knowledge base files first for change detection
       const selectedFiles = this.getSelectedKbFiles();
 
@@ -1323,7 +1871,12 @@ class PopupManager {
           name !== originalName ||
           description !== this.originalPromptData.description ||
           content !== this.originalPromptData.content ||
-          JSON.stringify(selectedFiles) !== JSON.stringify(this.originalPromptData.knowledgeBaseFiles || []);
+          JSON.stringify(selectedFiles) !== JSON.stringify(this.originalPromptData.knowledgeBaseFiles || []) ||
+          JSON.stringify(responseSchema) !== JSON.stringify(this.originalPromptData.responseSchema || null) ||
+          model !== (this.originalPromptData.model || null) ||
+          JSON.stringify(thinking) !== JSON.stringify(this.originalPromptData.thinking || null) ||
+          JSON.stringify(variables) !== JSON.stringify(this.originalPromptData.variables || null) ||
+          JSON.stringify(generation) !== JSON.stringify(this.originalPromptData.generation || this.pickGenerationSettings(null));
 
         if (!hasChanges) {
           this.hidePromptForm();
@@ -1342,10 +1895,15 @@ class PopupManager {
           name,
           description,
           prompt: content,
-          knowledgeBaseFiles: selectedFiles
+          knowledgeBaseFiles: selectedFiles,
+          responseSchema,
+          model,
+          thinking,
+          ...generation,
+          variables
         };
 
-        const saveSuccess = await window.promptManager.savePrompt(key, promptData);
+        const saveSuccess = await window.promptManager.savePrompt(key, promptData, note);
 
         if (saveSuccess) {
           // If this was a converted default prompt, switch to custom tab to show the new prompt
@@ -1363,14 +1921,19 @@ class PopupManager {
       } else {
         // Fallback to original storage method
         const customPrompts = await this.getStorageData('customPrompts') || {};
-        const promptData = {
+        const promptData = this.promptHistory.withVersion(customPrompts[key], {
           name,
           description,
           prompt: content,
           knowledgeBaseFiles: selectedFiles,
+          responseSchema,
+          model,
+          thinking,
+          ...generation,
+          variables,
           created: customPrompts[key]?.created || Date.now(),
           modified: Date.now()
-        };
+        }, note);
 
         customPrompts[key] = promptData;
 
@@ -1432,6 +1995,11 @@ class PopupManager {
           description: prompt.description || '',
           content: prompt.prompt,
           knowledgeBaseFiles: prompt.knowledgeBaseFiles || [],
+          responseSchema: prompt.responseSchema || null,
+          model: prompt.model || null,
+          thinking: prompt.thinking || null,
+          variables: prompt.variables || null,
+          generation: this.pickGenerationSettings(prompt),
           isDefaultPrompt: isDefaultPrompt, // Keep original state for proper change detection
           wasConverted: isDefaultPrompt // Track if this was converted from default
         };
@@ -1443,6 +2011,13 @@ class PopupManager {
         document.getElementById('newPromptName').value = displayName;
         document.getElementById('newPromptDescription').value = prompt.description || '';
         document.getElementById('newPromptContent').value = prompt.prompt;
+        document.getElementById('newPromptSchema').value = prompt.responseSchema ? JSON.stringify(prompt.responseSchema, null, 2) : '';
+        this.setModelSelectValue(document.getElementById('newPromptModel'), prompt.model || '');
+        this.setPromptThinking(prompt.thinking);
+        this.setPromptVariables(prompt.variables);
+        this.setPromptGenerationSettings(prompt);
+        document.getElementById('newPromptVersionNote').value = '';
+        this.checkPromptTemplate();
 
         // Load knowledge base files if they exist
         if (prompt.knowledgeBaseFiles && prompt.knowledgeBaseFiles.length > 0) {
@@ -1479,60 +2054,423 @@ class PopupManager {
         description: prompt.description || '',
         content: prompt.prompt,
         knowledgeBaseFiles: prompt.knowledgeBaseFiles || [],
+        responseSchema: prompt.responseSchema || null,
+        model: prompt.model || null,
+        thinking: prompt.thinking || null,
+        variables: prompt.variables || null,
+        generation: this.pickGenerationSettings(prompt),
         isDefaultPrompt: isDefaultPrompt,
         wasConverted: isDefaultPrompt // Track if this will be converted from default
       };
 
-      let editKey = key;
-      if (isDefaultPrompt) {
-        editKey = `custom_${key}`;
-        let counter = 1;
-        while (customPrompts[editKey]) {
-          editKey = `custom_${key}_${counter}`;
-          counter++;
+      let editKey = key;
+      if (isDefaultPrompt) {
+        editKey = `custom_${key}`;
+        let counter = 1;
+        while (customPrompts[editKey]) {
+          editKey = `custom_${key}_${counter}`;
+          counter++;
+        }
+      }
+
+      document.getElementById('newPromptKey').value = editKey;
+      document.getElementById('newPromptName').value = prompt.name + (isDefaultPrompt ? ' (Custom)' : '');
+      document.getElementById('newPromptDescription').value = prompt.description || '';
+      document.getElementById('newPromptContent').value = prompt.prompt;
+      document.getElementById('newPromptSchema').value = prompt.responseSchema ? JSON.stringify(prompt.responseSchema, null, 2) : '';
+      this.setModelSelectValue(document.getElementById('newPromptModel'), prompt.model || '');
+      this.setPromptThinking(prompt.thinking);
+      this.setPromptVariables(prompt.variables);
+      this.setPromptGenerationSettings(prompt);
+      document.getElementById('newPromptVersionNote').value = '';
+      this.checkPromptTemplate();
+
+      if (prompt.knowledgeBaseFiles && prompt.knowledgeBaseFiles.length > 0) {
+        this.displaySelectedFiles(prompt.knowledgeBaseFiles);
+      }
+
+      document.getElementById('newPromptKey').readOnly = !isDefaultPrompt;
+      this.showPromptForm(true);
+
+      if (isDefaultPrompt) {
+        this.showToast('Default prompt copied for editing. You can modify it as needed.', 'info');
+      }
+    } catch (error) {
+      console.error('Failed to edit prompt:', error);
+      this.showToast('Failed to edit prompt', 'error');
+    }
+  }
+
+  async deletePrompt(key) {
+    if (confirm('Are you sure you want to delete this prompt?')) {
+      try {
+        const customPrompts = await this.getStorageData('customPrompts') || {};
+        delete customPrompts[key];
+
+        // Remove from favorites if it exists
+        this.favoritePrompts.delete(key);
+        await this.setStorageData({
+          customPrompts,
+          favoritePrompts: Array.from(this.favoritePrompts)
+        });
+
+        await this.loadPrompts();
+        this.showToast('Prompt deleted successfully', 'success');
+      } catch (error) {
+        console.error('Failed to delete prompt:', error);
+        this.showToast('Failed to delete prompt', 'error');
+      }
+    }
+  }
+
+  /**
+   * Show a custom prompt's version history with a diff against the previous version and rollback
+   */
+  async showPromptHistory(key, selectedId = null) {
+    const customPrompts = await this.getStorageData('customPrompts') || {};
+    const prompt = customPrompts[key];
+    if (!prompt) {
+      this.showToast('Prompt not found', 'error');
+      return;
+    }
+
+    // Prompts saved before history existed show their current content as the only version
+    const versions = prompt.versions?.length ? prompt.versions : [this.promptHistory.createVersion(prompt, prompt.modified || prompt.created)];
+    const selected = versions.findIndex(version => version.id === selectedId);
+    const index = selected === -1 ? versions.length - 1 : selected;
+
+    document.querySelector('.prompt-history-overlay')?.remove();
+    const overlay = document.createElement('div');
+    overlay.className = 'kb-file-selector-overlay prompt-history-overlay';
+    overlay.innerHTML = `
+      <div class="kb-file-selector-modal prompt-history-modal">
+        <div class="kb-file-selector-header">
+          <h3>History - ${this.escapeHtml(prompt.name)}</h3>
+          <button class="close-btn prompt-history-close">×</button>
+        </div>
+        <div class="prompt-history-body">
+          <div class="prompt-history-list">
+            ${versions.map((version, i) => `
+              <div class="prompt-history-item ${i === index ? 'selected' : ''}" data-id="${version.id}">
+                <div class="prompt-history-item-title">
+                  Version ${i + 1}${i === versions.length - 1 ? ' <span class="prompt-history-current">current</span>' : ''}
+                </div>
+                <div class="prompt-history-item-date">${new Date(version.savedAt).toLocaleString()}</div>
+                ${version.note ? `<div class="prompt-history-item-note">${this.escapeHtml(version.note)}</div>` : ''}
+              </div>
+            `).join('')}
+          </div>
+          <div class="prompt-history-diff">
+            <div class="prompt-history-diff-header">
+              <label>Compare with
+                <select class="prompt-history-compare">
+                  <option value="previous">previous version</option>
+                  <option value="current">current version</option>
+                </select>
+              </label>
+              ${index < versions.length - 1 ? '<button class="btn-primary prompt-history-restore">Restore this version</button>' : ''}
+            </div>
+            <div class="prompt-history-diff-content"></div>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const compareSelect = overlay.querySelector('.prompt-history-compare');
+    const renderDiff = () => {
+      const other = compareSelect.value === 'current' ? versions[versions.length - 1] : versions[index - 1];
+      const content = overlay.querySelector('.prompt-history-diff-content');
+      if (!other || other === versions[index]) {
+        content.innerHTML = `<div class="empty-state">${index === 0 ? 'First version - nothing to compare with' : 'This is the current version'}</div>`;
+        return;
+      }
+      // Always show older -> newer
+      const [older, newer] = versions.indexOf(other) < index ? [other, versions[index]] : [versions[index], other];
+      content.innerHTML = this.renderPromptDiff(this.promptHistory.diffVersions(older, newer));
+    };
+    compareSelect.value = index === versions.length - 1 ? 'previous' : 'current';
+    compareSelect.addEventListener('change', renderDiff);
+    renderDiff();
+
+    overlay.querySelectorAll('.prompt-history-item').forEach(item => {
+      item.addEventListener('click', () => this.showPromptHistory(key, item.dataset.id));
+    });
+    overlay.querySelector('.prompt-history-restore')?.addEventListener('click', () => {
+      this.restorePromptVersion(key, versions[index].id, index + 1);
+    });
+    overlay.querySelector('.prompt-history-close').addEventListener('click', () => overlay.remove());
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) overlay.remove();
+    });
+  }
+
+  /**
+   * Diff HTML: the prompt text line by line, then other changed fields
+   */
+  renderPromptDiff(diff) {
+    const changed = diff.prompt.some(line => line.type !== 'same');
+    const promptHtml = changed
+      ? diff.prompt.map(line => {
+        const sign = line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' ';
+        return `<div class="diff-line diff-${line.type}">${sign} ${this.escapeHtml(line.text) || '&nbsp;'}</div>`;
+      }).join('')
+      : '<div class="diff-line diff-same">Prompt text unchanged</div>';
+
+    const fieldsHtml = diff.fields.map(({ field, before, after }) => `
+      <div class="prompt-history-field">
+        <div class="prompt-history-field-name">${this.escapeHtml(field)}</div>
+        <div class="diff-line diff-removed">- ${this.escapeHtml(before) || '(none)'}</div>
+        <div class="diff-line diff-added">+ ${this.escapeHtml(after) || '(none)'}</div>
+      </div>
+    `).join('');
+
+    return `<div class="prompt-history-diff-lines">${promptHtml}</div>${fieldsHtml}`;
+  }
+
+  /**
+   * Roll a custom prompt back to an earlier version - the rollback itself becomes a new version
+   */
+  async restorePromptVersion(key, versionId, versionNumber) {
+    if (!confirm(`Restore version ${versionNumber}? The current version stays in the history.`)) return;
+
+    try {
+      const customPrompts = await this.getStorageData('customPrompts') || {};
+      if (!customPrompts[key]) throw new Error('Prompt not found');
+
+      customPrompts[key] = this.promptHistory.restore(customPrompts[key], versionId);
+      const saveSuccess = await this.setStorageData({ customPrompts });
+      if (!saveSuccess) throw new Error('Failed to save prompt');
+
+      await this.loadPrompts();
+      await this.showPromptHistory(key);
+      this.showToast(`Restored version ${versionNumber}`, 'success');
+    } catch (error) {
+      console.error('Failed to restore prompt version:', error);
+      this.showToast(`Failed to restore version: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * List workflows - default ones are read-only and can be copied to edit
+   */
+  async loadWorkflows() {
+    const container = document.getElementById('workflowsList');
+    if (!container) return;
+
+    try {
+      const workflows = await this.promptWorkflows.getWorkflows();
+      container.innerHTML = Object.entries(workflows).map(([key, workflow]) => `
+        <div class="prompt-item workflow-item" data-key="${key}">
+          <div class="prompt-item-header">
+            <div class="prompt-item-title">
+              <h4 class="prompt-item-name">${this.escapeHtml(workflow.name)}</h4>
+              <span class="prompt-item-key">${key}</span>
+            </div>
+            <div class="prompt-item-actions">
+              ${workflow.isDefault ? `
+                <button class="prompt-action-btn edit workflow-edit-btn default-edit"
+                        data-key="${key}"
+                        data-copy="true"
+                        title="Copy to a new workflow for editing">📝</button>
+              ` : `
+                <button class="prompt-action-btn edit workflow-edit-btn"
+                        data-key="${key}"
+                        title="Edit workflow">✎</button>
+                <button class="prompt-action-btn delete workflow-delete-btn"
+                        data-key="${key}"
+                        title="Delete workflow">×</button>
+              `}
+            </div>
+          </div>
+          <div class="prompt-item-description">${this.escapeHtml(workflow.description || '')}</div>
+          <ol class="workflow-step-list">
+            ${workflow.steps.map((step, index) => `
+              <li>
+                ${this.escapeHtml(step.name || step.promptKey || `Step ${index + 1}`)}
+                <span class="prompt-item-key">${this.escapeHtml(this.promptWorkflows.getOutputName(step, index))}</span>
+                ${step.pause ? '<span class="workflow-step-pause" title="Pauses for editing">⏸</span>' : ''}
+              </li>
+            `).join('')}
+          </ol>
+        </div>
+      `).join('');
+    } catch (error) {
+      console.error('Failed to load workflows:', error);
+      container.innerHTML = '<div class="empty-state">Failed to load workflows</div>';
+    }
+  }
+
+  async editWorkflow(key, copy = false) {
+    const workflow = await this.promptWorkflows.getWorkflow(key);
+    if (!workflow) {
+      this.showToast('Workflow not found', 'error');
+      return;
+    }
+    await this.showWorkflowForm(key, workflow, copy);
+  }
+
+  /**
+   * Open the workflow editor - copy starts a new workflow from an existing one
+   */
+  async showWorkflowForm(key = null, workflow = null, copy = false) {
+    this.editingWorkflowKey = copy ? null : key;
+    this.workflowPromptOptions = {
+      ...this.getDefaultPrompts(),
+      ...(await this.getStorageData('customPrompts') || {})
+    };
+
+    const keyInput = document.getElementById('workflowKey');
+    keyInput.value = key ? (copy ? `${key}_copy` : key) : '';
+    keyInput.disabled = !!this.editingWorkflowKey;
+    document.getElementById('workflowName').value = workflow ? (copy ? `${workflow.name} (copy)` : workflow.name) : '';
+    document.getElementById('workflowDescription').value = workflow?.description || '';
+
+    this.workflowSteps = (workflow?.steps || [{ name: '', prompt: '' }]).map(step => ({ ...step }));
+    this.renderWorkflowSteps();
+    this.showWorkflowError(null);
+
+    const form = document.getElementById('workflowForm');
+    form.classList.add('active');
+    form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  hideWorkflowForm() {
+    document.getElementById('workflowForm')?.classList.remove('active');
+    this.editingWorkflowKey = null;
+    this.workflowSteps = [];
+  }
+
+  showWorkflowError(message) {
+    const errorElement = document.getElementById('workflowError');
+    if (!errorElement) return;
+    errorElement.textContent = message || '';
+    errorElement.style.display = message ? 'block' : 'none';
+  }
+
+  renderWorkflowSteps() {
+    const container = document.getElementById('workflowSteps');
+    if (!container) return;
+
+    const promptOptions = Object.entries(this.workflowPromptOptions || {})
+      .map(([key, prompt]) => `<option value="${key}">${this.escapeHtml(prompt.name || key)}</option>`)
+      .join('');
+
+    container.innerHTML = this.workflowSteps.map((step, index) => `
+      <div class="workflow-step" data-index="${index}">
+        <div class="workflow-step-header">
+          <span class="workflow-step-number">${index + 1}</span>
+          <input type="text" class="prompt-name-input" data-field="name" placeholder="Step name">
+          <button type="button" class="prompt-action-btn" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+          <button type="button" class="prompt-action-btn" data-action="down" title="Move down" ${index === this.workflowSteps.length - 1 ? 'disabled' : ''}>↓</button>
+          <button type="button" class="prompt-action-btn delete" data-action="remove" title="Remove step">×</button>
+        </div>
+        <select class="prompt-model-select" data-field="promptKey">
+          <option value="">Custom prompt text</option>
+          ${promptOptions}
+        </select>
+        ${step.promptKey ? '' : '<textarea class="prompt-content-input" data-field="prompt" rows="4" placeholder="Prompt text, e.g. Shorten this: {{previous}}"></textarea>'}
+        <div class="workflow-step-options">
+          <input type="text" class="prompt-name-input" data-field="output" placeholder="Output name (default step${index + 1})">
+          <label class="workflow-step-pause-option"><input type="checkbox" data-field="pause"> Pause to edit</label>
+        </div>
+      </div>
+    `).join('');
+
+    // Values are set as properties so prompt text needs no attribute escaping
+    container.querySelectorAll('.workflow-step').forEach((element, index) => {
+      const step = this.workflowSteps[index];
+      element.querySelectorAll('[data-field]').forEach(input => {
+        const value = step[input.dataset.field];
+        if (input.type === 'checkbox') {
+          input.checked = !!value;
+        } else {
+          input.value = value || '';
         }
-      }
+      });
+    });
+  }
 
-      document.getElementById('newPromptKey').value = editKey;
-      document.getElementById('newPromptName').value = prompt.name + (isDefaultPrompt ? ' (Custom)' : '');
-      document.getElementById('newPromptDescription').value = prompt.description || '';
-      document.getElementById('newPromptContent').value = prompt.prompt;
+  updateWorkflowStep(input) {
+    const field = input.dataset.field;
+    const element = input.closest('.workflow-step');
+    if (!field || !element) return;
 
-      if (prompt.knowledgeBaseFiles && prompt.knowledgeBaseFiles.length > 0) {
-        this.displaySelectedFiles(prompt.knowledgeBaseFiles);
+    const step = this.workflowSteps[Number(element.dataset.index)];
+    if (input.type === 'checkbox') {
+      step[field] = input.checked;
+    } else if (field === 'promptKey') {
+      if (input.value) {
+        step.promptKey = input.value;
+        if (!step.name) step.name = this.workflowPromptOptions?.[input.value]?.name || '';
+      } else {
+        delete step.promptKey;
       }
+      this.renderWorkflowSteps();
+    } else {
+      step[field] = input.value;
+    }
+  }
 
-      document.getElementById('newPromptKey').readOnly = !isDefaultPrompt;
-      this.showPromptForm(true);
+  moveWorkflowStep(index, action) {
+    const target = action === 'up' ? index - 1 : index + 1;
+    if (action === 'remove') {
+      this.workflowSteps.splice(index, 1);
+    } else if (target >= 0 && target < this.workflowSteps.length) {
+      [this.workflowSteps[index], this.workflowSteps[target]] = [this.workflowSteps[target], this.workflowSteps[index]];
+    }
+    this.renderWorkflowSteps();
+  }
 
-      if (isDefaultPrompt) {
-        this.showToast('Default prompt copied for editing. You can modify it as needed.', 'info');
-      }
+  async saveWorkflow() {
+    const key = this.editingWorkflowKey || document.getElementById('workflowKey').value.trim();
+    if (!/^[a-zA-Z0-9_]+$/.test(key)) {
+      this.showWorkflowError('Workflow key can only use letters, numbers and underscores');
+      return;
+    }
+
+    if (!this.editingWorkflowKey && await this.promptWorkflows.getWorkflow(key)) {
+      this.showWorkflowError(`A workflow with the key "${key}" already exists`);
+      return;
+    }
+
+    const workflow = {
+      name: document.getElementById('workflowName').value.trim(),
+      description: document.getElementById('workflowDescription').value.trim(),
+      steps: this.workflowSteps.map((step, index) => {
+        const saved = { name: step.name?.trim() || `Step ${index + 1}` };
+        if (step.promptKey) {
+          saved.promptKey = step.promptKey;
+        } else {
+          saved.prompt = step.prompt?.trim() || '';
+          if (step.knowledgeBaseFiles) saved.knowledgeBaseFiles = step.knowledgeBaseFiles;
+        }
+        if (step.output?.trim()) saved.output = step.output.trim();
+        if (step.pause) saved.pause = true;
+        return saved;
+      })
+    };
+
+    try {
+      await this.promptWorkflows.saveWorkflow(key, workflow);
+      this.hideWorkflowForm();
+      await this.loadWorkflows();
+      this.showToast(`Workflow "${workflow.name}" saved`, 'success');
     } catch (error) {
-      console.error('Failed to edit prompt:', error);
-      this.showToast('Failed to edit prompt', 'error');
+      this.showWorkflowError(error.message);
     }
   }
 
-  async deletePrompt(key) {
-    if (confirm('Are you sure you want to delete this prompt?')) {
-      try {
-        const customPrompts = await this.getStorageData('customPrompts') || {};
-        delete customPrompts[key];
-
-        // Remove from favorites if it exists
-        this.favoritePrompts.delete(key);
-        await this.setStorageData({
-          customPrompts,
-          favoritePrompts: Array.from(this.favoritePrompts)
-        });
+  async deleteWorkflow(key) {
+    if (!confirm('Are you sure you want to delete this workflow?')) return;
 
-        await this.loadPrompts();
-        this.showToast('Prompt deleted successfully', 'success');
-      } catch (error) {
-        console.error('Failed to delete prompt:', error);
-        this.showToast('Failed to delete prompt', 'error');
-      }
+    try {
+      await this.promptWorkflows.deleteWorkflow(key);
+      await this.loadWorkflows();
+      this.showToast('Workflow deleted', 'success');
+    } catch (error) {
+      console.error('Failed to delete workflow:', error);
+      this.showToast('Failed to delete workflow', 'error');
     }
   }
 
@@ -1614,8 +2552,106 @@ class PopupManager {
       statusClass += ' has-errors';
     }
 
-    container.innerHTML = statusText;
+    container.innerHTML = `<div>${statusText}</div>` + this.currentApiKeys.map((key, index) => {
+      const meta = this.apiKeyMeta?.[index] || {};
+      const status = this.apiKeyStatuses?.[index];
+      const paid = meta.tier === 'paid';
+
+      return `
+        <div class="api-key-row" data-index="${index}">
+          <div class="api-key-row-header">
+            <span class="api-key-name">${this.escapeHtml(meta.label || `Key ${index + 1}`)}</span>
+            <span class="api-key-mask">…${this.escapeHtml(key.slice(-4))}</span>
+            <span class="api-key-tier${paid ? ' paid' : ''}">${paid ? 'Paid' : 'Free'}</span>
+            ${status ? `<span class="api-key-test ${status}">${status}</span>` : ''}
+            <span class="api-key-health" data-index="${index}"></span>
+          </div>
+          <div class="api-key-usage" data-index="${index}"></div>
+          <div class="api-key-fields">
+            <input type="text" data-field="label" placeholder="Label" value="${this.escapeHtml(meta.label || '').replace(/"/g, '&quot;')}">
+            <select data-field="tier" title="Long proposals go to paid keys first">
+              <option value="free"${paid ? '' : ' selected'}>Free</option>
+              <option value="paid"${paid ? ' selected' : ''}>Paid</option>
+            </select>
+            <input type="text" data-field="models" placeholder="Models (all)" title="Comma-separated models this key may use - empty allows all"
+              value="${this.escapeHtml((meta.models || []).join(', ')).replace(/"/g, '&quot;')}">
+            <input type="number" data-field="dailyBudget" placeholder="Req/day" min="1" title="Daily request budget - empty uses the Requests / Day setting"
+              value="${meta.dailyBudget || ''}">
+          </div>
+        </div>`;
+    }).join('');
     container.className = statusClass;
+
+    container.querySelectorAll('.api-key-row').forEach(row => {
+      row.addEventListener('change', () => this.saveApiKeyMeta(row));
+    });
+    this.updateApiKeyUsage();
+    this.updateApiKeyHealth();
+  }
+
+  /**
+   * Show each key's health as tracked by the background
+   */
+  updateApiKeyHealth() {
+    document.querySelectorAll('.api-key-health').forEach(element => {
+      const health = this.apiKeyHealth?.[Number(element.dataset.index)];
+      if (!health) return;
+
+      if (health.quotaExhausted) {
+        element.textContent = 'Quota exhausted';
+        element.className = 'api-key-health exhausted';
+      } else if (!health.isHealthy) {
+        element.textContent = `Unhealthy (${health.errorCount} errors)`;
+        element.className = 'api-key-health unhealthy';
+      } else {
+        element.textContent = 'Healthy';
+        element.className = 'api-key-health';
+      }
+      element.title = health.lastError ? `Last error: ${health.lastError.message}` : '';
+    });
+  }
+
+  /**
+   * Save a key's label, tier, allowed models and daily budget
+   */
+  async saveApiKeyMeta(row) {
+    const index = Number(row.dataset.index);
+    const field = name => row.querySelector(`[data-field="${name}"]`).value;
+
+    const result = await this.sendMessageToBackground({
+      type: 'SAVE_API_KEY_META',
+      index,
+      meta: {
+        label: field('label'),
+        tier: field('tier'),
+        models: field('models').split(','),
+        dailyBudget: field('dailyBudget')
+      }
+    });
+
+    if (result.success) {
+      this.apiKeyMeta[index] = result.data;
+      this.updateApiKeysSummary();
+      await this.loadSchedulerStatus();
+    } else {
+      this.showToast(`Failed to save key settings: ${result.error}`, 'error');
+    }
+  }
+
+  /**
+   * Fill each key row with its live usage from the scheduler
+   */
+  updateApiKeyUsage() {
+    if (!this.keyUsage || !this.schedulerLimits) return;
+
+    document.querySelectorAll('.api-key-usage').forEach(element => {
+      const usage = this.keyUsage.find(key => key.index === Number(element.dataset.index));
+      if (!usage) return;
+
+      const left = Math.max(0, usage.dayLimit - usage.dayRequests);
+      element.textContent = `${usage.minuteRequests}/${this.schedulerLimits.rpm} this minute · ` +
+        `${usage.dayRequests}/${usage.dayLimit} today (${left} left) · ${usage.minuteTokens.toLocaleString()} tokens/min`;
+    });
   }
 
 
@@ -1671,14 +2707,6 @@ class PopupManager {
       });
 
       if (result.success) {
-        // Also clear from direct storage
-        await this.setStorageData({ apiKeys: [] });
-
-        // Clear from settings as well
-        const settings = await this.getStorageData('settings') || {};
-        settings.apiKeys = [];
-        await this.setStorageData({ settings });
-
         // Update display
         this.displayApiKeys();
 
@@ -1735,14 +2763,7 @@ class PopupManager {
         this.displayApiKeys();
         apiKeysInput.value = ''; // Clear input after saving
         this.showApiKeyStatus('API keys saved automatically', 'success');
-
-        // Also save directly to storage for consistency with background script
-        await this.setStorageData({ apiKeys: allKeys });
-
-        // Keep settings backup for compatibility
-        const settings = await this.getStorageData('settings') || {};
-        settings.apiKeys = allKeys;
-        await this.setStorageData({ settings });
+        await this.loadKeyVaultStatus();
         await this.updateStats();
       } else {
         throw new Error(result.error || 'Failed to save API keys');
@@ -1829,9 +2850,6 @@ class PopupManager {
     try {
       const settings = await this.getStorageData('settings') || {};
 
-      // Preserve API keys in settings
-      settings.apiKeys = this.currentApiKeys || [];
-
       // Get elements safely with null checks
       const defaultModelEl = document.getElementById('defaultModel');
       const restrictToFiverrEl = document.getElementById('restrictToFiverr');
@@ -1849,7 +2867,7 @@ class PopupManager {
       if (autoSaveEl) settings.autoSave = autoSaveEl.checked;
       if (notificationsEl) settings.notifications = notificationsEl.checked;
       if (keyRotationEl) settings.keyRotation = keyRotationEl.checked;
-      if (maxContextLengthEl) settings.maxContextLength = parseInt(maxContextLengthEl.value) || 10000;
+      if (maxContextLengthEl) settings.maxContextLength = parseInt(maxContextLengthEl.value) || 1000000;
 
       console.log('Saving preferences:', settings);
 
@@ -1870,17 +2888,34 @@ class PopupManager {
       // Get current settings
       const settings = await this.getStorageData('settings') || {};
 
-      // Save API configuration
-      settings.apiKeys = this.currentApiKeys || [];
+      // Save API configuration - API keys are saved to the key vault as they are entered
       const selectedModel = document.getElementById('defaultModel').value;
       settings.defaultModel = selectedModel;
       settings.selectedModel = selectedModel; // Also save as selectedModel for enhanced client
       settings.keyRotation = document.getElementById('keyRotation').checked;
       settings.apiTimeout = parseInt(document.getElementById('apiTimeout').value);
       settings.maxRetries = parseInt(document.getElementById('maxRetries').value);
+      settings.rateLimits = {
+        rpm: parseInt(document.getElementById('rateLimitRpm').value) || 10,
+        rpd: parseInt(document.getElementById('rateLimitRpd').value) || 250,
+        tpm: parseInt(document.getElementById('rateLimitTpm').value) || 250000,
+        concurrency: parseInt(document.getElementById('rateLimitConcurrency').value) || 2
+      };
+      settings.contextCaching = document.getElementById('contextCaching').checked;
+      settings.responseCache = document.getElementById('responseCache').checked;
+      settings.responseCacheTtl = parseInt(document.getElementById('responseCacheTtl').value) || 24;
+      settings.localOnly = document.getElementById('localOnly').checked;
+      settings.ollamaBaseUrl = document.getElementById('ollamaBaseUrl').value.trim() || 'http://localhost:11434';
+      settings.ollamaModel = document.getElementById('ollamaModel').value.trim() || 'llama3.2';
+      settings.provider = document.getElementById('provider').value;
+      settings.openaiBaseUrl = document.getElementById('openaiBaseUrl').value.trim() || 'https://api.openai.com/v1';
+      settings.openaiModel = document.getElementById('openaiModel').value.trim() || 'gpt-4o-mini';
+      settings.anthropicBaseUrl = document.getElementById('anthropicBaseUrl').value.trim() || 'https://api.anthropic.com/v1';
+      settings.anthropicModel = document.getElementById('anthropicModel').value.trim() || 'claude-sonnet-4-0';
 
       // Save to storage
       await this.setStorageData({ settings });
+      await this.saveProviderKeys();
 
       // Show success message
       this.showToast('API configuration saved successfully!', 'success');
@@ -1890,6 +2925,109 @@ class PopupManager {
     }
   }
 
+  /**
+   * Show the chat provider keys, which only the background key vault can read
+   */
+  async loadProviderKeys() {
+    const result = await this.sendMessageToBackground({ type: 'GET_PROVIDER_KEYS' });
+    this.providerKeys = result.success ? result.data.keys : null;
+
+    for (const provider of ['openai', 'anthropic']) {
+      const input = document.getElementById(`${provider}ApiKey`);
+      input.value = this.providerKeys?.[provider] || '';
+      input.placeholder = this.providerKeys ? '' : 'Unlock your API keys to see or change this key';
+    }
+  }
+
+  /**
+   * Save changed chat provider keys to the key vault - left alone while the vault is locked
+   */
+  async saveProviderKeys() {
+    if (!this.providerKeys) return;
+
+    const keys = {
+      openai: document.getElementById('openaiApiKey').value.trim(),
+      anthropic: document.getElementById('anthropicApiKey').value.trim()
+    };
+    const changed = Object.entries(keys).some(([provider, key]) => key !== (this.providerKeys[provider] || ''));
+    if (!changed) return;
+
+    const result = await this.sendMessageToBackground({ type: 'SAVE_PROVIDER_KEYS', keys });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    this.providerKeys = result.data;
+  }
+
+  /**
+   * Check that the local Ollama server is reachable and list its models
+   */
+  async testOllamaConnection() {
+    const statusEl = document.getElementById('ollamaStatus');
+    const baseUrl = document.getElementById('ollamaBaseUrl').value.trim();
+
+    try {
+      statusEl.textContent = 'Checking...';
+      const result = await this.sendMessageToBackground({ type: 'OLLAMA_LIST_MODELS', baseUrl });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const modelList = document.getElementById('ollamaModelList');
+      modelList.innerHTML = result.data
+        .map(model => `<option value="${this.escapeHtml(model.name)}"></option>`)
+        .join('');
+
+      statusEl.textContent = `Connected - ${result.data.length} model(s)`;
+      this.showToast('Ollama is reachable', 'success');
+    } catch (error) {
+      console.error('Ollama connection check failed:', error);
+      statusEl.textContent = 'Not reachable';
+      this.showToast(`Ollama check failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Show only the fields of the selected cloud provider
+   */
+  updateProviderFields() {
+    const provider = document.getElementById('provider').value;
+    document.querySelectorAll('.provider-fields').forEach(fields => {
+      fields.style.display = fields.dataset.provider === provider ? '' : 'none';
+    });
+  }
+
+  /**
+   * Check a cloud provider's URL and key with the values in the form, and list its models
+   */
+  async testProviderConnection(provider) {
+    const statusEl = document.getElementById(`${provider}Status`);
+    const baseUrl = document.getElementById(`${provider}BaseUrl`).value.trim();
+    const apiKey = document.getElementById(`${provider}ApiKey`).value.trim();
+
+    try {
+      statusEl.textContent = 'Checking...';
+      const result = await this.sendMessageToBackground({ type: 'PROVIDER_LIST_MODELS', provider, baseUrl, apiKey });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const modelList = document.getElementById(`${provider}ModelList`);
+      modelList.innerHTML = result.data
+        .map(model => `<option value="${this.escapeHtml(model.name)}"></option>`)
+        .join('');
+
+      statusEl.textContent = `Connected - ${result.data.length} model(s)`;
+      this.showToast('Provider is reachable', 'success');
+    } catch (error) {
+      console.error('Provider connection check failed:', error);
+      statusEl.textContent = 'Not reachable';
+      this.showToast(`Provider check failed: ${error.message}`, 'error');
+    }
+  }
+
   async saveAllSettings() {
     try {
       this.showLoading(true);
@@ -2051,6 +3189,260 @@ class PopupManager {
     });
   }
 
+  /**
+   * Load the usage ledger summary from the background
+   */
+  async loadUsageDashboard() {
+    try {
+      const result = await this.sendMessageToBackground({ type: 'GET_USAGE_SUMMARY' });
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load usage');
+      }
+
+      this.usageSummary = result.data;
+      this.usagePeriod = this.usagePeriod || 'today';
+      this.renderUsageSummary();
+      this.renderPricingTable(result.data.pricing);
+    } catch (error) {
+      console.error('Failed to load usage dashboard:', error);
+      this.showToast(`Failed to load usage: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Render totals and per key / client / model / prompt tables for the selected period
+   */
+  renderUsageSummary() {
+    const totalsContainer = document.getElementById('usageTotals');
+    const breakdownsContainer = document.getElementById('usageBreakdowns');
+    if (!totalsContainer || !breakdownsContainer || !this.usageSummary) return;
+
+    const period = this.usageSummary[this.usagePeriod] || this.usageSummary.today;
+    const total = period.total;
+    const formatTokens = tokens => (tokens || 0).toLocaleString();
+    const formatCost = cost => `$${(cost || 0).toFixed(cost >= 1 ? 2 : 4)}`;
+
+    totalsContainer.innerHTML = `
+      <div class="usage-total"><div class="usage-total-value">${formatTokens(total.requests)}</div><div class="usage-total-label">Requests</div></div>
+      <div class="usage-total"><div class="usage-total-value">${formatTokens(total.inputTokens)}</div><div class="usage-total-label">Input tokens</div></div>
+      <div class="usage-total"><div class="usage-total-value">${formatTokens(total.outputTokens)}</div><div class="usage-total-label">Output tokens</div></div>
+      <div class="usage-total"><div class="usage-total-value">${formatTokens(total.cachedTokens)}</div><div class="usage-total-label">Cached tokens</div></div>
+      <div class="usage-total"><div class="usage-total-value">${formatTokens(total.thoughtsTokens)}</div><div class="usage-total-label">Thinking tokens</div></div>
+      <div class="usage-total"><div class="usage-total-value">${formatCost(total.cost)}</div><div class="usage-total-label">Est. cost</div></div>
+    `;
+
+    if (total.requests === 0) {
+      breakdownsContainer.innerHTML = `<div class="usage-empty">No generations recorded ${this.usagePeriod === 'month' ? 'this month' : 'today'}</div>`;
+      return;
+    }
+
+    const groups = [
+      { key: 'byKey', title: 'Per API Key' },
+      { key: 'byClient', title: 'Per Client' },
+      { key: 'byModel', title: 'Per Model' },
+      { key: 'byPrompt', title: 'Per Prompt' }
+    ];
+
+    breakdownsContainer.innerHTML = groups.map(({ key, title }) => {
+      const rows = Object.entries(period[key] || {})
+        .sort(([, a], [, b]) => b.cost - a.cost || b.requests - a.requests)
+        .map(([name, totals]) => `
+          <tr>
+            <td class="usage-name">${this.escapeHtml(name)}</td>
+            <td>${formatTokens(totals.requests)}</td>
+            <td>${formatTokens(totals.inputTokens)}</td>
+            <td>${formatTokens(totals.outputTokens)}</td>
+            <td>${formatTokens(totals.thoughtsTokens)}</td>
+            <td>${formatCost(totals.cost)}</td>
+          </tr>
+        `).join('');
+
+      return `
+        <div class="usage-breakdown">
+          <h4>${title}</h4>
+          <table class="usage-table">
+            <thead><tr><th></th><th>Req</th><th>In</th><th>Out</th><th>Think</th><th>Cost</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Render the editable per-model price table
+   */
+  renderPricingTable(pricing = {}) {
+    const container = document.getElementById('usagePricing');
+    if (!container) return;
+
+    container.innerHTML = `
+      <div class="usage-pricing-row usage-pricing-head">
+        <span>Model</span><span>Input</span><span>Output</span><span>Cached</span><span></span>
+      </div>
+    `;
+    Object.entries(pricing).forEach(([model, price]) => this.addPricingRow(model, price));
+  }
+
+  /**
+   * Add a row to the price table
+   */
+  addPricingRow(model = '', price = {}) {
+    const container = document.getElementById('usagePricing');
+    if (!container) return;
+
+    const row = document.createElement('div');
+    row.className = 'usage-pricing-row';
+    row.innerHTML = `
+      <input type="text" class="pricing-model" placeholder="gemini-2.5-flash" value="${this.escapeHtml(model)}">
+      <input type="number" class="pricing-input" min="0" step="0.001" value="${price.input ?? ''}">
+      <input type="number" class="pricing-output" min="0" step="0.001" value="${price.output ?? ''}">
+      <input type="number" class="pricing-cached" min="0" step="0.001" value="${price.cached ?? ''}">
+      <button class="btn-icon pricing-remove" title="Remove">×</button>
+    `;
+    row.querySelector('.pricing-remove').addEventListener('click', () => row.remove());
+    container.appendChild(row);
+  }
+
+  /**
+   * Save the price table - applies to generations recorded from now on
+   */
+  async saveModelPricing() {
+    const pricing = {};
+
+    for (const row of document.querySelectorAll('#usagePricing .usage-pricing-row:not(.usage-pricing-head)')) {
+      const model = row.querySelector('.pricing-model').value.trim();
+      if (!model) continue;
+
+      const input = parseFloat(row.querySelector('.pricing-input').value);
+      const output = parseFloat(row.querySelector('.pricing-output').value);
+      const cached = parseFloat(row.querySelector('.pricing-cached').value);
+      if (isNaN(input) || isNaN(output)) {
+        this.showToast(`Enter input and output prices for ${model}`, 'error');
+        return;
+      }
+
+      pricing[model] = { input, output, ...(isNaN(cached) ? {} : { cached }) };
+    }
+
+    const result = await this.sendMessageToBackground({ type: 'SAVE_MODEL_PRICING', pricing });
+    if (result.success) {
+      this.showToast('Model prices saved', 'success');
+    } else {
+      this.showToast(`Failed to save prices: ${result.error}`, 'error');
+    }
+  }
+
+  /**
+   * Clear all recorded usage
+   */
+  async clearUsageLedger() {
+    if (!confirm('Clear all recorded token usage? This cannot be undone.')) return;
+
+    const result = await this.sendMessageToBackground({ type: 'CLEAR_USAGE_LEDGER' });
+    if (result.success) {
+      this.showToast('Usage cleared', 'success');
+      await this.loadUsageDashboard();
+    } else {
+      this.showToast(`Failed to clear usage: ${result.error}`, 'error');
+    }
+  }
+
+  /**
+   * Show how many responses are cached
+   */
+  async loadResponseCacheStats() {
+    const stats = document.getElementById('responseCacheStats');
+    if (!stats) return;
+
+    const result = await this.sendMessageToBackground({ type: 'GET_RESPONSE_CACHE_STATS' });
+    stats.textContent = result.success
+      ? `${result.data.entries} cached (${Math.round(result.data.bytes / 1024)} KB)`
+      : '';
+  }
+
+  /**
+   * Show whether the key vault has a passphrase and is unlocked
+   */
+  async loadKeyVaultStatus() {
+    const status = document.getElementById('keyVaultStatus');
+    if (!status) return;
+
+    const result = await this.sendMessageToBackground({ type: 'GET_KEY_VAULT_STATUS' });
+    if (!result.success) {
+      status.textContent = '';
+      return;
+    }
+
+    const { protected: isProtected, locked, count } = result.data;
+    status.textContent = !isProtected
+      ? `🔓 ${count} key${count === 1 ? '' : 's'} encrypted on this device. Set a passphrase to require unlocking once per browser session and to export keys.`
+      : locked
+        ? `🔒 ${count} key${count === 1 ? '' : 's'} locked. Enter your passphrase to use them this session.`
+        : `🔐 ${count} key${count === 1 ? '' : 's'} unlocked until the browser closes.`;
+    status.className = `key-vault-status${locked ? ' locked' : ''}`;
+
+    document.getElementById('unlockKeyVault').style.display = locked ? '' : 'none';
+    document.getElementById('keyVaultPassphrase').style.display = locked ? '' : 'none';
+    document.getElementById('lockKeyVault').style.display = isProtected && !locked ? '' : 'none';
+    document.getElementById('keyVaultPassphraseRow').style.display = locked ? 'none' : '';
+    document.getElementById('apiKeysInput').disabled = locked;
+  }
+
+  async unlockKeyVault() {
+    const input = document.getElementById('keyVaultPassphrase');
+    const result = await this.sendMessageToBackground({ type: 'UNLOCK_KEY_VAULT', passphrase: input.value });
+    if (result.success) {
+      input.value = '';
+      this.showToast('API keys unlocked', 'success');
+      await this.loadApiConfig();
+    } else {
+      this.showToast(result.error || 'Failed to unlock API keys', 'error');
+    }
+  }
+
+  async lockKeyVault() {
+    const result = await this.sendMessageToBackground({ type: 'LOCK_KEY_VAULT' });
+    if (result.success) {
+      this.showToast('API keys locked', 'success');
+      await this.loadApiConfig();
+    } else {
+      this.showToast(result.error || 'Failed to lock API keys', 'error');
+    }
+  }
+
+  async setKeyVaultPassphrase() {
+    const input = document.getElementById('keyVaultNewPassphrase');
+    const passphrase = input.value;
+
+    if (passphrase && passphrase.length < 8) {
+      this.showToast('Use a passphrase of at least 8 characters', 'error');
+      return;
+    }
+    if (!passphrase && !confirm('Remove the passphrase? API keys stay encrypted but unlock automatically on this device.')) {
+      return;
+    }
+
+    const result = await this.sendMessageToBackground({ type: 'SET_KEY_VAULT_PASSPHRASE', passphrase });
+    if (result.success) {
+      input.value = '';
+      this.showToast(passphrase ? 'Passphrase set' : 'Passphrase removed', 'success');
+      await this.loadKeyVaultStatus();
+    } else {
+      this.showToast(result.error || 'Failed to set passphrase', 'error');
+    }
+  }
+
+  async clearResponseCache() {
+    const result = await this.sendMessageToBackground({ type: 'CLEAR_RESPONSE_CACHE' });
+    if (result.success) {
+      this.showToast('Response cache cleared', 'success');
+      await this.loadResponseCacheStats();
+    } else {
+      this.showToast(`Failed to clear response cache: ${result.error}`, 'error');
+    }
+  }
+
   async sendMessageToBackground(message) {
     return new Promise((resolve) => {
       try {
@@ -2475,6 +3867,12 @@ class PopupManager {
 
   handleRuntimeMessage(request, sender, sendResponse) {
     switch (request.type) {
+      case 'KEY_HEALTH_CHANGED':
+        this.apiKeyHealth = request.health || [];
+        this.updateApiKeyHealth();
+        if (this.currentTab === 'dashboard') this.updateStats();
+        break;
+
       case 'CONTACTS_PROGRESS':
         this.updateProgressInfo(request.message, request.totalContacts ? `Total: ${request.totalContacts}` : '');
         if (request.isError) {
@@ -2792,7 +4190,53 @@ class PopupManager {
       `;
     }).join('');
 
-    contentContainer.innerHTML = messagesHtml;
+    contentContainer.innerHTML = this.renderConversationAnalysis(conversation) + messagesHtml;
+  }
+
+  /**
+   * Render the latest stored message analysis as cards
+   */
+  renderConversationAnalysis(conversation) {
+    const latest = conversation.analyses?.[conversation.analyses.length - 1];
+    if (!latest?.data) return '';
+
+    const formatLabel = key => String(key)
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/[_-]+/g, ' ')
+      .replace(/\b\w/g, char => char.toUpperCase());
+
+    const renderValue = value => {
+      if (value === null || value === undefined || value === '') {
+        return '<span class="analysis-card-empty">Not mentioned</span>';
+      }
+      if (Array.isArray(value)) {
+        if (value.length === 0) return '<span class="analysis-card-empty">None</span>';
+        return `<ul>${value.map(item => `<li>${renderValue(item)}</li>`).join('')}</ul>`;
+      }
+      if (typeof value === 'object') {
+        return Object.entries(value)
+          .map(([key, nested]) => `<div><strong>${this.escapeHtml(formatLabel(key))}:</strong> ${renderValue(nested)}</div>`)
+          .join('');
+      }
+      return this.escapeHtml(String(value));
+    };
+
+    const cardsHtml = Object.entries(latest.data).map(([key, value]) => `
+      <div class="analysis-card${Array.isArray(value) ? ' wide' : ''}" data-field="${this.escapeHtml(key)}">
+        <div class="analysis-card-label">${this.escapeHtml(formatLabel(key))}</div>
+        <div class="analysis-card-value">${renderValue(value)}</div>
+      </div>
+    `).join('');
+
+    return `
+      <div class="conversation-analysis">
+        <div class="conversation-analysis-header">
+          <span>🔍 Latest Analysis</span>
+          <span class="message-time">${new Date(latest.analyzedAt).toLocaleString()}</span>
+        </div>
+        <div class="analysis-cards">${cardsHtml}</div>
+      </div>
+    `;
   }
 
   closeConversationModal() {
@@ -4637,7 +6081,7 @@ class PopupManager {
           </div>
           <div class="kb-file-selector-list">
             ${files.length > 0 ? files.map(file => `
-              <div class="kb-file-selector-item" data-file-id="${file.id}">
+              <div class="kb-file-selector-item" data-file-id="${file.id}" data-size="${file.size || 0}" data-mime-type="${file.mimeType || ''}">
                 <label class="kb-file-checkbox-label">
                   <input type="checkbox" class="kb-file-checkbox" value="${file.id}">
                   <div class="kb-file-item-content">
@@ -4724,7 +6168,7 @@ class PopupManager {
           // Update the file list in the modal
           const fileList = overlay.querySelector('.kb-file-selector-list');
           fileList.innerHTML = refreshedFiles.length > 0 ? refreshedFiles.map(file => `
-            <div class="kb-file-selector-item" data-file-id="${file.id}">
+            <div class="kb-file-selector-item" data-file-id="${file.id}" data-size="${file.size || 0}" data-mime-type="${file.mimeType || ''}">
               <label class="kb-file-checkbox-label">
                 <input type="checkbox" class="kb-file-checkbox" value="${file.id}">
                 <div class="kb-file-item-content">
@@ -4797,7 +6241,9 @@ class PopupManager {
         id: checkbox.value,
         name: fileName,
         meta: fileMeta,
-        icon: fileIcon
+        icon: fileIcon,
+        size: parseInt(fileItem.dataset.size) || 0,
+        mimeType: fileItem.dataset.mimeType || ''
       });
     });
 
@@ -4813,11 +6259,12 @@ class PopupManager {
     if (files.length === 0) {
       container.style.display = 'none';
       container.classList.remove('has-files');
+      this.checkPromptModelLimits();
       return;
     }
 
     container.innerHTML = files.map(file => `
-      <div class="selected-file-item" data-file-id="${file.id}">
+      <div class="selected-file-item" data-file-id="${file.id}" data-size="${file.size || 0}" data-mime-type="${file.mimeType || ''}">
         <div class="selected-file-info">
           <span class="selected-file-icon">${file.icon}</span>
           <span class="selected-file-name">${file.name}</span>
@@ -4837,6 +6284,8 @@ class PopupManager {
         this.removeSelectedFile(fileId);
       });
     });
+
+    this.checkPromptModelLimits();
   }
 
   removeSelectedFile(fileId) {
@@ -4853,6 +6302,8 @@ class PopupManager {
       container.style.display = 'none';
       container.classList.remove('has-files');
     }
+
+    this.checkPromptModelLimits();
   }
 
   clearSelectedKbFiles() {
@@ -4881,7 +6332,9 @@ class PopupManager {
         id: fileId,
         name: fileName,
         meta: fileMeta,
-        icon: fileIcon
+        icon: fileIcon,
+        size: parseInt(item.dataset.size) || 0,
+        mimeType: item.dataset.mimeType || ''
       };
     });
   }
@@ -0,0 +1,250 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+const settings = { openaiBaseUrl: 'https://llm.example.com/v1/' };
+global.chrome = {
+    storage: {
+        local: { get: async () => ({ settings }) }
+    }
+};
+
+const { ChatProviders } = loadScript('background/chat-providers.js', ['ChatProviders']);
+
+/**
+ * Streaming response whose body arrives in the given pieces
+ */
+function sseResponse(pieces) {
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+        start(controller) {
+            for (const piece of pieces) controller.enqueue(encoder.encode(piece));
+            controller.close();
+        }
+    });
+    return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+function dataLine(data) {
+    return `data: ${JSON.stringify(data)}\n\n`;
+}
+
+function anthropicEvent(data) {
+    return `event: ${data.type}\n${dataLine(data)}`;
+}
+
+/**
+ * Run a stream with fetch answering the given response - returns the events and the request sent
+ */
+async function collect(t, response, request) {
+    const sent = {};
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(global, 'fetch', async (url, init) => {
+        sent.url = url;
+        sent.body = JSON.parse(init.body);
+        sent.headers = init.headers;
+        return response;
+    });
+
+    const events = [];
+    for await (const event of new ChatProviders(async () => ({ openai: 'sk-test', anthropic: 'sk-ant-test' })).stream(request)) {
+        events.push(event);
+    }
+    return { events, sent };
+}
+
+test('OpenAI: text deltas stream as they arrive, usage comes from the last chunk', async (t) => {
+    const response = sseResponse([
+        dataLine({ model: 'gpt-4o-mini-2024', choices: [{ delta: { role: 'assistant', content: 'Hel' } }] }),
+        // A chunk split across two reads
+        'data: {"choices":[{"delta":{"content":"lo"},',
+        '"finish_reason":"stop"}]}\n\n',
+        dataLine({ choices: [], usage: { prompt_tokens: 12, completion_tokens: 3, prompt_tokens_details: { cached_tokens: 4 } } }),
+        'data: [DONE]\n\n'
+    ]);
+
+    const { events, sent } = await collect(t, response, {
+        provider: 'openai',
+        messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hi' }],
+        temperature: 0.2,
+        maxTokens: 100
+    });
+
+    assert.equal(sent.url, 'https://llm.example.com/v1/chat/completions');
+    assert.equal(sent.headers.Authorization, 'Bearer sk-test');
+    assert.equal(sent.body.stream, true);
+    assert.deepEqual(sent.body.stream_options, { include_usage: true });
+    assert.equal(sent.body.max_tokens, 100);
+
+    assert.deepEqual(events, [
+        { text: 'Hel' },
+        { text: 'lo' },
+        {
+            done: true,
+            toolCalls: [],
+            finishReason: 'STOP',
+            usage: { input_tokens: 12, output_tokens: 3, cached_tokens: 4 },
+            model: 'gpt-4o-mini-2024'
+        }
+    ]);
+});
+
+test('OpenAI: tool call fragments are joined by index and their arguments parsed', async (t) => {
+    const response = sseResponse([
+        dataLine({ choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'get_order', arguments: '{"ord' } }] } }] }),
+        dataLine({ choices: [{ delta: { tool_calls: [{ index: 1, id: 'call_2', function: { name: 'get_gig', arguments: '{}' } }] } }] }),
+        dataLine({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'er":"FO1"}' } }] }, finish_reason: 'tool_calls' }] }),
+        'data: [DONE]\n\n'
+    ]);
+
+    const tools = [{ name: 'get_order', description: 'Look up an order', parameters: { type: 'object', properties: { order: { type: 'string' } } } }];
+    const { events, sent } = await collect(t, response, {
+        provider: 'openai',
+        tools,
+        messages: [
+            { role: 'user', content: 'Status?' },
+            { role: 'assistant', content: '', toolCalls: [{ id: 'call_0', name: 'get_order', args: { order: 'FO0' } }] },
+            { role: 'tool', toolCallId: 'call_0', name: 'get_order', content: '{"status":"late"}' }
+        ]
+    });
+
+    assert.deepEqual(sent.body.tools, [{ type: 'function', function: tools[0] }]);
+    assert.deepEqual(sent.body.messages[1].tool_calls, [{ id: 'call_0', type: 'function', function: { name: 'get_order', arguments: '{"order":"FO0"}' } }]);
+    assert.deepEqual(sent.body.messages[2], { role: 'tool', tool_call_id: 'call_0', content: '{"status":"late"}' });
+
+    assert.equal(events.length, 1);
+    assert.deepEqual(events[0].toolCalls, [
+        { id: 'call_1', name: 'get_order', args: { order: 'FO1' } },
+        { id: 'call_2', name: 'get_gig', args: {} }
+    ]);
+});
+
+test('OpenAI: reasoning deltas come through as thoughts and length stops map to MAX_TOKENS', async (t) => {
+    const response = sseResponse([
+        dataLine({ choices: [{ delta: { reasoning_content: 'Thinking...' } }] }),
+        dataLine({ choices: [{ delta: { content: 'Cut' }, finish_reason: 'length' }] }),
+        'data: [DONE]\n\n'
+    ]);
+
+    const { events } = await collect(t, response, { provider: 'openai', messages: [{ role: 'user', content: 'Hi' }] });
+
+    assert.deepEqual(events.slice(0, 2), [{ thoughts: 'Thinking...' }, { text: 'Cut' }]);
+    assert.equal(events[2].finishReason, 'MAX_TOKENS');
+});
+
+test('OpenAI: a content filter stop fails as a safety block', async (t) => {
+    const response = sseResponse([
+        dataLine({ choices: [{ delta: {}, finish_reason: 'content_filter' }] }),
+        'data: [DONE]\n\n'
+    ]);
+
+    await assert.rejects(collect(t, response, { provider: 'openai', messages: [{ role: 'user', content: 'Hi' }] }), { finishReason: 'SAFETY' });
+});
+
+test('an HTTP error fails with its status before any event', async (t) => {
+    const response = new Response(JSON.stringify({ error: { message: 'Rate limit reached' } }), { status: 429 });
+    await assert.rejects(
+        collect(t, response, { provider: 'openai', messages: [{ role: 'user', content: 'Hi' }] }),
+        { status: 429, message: /429 - Rate limit reached/ }
+    );
+});
+
+test('Anthropic: text and thinking deltas stream, usage comes from message_start and message_delta', async (t) => {
+    const response = sseResponse([
+        anthropicEvent({ type: 'message_start', message: { model: 'claude-sonnet-4-20250514', usage: { input_tokens: 40, output_tokens: 1, cache_read_input_tokens: 8 } } }),
+        anthropicEvent({ type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } }),
+        anthropicEvent({ type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'The buyer wants...' } }),
+        anthropicEvent({ type: 'content_block_stop', index: 0 }),
+        anthropicEvent({ type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } }),
+        anthropicEvent({ type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Hi ' } }),
+        anthropicEvent({ type: 'ping' }),
+        anthropicEvent({ type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Ana' } }),
+        anthropicEvent({ type: 'content_block_stop', index: 1 }),
+        anthropicEvent({ type: 'message_delta', delta: { stop_reason: 'max_tokens' }, usage: { output_tokens: 25 } }),
+        anthropicEvent({ type: 'message_stop' })
+    ]);
+
+    const { events, sent } = await collect(t, response, {
+        provider: 'anthropic',
+        messages: [{ role: 'system', content: 'Be brief' }, { role: 'assistant', content: 'Earlier reply' }, { role: 'user', content: 'Hi' }],
+        thinking: { mode: 'fixed', budget: 500 },
+        temperature: 0.9,
+        maxTokens: 800
+    });
+
+    assert.equal(sent.url, 'https://api.anthropic.com/v1/messages');
+    assert.equal(sent.headers['x-api-key'], 'sk-ant-test');
+    assert.equal(sent.body.stream, true);
+    assert.equal(sent.body.system, 'Be brief');
+    assert.deepEqual(sent.body.messages, [{ role: 'user', content: [{ type: 'text', text: 'Hi' }] }], 'leading assistant turns are dropped');
+    assert.deepEqual(sent.body.thinking, { type: 'enabled', budget_tokens: 1024 });
+    assert.equal(sent.body.max_tokens, 1824);
+    assert.equal(sent.body.temperature, undefined);
+
+    assert.deepEqual(events, [
+        { thoughts: 'The buyer wants...' },
+        { text: 'Hi ' },
+        { text: 'Ana' },
+        {
+            done: true,
+            toolCalls: [],
+            finishReason: 'MAX_TOKENS',
+            usage: { input_tokens: 40, output_tokens: 25, cached_tokens: 8 },
+            model: 'claude-sonnet-4-20250514'
+        }
+    ]);
+});
+
+test('Anthropic: tool turns become tool_use and tool_result blocks and streamed tool input is parsed', async (t) => {
+    const response = sseResponse([
+        anthropicEvent({ type: 'message_start', message: { usage: { input_tokens: 10 } } }),
+        anthropicEvent({ type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 'toolu_2', name: 'get_order', input: {} } }),
+        anthropicEvent({ type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"order":' } }),
+        anthropicEvent({ type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '"FO2"}' } }),
+        anthropicEvent({ type: 'content_block_stop', index: 0 }),
+        anthropicEvent({ type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 12 } })
+    ]);
+
+    const { events, sent } = await collect(t, response, {
+        provider: 'anthropic',
+        tools: [{ name: 'get_order', description: 'Look up an order', parameters: { type: 'object' } }],
+        thinking: { mode: 'dynamic' },
+        messages: [
+            { role: 'user', content: 'Status?' },
+            { role: 'assistant', content: '', toolCalls: [{ id: 'toolu_1', name: 'get_order', args: { order: 'FO1' } }] },
+            { role: 'tool', toolCallId: 'toolu_1', name: 'get_order', content: '{"status":"late"}' },
+            { role: 'user', content: 'Continue' }
+        ]
+    });
+
+    assert.deepEqual(sent.body.tools, [{ name: 'get_order', description: 'Look up an order', input_schema: { type: 'object' } }]);
+    assert.deepEqual(sent.body.messages, [
+        { role: 'user', content: [{ type: 'text', text: 'Status?' }] },
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'get_order', input: { order: 'FO1' } }] },
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '{"status":"late"}' }, { type: 'text', text: 'Continue' }] }
+    ]);
+    assert.equal(sent.body.thinking, undefined, 'thinking is off while tool calls are replayed');
+
+    assert.deepEqual(events[0].toolCalls, [{ id: 'toolu_2', name: 'get_order', args: { order: 'FO2' } }]);
+    assert.deepEqual(events[0].usage, { input_tokens: 10, output_tokens: 12, cached_tokens: 0 });
+});
+
+test('Anthropic: an error event in the stream fails with a retryable status', async (t) => {
+    const response = sseResponse([
+        anthropicEvent({ type: 'message_start', message: { usage: { input_tokens: 10 } } }),
+        anthropicEvent({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } })
+    ]);
+
+    await assert.rejects(
+        collect(t, response, { provider: 'anthropic', messages: [{ role: 'user', content: 'Hi' }] }),
+        { status: 529, message: /Overloaded/ }
+    );
+});
+
+test('Anthropic: a refusal fails as a safety block', async (t) => {
+    const response = sseResponse([
+        anthropicEvent({ type: 'message_delta', delta: { stop_reason: 'refusal' }, usage: { output_tokens: 0 } })
+    ]);
+
+    await assert.rejects(collect(t, response, { provider: 'anthropic', messages: [{ role: 'user', content: 'Hi' }] }), { finishReason: 'SAFETY' });
+});
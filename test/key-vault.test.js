@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+function createArea() {
+    let items = {};
+    return {
+        get: async (keys) => {
+            if (keys == null) return structuredClone(items);
+            const names = Array.isArray(keys) ? keys : [keys];
+            return structuredClone(Object.fromEntries(names.filter(name => name in items).map(name => [name, items[name]])));
+        },
+        set: async (values) => { Object.assign(items, structuredClone(values)); },
+        remove: async (keys) => {
+            for (const name of Array.isArray(keys) ? keys : [keys]) delete items[name];
+        },
+        clear: () => { items = {}; },
+        dump: () => items
+    };
+}
+
+global.chrome = { storage: { local: createArea(), session: createArea() } };
+
+const { KeyVault } = loadScript('background/key-vault.js', ['KeyVault']);
+
+function createVault() {
+    const vault = new KeyVault();
+    vault.iterations = 1000; // Keep PBKDF2 fast in tests
+    return vault;
+}
+
+test.beforeEach((t) => {
+    chrome.storage.local.clear();
+    chrome.storage.session.clear();
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+});
+
+test('keys are stored encrypted and read back with the device secret in a new session', async () => {
+    await createVault().saveKeys(['AIza-first', 'AIza-second']);
+
+    const record = chrome.storage.local.dump().keyVault;
+    assert.equal(record.protected, false);
+    assert.equal(record.count, 2);
+    assert.ok(!JSON.stringify(record).includes('AIza-first'));
+
+    chrome.storage.session.clear();
+    assert.deepEqual(await createVault().getKeys(), ['AIza-first', 'AIza-second']);
+});
+
+test('a passphrase locks the vault until it is unlocked with the same passphrase', async () => {
+    const vault = createVault();
+    await vault.saveKeys(['AIza-first']);
+    await vault.setPassphrase('correct horse');
+
+    chrome.storage.session.clear();
+    const fresh = createVault();
+    assert.equal(await fresh.getKeys(), null);
+    assert.deepEqual(await fresh.getStatus(), { protected: true, locked: true, count: 1 });
+    await assert.rejects(fresh.saveKeys(['AIza-other']), /locked/);
+
+    await assert.rejects(fresh.unlock('wrong horse'), /Wrong passphrase/);
+    assert.deepEqual(await fresh.unlock('correct horse'), ['AIza-first']);
+    assert.deepEqual(await fresh.getStatus(), { protected: true, locked: false, count: 1 });
+});
+
+test('the unlocked key lasts for the browser session and lock forgets it', async () => {
+    const vault = createVault();
+    await vault.saveKeys(['AIza-first']);
+    await vault.setPassphrase('correct horse');
+
+    assert.deepEqual(await createVault().getKeys(), ['AIza-first']);
+
+    await vault.lock();
+    assert.equal(await createVault().getKeys(), null);
+});
+
+test('removing the passphrase goes back to the device secret', async () => {
+    const vault = createVault();
+    await vault.saveKeys(['AIza-first']);
+    await vault.setPassphrase('correct horse');
+    await vault.setPassphrase('');
+
+    chrome.storage.session.clear();
+    assert.deepEqual(await createVault().getKeys(), ['AIza-first']);
+});
+
+test('chat provider keys survive a passphrase change and drop empty entries', async () => {
+    const vault = createVault();
+    await vault.saveKeys(['AIza-first']);
+    await vault.saveProviderKeys({ openai: 'sk-openai', anthropic: '' });
+    await vault.setPassphrase('correct horse');
+
+    assert.ok(!JSON.stringify(chrome.storage.local.dump()).includes('sk-openai'));
+
+    chrome.storage.session.clear();
+    const fresh = createVault();
+    assert.equal(await fresh.getProviderKeys(), null);
+    await fresh.unlock('correct horse');
+    assert.deepEqual(await fresh.getProviderKeys(), { openai: 'sk-openai' });
+});
+
+test('load moves plain-text keys from older versions into the vault', async () => {
+    await chrome.storage.local.set({
+        apiKeys: ['AIza-plain'],
+        settings: { model: 'gemini-2.5-flash', openaiApiKey: 'sk-openai', anthropicApiKey: 'sk-ant' }
+    });
+
+    const vault = createVault();
+    assert.deepEqual(await vault.load(), ['AIza-plain']);
+    assert.deepEqual(await vault.getProviderKeys(), { openai: 'sk-openai', anthropic: 'sk-ant' });
+
+    const stored = chrome.storage.local.dump();
+    assert.equal(stored.apiKeys, undefined);
+    assert.deepEqual(stored.settings, { model: 'gemini-2.5-flash' });
+    assert.ok(!JSON.stringify(stored).includes('AIza-plain'));
+});
+
+test('an exported vault decrypts only with its passphrase', async () => {
+    const vault = createVault();
+    await vault.saveKeys(['AIza-first', 'AIza-second']);
+    await assert.rejects(vault.exportBlob(), /passphrase/);
+
+    await vault.setPassphrase('correct horse');
+    const blob = await vault.exportBlob();
+    assert.equal(blob.count, 2);
+    assert.equal(blob.providerKeys, undefined);
+
+    assert.deepEqual(await createVault().decryptBlob(blob, 'correct horse'), ['AIza-first', 'AIza-second']);
+    await assert.rejects(createVault().decryptBlob(blob, 'wrong horse'), /Wrong passphrase/);
+    await assert.rejects(createVault().decryptBlob({}, 'correct horse'), /Invalid key vault export/);
+});
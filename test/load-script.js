@@ -0,0 +1,18 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Extension scripts are classic scripts that share window, as in the browser
+global.window = global;
+
+/**
+ * Run an extension script (path relative to the repository root) in this process
+ * Returns the named top-level declarations, for scripts that don't put them on window
+ */
+function loadScript(relativePath, names = []) {
+    const filename = path.join(__dirname, '..', relativePath);
+    const source = fs.readFileSync(filename, 'utf8');
+    return vm.runInThisContext(`${source}\n;({ ${names.join(', ')} });`, { filename });
+}
+
+module.exports = { loadScript };
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+const { postProcessText } = loadScript('content/utils/helpers.js', ['postProcessText']);
+
+test('no settings or no text leaves the response as it is', () => {
+    assert.equal(postProcessText('  **Hi**  ', null), '  **Hi**  ');
+    assert.equal(postProcessText('', { plainText: true }), '');
+    assert.equal(postProcessText(undefined, { plainText: true }), undefined);
+});
+
+test('plainText removes markdown but keeps the words', () => {
+    const text = '## Offer\n\n**Hello** [Ana](https://example.com), here is `the plan`:\n- Logo\n1. Banner';
+    assert.equal(postProcessText(text, { plainText: true }), 'Offer\n\nHello Ana, here is the plan:\n• Logo\nBanner');
+});
+
+test('stripPreamble drops an opening "Sure, here is..." line', () => {
+    assert.equal(postProcessText("Sure! Here's the improved message:\n\nThanks for your order.", { stripPreamble: true }), 'Thanks for your order.');
+    assert.equal(postProcessText('Here is your reply:\nHello Ana', { stripPreamble: true }), 'Hello Ana');
+});
+
+test('stripPreamble keeps replies that only start like a preamble', () => {
+    const text = 'Sure thing, I can deliver by Friday.\nThanks!';
+    assert.equal(postProcessText(text, { stripPreamble: true }), text);
+    assert.equal(postProcessText('Okay: the price is $50.', { stripPreamble: true }), 'Okay: the price is $50.');
+});
+
+test('stripQuotes removes quotes wrapped around the whole reply only', () => {
+    assert.equal(postProcessText('"Thanks for reaching out!"', { stripQuotes: true }), 'Thanks for reaching out!');
+    assert.equal(postProcessText('“Thanks for reaching out!”', { stripQuotes: true }), 'Thanks for reaching out!');
+    assert.equal(postProcessText('He said "thanks" to me', { stripQuotes: true }), 'He said "thanks" to me');
+});
+
+test('singleParagraph joins lines with single spaces', () => {
+    assert.equal(postProcessText('Hello Ana,\n\n  Thanks for the brief.\nI can start today.', { singleParagraph: true }), 'Hello Ana, Thanks for the brief. I can start today.');
+});
+
+test('maxCharacters cuts at the last sentence end inside the limit', () => {
+    const text = 'First sentence here. Second sentence is longer. Third one.';
+    assert.equal(postProcessText(text, { maxCharacters: 50 }), 'First sentence here. Second sentence is longer.');
+});
+
+test('maxCharacters hard-cuts when no sentence ends past half the limit', () => {
+    const text = 'Hi. This opening sentence runs on without stopping for a long while';
+    assert.equal(postProcessText(text, { maxCharacters: 20 }), 'Hi. This opening sen');
+});
+
+test('maxCharacters leaves short replies alone', () => {
+    assert.equal(postProcessText('Short reply.', { maxCharacters: 100 }), 'Short reply.');
+    assert.equal(postProcessText('Short reply.', { maxCharacters: 0 }), 'Short reply.');
+});
+
+test('options combine: preamble, markdown and quotes go before the length cut', () => {
+    const text = 'Of course, here it is:\n\n"**Thanks** for the order. I will send the draft tomorrow. Talk soon."';
+    const result = postProcessText(text, { stripPreamble: true, plainText: true, stripQuotes: true, singleParagraph: true, maxCharacters: 60 });
+    assert.equal(result, 'Thanks for the order. I will send the draft tomorrow.');
+});
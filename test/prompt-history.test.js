@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+loadScript('content/ai/prompt-history.js');
+
+const history = new window.PromptHistory();
+
+test('diffLines marks unchanged, removed and added lines in order', () => {
+    assert.deepEqual(history.diffLines('Hello\nBudget: {budget}\nThanks', 'Hello\nBudget: {{budget | default: "open"}}\nThanks\nBest'), [
+        { type: 'same', text: 'Hello' },
+        { type: 'removed', text: 'Budget: {budget}' },
+        { type: 'added', text: 'Budget: {{budget | default: "open"}}' },
+        { type: 'same', text: 'Thanks' },
+        { type: 'added', text: 'Best' }
+    ]);
+});
+
+test('diffLines keeps the longest common run of lines', () => {
+    const diff = history.diffLines('a\nb\nc\nd', 'b\nc\nx');
+    assert.deepEqual(diff.filter(line => line.type === 'same').map(line => line.text), ['b', 'c']);
+    assert.deepEqual(diff.filter(line => line.type === 'removed').map(line => line.text), ['a', 'd']);
+    assert.deepEqual(diff.filter(line => line.type === 'added').map(line => line.text), ['x']);
+});
+
+test('diffLines of identical texts has no changes', () => {
+    assert.ok(history.diffLines('one\ntwo', 'one\ntwo').every(line => line.type === 'same'));
+});
+
+test('diffVersions diffs the prompt text and lists other changed fields as before/after', () => {
+    const older = { data: { name: 'Reply', prompt: 'Hi {username}', temperature: 0.7 } };
+    const newer = { data: { name: 'Reply', prompt: 'Hello {username}', temperature: 0.3, postProcess: { plainText: true } } };
+    const diff = history.diffVersions(older, newer);
+
+    assert.deepEqual(diff.prompt, [
+        { type: 'removed', text: 'Hi {username}' },
+        { type: 'added', text: 'Hello {username}' }
+    ]);
+    assert.deepEqual(diff.fields, [
+        { field: 'temperature', before: '0.7', after: '0.3' },
+        { field: 'postProcess', before: '', after: JSON.stringify({ plainText: true }, null, 2) }
+    ]);
+});
+
+test('withVersion records the old content of a prompt saved before history existed', () => {
+    const previous = { name: 'Reply', prompt: 'v1', created: 1000 };
+    const next = history.withVersion(previous, { ...previous, prompt: 'v2' });
+
+    assert.equal(next.versions.length, 2);
+    assert.equal(next.versions[0].savedAt, 1000);
+    assert.equal(next.versions[0].data.prompt, 'v1');
+    assert.equal(next.versions[1].data.prompt, 'v2');
+});
+
+test('withVersion skips unchanged saves unless a note is given', () => {
+    const first = history.withVersion(null, { name: 'Reply', prompt: 'v1' });
+    const unchanged = history.withVersion(first, { ...first, modified: Date.now() });
+    const noted = history.withVersion(first, { ...first }, 'Checkpoint');
+
+    assert.equal(first.versions.length, 1);
+    assert.equal(unchanged.versions.length, 1);
+    assert.equal(noted.versions.length, 2);
+    assert.equal(noted.versions[1].note, 'Checkpoint');
+});
+
+test('restore brings back an old version as a new version and keeps the history', () => {
+    let prompt = history.withVersion(null, { name: 'Reply', prompt: 'v1', temperature: 0.2, created: 1 });
+    prompt = history.withVersion(prompt, { ...prompt, prompt: 'v2', temperature: undefined, model: 'gemini-2.5-flash' });
+    const firstVersion = prompt.versions[0];
+
+    const restored = history.restore(prompt, firstVersion.id);
+
+    assert.equal(restored.prompt, 'v1');
+    assert.equal(restored.temperature, 0.2);
+    assert.equal(restored.model, undefined, 'fields the old version did not have are cleared');
+    assert.equal(restored.created, 1, 'fields outside the history are kept');
+    assert.equal(restored.versions.length, 3);
+    assert.equal(restored.versions[2].note, 'Rolled back to version 1');
+    assert.deepEqual(restored.versions[2].data, firstVersion.data);
+});
+
+test('restore rejects an unknown version', () => {
+    const prompt = history.withVersion(null, { name: 'Reply', prompt: 'v1' });
+    assert.throws(() => history.restore(prompt, 'v_missing'), /Version not found/);
+});
+
+test('history keeps only the newest maxVersions versions', () => {
+    const limited = new window.PromptHistory();
+    limited.maxVersions = 3;
+
+    let prompt = null;
+    for (let i = 1; i <= 5; i++) {
+        prompt = limited.withVersion(prompt, { name: 'Reply', prompt: `v${i}` });
+    }
+    assert.deepEqual(prompt.versions.map(version => version.data.prompt), ['v3', 'v4', 'v5']);
+});
+
+test('mergePrompt unites both histories and keeps the winner content as the latest version', () => {
+    const local = history.withVersion(null, { name: 'Reply', prompt: 'local' });
+    const remote = { name: 'Reply', prompt: 'remote', modified: Date.now() + 1000, versions: [{ id: 'v_remote', savedAt: 5, note: '', data: { prompt: 'old remote' } }] };
+
+    const merged = history.mergePrompt(remote, local);
+
+    assert.equal(merged.prompt, 'remote');
+    assert.deepEqual(merged.versions.map(version => version.data.prompt), ['old remote', 'local', 'remote']);
+});
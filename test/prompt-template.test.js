@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+loadScript('content/ai/prompt-template.js');
+
+const engine = new window.PromptTemplateEngine();
+
+test('parser: single and double brace variables, dotted paths', () => {
+    assert.equal(engine.render('Hi {username}, {{ brief.budget }}', { username: 'Ana', brief: { budget: '$50' } }), 'Hi Ana, $50');
+});
+
+test('parser: unknown bare names stay visible, missing dotted paths render empty', () => {
+    assert.equal(engine.render('{budget} / [{{brief.deadline}}]', { brief: {} }), '{budget} / []');
+});
+
+test('parser: JSON and file references in braces are left as written', () => {
+    assert.equal(engine.render('{"a": 1} {{file:portfolio}}', {}), '{"a": 1} {{file:portfolio}}');
+});
+
+test('parser: standalone block tags do not leave blank lines', () => {
+    const template = 'Start\n{{#if ok}}\nMiddle\n{{/if}}\nEnd';
+    assert.equal(engine.render(template, { ok: true }), 'Start\nMiddle\nEnd');
+    assert.equal(engine.render(template, { ok: false }), 'Start\nEnd');
+});
+
+test('conditionals: if, else and unless follow truthiness', () => {
+    const template = '{{#if brief.budget}}Budget {{brief.budget}}{{else}}No budget{{/if}}';
+    assert.equal(engine.render(template, { brief: { budget: 100 } }), 'Budget 100');
+    assert.equal(engine.render(template, { brief: { budget: '  ' } }), 'No budget');
+    assert.equal(engine.render(template, { brief: { budget: [] } }), 'No budget');
+    assert.equal(engine.render('{{#unless done}}todo{{/unless}}', { done: 0 }), 'todo');
+    assert.equal(engine.render('{{#unless done}}todo{{/unless}}', { done: true }), '');
+});
+
+test('loops: arrays with @number, @first and @last', () => {
+    const template = '{{#each items}}{{@number}}.{{this}}{{#unless @last}}, {{/unless}}{{/each}}';
+    assert.equal(engine.render(template, { items: ['a', 'b', 'c'] }), '1.a, 2.b, 3.c');
+    assert.equal(engine.render('{{#each items}}{{#if @first}}*{{/if}}{{this}}{{/each}}', { items: ['x', 'y'] }), '*xy');
+});
+
+test('loops: objects expose @key and item fields, outer variables stay reachable', () => {
+    const template = '{{#each people}}{{@key}}={{name}}@{{company}};{{/each}}';
+    assert.equal(engine.render(template, { company: 'Acme', people: { lead: { name: 'Ana' }, dev: { name: 'Bo' } } }), 'lead=Ana@Acme;dev=Bo@Acme;');
+});
+
+test('loops: multi-line text gives one item per non-empty line, empty lists use else', () => {
+    assert.equal(engine.render('{{#each reqs}}- {{this}}\n{{/each}}', { reqs: 'Logo\n\n  Banner  \n' }), '- Logo\n- Banner\n');
+    assert.equal(engine.render('{{#each reqs}}x{{else}}none{{/each}}', { reqs: [] }), 'none');
+});
+
+test('defaults: default applies to missing, empty strings and empty lists only', () => {
+    const template = '{{budget | default: "open"}}';
+    assert.equal(engine.render(template, {}), 'open');
+    assert.equal(engine.render(template, { budget: '' }), 'open');
+    assert.equal(engine.render(template, { budget: [] }), 'open');
+    assert.equal(engine.render(template, { budget: 0 }), '0');
+    assert.equal(engine.render(template, { budget: '$20' }), '$20');
+});
+
+test('filters: text filters chain left to right', () => {
+    assert.equal(engine.render('{{name | trim | upper}}', { name: '  ana  ' }), 'ANA');
+    assert.equal(engine.render('{{name | lower}}', { name: 'ANA' }), 'ana');
+    assert.equal(engine.render('{{text | truncate: 5}}', { text: 'Hello world' }), 'Hello…');
+    assert.equal(engine.render('{{text | truncate: 50}}', { text: 'Short' }), 'Short');
+    assert.equal(engine.render('{{skills | join: " / "}}', { skills: ['JS', 'CSS'] }), 'JS / CSS');
+    assert.equal(engine.render('{{skills}}', { skills: ['JS', 'CSS'] }), 'JS, CSS');
+});
+
+test('filters: date formats a timestamp and passes other text through', () => {
+    assert.equal(engine.render('{{due | date: "iso"}}', { due: '2026-03-05T12:00:00Z' }), '2026-03-05');
+    assert.equal(engine.render('{{due | date: "iso"}}', { due: String(Date.UTC(2026, 0, 2, 12)) }), '2026-01-02');
+    assert.equal(engine.render('{{due | date}}', { due: 'in 3 days' }), 'in 3 days');
+});
+
+test('filters: a failing filter reports the template line', () => {
+    assert.throws(() => engine.render('a\n{{text | truncate: 0}}', { text: 'abc' }), { templateError: true, line: 2 });
+});
+
+test('validation: valid templates return null', () => {
+    assert.equal(engine.validate('{{#each items}}{{this | upper}}{{else}}none{{/each}}'), null);
+});
+
+test('validation: block errors name the problem and the line', () => {
+    const cases = [
+        ['{{#if a}}\nopen', 1, /never closed/],
+        ['line\n{{/if}}', 2, /has no matching/],
+        ['{{#if a}}\n{{/each}}', 2, /closes \{\{#if\}\} from line 1/],
+        ['{{#with a}}{{/with}}', 1, /Unknown block/],
+        ['{{#if}}{{/if}}', 1, /needs a variable/],
+        ['{{else}}', 1, /outside a block/],
+        ['{{#if a}}x{{else}}y{{else}}z{{/if}}', 1, /Second \{\{else\}\}/]
+    ];
+
+    for (const [template, line, message] of cases) {
+        const error = engine.validate(template);
+        assert.ok(error, template);
+        assert.equal(error.line, line, template);
+        assert.match(error.message, message);
+    }
+});
+
+test('validation: filter errors name the filter and its arguments', () => {
+    assert.match(engine.validate('{{a | shout}}').message, /Unknown filter "shout"/);
+    assert.match(engine.validate('{{a | upper: 1}}').message, /takes 0 arguments/);
+    assert.match(engine.validate('{{a | truncate: 1, 2}}').message, /takes 0 to 1 argument/);
+    assert.match(engine.validate('{{a | date: "weekday"}}').message, /Unknown date format/);
+    assert.match(engine.validate('{{a | default: open}}').message, /numbers or quoted text/);
+});
+
+test('render throws template errors, validate reports them', () => {
+    assert.throws(() => engine.render('{{#if a}}', {}), (error) => error.templateError === true && /Line 1/.test(error.message));
+});
+
+test('getUnresolvedVariables skips defaults, known values and branches the data rules out', () => {
+    const template = '{greeting} {{name | default: "there"}} {{#if brief}}{{budget}}{{else}}{{deadline}}{{/if}} {{#each items}}{{label}}{{/each}} {{a.b}}';
+    assert.deepEqual(engine.getUnresolvedVariables(template, { greeting: 'Hi', brief: true, items: ['x'] }), ['budget']);
+    assert.deepEqual(engine.getUnresolvedVariables(template, { greeting: 'Hi' }), ['deadline']);
+});
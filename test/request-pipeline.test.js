@@ -0,0 +1,199 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+let settings = {};
+global.chrome = {
+    storage: {
+        local: { get: async () => ({ settings }) }
+    }
+};
+
+loadScript('content/ai/request-pipeline.js');
+
+const KEYS = ['key-a', 'key-b', 'key-c'];
+
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function errorResponse(status, message) {
+    return jsonResponse({ error: { code: status, message } }, status);
+}
+
+function geminiReply(text, finishReason = 'STOP', usage = {}) {
+    return {
+        candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason }],
+        usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15, ...usage }
+    };
+}
+
+function sseResponse(events) {
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+        start(controller) {
+            for (const event of events) controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`));
+            controller.close();
+        }
+    });
+    return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+/**
+ * Streaming response that sends the given events, then drops the connection
+ */
+function droppedStreamResponse(events = []) {
+    const encoder = new TextEncoder();
+    let sent = false;
+    const body = new ReadableStream({
+        pull(controller) {
+            if (!sent && events.length > 0) {
+                sent = true;
+                for (const event of events) controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`));
+                return;
+            }
+            controller.error(new TypeError('network error'));
+        }
+    });
+    return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+/**
+ * Pipeline on a scheduler that hands out the first key not yet tried, with fetch answering from responses in order
+ * Returns the pipeline and the calls it made
+ */
+function createPipeline(t, responses, pipelineSettings = {}) {
+    settings = pipelineSettings;
+    const calls = { urls: [], bodies: [], reports: [], released: [], usage: [] };
+
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(Math, 'random', () => 0);
+    t.mock.method(global, 'fetch', async (url, init) => {
+        calls.urls.push(url);
+        calls.bodies.push(JSON.parse(init.body));
+        const next = responses.shift();
+        if (!next) throw new Error('Unexpected request');
+        return next();
+    });
+
+    const scheduler = {
+        acquire: async (job) => {
+            const index = KEYS.findIndex((key, keyIndex) => !job.exclude.includes(keyIndex));
+            return { key: KEYS[index], index, jobId: job.jobId };
+        },
+        release: (jobId) => calls.released.push(jobId)
+    };
+    const pipeline = new window.AIRequestPipeline({
+        scheduler,
+        keyReporter: (index, error) => calls.reports.push({ index, error: error ? error.message : null }),
+        usageRecorder: (entry) => calls.usage.push(entry)
+    });
+    pipeline.retryBaseDelay = 0;
+    return { pipeline, calls };
+}
+
+const request = { prompt: 'Write a reply', usageContext: { contact: null } };
+
+test('a rate-limited key fails over to the next key', async (t) => {
+    const { pipeline, calls } = createPipeline(t, [
+        () => errorResponse(429, 'Resource has been exhausted'),
+        () => jsonResponse(geminiReply('Hello there'))
+    ]);
+
+    const result = await pipeline.generate(request);
+    assert.equal(result.text, 'Hello there');
+    assert.match(calls.urls[0], /key=key-a$/);
+    assert.match(calls.urls[1], /key=key-b$/);
+    assert.deepEqual(calls.reports.map(report => report.index), [0, 1]);
+    assert.match(calls.reports[0].error, /429/);
+    assert.equal(calls.reports[1].error, null);
+    assert.equal(calls.released.length, 2);
+});
+
+test('retries stop at the Max Retries setting', async (t) => {
+    const { pipeline, calls } = createPipeline(t, [
+        () => errorResponse(503, 'The model is overloaded'),
+        () => errorResponse(503, 'The model is overloaded'),
+        () => errorResponse(503, 'The model is overloaded')
+    ], { maxRetries: 2 });
+
+    await assert.rejects(pipeline.generate(request), error => error.status === 503);
+    assert.equal(calls.urls.length, 3);
+});
+
+test('errors that are not rate limits fail without a retry', async (t) => {
+    const { pipeline, calls } = createPipeline(t, [
+        () => errorResponse(400, 'Invalid argument')
+    ]);
+
+    await assert.rejects(pipeline.generate(request), /400 - Invalid argument/);
+    assert.equal(calls.urls.length, 1);
+});
+
+test('a response cut off at MAX_TOKENS is continued and the parts joined', async (t) => {
+    const { pipeline, calls } = createPipeline(t, [
+        () => jsonResponse(geminiReply('First half, ', 'MAX_TOKENS')),
+        () => jsonResponse(geminiReply('second half.', 'STOP', { promptTokenCount: 20, candidatesTokenCount: 4, totalTokenCount: 24 }))
+    ]);
+
+    const result = await pipeline.generate(request);
+    assert.equal(result.text, 'First half, second half.');
+    assert.equal(result.finishReason, 'STOP');
+    assert.equal(result.usage.inputTokens, 30);
+    assert.equal(result.usage.outputTokens, 9);
+    assert.equal(calls.usage.length, 2);
+
+    const contents = calls.bodies[1].contents;
+    assert.deepEqual(contents.slice(-2), [
+        { role: 'model', parts: [{ text: 'First half, ' }] },
+        { role: 'user', parts: [{ text: pipeline.continuePrompt }] }
+    ]);
+});
+
+test('a streamed response cut off at MAX_TOKENS is continued in the same stream', async (t) => {
+    const { pipeline, calls } = createPipeline(t, [
+        () => sseResponse([geminiReply('First half, ', 'MAX_TOKENS')]),
+        () => sseResponse([geminiReply('second half.')])
+    ]);
+
+    const chunks = [];
+    for await (const chunk of pipeline.stream(request)) chunks.push(chunk);
+
+    assert.deepEqual(chunks.filter(chunk => !chunk.done).map(chunk => chunk.fullText), ['First half, ', 'First half, second half.']);
+    const final = chunks.at(-1);
+    assert.equal(final.fullText, 'First half, second half.');
+    assert.equal(final.finishReason, 'STOP');
+    assert.equal(final.usage.inputTokens, 20);
+    assert.equal(calls.urls.length, 2);
+    assert.match(calls.urls[0], /streamGenerateContent\?alt=sse&key=key-a$/);
+});
+
+test('a stream dropped before any text restarts on another key', async (t) => {
+    const { pipeline, calls } = createPipeline(t, [
+        () => droppedStreamResponse(),
+        () => sseResponse([geminiReply('Hello '), geminiReply('there')])
+    ]);
+
+    const chunks = [];
+    for await (const chunk of pipeline.stream(request)) chunks.push(chunk);
+
+    assert.equal(chunks.at(-1).fullText, 'Hello there');
+    assert.match(calls.urls[1], /key=key-b$/);
+    assert.deepEqual(calls.reports.map(report => report.index), [0, 0, 1]);
+    assert.equal(calls.reports[1].error, 'network error');
+});
+
+test('a stream dropped after text arrived fails instead of repeating the text', async (t) => {
+    const { pipeline, calls } = createPipeline(t, [
+        () => droppedStreamResponse([geminiReply('Hello ', null)])
+    ]);
+
+    const chunks = [];
+    await assert.rejects(async () => {
+        for await (const chunk of pipeline.stream(request)) chunks.push(chunk);
+    }, /network error/);
+    assert.deepEqual(chunks.map(chunk => chunk.text), ['Hello ']);
+    assert.equal(calls.urls.length, 1);
+    assert.equal(calls.released.length, 1);
+});
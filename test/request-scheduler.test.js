@@ -0,0 +1,215 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+global.chrome = {
+    storage: {
+        onChanged: { addListener() {} },
+        local: { get: async () => ({}), set: async () => {} }
+    }
+};
+
+const { RequestScheduler } = loadScript('background/request-scheduler.js', ['RequestScheduler']);
+
+const START = Date.UTC(2026, 4, 12, 18, 0, 0); // 11:00 in Los Angeles, well clear of the quota day change
+
+/**
+ * Scheduler with fake timers and quiet logging - limits and key metadata per test
+ */
+async function createScheduler(t, { keys = ['key-a'], limits = {}, meta = {} } = {}) {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: START });
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+
+    const scheduler = new RequestScheduler(() => keys, () => true, (index) => meta[index] || {});
+    await scheduler.load();
+    scheduler.setLimits({ rpm: 100, rpd: 1000, tpm: 1000000, concurrency: 10, ...limits });
+    t.after(() => clearTimeout(scheduler.timer));
+    return scheduler;
+}
+
+/**
+ * Settle state of a promise without waiting for it
+ */
+async function stateOf(promise) {
+    const pending = {};
+    const result = await Promise.race([
+        promise.then(value => ({ value }), error => ({ error })),
+        new Promise(resolve => setImmediate(() => resolve(pending)))
+    ]);
+    return result === pending ? 'pending' : result.error ? 'rejected' : 'resolved';
+}
+
+test('concurrency: jobs beyond the limit wait for a release', async (t) => {
+    const scheduler = await createScheduler(t, { limits: { concurrency: 2 } });
+
+    const first = scheduler.acquire({ jobId: 'a' });
+    const second = scheduler.acquire({ jobId: 'b' });
+    const third = scheduler.acquire({ jobId: 'c' });
+
+    assert.equal(await stateOf(first), 'resolved');
+    assert.equal(await stateOf(second), 'resolved');
+    assert.equal(await stateOf(third), 'pending');
+
+    scheduler.release('a');
+    assert.equal(await stateOf(third), 'resolved');
+    assert.equal(scheduler.active.size, 2);
+});
+
+test('RPM: a key takes no more requests until its minute window frees up', async (t) => {
+    const scheduler = await createScheduler(t, { limits: { rpm: 2 } });
+
+    await scheduler.acquire({ jobId: 'a' });
+    await scheduler.acquire({ jobId: 'b' });
+    scheduler.release('a');
+    scheduler.release('b');
+
+    const third = scheduler.acquire({ jobId: 'c' });
+    assert.equal(await stateOf(third), 'pending', 'releasing does not give back rate budget');
+
+    t.mock.timers.tick(59000);
+    assert.equal(await stateOf(third), 'pending');
+    t.mock.timers.tick(1500);
+    assert.equal(await stateOf(third), 'resolved');
+});
+
+test('RPM: a second key takes over when the first is at its limit', async (t) => {
+    const scheduler = await createScheduler(t, { keys: ['key-a', 'key-b'], limits: { rpm: 1 } });
+
+    const first = await scheduler.acquire({ jobId: 'a' });
+    const second = await scheduler.acquire({ jobId: 'b' });
+    assert.notEqual(first.index, second.index);
+});
+
+test('RPD: the daily limit and a key daily budget hold until the quota day changes', async (t) => {
+    const scheduler = await createScheduler(t, { keys: ['key-a', 'key-b'], limits: { rpd: 3 }, meta: { 1: { dailyBudget: 1 } } });
+    scheduler.maxWait = Infinity; // Not the max wait under test here
+
+    const indexes = [];
+    for (const jobId of ['a', 'b', 'c', 'd']) {
+        const lease = await scheduler.acquire({ jobId });
+        indexes.push(lease.index);
+        scheduler.release(jobId);
+    }
+    assert.deepEqual(indexes.filter(index => index === 0).length, 3);
+    assert.deepEqual(indexes.filter(index => index === 1).length, 1);
+
+    const fifth = scheduler.acquire({ jobId: 'e' });
+    assert.equal(await stateOf(fifth), 'pending');
+
+    // Still the same quota day an hour later - the minute windows are free again but the day is used up
+    t.mock.timers.setTime(START + 60 * 60 * 1000);
+    scheduler.pump();
+    assert.equal(await stateOf(fifth), 'pending');
+
+    // Midnight Pacific time starts a new quota day
+    t.mock.timers.setTime(START + 14 * 60 * 60 * 1000);
+    scheduler.pump();
+    assert.equal(await stateOf(fifth), 'resolved');
+});
+
+test('TPM: a request waits while the minute token budget is used up', async (t) => {
+    const scheduler = await createScheduler(t, { limits: { tpm: 1000 } });
+
+    await scheduler.acquire({ jobId: 'a', tokens: 800 });
+    const second = scheduler.acquire({ jobId: 'b', tokens: 300 });
+    assert.equal(await stateOf(second), 'pending');
+
+    // Releasing with the real count frees the budget that was estimated too high
+    scheduler.release('a', { tokens: 500 });
+    assert.equal(await stateOf(second), 'resolved');
+});
+
+test('TPM: a request larger than the whole budget still runs on an idle key', async (t) => {
+    const scheduler = await createScheduler(t, { limits: { tpm: 1000 } });
+    assert.equal(await stateOf(scheduler.acquire({ jobId: 'a', tokens: 5000 })), 'resolved');
+    assert.equal(await stateOf(scheduler.acquire({ jobId: 'b', tokens: 1 })), 'pending');
+});
+
+test('lease expiry: a slot that is never released is reclaimed after the lease timeout', async (t) => {
+    const scheduler = await createScheduler(t, { limits: { concurrency: 1 } });
+
+    await scheduler.acquire({ jobId: 'lost' });
+    t.mock.timers.setTime(START + scheduler.leaseTimeout - 1000);
+    const waiting = scheduler.acquire({ jobId: 'early' });
+    assert.equal(await stateOf(waiting), 'pending');
+    scheduler.release('early');
+    assert.equal(await stateOf(waiting), 'rejected');
+
+    t.mock.timers.setTime(START + scheduler.leaseTimeout + 1000);
+    const next = scheduler.acquire({ jobId: 'next' });
+    assert.equal(await stateOf(next), 'resolved');
+    assert.equal(scheduler.active.has('lost'), false);
+
+    // A late release of the expired lease changes nothing
+    scheduler.release('lost', { tokens: 10 });
+    assert.equal(scheduler.active.has('next'), true);
+});
+
+test('lease expiry: a job queued behind a leaked slot gets it before the max wait runs out', async (t) => {
+    const scheduler = await createScheduler(t, { limits: { concurrency: 1 } });
+    assert.ok(scheduler.maxWait > scheduler.leaseTimeout);
+
+    await scheduler.acquire({ jobId: 'lost' });
+    const waiting = scheduler.acquire({ jobId: 'waiting' });
+    assert.equal(await stateOf(waiting), 'pending');
+
+    t.mock.timers.setTime(START + scheduler.leaseTimeout + 1000);
+    scheduler.pump();
+    assert.equal(await stateOf(waiting), 'resolved');
+});
+
+test('queued jobs fail after the max wait', async (t) => {
+    const scheduler = await createScheduler(t, { limits: { rpm: 1 } });
+
+    await scheduler.acquire({ jobId: 'a' });
+    const waiting = scheduler.acquire({ jobId: 'b' });
+    assert.equal(await stateOf(waiting), 'pending');
+
+    t.mock.timers.setTime(START + scheduler.maxWait + 1000);
+    scheduler.pump();
+    await assert.rejects(waiting, /All API keys are at their rate limits/);
+});
+
+test('releasing a queued job rejects it as aborted', async (t) => {
+    const scheduler = await createScheduler(t, { limits: { concurrency: 1 } });
+
+    await scheduler.acquire({ jobId: 'a' });
+    const waiting = scheduler.acquire({ jobId: 'b' });
+    assert.equal(await stateOf(waiting), 'pending');
+    scheduler.release('b');
+    await assert.rejects(waiting, { name: 'AbortError' });
+});
+
+test('jobs only go to keys allowed for their model', async (t) => {
+    const scheduler = await createScheduler(t, { keys: ['key-a', 'key-b'], meta: { 0: { models: ['gemini-2.5-flash'] } } });
+
+    const lease = await scheduler.acquire({ jobId: 'a', model: 'gemini-2.5-pro' });
+    assert.equal(lease.index, 1);
+});
+
+test('a model no key is allowed to use fails right away', async (t) => {
+    const scheduler = await createScheduler(t, { meta: { 0: { models: ['gemini-2.5-flash'] } } });
+    await assert.rejects(scheduler.acquire({ jobId: 'a', model: 'gemini-2.5-pro' }), /allowed to use gemini-2.5-pro/);
+});
+
+test('counts and leases follow their keys when the key list changes', async (t) => {
+    const keys = ['key-a', 'key-b'];
+    const scheduler = await createScheduler(t, { keys, limits: { rpm: 1 } });
+
+    assert.equal((await scheduler.acquire({ jobId: 'a' })).index, 0);
+    assert.equal((await scheduler.acquire({ jobId: 'b' })).index, 1);
+
+    // key-a is removed and key-c added after key-b
+    const previousKeys = [...keys];
+    keys.splice(0, keys.length, 'key-b', 'key-c');
+    await scheduler.updateKeys(previousKeys);
+
+    assert.equal(scheduler.counts[0].dayRequests, 1, 'key-b keeps its count at its new index');
+    assert.equal(scheduler.counts[1], undefined);
+    assert.equal(scheduler.active.get('b').index, 0);
+    assert.equal(scheduler.active.get('a').index, -1);
+
+    // key-b is still at its minute limit, so the next job goes to key-c
+    assert.equal((await scheduler.acquire({ jobId: 'c' })).index, 1);
+});
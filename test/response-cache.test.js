@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+let stored = {};
+global.chrome = {
+    storage: {
+        local: {
+            get: async (key) => ({ [key]: stored[key] }),
+            set: async (items) => { Object.assign(stored, structuredClone(items)); },
+            remove: async (key) => { delete stored[key]; }
+        }
+    }
+};
+
+const { ResponseCache } = loadScript('background/response-cache.js', ['ResponseCache']);
+
+const START = Date.UTC(2026, 4, 12, 18, 0, 0);
+const HOUR = 60 * 60 * 1000;
+
+function createCache(t, settings = {}) {
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+    t.mock.method(console, 'log', () => {});
+    stored = { settings };
+    return new ResponseCache();
+}
+
+test('a stored response comes back with its creation time', async (t) => {
+    const cache = createCache(t);
+    await cache.set('hash-a', { text: 'Hello', thoughts: 'Hmm', finishReason: 'STOP', model: 'gemini-2.5-flash' });
+
+    const hit = await cache.get('hash-a');
+    assert.equal(hit.text, 'Hello');
+    assert.equal(hit.thoughts, 'Hmm');
+    assert.equal(hit.model, 'gemini-2.5-flash');
+    assert.equal(hit.createdAt, START);
+    assert.equal(await cache.get('hash-b'), null);
+});
+
+test('entries expire after the TTL from the settings', async (t) => {
+    const cache = createCache(t, { responseCacheTtl: 2 });
+    await cache.set('hash-a', { text: 'Hello' });
+
+    t.mock.timers.setTime(START + 2 * HOUR - 1000);
+    assert.ok(await cache.get('hash-a'));
+
+    t.mock.timers.setTime(START + 2 * HOUR + 1000);
+    assert.equal(await cache.get('hash-a'), null);
+});
+
+test('the default TTL is 24 hours', async (t) => {
+    const cache = createCache(t);
+    await cache.set('hash-a', { text: 'Hello' });
+
+    t.mock.timers.setTime(START + 23 * HOUR);
+    assert.ok(await cache.get('hash-a'));
+    t.mock.timers.setTime(START + 25 * HOUR);
+    assert.equal(await cache.get('hash-a'), null);
+});
+
+test('writes drop expired entries', async (t) => {
+    const cache = createCache(t, { responseCacheTtl: 1 });
+    await cache.set('old', { text: 'Old' });
+
+    t.mock.timers.setTime(START + 2 * HOUR);
+    await cache.set('new', { text: 'New' });
+    assert.deepEqual(Object.keys(stored.responseCache), ['new']);
+});
+
+test('the oldest entries go first when there are more than maxEntries', async (t) => {
+    const cache = createCache(t);
+    cache.maxEntries = 3;
+
+    for (const [offset, hash] of ['a', 'b', 'c', 'd'].entries()) {
+        t.mock.timers.setTime(START + offset * 1000);
+        await cache.set(hash, { text: hash });
+    }
+    assert.deepEqual(Object.keys(stored.responseCache).sort(), ['b', 'c', 'd']);
+});
+
+test('the oldest entries go first when the stored text passes maxBytes', async (t) => {
+    const cache = createCache(t);
+    cache.maxBytes = 25;
+
+    for (const [offset, hash] of ['a', 'b', 'c'].entries()) {
+        t.mock.timers.setTime(START + offset * 1000);
+        await cache.set(hash, { text: 'x'.repeat(10) });
+    }
+    assert.deepEqual(Object.keys(stored.responseCache).sort(), ['b', 'c']);
+});
+
+test('a single response larger than maxBytes is still kept', async (t) => {
+    const cache = createCache(t);
+    cache.maxBytes = 5;
+
+    await cache.set('big', { text: 'x'.repeat(10) });
+    assert.ok(await cache.get('big'));
+});
+
+test('concurrent writes are queued and all land', async (t) => {
+    const cache = createCache(t);
+    await Promise.all(['a', 'b', 'c'].map(hash => cache.set(hash, { text: hash })));
+    assert.deepEqual(Object.keys(stored.responseCache).sort(), ['a', 'b', 'c']);
+});
+
+test('nothing is read or written while the response cache setting is off', async (t) => {
+    const cache = createCache(t);
+    await cache.set('hash-a', { text: 'Hello' });
+
+    stored.settings = { responseCache: false };
+    assert.equal(await cache.get('hash-a'), null);
+    await cache.set('hash-b', { text: 'Hi' });
+    assert.equal(stored.responseCache['hash-b'], undefined);
+});